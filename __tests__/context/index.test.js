@@ -1,4 +1,4 @@
-import { createContext } from '../../src/context/index.js';
+import { createContext, createSubscriptionContext } from '../../src/context/index.js';
 import { User } from '../../src/models/User.js';
 import jwt from 'jsonwebtoken';
 import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
@@ -178,4 +178,33 @@ describe('GraphQL Context', () => {
       process.env.JWT_SECRET = originalSecret;
     });
   });
-}); 
\ No newline at end of file
+
+  describe('createSubscriptionContext', () => {
+    it('should return unauthenticated context without connection params', async () => {
+      const context = await createSubscriptionContext({});
+
+      expect(context.user).toBeNull();
+      expect(context.isAuthenticated).toBe(false);
+    });
+
+    it('should authenticate from the authorization connection param', async () => {
+      const token = jwt.sign({ userId: mockUser._id }, process.env.JWT_SECRET);
+      const context = await createSubscriptionContext({
+        connectionParams: { authorization: `Bearer ${token}` },
+      });
+
+      expect(context.user._id.toString()).toBe(mockUser._id.toString());
+      expect(context.isAuthenticated).toBe(true);
+      expect(context.isCustomer).toBe(true);
+    });
+
+    it('should return unauthenticated context for invalid token', async () => {
+      const context = await createSubscriptionContext({
+        connectionParams: { authorization: 'Bearer invalid-token' },
+      });
+
+      expect(context.user).toBeNull();
+      expect(context.isAuthenticated).toBe(false);
+    });
+  });
+});
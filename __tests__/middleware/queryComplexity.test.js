@@ -0,0 +1,105 @@
+import { buildSchema, parse } from 'graphql';
+import {
+  validateQueryLimits,
+  queryLimitsPlugin,
+  createSubscriptionValidation
+} from '../../src/middleware/queryComplexity.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  performanceLogger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const schema = buildSchema(`
+  type Node {
+    id: ID!
+    child: Node
+    children(first: Int): [Node!]!
+  }
+
+  type Query {
+    nodes(first: Int): [Node!]!
+  }
+
+  type Subscription {
+    nodeAdded: Node
+  }
+`);
+
+// A selection nested `depth` levels deep
+const nested = (depth) => (depth === 0 ? 'id' : `child { ${nested(depth - 1)} }`);
+
+// Many list fields whose size is given by $first
+const wideQuery = `query Wide($first: Int) {
+  ${Array.from({ length: 12 }, (_, index) => `n${index}: nodes(first: $first) { children(first: $first) { id } }`).join('\n')}
+}`;
+
+describe('Query Complexity Middleware', () => {
+  describe('validateQueryLimits', () => {
+    it('should accept operations within the limits', () => {
+      expect(validateQueryLimits(schema, parse(`{ nodes { ${nested(5)} } }`))).toEqual([]);
+    });
+
+    it('should reject operations nested too deeply', () => {
+      const [error] = validateQueryLimits(schema, parse(`{ nodes { ${nested(16)} } }`));
+
+      expect(error.message).toMatch(/exceeds maximum operation depth of 15/);
+    });
+
+    it('should reject operations that are too complex given their variables', () => {
+      expect(validateQueryLimits(schema, parse(wideQuery), { variables: { first: 10 } })).toEqual([]);
+
+      const [error] = validateQueryLimits(schema, parse(wideQuery), { variables: { first: 100 } });
+
+      expect(error.message).toMatch(/Query is too complex/);
+      expect(error.extensions.code).toBe('QUERY_TOO_COMPLEX');
+    });
+  });
+
+  describe('queryLimitsPlugin', () => {
+    const resolveOperation = async (query, variables) => {
+      const hooks = await queryLimitsPlugin.requestDidStart();
+      return hooks.didResolveOperation({ schema, document: parse(query), request: { query, variables } });
+    };
+
+    it('should let operations within the limits through', async () => {
+      await expect(resolveOperation(wideQuery, { first: 10 })).resolves.toBeUndefined();
+    });
+
+    it('should reject operations over the limits with status 400', async () => {
+      await expect(resolveOperation(wideQuery, { first: 100 })).rejects.toMatchObject({
+        extensions: { code: 'QUERY_TOO_COMPLEX', http: { status: 400 } }
+      });
+      await expect(resolveOperation(`{ nodes { ${nested(16)} } }`)).rejects.toMatchObject({
+        extensions: { code: 'GRAPHQL_VALIDATION_FAILED', http: { status: 400 } }
+      });
+    });
+  });
+
+  describe('createSubscriptionValidation', () => {
+    const onSubscribe = createSubscriptionValidation(schema);
+    const subscribe = (query) => onSubscribe({}, { id: '1', type: 'subscribe', payload: { query } });
+
+    it('should return execution arguments for valid subscriptions', () => {
+      const args = subscribe('subscription { nodeAdded { id } }');
+
+      expect(args.schema).toBe(schema);
+      expect(args.document.kind).toBe('Document');
+    });
+
+    it('should apply the same limits as HTTP operations', () => {
+      const [error] = subscribe(`subscription { nodeAdded { ${nested(16)} } }`);
+
+      expect(error.message).toMatch(/exceeds maximum operation depth of 15/);
+    });
+
+    it('should reject invalid subscriptions', () => {
+      expect(subscribe('subscription { nodeAdded')[0].message).toMatch(/Syntax Error/);
+      expect(subscribe('subscription { unknown }')[0].message).toMatch(/Cannot query field "unknown"/);
+    });
+  });
+});
@@ -5,6 +5,7 @@ import { Product } from '../../src/models/Product.js';
 import { User } from '../../src/models/User.js';
 import { orderResolvers } from '../../src/resolvers/orderResolvers.js';
 import { OrderService } from '../../src/services/orderService.js';
+import { pubsub, EVENTS } from '../../src/config/pubsub.js';
 import { generateToken } from '../../src/utils/auth.js';
 import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
 
@@ -318,6 +319,7 @@ describe('Order Resolvers', () => {
 
   describe('Mutation: updateOrderStatus', () => {
     it('should update order status by admin', async () => {
+      await Order.updateOne({ _id: mockOrder._id }, { paymentStatus: 'paid' });
       const context = createContext(mockAdmin);
       const result = await orderResolvers.Mutation.updateOrderStatus(
         {}, 
@@ -424,6 +426,85 @@ describe('Order Resolvers', () => {
     });
   });
 
+  describe('Subscription resolvers', () => {
+    // Resolve the next event from a subscription iterator, or null on timeout
+    const nextEvent = (iterator, timeout = 200) => Promise.race([
+      iterator.next().then(result => result.value),
+      new Promise(resolve => setTimeout(() => resolve(null), timeout)),
+    ]);
+
+    describe('Subscription.orderStatusUpdated', () => {
+      it('should require authentication', () => {
+        const context = createContext(null);
+        expect(() => orderResolvers.Subscription.orderStatusUpdated.subscribe({}, {}, context))
+          .toThrow('Authentication required');
+      });
+
+      it('should reject customers subscribing to another user', () => {
+        const context = createContext(mockUser);
+        expect(() => orderResolvers.Subscription.orderStatusUpdated.subscribe(
+          {}, { userId: mockAdmin._id.toString() }, context
+        )).toThrow('Not authorized to subscribe to orders of another user');
+      });
+
+      it('should deliver only the customer own orders', async () => {
+        const context = createContext(mockUser);
+        const iterator = await orderResolvers.Subscription.orderStatusUpdated.subscribe({}, {}, context);
+
+        const otherOrder = await Order.create({
+          user: mockAdmin._id,
+          items: [{ product: mockProduct._id, quantity: 1, price: mockProduct.price }],
+          totalAmount: 99.99,
+        });
+
+        await pubsub.publish(EVENTS.ORDER_STATUS_UPDATED, { orderStatusUpdated: otherOrder });
+        await pubsub.publish(EVENTS.ORDER_STATUS_UPDATED, { orderStatusUpdated: mockOrder });
+
+        const event = await nextEvent(iterator);
+        expect(event.orderStatusUpdated._id.toString()).toBe(mockOrder._id.toString());
+
+        await iterator.return();
+      });
+
+      it('should let admins filter by userId', async () => {
+        const context = createContext(mockAdmin);
+        const iterator = await orderResolvers.Subscription.orderStatusUpdated.subscribe(
+          {}, { userId: mockUser._id.toString() }, context
+        );
+
+        await pubsub.publish(EVENTS.ORDER_STATUS_UPDATED, { orderStatusUpdated: mockOrder });
+
+        const event = await nextEvent(iterator);
+        expect(event.orderStatusUpdated._id.toString()).toBe(mockOrder._id.toString());
+
+        await iterator.return();
+      });
+    });
+
+    describe('Subscription.newOrder', () => {
+      it('should reject non-admin users', () => {
+        const context = createContext(mockUser);
+        expect(() => orderResolvers.Subscription.newOrder.subscribe({}, {}, context))
+          .toThrow('Admin access required');
+      });
+
+      it('should deliver orders placed through OrderService to admins', async () => {
+        const context = createContext(mockAdmin);
+        const iterator = orderResolvers.Subscription.newOrder.subscribe({}, {}, context);
+        const pending = nextEvent(iterator, 1000);
+
+        const order = await OrderService.createOrder(mockUser._id.toString(), {
+          items: [{ productId: mockProduct._id, quantity: 1 }]
+        });
+
+        const event = await pending;
+        expect(event.newOrder._id.toString()).toBe(order._id.toString());
+
+        await iterator.return();
+      });
+    });
+  });
+
   describe('Order Status State Machine', () => {
     it('should allow valid transitions', () => {
       expect(OrderService.isValidStatusTransition('pending', 'confirmed')).toBe(true);
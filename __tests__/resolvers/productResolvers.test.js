@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import { productResolvers } from '../../src/resolvers/productResolvers.js';
+import { encodeCursor, decodeCursor } from '../../src/utils/pagination.js';
 
 // Mock the User model before importing
 jest.mock('../../src/models/User.js', () => ({
@@ -20,6 +21,7 @@ jest.mock('../../src/models/Product.js', () => ({
     findById: jest.fn(),
     create: jest.fn(),
     countDocuments: jest.fn(),
+    distinct: jest.fn(),
     aggregate: jest.fn()
   }
 }));
@@ -40,6 +42,8 @@ jest.mock('../../src/services/productCacheService.js', () => ({
     setCategories: jest.fn(),
     getSearchResults: jest.fn(),
     setSearchResults: jest.fn(),
+    getFacets: jest.fn(),
+    setFacets: jest.fn(),
     invalidateProduct: jest.fn(),
     clearCache: jest.fn(),
   }
@@ -48,7 +52,70 @@ jest.mock('../../src/services/productCacheService.js', () => ({
 // Import the mocked cache service
 import { productCacheService } from '../../src/services/productCacheService.js';
 
+jest.mock('../../src/services/inventoryService.js', () => ({
+  InventoryService: {
+    stockSnapshot: jest.fn(),
+    recordDifferences: jest.fn(),
+  }
+}));
+
+import { InventoryService } from '../../src/services/inventoryService.js';
+
+jest.mock('../../src/services/popularityService.js', () => ({
+  PopularityService: {
+    recordView: jest.fn(),
+  }
+}));
+
+import { PopularityService } from '../../src/services/popularityService.js';
+
+jest.mock('../../src/services/wishlistService.js', () => ({
+  WishlistService: {
+    availabilitySnapshot: jest.fn(),
+    notifyProductChange: jest.fn(),
+  }
+}));
+
+import { WishlistService } from '../../src/services/wishlistService.js';
+
+jest.mock('../../src/services/categoryService.js', () => ({
+  CategoryService: {
+    productFilter: jest.fn(),
+    resolveProductCategory: jest.fn(),
+    getBreadcrumbs: jest.fn(),
+  }
+}));
+
+import { CategoryService } from '../../src/services/categoryService.js';
+
+jest.mock('../../src/services/searchService.js', () => ({
+  SearchService: {
+    search: jest.fn(),
+    indexProduct: jest.fn(),
+  }
+}));
+
+import { SearchService } from '../../src/services/searchService.js';
+
+jest.mock('../../src/services/searchAnalyticsService.js', () => ({
+  SearchAnalyticsService: {
+    recordSearch: jest.fn(),
+  }
+}));
+
+import { SearchAnalyticsService } from '../../src/services/searchAnalyticsService.js';
+
+// Category documents of the sample products
+const categoryIds = {
+  Electronics: new mongoose.Types.ObjectId(),
+  Gaming: new mongoose.Types.ObjectId(),
+  Accessories: new mongoose.Types.ObjectId(),
+};
+
 jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    warn: jest.fn(),
+  },
   performanceLogger: {
     slowQuery: jest.fn(),
     databaseQuery: jest.fn(),
@@ -96,6 +163,7 @@ describe('Product Resolvers', () => {
         name: 'iPhone 15 Pro',
         description: 'Latest Apple smartphone with advanced features',
         category: 'Electronics',
+        categoryId: categoryIds.Electronics,
         price: 999.99,
         stock: 50,
         sku: 'AUTO-1234-ABC123',
@@ -107,6 +175,7 @@ describe('Product Resolvers', () => {
         name: 'MacBook Pro M3',
         description: 'Powerful laptop for professionals',
         category: 'Electronics',
+        categoryId: categoryIds.Electronics,
         price: 1999.99,
         stock: 25,
         sku: 'AUTO-1235-DEF456',
@@ -118,6 +187,7 @@ describe('Product Resolvers', () => {
         name: 'Gaming Headset',
         description: 'High-quality gaming headset with surround sound',
         category: 'Gaming',
+        categoryId: categoryIds.Gaming,
         price: 299.99,
         stock: 0,
         sku: 'AUTO-1236-GHI789',
@@ -129,6 +199,7 @@ describe('Product Resolvers', () => {
         name: 'Wireless Mouse',
         description: 'Ergonomic wireless mouse for productivity',
         category: 'Accessories',
+        categoryId: categoryIds.Accessories,
         price: 49.99,
         stock: 100,
         sku: 'AUTO-1237-JKL012',
@@ -159,7 +230,10 @@ describe('Product Resolvers', () => {
         
         let filteredProducts = [...sampleProducts];
         
-        // Apply category filter
+        // Apply category filter (categories include their subcategories)
+        if (filter.categoryId) {
+          filteredProducts = filteredProducts.filter(p => filter.categoryId.$in.some(id => id.equals(p.categoryId)));
+        }
         if (filter.category) {
           if (filter.category.$regex) {
             // Handle regex pattern
@@ -171,12 +245,12 @@ describe('Product Resolvers', () => {
           }
         }
         
-        // Apply price range filter
+        // Apply price range filter (the database stores prices in cents)
         if (filter.price && filter.price.$gte !== undefined) {
-          filteredProducts = filteredProducts.filter(p => p.price >= filter.price.$gte);
+          filteredProducts = filteredProducts.filter(p => Math.round(p.price * 100) >= filter.price.$gte);
         }
         if (filter.price && filter.price.$lte !== undefined) {
-          filteredProducts = filteredProducts.filter(p => p.price <= filter.price.$lte);
+          filteredProducts = filteredProducts.filter(p => Math.round(p.price * 100) <= filter.price.$lte);
         }
         
         // Apply stock filter
@@ -193,26 +267,10 @@ describe('Product Resolvers', () => {
           filteredProducts = filteredProducts.filter(p => p.isActive === filter.isActive);
         }
         
-        // Apply search filter with $or conditions
-        if (filter.$or) {
-          const searchConditions = filter.$or;
-          filteredProducts = filteredProducts.filter(p => {
-            return searchConditions.some(condition => {
-              if (condition.name && condition.name.$regex) {
-                const regex = new RegExp(condition.name.$regex, condition.name.$options || '');
-                return regex.test(p.name);
-              }
-              if (condition.description && condition.description.$regex) {
-                const regex = new RegExp(condition.description.$regex, condition.description.$options || '');
-                return regex.test(p.description);
-              }
-              if (condition.category && condition.category.$regex) {
-                const regex = new RegExp(condition.category.$regex, condition.category.$options || '');
-                return regex.test(p.category);
-              }
-              return false;
-            });
-          });
+        // Apply the search index hits
+        if (filter._id && filter._id.$in) {
+          const ids = filter._id.$in.map(String);
+          filteredProducts = filteredProducts.filter(p => ids.includes(p._id.toString()));
         }
         
         // Apply $text search filter
@@ -223,12 +281,46 @@ describe('Product Resolvers', () => {
             p.description.toLowerCase().includes(searchTerm)
           );
         }
+
+        // Apply the sort order by its first field, comparing like the database
+        const [sortSpec] = mockQueryChain.sort.mock.calls[mockQueryChain.sort.mock.calls.length - 1] || [];
+        const [sortPath, sortOrder] = Object.entries(sortSpec || {})[0] || [];
+        if (sortPath) {
+          const valueOf = (p) => sortPath.split('.').reduce((object, key) => object?.[key], p);
+          filteredProducts.sort((a, b) => {
+            const [left, right] = [valueOf(a), valueOf(b)];
+            if (left === undefined || right === undefined || left === right) {
+              return 0;
+            }
+            return (left < right ? -1 : 1) * sortOrder;
+          });
+        }
         
         return filteredProducts;
       })
     };
     
     Product.find.mockReturnValue(mockQueryChain);
+
+    // IDs of the products matching a filter, through the find mock
+    Product.distinct.mockImplementation(async (field, filter) => {
+      const products = await Product.find(filter).populate();
+      return products.map(p => p._id);
+    });
+
+    // Rank name matches above category and description matches, like the search index
+    SearchService.search.mockImplementation(async (query) => {
+      const term = query.toLowerCase();
+      return sampleProducts
+        .map(p => ({
+          productId: p._id.toString(),
+          score: (p.name.toLowerCase().includes(term) ? 3 : 0)
+            + (p.category.toLowerCase().includes(term) ? 2 : 0)
+            + (p.description.toLowerCase().includes(term) ? 1 : 0)
+        }))
+        .filter(hit => hit.score > 0)
+        .sort((a, b) => b.score - a.score);
+    });
     
     // Mock findOne for single product queries
     Product.findOne.mockImplementation((filter) => {
@@ -292,6 +384,10 @@ describe('Product Resolvers', () => {
       let filteredProducts = [...sampleProducts];
       
       // Apply the same filtering logic
+      if (filter.categoryId) {
+        filteredProducts = filteredProducts.filter(p => filter.categoryId.$in.some(id => id.equals(p.categoryId)));
+      }
+
       if (filter.category) {
         if (filter.category.$regex) {
           const regexPattern = filter.category.$regex;
@@ -302,10 +398,10 @@ describe('Product Resolvers', () => {
       }
       
       if (filter.price && filter.price.$gte !== undefined) {
-        filteredProducts = filteredProducts.filter(p => p.price >= filter.price.$gte);
+        filteredProducts = filteredProducts.filter(p => Math.round(p.price * 100) >= filter.price.$gte);
       }
       if (filter.price && filter.price.$lte !== undefined) {
-        filteredProducts = filteredProducts.filter(p => p.price <= filter.price.$lte);
+        filteredProducts = filteredProducts.filter(p => Math.round(p.price * 100) <= filter.price.$lte);
       }
       
       if (filter.stock !== undefined) {
@@ -328,39 +424,13 @@ describe('Product Resolvers', () => {
         );
       }
       
-      // Handle $or conditions for search queries
-      if (filter.$or) {
-        const matchingProducts = [];
-        filteredProducts.forEach(product => {
-          const matches = filter.$or.some(condition => {
-            if (condition.name && condition.name.$regex) {
-              const regex = new RegExp(condition.name.$regex, condition.name.$options || '');
-              return regex.test(product.name);
-            }
-            if (condition.description && condition.description.$regex) {
-              const regex = new RegExp(condition.description.$regex, condition.description.$options || '');
-              return regex.test(product.description);
-            }
-            if (condition.category && condition.category.$regex) {
-              const regex = new RegExp(condition.category.$regex, condition.category.$options || '');
-              return regex.test(product.category);
-            }
-            return false;
-          });
-          if (matches) {
-            matchingProducts.push(product);
-          }
-        });
-        filteredProducts = matchingProducts;
-      }
-      
       return filteredProducts.length;
     });
 
     // Mock Product.aggregate for analytics queries
     Product.aggregate.mockImplementation(async (pipeline) => {
       // Check if it's a category analytics query
-      if (pipeline && pipeline.some(stage => stage.$group && stage.$group._id === '$category')) {
+      if (pipeline && pipeline.some(stage => stage.$group && stage.$group._id?.category === '$category')) {
         return [
           { category: 'Electronics', productCount: 2, averagePrice: 1499.99, totalStock: 75 },
           { category: 'Gaming', productCount: 1, averagePrice: 299.99, totalStock: 0 },
@@ -425,6 +495,15 @@ describe('Product Resolvers', () => {
     productCacheService.setSearchResults.mockResolvedValue(true);
     productCacheService.invalidateProduct.mockResolvedValue(true);
     productCacheService.clearCache.mockResolvedValue(true);
+    PopularityService.recordView.mockResolvedValue();
+    SearchAnalyticsService.recordSearch.mockResolvedValue();
+    CategoryService.productFilter.mockImplementation(async ({ category } = {}) => (
+      category ? { categoryId: { $in: [categoryIds[category]].filter(Boolean) } } : {}
+    ));
+    CategoryService.resolveProductCategory.mockImplementation(async ({ category }) => ({
+      _id: categoryIds[category] || new mongoose.Types.ObjectId(),
+      name: category.trim()
+    }));
   });
 
   describe('Query: products', () => {
@@ -535,7 +614,7 @@ describe('Product Resolvers', () => {
     });
 
     test('should handle pagination with cursor', async () => {
-      const validCursor = Buffer.from(sampleProducts[0]._id.toString()).toString('base64');
+      const validCursor = encodeCursor('CREATED_AT_DESC', new Date(), sampleProducts[0]._id);
       
       const result = await productResolvers.Query.products(
         null,
@@ -572,6 +651,67 @@ describe('Product Resolvers', () => {
       Buffer.from = originalBufferFrom;
     });
 
+    test('should sort products by the requested field', async () => {
+      const result = await productResolvers.Query.products(
+        null,
+        { filter: {}, sort: { field: 'PRICE', direction: 'DESC' }, first: 2 },
+        { user: null }
+      );
+
+      expect(result.edges.map(edge => edge.node.name)).toEqual(['MacBook Pro M3', 'iPhone 15 Pro']);
+      expect(result.pageInfo.hasNextPage).toBe(true);
+      expect(Product.find().sort).toHaveBeenCalledWith({ price: -1, _id: -1 });
+
+      // Cursors carry the stored price (in cents) and the product ID
+      expect(decodeCursor(result.pageInfo.endCursor, 'PRICE_DESC')).toEqual({
+        value: 99999,
+        id: sampleProducts[0]._id.toString()
+      });
+      expect(productCacheService.getProductList).toHaveBeenCalledWith(
+        {}, { first: 2, sort: { field: 'PRICE', direction: 'DESC' } }
+      );
+    });
+
+    test('should continue after the cursor in the same sort order', async () => {
+      const sort = { field: 'PRICE', direction: 'DESC' };
+      const after = encodeCursor('PRICE_DESC', 99999, sampleProducts[0]._id);
+
+      await productResolvers.Query.products(null, { filter: {}, sort, first: 2, after }, { user: null });
+
+      expect(Product.find).toHaveBeenCalledWith(expect.objectContaining({
+        isActive: true,
+        $and: [{
+          $or: [
+            { price: { $lt: 99999 } },
+            { price: 99999, _id: { $lt: sampleProducts[0]._id.toString() } },
+            { price: null }
+          ]
+        }]
+      }));
+    });
+
+    test('should reject cursors of another sort order', async () => {
+      const after = encodeCursor('PRICE_DESC', 99999, sampleProducts[0]._id);
+
+      await expect(
+        productResolvers.Query.products(
+          null,
+          { filter: {}, sort: { field: 'NAME', direction: 'ASC' }, first: 2, after },
+          { user: null }
+        )
+      ).rejects.toThrow('Invalid cursor format');
+    });
+
+    test('should sort by popularity over the requested window', async () => {
+      const sort = { field: 'POPULARITY', direction: 'DESC', window: 'MONTH' };
+
+      const result = await productResolvers.Query.products(null, { filter: {}, sort, first: 2 }, { user: null });
+
+      expect(Product.find().sort).toHaveBeenCalledWith({ 'popularity.month': -1, _id: -1 });
+      expect(() => decodeCursor(result.pageInfo.endCursor, 'POPULARITY_WEEK_DESC')).toThrow('Invalid cursor format');
+      expect(decodeCursor(result.pageInfo.endCursor, 'POPULARITY_MONTH_DESC').id).toBeDefined();
+    });
+
     test('should limit maximum results per request', async () => {
       // Mock cache miss
       productCacheService.getProductList.mockResolvedValue(null);
@@ -605,6 +745,26 @@ describe('Product Resolvers', () => {
       expect(productCacheService.getProductList).toHaveBeenCalled();
       expect(productCacheService.setProductList).toHaveBeenCalled();
     });
+
+    test('should compute listing facets from the listing filter', async () => {
+      productCacheService.getProductList.mockResolvedValue(null);
+      productCacheService.getFacets.mockResolvedValue(null);
+      Product.aggregate.mockResolvedValueOnce([{ categories: [], priceRanges: [], stock: [], attributes: [] }]);
+
+      const result = await productResolvers.Query.products(
+        null,
+        { filter: { minPrice: 100 }, first: 10 },
+        { user: null }
+      );
+      const facets = await productResolvers.ProductConnection.facets(result);
+
+      expect(Product.aggregate.mock.calls[0][0][0].$match).toEqual({ isActive: true, price: { $gte: 10000 } });
+      expect(facets.stock).toEqual({ inStock: 0, outOfStock: 0 });
+      expect(productCacheService.getFacets).toHaveBeenCalledWith('', { minPrice: 100 });
+
+      // Facets are not part of the cached page
+      expect(productCacheService.setProductList.mock.calls[0][2]).not.toHaveProperty('facetSource');
+    });
   });
 
   describe('Query: product', () => {
@@ -626,6 +786,9 @@ describe('Product Resolvers', () => {
       // Verify cache was checked and set
       expect(productCacheService.getProduct).toHaveBeenCalledWith(sampleProducts[0]._id.toString());
       expect(productCacheService.setProduct).toHaveBeenCalled();
+
+      // The view counts towards popularity
+      expect(PopularityService.recordView).toHaveBeenCalledWith(sampleProducts[0]._id.toString());
     });
 
     test('should return cached product (cache hit)', async () => {
@@ -649,6 +812,20 @@ describe('Product Resolvers', () => {
       // Verify cache was checked but not set
       expect(productCacheService.getProduct).toHaveBeenCalledWith(sampleProducts[0]._id.toString());
       expect(productCacheService.setProduct).not.toHaveBeenCalled();
+      expect(PopularityService.recordView).toHaveBeenCalledTimes(1);
+    });
+
+    test('should only count views of the product query itself', async () => {
+      productCacheService.getProduct.mockResolvedValue(null);
+      productCacheService.setProduct.mockResolvedValue(true);
+      const id = sampleProducts[0]._id.toString();
+
+      await productResolvers.Query.product(null, { id }, { user: null }, { path: { key: 'product' } });
+      await productResolvers.Query.product(null, { id }, { user: null }, {
+        path: { key: 'product', prev: { key: 0, prev: { key: 'items' } } }
+      });
+
+      expect(PopularityService.recordView).toHaveBeenCalledTimes(1);
     });
 
     test('should return null for non-existent product', async () => {
@@ -664,6 +841,7 @@ describe('Product Resolvers', () => {
       );
 
       expect(result).toBeNull();
+      expect(PopularityService.recordView).not.toHaveBeenCalled();
     });
 
     test('should return null for inactive product', async () => {
@@ -706,7 +884,7 @@ describe('Product Resolvers', () => {
       expect(result.length).toBeLessThanOrEqual(5);
       
       // Verify cache was checked and set
-      expect(productCacheService.getPopularProducts).toHaveBeenCalledWith(5);
+      expect(productCacheService.getPopularProducts).toHaveBeenCalledWith(5, { category: undefined, window: 'week' });
       expect(productCacheService.setPopularProducts).toHaveBeenCalled();
     });
 
@@ -725,7 +903,7 @@ describe('Product Resolvers', () => {
       expect(result).toEqual(cachedProducts);
       
       // Verify cache was checked but not set
-      expect(productCacheService.getPopularProducts).toHaveBeenCalledWith(5);
+      expect(productCacheService.getPopularProducts).toHaveBeenCalledWith(5, { category: undefined, window: 'week' });
       expect(productCacheService.setPopularProducts).not.toHaveBeenCalled();
     });
 
@@ -743,6 +921,25 @@ describe('Product Resolvers', () => {
       // Should be limited to max 50
       expect(result.length).toBeLessThanOrEqual(50);
     });
+
+    test('should rank a category by popularity over the requested window', async () => {
+      const result = await productResolvers.Query.popularProducts(
+        null,
+        { limit: 5, category: 'Electronics', window: 'MONTH' },
+        { user: null }
+      );
+
+      expect(result.every(product => product.category === 'Electronics')).toBe(true);
+
+      const query = Product.find.mock.results[0].value;
+      expect(Product.find).toHaveBeenCalledWith({ isActive: true, categoryId: { $in: [categoryIds.Electronics] } });
+      expect(query.sort).toHaveBeenCalledWith({ 'popularity.month': -1, createdAt: -1 });
+      expect(productCacheService.setPopularProducts).toHaveBeenCalledWith(
+        5,
+        result,
+        { category: 'Electronics', window: 'month' }
+      );
+    });
   });
 
   describe('Query: productCategories', () => {
@@ -810,8 +1007,19 @@ describe('Product Resolvers', () => {
       expect(result.totalCount).toBe(1);
       
       // Verify cache was checked and set
-      expect(productCacheService.getSearchResults).toHaveBeenCalledWith('iPhone', {});
+      expect(productCacheService.getSearchResults).toHaveBeenCalledWith('iPhone', {}, { first: 10 });
       expect(productCacheService.setSearchResults).toHaveBeenCalled();
+
+      // Searches are logged for suggestions and analytics, clicks refer to the log
+      expect(SearchAnalyticsService.recordSearch).toHaveBeenCalledWith({
+        searchId: result.searchId,
+        query: 'iPhone',
+        filter: {},
+        resultCount: 1,
+        userId: undefined,
+        sessionId: undefined
+      });
+      expect(result.searchId).toMatch(/^[0-9a-f]{24}$/);
     });
 
     test('should search products by description', async () => {
@@ -867,10 +1075,15 @@ describe('Product Resolvers', () => {
         { user: null }
       );
 
-      expect(result).toEqual(cachedResults);
+      expect(result).toEqual({ ...cachedResults, searchId: expect.any(String) });
+
+      // Cached searches are logged too
+      expect(SearchAnalyticsService.recordSearch).toHaveBeenCalledWith(
+        expect.objectContaining({ searchId: result.searchId, query: 'iPhone', resultCount: 1 })
+      );
       
       // Verify cache was checked but not set
-      expect(productCacheService.getSearchResults).toHaveBeenCalledWith('iPhone', {});
+      expect(productCacheService.getSearchResults).toHaveBeenCalledWith('iPhone', {}, { first: 10 });
       expect(productCacheService.setSearchResults).not.toHaveBeenCalled();
     });
 
@@ -898,6 +1111,191 @@ describe('Product Resolvers', () => {
       expect(result.pageInfo).toBeDefined();
       expect(result.pageInfo.hasNextPage).toBeDefined();
     });
+
+    test('should order results by relevance and page through them', async () => {
+      productCacheService.getSearchResults.mockResolvedValue(null);
+      SearchService.search.mockResolvedValue([
+        { productId: sampleProducts[2]._id.toString(), score: 4.2 },
+        { productId: sampleProducts[3]._id.toString(), score: 3.1 }, // inactive
+        { productId: sampleProducts[0]._id.toString(), score: 1.5 },
+      ]);
+
+      const firstPage = await productResolvers.Query.searchProducts(
+        null,
+        { query: 'hedphones', first: 1 },
+        { user: null }
+      );
+
+      expect(firstPage.totalCount).toBe(2);
+      expect(firstPage.edges.map(edge => edge.node.name)).toEqual([sampleProducts[2].name]);
+      expect(firstPage.edges[0].relevanceScore).toBe(4.2);
+      expect(firstPage.pageInfo.hasNextPage).toBe(true);
+
+      const secondPage = await productResolvers.Query.searchProducts(
+        null,
+        { query: 'hedphones', first: 1, after: firstPage.pageInfo.endCursor },
+        { user: null }
+      );
+
+      expect(secondPage.edges.map(edge => edge.node.name)).toEqual([sampleProducts[0].name]);
+      expect(secondPage.pageInfo.hasNextPage).toBe(false);
+    });
+
+    test('should page backwards through results with last and before', async () => {
+      SearchService.search.mockResolvedValue([
+        { productId: sampleProducts[2]._id.toString(), score: 4.2 },
+        { productId: sampleProducts[0]._id.toString(), score: 1.5 },
+        { productId: sampleProducts[1]._id.toString(), score: 0.9 },
+      ]);
+
+      const lastPage = await productResolvers.Query.searchProducts(
+        null,
+        { query: 'pro', last: 2 },
+        { user: null }
+      );
+
+      expect(lastPage.edges.map(edge => edge.node.name)).toEqual(['iPhone 15 Pro', 'MacBook Pro M3']);
+      expect(lastPage.pageInfo).toMatchObject({ hasPreviousPage: true, hasNextPage: false });
+
+      const previousPage = await productResolvers.Query.searchProducts(
+        null,
+        { query: 'pro', last: 2, before: lastPage.pageInfo.startCursor },
+        { user: null }
+      );
+
+      expect(previousPage.edges.map(edge => edge.node.name)).toEqual(['Gaming Headset']);
+      expect(previousPage.pageInfo).toMatchObject({ hasPreviousPage: false, hasNextPage: true });
+    });
+
+    test('should resume from the cursor score when the ranking changed', async () => {
+      SearchService.search.mockResolvedValue([
+        { productId: sampleProducts[2]._id.toString(), score: 4.2 },
+        { productId: sampleProducts[0]._id.toString(), score: 1.5 },
+        { productId: sampleProducts[1]._id.toString(), score: 0.9 },
+      ]);
+
+      const firstPage = await productResolvers.Query.searchProducts(
+        null,
+        { query: 'pro', first: 2 },
+        { user: null }
+      );
+      expect(decodeCursor(firstPage.pageInfo.endCursor, 'RELEVANCE').value).toBe(1.5);
+
+      // The last product on the page no longer matches and another moved up
+      SearchService.search.mockResolvedValue([
+        { productId: sampleProducts[1]._id.toString(), score: 5 },
+        { productId: sampleProducts[2]._id.toString(), score: 4.2 },
+      ]);
+
+      const secondPage = await productResolvers.Query.searchProducts(
+        null,
+        { query: 'pro', first: 2, after: firstPage.pageInfo.endCursor },
+        { user: null }
+      );
+
+      expect(secondPage.edges).toEqual([]);
+      expect(secondPage.pageInfo).toMatchObject({ hasNextPage: false, hasPreviousPage: true });
+
+      const previousPage = await productResolvers.Query.searchProducts(
+        null,
+        { query: 'pro', last: 1, before: firstPage.pageInfo.endCursor },
+        { user: null }
+      );
+
+      expect(previousPage.edges.map(edge => edge.node.name)).toEqual(['Gaming Headset']);
+    });
+
+    test('should reject relevance cursors without a score', async () => {
+      const cursor = encodeCursor('RELEVANCE', null, sampleProducts[0]._id);
+
+      await expect(
+        productResolvers.Query.searchProducts(null, { query: 'pro', first: 2, after: cursor }, { user: null })
+      ).rejects.toThrow('Invalid cursor format');
+    });
+
+    test('should reject paging with both first and last', async () => {
+      await expect(
+        productResolvers.Query.searchProducts(null, { query: 'pro', first: 2, last: 2 }, { user: null })
+      ).rejects.toThrow('Cannot paginate with both first and last');
+    });
+
+    test('should sort search results instead of ranking them when asked', async () => {
+      SearchService.search.mockResolvedValue([
+        { productId: sampleProducts[2]._id.toString(), score: 4.2 },
+        { productId: sampleProducts[0]._id.toString(), score: 1.5 },
+        { productId: sampleProducts[1]._id.toString(), score: 0.9 },
+      ]);
+
+      const result = await productResolvers.Query.searchProducts(
+        null,
+        { query: 'pro', sort: { field: 'PRICE', direction: 'ASC' }, first: 10 },
+        { user: null }
+      );
+
+      expect(result.edges.map(edge => edge.node.name)).toEqual(['Gaming Headset', 'iPhone 15 Pro', 'MacBook Pro M3']);
+      expect(result.edges.map(edge => edge.relevanceScore)).toEqual([4.2, 1.5, 0.9]);
+      expect(decodeCursor(result.pageInfo.endCursor, 'PRICE_ASC').value).toBe(199999);
+    });
+
+    test('should aggregate facets over all matching products', async () => {
+      productCacheService.getSearchResults.mockResolvedValue(null);
+      productCacheService.getFacets.mockResolvedValue(null);
+      Product.aggregate.mockResolvedValueOnce([{
+        categories: [{ _id: { categoryId: categoryIds.Electronics, category: 'Electronics' }, count: 2 }],
+        priceRanges: [{ _id: { min: 99999, max: 199999 }, count: 2 }],
+        stock: [{ _id: null, inStock: 2, outOfStock: 0 }],
+        attributes: [
+          { _id: { name: 'Color', value: 'Black' }, count: 2 },
+          { _id: { name: 'Color', value: 'White' }, count: 1 },
+        ],
+      }]);
+
+      const result = await productResolvers.Query.searchProducts(
+        null,
+        { query: 'Pro', filter: { inStock: true }, first: 1 },
+        { user: null }
+      );
+      const facets = await productResolvers.ProductConnection.facets(result);
+
+      // Facets match the search, not the page
+      const [pipeline] = Product.aggregate.mock.calls[0];
+      expect(pipeline[0].$match).toMatchObject({ isActive: true, stock: { $gt: 0 } });
+      expect(pipeline[0].$match._id.$in).toHaveLength(3);
+      expect(pipeline[1].$facet).toBeDefined();
+
+      expect(facets).toEqual({
+        categories: [{ categoryId: categoryIds.Electronics, category: 'Electronics', count: 2 }],
+        priceRanges: [{ min: 999.99, max: 1999.99, count: 2 }],
+        stock: { inStock: 2, outOfStock: 0 },
+        attributes: [{ name: 'Color', values: [{ value: 'Black', count: 2 }, { value: 'White', count: 1 }] }],
+      });
+      expect(productCacheService.setFacets).toHaveBeenCalledWith('Pro', { inStock: true }, facets);
+    });
+
+    test('should return cached facets', async () => {
+      const cachedFacets = {
+        categories: [],
+        priceRanges: [],
+        stock: { inStock: 0, outOfStock: 0 },
+        attributes: [],
+      };
+      productCacheService.getSearchResults.mockResolvedValue({
+        edges: [],
+        pageInfo: { hasNextPage: false, hasPreviousPage: false },
+        totalCount: 0
+      });
+      productCacheService.getFacets.mockResolvedValue(cachedFacets);
+
+      const result = await productResolvers.Query.searchProducts(
+        null,
+        { query: 'iPhone', first: 10 },
+        { user: null }
+      );
+
+      expect(await productResolvers.ProductConnection.facets(result)).toBe(cachedFacets);
+      expect(productCacheService.getFacets).toHaveBeenCalledWith('iPhone', {});
+      expect(Product.aggregate).not.toHaveBeenCalled();
+    });
   });
 
   describe('Mutation: addProduct', () => {
@@ -931,6 +1329,10 @@ describe('Product Resolvers', () => {
       expect(result.stock).toBe(10);
       expect(result.createdBy).toBeDefined();
 
+      // The product is put into the category taxonomy
+      expect(CategoryService.resolveProductCategory).toHaveBeenCalledWith(input);
+      expect(Product.create.mock.calls[0][0].categoryId).toBeDefined();
+
       // Verify cache invalidation was called
       expect(productCacheService.invalidateProduct).toHaveBeenCalledWith(
         result._id,
@@ -1036,6 +1438,14 @@ describe('Product Resolvers', () => {
       expect(result.stock).toBe(40);
       expect(result.category).toBe('Electronics'); // Unchanged
 
+      // Stock edits are recorded in the inventory ledger
+      const [productId, , , movement] = InventoryService.recordDifferences.mock.calls[0];
+      expect(productId).toBe(result._id);
+      expect(movement).toMatchObject({ type: 'adjustment', actor: adminUser._id.toString() });
+
+      // Customers with the product on a wishlist hear about restocks and price drops
+      expect(WishlistService.notifyProductChange.mock.calls[0][1]).toBe(result);
+
       // Verify cache invalidation was called
       expect(productCacheService.invalidateProduct).toHaveBeenCalledWith(
         result._id,
@@ -1107,6 +1517,8 @@ describe('Product Resolvers', () => {
         mockProduct._id, 
         mockProduct
       );
+      // Deactivated products drop out of search
+      expect(SearchService.indexProduct).toHaveBeenCalledWith(mockProduct);
     });
 
     test('should throw error for non-existent product', async () => {
@@ -1151,6 +1563,28 @@ describe('Product Resolvers', () => {
       expect(productResolvers.Product.inStock(inStockProduct)).toBe(true);
       expect(productResolvers.Product.inStock(outOfStockProduct)).toBe(false);
     });
+
+    test('Product.variants should fall back to the product price', () => {
+      const variantId = new mongoose.Types.ObjectId();
+      const product = {
+        price: 25,
+        variants: [
+          { _id: variantId, sku: 'TEE-S', options: [{ name: 'Size', value: 'S' }], stock: 0, isActive: true },
+          { _id: new mongoose.Types.ObjectId(), sku: 'TEE-M', options: [{ name: 'Size', value: 'M' }], price: 30, stock: 2, isActive: true },
+        ]
+      };
+
+      const result = productResolvers.Product.variants(product);
+
+      expect(result).toHaveLength(2);
+      expect(result[0]).toMatchObject({ id: variantId.toString(), price: 25, inStock: false });
+      expect(result[1]).toMatchObject({ sku: 'TEE-M', price: 30, inStock: true });
+    });
+
+    test('Product.variants and options should default to empty lists', () => {
+      expect(productResolvers.Product.variants({ price: 10 })).toEqual([]);
+      expect(productResolvers.Product.options({ price: 10 })).toEqual([]);
+    });
   });
 
   describe('Error Handling', () => {
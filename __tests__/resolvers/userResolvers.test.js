@@ -425,6 +425,39 @@ describe('User Resolvers', () => {
         }
       });
     });
+
+    describe('usersConnection', () => {
+      test('should page through active users newest first', async () => {
+        const users = [0, 1, 2].map(day => ({
+          _id: new mongoose.Types.ObjectId(),
+          email: `user${day}@example.com`,
+          createdAt: new Date(Date.UTC(2024, 0, 10 - day))
+        }));
+        const query = {
+          sort: jest.fn().mockReturnThis(),
+          limit: jest.fn().mockReturnThis(),
+          select: jest.fn().mockResolvedValue(users),
+        };
+        User.find.mockReturnValue(query);
+        User.countDocuments.mockResolvedValue(5);
+
+        const adminContext = { user: { ...testUser, role: 'admin' }, isAuthenticated: true, isAdmin: true };
+        const result = await userResolvers.Query.usersConnection(null, { first: 2 }, adminContext);
+
+        expect(User.find).toHaveBeenCalledWith({ isActive: true });
+        expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+        expect(query.limit).toHaveBeenCalledWith(3);
+        expect(query.select).toHaveBeenCalledWith('-password');
+        expect(result.edges.map(edge => edge.node.email)).toEqual(['user0@example.com', 'user1@example.com']);
+        expect(result.pageInfo).toMatchObject({ hasNextPage: true, hasPreviousPage: false });
+        expect(result.totalCount).toBe(5);
+      });
+
+      test('should reject non-admin users', () => {
+        expect(() => userResolvers.Query.usersConnection(null, { first: 2 }, userContext))
+          .toThrow('Admin access required');
+      });
+    });
   });
 
   describe('User Type Resolvers', () => {
@@ -0,0 +1,228 @@
+import { CartService } from '../../src/services/cartService.js';
+import { cartResolvers } from '../../src/resolvers/cartResolvers.js';
+import { Cart } from '../../src/models/Cart.js';
+import { Order } from '../../src/models/Order.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('CartService', () => {
+  let mockUser, mockProduct1, mockProduct2, userOwner;
+
+  beforeEach(async () => {
+    await clearTestCollections();
+
+    mockUser = await User.create({
+      email: 'cart@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    mockProduct1 = await Product.create({
+      name: 'Cart Product 1',
+      category: 'Electronics',
+      price: 20,
+      stock: 10,
+      createdBy: mockUser._id,
+    });
+
+    mockProduct2 = await Product.create({
+      name: 'Cart Product 2',
+      category: 'Electronics',
+      price: 5.5,
+      stock: 3,
+      createdBy: mockUser._id,
+    });
+
+    userOwner = { userId: mockUser._id.toString() };
+  });
+
+  describe('Owner resolution', () => {
+    it('should require a user or guest token', () => {
+      expect(() => CartService.buildOwnerQuery({})).toThrow('Authentication or a guest cart token is required');
+    });
+
+    it('should issue a server-side token for new guest carts', async () => {
+      const cart = await CartService.getOrCreateCart({ guestToken: 'client-chosen' });
+
+      expect(cart.guestToken).toHaveLength(48);
+      expect(cart.guestToken).not.toBe('client-chosen');
+      expect(cart.expiresAt).toBeInstanceOf(Date);
+    });
+
+    it('should reuse the existing user cart', async () => {
+      const first = await CartService.getOrCreateCart(userOwner);
+      const second = await CartService.getOrCreateCart(userOwner);
+
+      expect(second._id.toString()).toBe(first._id.toString());
+      expect(first.expiresAt).toBeUndefined();
+    });
+  });
+
+  describe('Adding items', () => {
+    it('should add a product and merge repeated adds', async () => {
+      await CartService.addItem(userOwner, mockProduct1._id.toString(), 2);
+      const cart = await CartService.addItem(userOwner, mockProduct1._id.toString(), 3);
+
+      expect(cart.items).toHaveLength(1);
+      expect(cart.items[0].quantity).toBe(5);
+      expect(CartService.calculateSubtotal(cart)).toBe(100);
+    });
+
+    it('should reject quantities above available stock', async () => {
+      await expect(CartService.addItem(userOwner, mockProduct2._id.toString(), 4))
+        .rejects.toThrow('Insufficient stock');
+    });
+
+    it('should reject inactive products', async () => {
+      await Product.findByIdAndUpdate(mockProduct1._id, { isActive: false });
+
+      await expect(CartService.addItem(userOwner, mockProduct1._id.toString(), 1))
+        .rejects.toThrow('is not available for purchase');
+    });
+  });
+
+  describe('Updating and removing items', () => {
+    beforeEach(async () => {
+      await CartService.addItem(userOwner, mockProduct1._id.toString(), 2);
+    });
+
+    it('should update item quantity', async () => {
+      const cart = await CartService.updateItem(userOwner, mockProduct1._id.toString(), 7);
+      expect(cart.items[0].quantity).toBe(7);
+    });
+
+    it('should remove the item when quantity is zero', async () => {
+      const cart = await CartService.updateItem(userOwner, mockProduct1._id.toString(), 0);
+      expect(cart.items).toHaveLength(0);
+    });
+
+    it('should throw when updating a product not in the cart', async () => {
+      await expect(CartService.updateItem(userOwner, mockProduct2._id.toString(), 1))
+        .rejects.toThrow('Product is not in the cart');
+    });
+
+    it('should remove an item', async () => {
+      const cart = await CartService.removeItem(userOwner, mockProduct1._id.toString());
+      expect(cart.items).toHaveLength(0);
+    });
+
+    it('should clear the cart', async () => {
+      await CartService.addItem(userOwner, mockProduct2._id.toString(), 1);
+      const cart = await CartService.clearCart(userOwner);
+      expect(cart.items).toHaveLength(0);
+    });
+
+    it('should throw for an unknown guest cart', async () => {
+      await expect(CartService.clearCart({ guestToken: 'missing' }))
+        .rejects.toThrow('Cart not found');
+    });
+  });
+
+  describe('Listed items', () => {
+    it('should count only the lines that are listed', async () => {
+      await CartService.addItem(userOwner, mockProduct1._id.toString(), 2);
+      await CartService.addItem(userOwner, mockProduct2._id.toString(), 1);
+      await Product.deleteOne({ _id: mockProduct2._id });
+
+      const cart = await CartService.getCart(userOwner);
+
+      expect(cartResolvers.Cart.items(cart)).toHaveLength(1);
+      expect(cartResolvers.Cart.itemCount(cart)).toBe(2);
+    });
+  });
+
+  describe('Guest cart merge', () => {
+    it('should merge guest items into the user cart and delete the guest cart', async () => {
+      const guestCart = await CartService.addItem({}, mockProduct1._id.toString(), 1);
+      await CartService.addItem({ guestToken: guestCart.guestToken }, mockProduct2._id.toString(), 2);
+      await CartService.addItem(userOwner, mockProduct1._id.toString(), 2);
+
+      const merged = await CartService.mergeGuestCart(userOwner.userId, guestCart.guestToken);
+
+      expect(merged.items).toHaveLength(2);
+      expect(CartService.findItem(merged, mockProduct1._id).quantity).toBe(3);
+      expect(CartService.findItem(merged, mockProduct2._id).quantity).toBe(2);
+      expect(await Cart.findOne({ guestToken: guestCart.guestToken })).toBeNull();
+    });
+
+    it('should limit merged lines to the available stock', async () => {
+      const guestCart = await CartService.addItem({}, mockProduct2._id.toString(), 2);
+      await CartService.addItem(userOwner, mockProduct2._id.toString(), 2);
+
+      const merged = await CartService.mergeGuestCart(userOwner.userId, guestCart.guestToken);
+
+      expect(CartService.findItem(merged, mockProduct2._id).quantity).toBe(3);
+    });
+
+    it('should drop guest lines that can no longer be bought', async () => {
+      const guestCart = await CartService.addItem({}, mockProduct1._id.toString(), 1);
+      await CartService.addItem({ guestToken: guestCart.guestToken }, mockProduct2._id.toString(), 1);
+      await Product.findByIdAndUpdate(mockProduct1._id, { isActive: false });
+      await Product.findByIdAndUpdate(mockProduct2._id, { stock: 0 });
+
+      const merged = await CartService.mergeGuestCart(userOwner.userId, guestCart.guestToken);
+
+      expect(merged.items).toHaveLength(0);
+      expect(await Cart.findOne({ guestToken: guestCart.guestToken })).toBeNull();
+    });
+
+    it('should return null for an unknown guest token', async () => {
+      const result = await CartService.mergeGuestCart(userOwner.userId, 'missing');
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('Checkout', () => {
+    it('should create an order, deduct stock and empty the cart', async () => {
+      await CartService.addItem(userOwner, mockProduct1._id.toString(), 2);
+      await CartService.addItem(userOwner, mockProduct2._id.toString(), 1);
+
+      const order = await CartService.checkout(userOwner.userId, { notes: 'Leave at door' });
+
+      expect(order.totalAmount).toBe(45.5);
+      expect(order.items).toHaveLength(2);
+      expect(order.notes).toBe('Leave at door');
+
+      const product = await Product.findById(mockProduct1._id);
+      expect(product.stock).toBe(8);
+
+      const cart = await Cart.findOne({ user: mockUser._id });
+      expect(cart.items).toHaveLength(0);
+    });
+
+    it('should keep the cart when stock ran out before checkout', async () => {
+      await CartService.addItem(userOwner, mockProduct2._id.toString(), 3);
+      await Product.findByIdAndUpdate(mockProduct2._id, { stock: 1 });
+
+      await expect(CartService.checkout(userOwner.userId)).rejects.toThrow('Insufficient stock');
+
+      const cart = await Cart.findOne({ user: mockUser._id });
+      expect(cart.items).toHaveLength(1);
+      expect(await Order.countDocuments()).toBe(0);
+    });
+
+    it('should reject checkout of an empty cart', async () => {
+      await expect(CartService.checkout(userOwner.userId)).rejects.toThrow('Cart is empty');
+    });
+  });
+});
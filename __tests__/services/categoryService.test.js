@@ -0,0 +1,183 @@
+import { CategoryService } from '../../src/services/categoryService.js';
+import { Category } from '../../src/models/Category.js';
+import { Coupon } from '../../src/models/Coupon.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('CategoryService', () => {
+  let mockAdmin, electronics, phones, cases;
+
+  beforeEach(async () => {
+    await clearTestCollections();
+
+    mockAdmin = await User.create({
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    electronics = await CategoryService.createCategory({ name: 'Electronics' }, mockAdmin._id);
+    phones = await CategoryService.createCategory({ name: 'Phones', parentId: electronics._id }, mockAdmin._id);
+    cases = await CategoryService.createCategory({ name: 'Phone Cases', parentId: phones._id }, mockAdmin._id);
+  });
+
+  describe('Taxonomy', () => {
+    it('should derive unique slugs from names', async () => {
+      expect(cases.slug).toBe('phone-cases');
+
+      const other = await CategoryService.createCategory({ name: 'Phone cases' }, mockAdmin._id);
+      expect(other.slug).toBe('phone-cases-2');
+    });
+
+    it('should reject slugs already in use', async () => {
+      await expect(CategoryService.createCategory({ name: 'Mobiles', slug: 'phones' }, mockAdmin._id))
+        .rejects.toThrow('Category slug "phones" is already in use');
+    });
+
+    it('should list breadcrumbs top-level first', async () => {
+      const breadcrumbs = await CategoryService.getBreadcrumbs(cases._id);
+      expect(breadcrumbs.map(category => category.name)).toEqual(['Electronics', 'Phones', 'Phone Cases']);
+    });
+
+    it('should move subcategories along with their parent', async () => {
+      const accessories = await CategoryService.createCategory({ name: 'Accessories' }, mockAdmin._id);
+
+      await CategoryService.updateCategory(phones._id, { parentId: accessories._id }, mockAdmin._id);
+
+      const movedCases = await Category.findById(cases._id);
+      expect(movedCases.ancestors).toEqual([accessories._id, phones._id]);
+    });
+
+    it('should not move a category below itself', async () => {
+      await expect(CategoryService.updateCategory(electronics._id, { parentId: cases._id }, mockAdmin._id))
+        .rejects.toThrow('A category cannot be moved below itself');
+    });
+
+    it('should only delete empty categories', async () => {
+      await expect(CategoryService.deleteCategory(phones._id, mockAdmin._id))
+        .rejects.toThrow('Move or delete the subcategories first');
+
+      await Product.create({
+        name: 'Leather Case',
+        category: cases.name,
+        categoryId: cases._id,
+        price: 20,
+        stock: 5,
+        createdBy: mockAdmin._id,
+      });
+
+      await expect(CategoryService.deleteCategory(cases._id, mockAdmin._id))
+        .rejects.toThrow('Move the products in this category first');
+    });
+  });
+
+  describe('Products', () => {
+    it('should rename products with their category', async () => {
+      const product = await Product.create({
+        name: 'Smartphone',
+        category: phones.name,
+        categoryId: phones._id,
+        price: 500,
+        stock: 5,
+        createdBy: mockAdmin._id,
+      });
+
+      await CategoryService.updateCategory(phones._id, { name: 'Mobile Phones' }, mockAdmin._id);
+
+      expect((await Product.findById(product._id)).category).toBe('Mobile Phones');
+    });
+
+    it('should filter by a category and its subcategories', async () => {
+      const filter = await CategoryService.productFilter({ category: 'electronics' });
+      expect(filter.categoryId.$in.map(String).sort())
+        .toEqual([electronics._id, phones._id, cases._id].map(String).sort());
+
+      expect(await CategoryService.productFilter({ category: 'Unknown' })).toEqual({ categoryId: { $in: [] } });
+    });
+
+    it('should resolve category names case-insensitively and create unknown paths', async () => {
+      expect((await CategoryService.resolveProductCategory({ category: 'PHONES' }))._id).toEqual(phones._id);
+
+      const tablets = await CategoryService.resolveProductCategory({ category: 'Electronics > Tablets' });
+      expect(tablets.parent).toEqual(electronics._id);
+      expect(tablets.ancestors).toEqual([electronics._id]);
+    });
+
+    it('should migrate category names into the taxonomy', async () => {
+      await Product.insertMany([
+        { name: 'Blender', category: 'Home & Kitchen', price: 40, stock: 3, createdBy: mockAdmin._id },
+        { name: 'Toaster', category: 'Home & Kitchen', price: 25, stock: 3, createdBy: mockAdmin._id },
+        { name: 'Charger', category: 'Electronics > Chargers', price: 15, stock: 3, createdBy: mockAdmin._id },
+      ]);
+
+      const result = await CategoryService.migrateProductCategories();
+      expect(result).toEqual({ categoryNames: 2, products: 3 });
+
+      const kitchen = await Category.findOne({ slug: 'home-and-kitchen' });
+      expect(await Product.countDocuments({ categoryId: kitchen._id })).toBe(2);
+
+      const charger = await Product.findOne({ name: 'Charger' });
+      expect(charger.category).toBe('Chargers');
+      expect((await Category.findById(charger.categoryId)).parent).toEqual(electronics._id);
+
+      // Running it again changes nothing
+      expect(await CategoryService.migrateProductCategories()).toEqual({ categoryNames: 0, products: 0 });
+    });
+  });
+
+  describe('Coupons', () => {
+    it('should migrate coupon category names to category IDs', async () => {
+      const { insertedId } = await Coupon.collection.insertOne({
+        code: 'PHONES10',
+        type: 'percentage',
+        value: 10,
+        applicableCategories: ['phones', 'Phones', 'Garden'],
+        applicableProducts: [],
+        createdBy: mockAdmin._id,
+      });
+
+      expect(await CategoryService.migrateCouponCategories()).toEqual({ coupons: 1 });
+
+      const coupon = await Coupon.findById(insertedId);
+      const garden = await Category.findOne({ slug: 'garden' });
+      expect(coupon.applicableCategories).toEqual([phones._id, garden._id]);
+
+      // Running it again changes nothing
+      expect(await CategoryService.migrateCouponCategories()).toEqual({ coupons: 0 });
+    });
+
+    it('should keep coupons scoped to renamed categories', async () => {
+      const coupon = await Coupon.create({
+        code: 'PHONES10',
+        type: 'percentage',
+        value: 10,
+        applicableCategories: [phones._id],
+        createdBy: mockAdmin._id,
+      });
+
+      await CategoryService.updateCategory(phones._id, { name: 'Mobile Phones' }, mockAdmin._id);
+
+      expect((await Coupon.findById(coupon._id)).applicableCategories).toEqual([phones._id]);
+    });
+  });
+});
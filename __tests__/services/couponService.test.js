@@ -0,0 +1,307 @@
+import { CouponService } from '../../src/services/couponService.js';
+import { OrderService } from '../../src/services/orderService.js';
+import { RefundService } from '../../src/services/refundService.js';
+import { Category } from '../../src/models/Category.js';
+import { Coupon } from '../../src/models/Coupon.js';
+import { Order } from '../../src/models/Order.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('CouponService', () => {
+  let mockUser, mockAdmin, mockBook, mockLaptop, books, novels;
+
+  const createCoupon = (overrides = {}) => Coupon.create({
+    code: 'SAVE10',
+    type: 'percentage',
+    value: 10,
+    createdBy: mockAdmin._id,
+    ...overrides,
+  });
+
+  const placeOrder = (couponCode, items) => OrderService.createOrder(mockUser._id.toString(), {
+    items: items || [
+      { productId: mockBook._id.toString(), quantity: 2 },
+      { productId: mockLaptop._id.toString(), quantity: 1 },
+    ],
+    couponCode,
+  });
+
+  beforeEach(async () => {
+    await clearTestCollections();
+
+    mockUser = await User.create({
+      email: 'shopper@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    mockAdmin = await User.create({
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    books = await Category.create({ name: 'Books', slug: 'books' });
+    novels = await Category.create({ name: 'Novels', slug: 'novels', parent: books._id, ancestors: [books._id] });
+
+    mockBook = await Product.create({
+      name: 'Coupon Book',
+      category: 'Novels',
+      categoryId: novels._id,
+      price: 20,
+      stock: 10,
+      createdBy: mockAdmin._id,
+    });
+
+    mockLaptop = await Product.create({
+      name: 'Coupon Laptop',
+      category: 'Electronics',
+      price: 60,
+      stock: 10,
+      createdBy: mockAdmin._id,
+    });
+  });
+
+  describe('Coupon Model', () => {
+    it('should store codes in upper case', async () => {
+      const coupon = await createCoupon({ code: 'summer-sale' });
+      expect(coupon.code).toBe('SUMMER-SALE');
+    });
+
+    it('should store amounts in cents', async () => {
+      const coupon = await createCoupon({ type: 'fixed_amount', value: 12.5, minOrderValue: 49.99 });
+      const stored = await Coupon.collection.findOne({ _id: coupon._id });
+
+      expect([stored.value, stored.minOrderValue]).toEqual([1250, 4999]);
+      expect([coupon.value, coupon.minOrderValue]).toEqual([12.5, 49.99]);
+    });
+
+    it('should reject percentages above 100', async () => {
+      await expect(createCoupon({ value: 150 }))
+        .rejects.toThrow('Percentage must be greater than 0 and at most 100');
+    });
+
+    it('should reject an expiry before the start date', async () => {
+      await expect(createCoupon({
+        startsAt: new Date('2030-02-01'),
+        expiresAt: new Date('2030-01-01'),
+      })).rejects.toThrow('Expiry must be after the start date');
+    });
+  });
+
+  describe('Discount Calculation', () => {
+    const lines = () => [
+      { product: mockBook, price: 20, quantity: 2 },
+      { product: mockLaptop, price: 60, quantity: 1 },
+    ];
+
+    it('should apply percentage discounts to every line', async () => {
+      const coupon = await createCoupon({ value: 25 });
+      const result = CouponService.calculateDiscount(coupon, lines());
+
+      expect(result.amount).toBe(25);
+      expect(result.allocations).toEqual([10, 15]);
+    });
+
+    it('should cap fixed amounts at the eligible subtotal', async () => {
+      const coupon = await createCoupon({ type: 'fixed_amount', value: 500, applicableCategories: [books._id] });
+      const categoryIds = await CouponService.getScopeCategoryIds(coupon);
+      const result = CouponService.calculateDiscount(coupon, lines(), 1, categoryIds);
+
+      expect(result.amount).toBe(40);
+      expect(result.allocations).toEqual([40, 0]);
+    });
+
+    it('should only discount scoped products', async () => {
+      const coupon = await createCoupon({ applicableProducts: [mockLaptop._id] });
+      const result = CouponService.calculateDiscount(coupon, lines());
+
+      expect(result.amount).toBe(6);
+      expect(result.allocations).toEqual([0, 6]);
+    });
+
+    it('should flag free shipping without discounting items', async () => {
+      const coupon = await createCoupon({ type: 'free_shipping', value: 0 });
+      const result = CouponService.calculateDiscount(coupon, lines());
+
+      expect(result).toEqual({ amount: 0, allocations: [0, 0], freeShipping: true });
+    });
+  });
+
+  describe('Applying coupons to orders', () => {
+    it('should store the discount on the order', async () => {
+      await createCoupon({ description: '10% off' });
+
+      const order = await placeOrder('save10');
+
+      expect(order.subtotal).toBe(100);
+      expect(order.discountTotal).toBe(10);
+      expect(order.totalAmount).toBe(90);
+      expect(order.discounts).toHaveLength(1);
+      expect(order.discounts[0].code).toBe('SAVE10');
+      expect(order.discounts[0].amount).toBe(10);
+      expect(order.items[0].discount).toBe(4);
+      expect(order.items[1].discount).toBe(6);
+
+      const coupon = await Coupon.findOne({ code: 'SAVE10' });
+      expect(coupon.usageCount).toBe(1);
+    });
+
+    it('should set free shipping on the order', async () => {
+      await createCoupon({ code: 'SHIPFREE', type: 'free_shipping', value: 0 });
+
+      const order = await placeOrder('SHIPFREE');
+
+      expect(order.freeShipping).toBe(true);
+      expect(order.totalAmount).toBe(100);
+    });
+
+    it('should reject unknown and inactive coupons', async () => {
+      await createCoupon({ isActive: false });
+
+      await expect(placeOrder('NOPE')).rejects.toThrow('Coupon code is not valid');
+      await expect(placeOrder('SAVE10')).rejects.toThrow('Coupon code is not valid');
+    });
+
+    it('should enforce the validity window', async () => {
+      await createCoupon({ code: 'LATER', startsAt: new Date(Date.now() + 60000) });
+      await createCoupon({ code: 'EXPIRED', expiresAt: new Date(Date.now() - 60000) });
+
+      await expect(placeOrder('LATER')).rejects.toThrow('Coupon is not active yet');
+      await expect(placeOrder('EXPIRED')).rejects.toThrow('Coupon has expired');
+    });
+
+    it('should enforce the minimum order value', async () => {
+      await createCoupon({ minOrderValue: 150 });
+
+      await expect(placeOrder('SAVE10')).rejects.toThrow('Order must be at least 150.00 to use this coupon');
+    });
+
+    it('should reject coupons that match no items', async () => {
+      const toys = await Category.create({ name: 'Toys', slug: 'toys' });
+      await createCoupon({ applicableCategories: [toys._id] });
+
+      await expect(placeOrder('SAVE10')).rejects.toThrow('Coupon does not apply to any items in this order');
+    });
+
+    it('should enforce the global usage limit', async () => {
+      await createCoupon({ usageLimit: 1 });
+
+      await placeOrder('SAVE10');
+      await expect(placeOrder('SAVE10')).rejects.toThrow('Coupon usage limit has been reached');
+    });
+
+    it('should enforce the per-user limit', async () => {
+      await createCoupon({ perUserLimit: 1 });
+
+      await placeOrder('SAVE10');
+      await expect(placeOrder('SAVE10'))
+        .rejects.toThrow('You have already used this coupon the maximum number of times');
+    });
+
+    it('should not touch stock when the coupon is rejected', async () => {
+      await expect(placeOrder('NOPE')).rejects.toThrow();
+
+      const book = await Product.findById(mockBook._id);
+      expect(book.stock).toBe(10);
+    });
+
+    it('should release the redemption when the order is cancelled', async () => {
+      await createCoupon({ usageLimit: 1, perUserLimit: 1 });
+      const order = await placeOrder('SAVE10');
+
+      await OrderService.cancelOrder(order._id, mockUser._id.toString(), 'customer');
+
+      const coupon = await Coupon.findOne({ code: 'SAVE10' });
+      expect(coupon.usageCount).toBe(0);
+      await expect(placeOrder('SAVE10')).resolves.toBeDefined();
+    });
+
+    it('should refund discounted items at the discounted price', async () => {
+      await createCoupon({ value: 50 });
+      const order = await placeOrder('SAVE10');
+      await Order.updateOne({ _id: order._id }, {
+        status: 'delivered',
+        paymentStatus: 'paid',
+        payment: { provider: 'local', transactionId: 'txn_test', amount: 50 },
+      });
+
+      const items = await RefundService.buildRefundItems(
+        await Order.findById(order._id),
+        [{ productId: mockBook._id.toString(), quantity: 1 }]
+      );
+
+      expect(items[0].amount).toBe(10);
+    });
+  });
+
+  describe('Admin Management', () => {
+    it('should create coupons and reject duplicate codes', async () => {
+      const coupon = await CouponService.createCoupon({ code: 'new10', type: 'percentage', value: 10 }, mockAdmin._id);
+      expect(coupon.code).toBe('NEW10');
+
+      await expect(CouponService.createCoupon({ code: 'NEW10', type: 'percentage', value: 5 }, mockAdmin._id))
+        .rejects.toThrow('A coupon with this code already exists');
+    });
+
+    it('should update coupons', async () => {
+      const coupon = await createCoupon();
+
+      const updated = await CouponService.updateCoupon(coupon._id, { value: 15, usageLimit: 100 }, mockAdmin._id);
+
+      expect(updated.value).toBe(15);
+      expect(updated.usageLimit).toBe(100);
+    });
+
+    it('should reject unknown scope categories', async () => {
+      const coupon = await createCoupon();
+
+      await expect(CouponService.updateCoupon(coupon._id, { applicableCategories: [mockBook._id] }, mockAdmin._id))
+        .rejects.toThrow('Category not found');
+    });
+
+    it('should deactivate coupons on delete', async () => {
+      const coupon = await createCoupon();
+
+      await CouponService.deleteCoupon(coupon._id, mockAdmin._id);
+
+      const deleted = await Coupon.findById(coupon._id);
+      expect(deleted.isActive).toBe(false);
+    });
+
+    it('should report coupon usage', async () => {
+      const coupon = await createCoupon();
+      await placeOrder('SAVE10');
+      await placeOrder('SAVE10', [{ productId: mockBook._id.toString(), quantity: 1 }]);
+
+      const usage = await CouponService.getCouponUsage(coupon._id);
+
+      expect(usage).toEqual({
+        redemptions: 2,
+        uniqueCustomers: 1,
+        totalDiscount: 12,
+        totalRevenue: 108,
+      });
+    });
+  });
+});
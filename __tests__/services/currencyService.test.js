@@ -0,0 +1,172 @@
+import { CurrencyService } from '../../src/services/currencyService.js';
+import { OrderService } from '../../src/services/orderService.js';
+import { ExchangeRate } from '../../src/models/ExchangeRate.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { Order } from '../../src/models/Order.js';
+import { Coupon } from '../../src/models/Coupon.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('CurrencyService', () => {
+  let mockUser, mockAdmin, mockProduct;
+
+  beforeEach(async () => {
+    await clearTestCollections();
+
+    mockUser = await User.create({
+      email: 'customer@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    mockAdmin = await User.create({
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    mockProduct = await Product.create({
+      name: 'Travel Mug',
+      category: 'Kitchen',
+      price: 20,
+      stock: 10,
+      prices: [{ currency: 'GBP', amount: 15 }],
+      createdBy: mockAdmin._id,
+    });
+
+    await ExchangeRate.create([
+      { currency: 'EUR', rate: 0.9 },
+      { currency: 'GBP', rate: 0.8 },
+    ]);
+  });
+
+  describe('Pricing', () => {
+    it('should default products to the base currency', () => {
+      expect(mockProduct.currency).toBe('USD');
+    });
+
+    it('should convert prices with the exchange rate', async () => {
+      const product = await CurrencyService.localize(mockProduct, 'eur');
+
+      expect(product.currency).toBe('EUR');
+      expect(product.price).toBe(18);
+    });
+
+    it('should prefer a price override for the currency', async () => {
+      const product = await CurrencyService.localize(mockProduct, 'GBP');
+
+      expect(product.price).toBe(15);
+    });
+
+    it('should convert prices of products listed in another currency', async () => {
+      const euroProduct = await Product.create({
+        name: 'Espresso Cup',
+        category: 'Kitchen',
+        price: 9,
+        currency: 'EUR',
+        stock: 5,
+        createdBy: mockAdmin._id,
+      });
+
+      const rates = await CurrencyService.getRates();
+
+      expect(CurrencyService.getPrice(euroProduct, null, 'USD', rates)).toBe(10);
+      expect(CurrencyService.getPrice(euroProduct, null, 'GBP', rates)).toBe(8);
+    });
+
+    it('should reject currencies without an exchange rate', async () => {
+      await expect(CurrencyService.localize(mockProduct, 'JPY')).rejects.toThrow('Currency "JPY" is not supported');
+    });
+  });
+
+  describe('Orders', () => {
+    const placeOrder = (input = {}) => OrderService.createOrder(mockUser._id.toString(), {
+      items: [{ productId: mockProduct._id.toString(), quantity: 2 }],
+      ...input,
+    });
+
+    it('should lock the currency and exchange rate on the order', async () => {
+      const order = await placeOrder({ currency: 'EUR' });
+
+      expect(order.currency).toBe('EUR');
+      expect(order.exchangeRate).toBe(0.9);
+      expect(order.items[0].price).toBe(18);
+      expect(order.totalAmount).toBe(36);
+
+      await CurrencyService.setExchangeRate('EUR', 0.95, mockAdmin._id);
+      const stored = await Order.findById(order._id);
+      expect(stored.exchangeRate).toBe(0.9);
+      expect(stored.totalAmount).toBe(36);
+    });
+
+    it('should place orders in the base currency by default', async () => {
+      const order = await placeOrder();
+
+      expect(order.currency).toBe('USD');
+      expect(order.exchangeRate).toBe(1);
+      expect(order.totalAmount).toBe(40);
+    });
+
+    it('should convert fixed amount coupons to the order currency', async () => {
+      await Coupon.create({ code: 'TENOFF', type: 'fixed_amount', value: 10, createdBy: mockAdmin._id });
+
+      const order = await placeOrder({ currency: 'GBP', couponCode: 'TENOFF' });
+
+      expect(order.subtotal).toBe(30);
+      expect(order.discountTotal).toBe(8);
+      expect(order.totalAmount).toBe(22);
+    });
+
+    it('should report revenue in the base currency', async () => {
+      await placeOrder();
+      await placeOrder({ currency: 'EUR' });
+
+      const analytics = await OrderService.getOrderAnalytics();
+
+      expect(analytics.grossRevenue).toBe(80);
+    });
+  });
+
+  describe('Exchange Rates', () => {
+    it('should create and update rates', async () => {
+      const created = await CurrencyService.setExchangeRate('chf', 0.88, mockAdmin._id);
+      expect(created.currency).toBe('CHF');
+
+      const updated = await CurrencyService.setExchangeRate('CHF', 0.91, mockAdmin._id);
+      expect(updated.rate).toBe(0.91);
+      expect(await ExchangeRate.countDocuments({ currency: 'CHF' })).toBe(1);
+    });
+
+    it('should not set a rate for the base currency', async () => {
+      await expect(CurrencyService.setExchangeRate('USD', 2, mockAdmin._id))
+        .rejects.toThrow('USD is the base currency and always has a rate of 1');
+    });
+
+    it('should delete rates', async () => {
+      await CurrencyService.deleteExchangeRate('EUR', mockAdmin._id);
+
+      expect(await ExchangeRate.findOne({ currency: 'EUR' })).toBeNull();
+      await expect(CurrencyService.deleteExchangeRate('EUR', mockAdmin._id))
+        .rejects.toThrow('No exchange rate found for "EUR"');
+    });
+  });
+});
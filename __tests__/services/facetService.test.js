@@ -0,0 +1,115 @@
+import { FacetService } from '../../src/services/facetService.js';
+import { SearchService } from '../../src/services/searchService.js';
+import { productResolvers } from '../../src/resolvers/productResolvers.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+  performanceLogger: {
+    cacheHit: jest.fn(),
+    cacheMiss: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('FacetService', () => {
+  let mockAdmin;
+
+  beforeEach(async () => {
+    await clearTestCollections();
+    SearchService.invalidateIndex();
+
+    mockAdmin = await User.create({
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    await Product.create([
+      {
+        name: 'Trail Shoes',
+        category: 'Footwear',
+        price: 80,
+        stock: 4,
+        options: [{ name: 'Color', values: ['Red', 'Blue'] }],
+        createdBy: mockAdmin._id,
+      },
+      {
+        name: 'Road Shoes',
+        category: 'Footwear',
+        price: 120,
+        stock: 0,
+        options: [{ name: 'Color', values: ['Blue'] }],
+        createdBy: mockAdmin._id,
+      },
+      {
+        name: 'Running Cap',
+        category: 'Accessories',
+        price: 15,
+        stock: 10,
+        createdBy: mockAdmin._id,
+      },
+      {
+        name: 'Retired Shoes',
+        category: 'Footwear',
+        price: 60,
+        stock: 2,
+        isActive: false,
+        createdBy: mockAdmin._id,
+      },
+    ]);
+  });
+
+  it('should count matching products by category, price, stock and option value', async () => {
+    const facets = await FacetService.getFacets({ isActive: true });
+
+    expect(facets.categories).toEqual([
+      { categoryId: null, category: 'Footwear', count: 2 },
+      { categoryId: null, category: 'Accessories', count: 1 },
+    ]);
+    expect(facets.stock).toEqual({ inStock: 2, outOfStock: 1 });
+    expect(facets.priceRanges.reduce((total, range) => total + range.count, 0)).toBe(3);
+    expect(facets.priceRanges[0].min).toBe(15);
+    expect(facets.attributes).toEqual([
+      { name: 'Color', values: [{ value: 'Blue', count: 2 }, { value: 'Red', count: 1 }] },
+    ]);
+  });
+
+  it('should only count products matching the query', async () => {
+    const facets = await FacetService.getFacets({ isActive: true, stock: { $gt: 0 } }, '', { inStock: true });
+
+    expect(facets.stock).toEqual({ inStock: 2, outOfStock: 0 });
+    expect(facets.attributes[0].values).toEqual([
+      { value: 'Blue', count: 1 },
+      { value: 'Red', count: 1 },
+    ]);
+  });
+
+  it('should count the products found by a search', async () => {
+    const facets = await productResolvers.ProductConnection.facets({
+      facetSource: { searchTerm: 'shoes', filter: {} }
+    });
+
+    expect(facets.categories).toEqual([
+      { categoryId: null, category: 'Footwear', count: 2 },
+    ]);
+    expect(facets.stock).toEqual({ inStock: 1, outOfStock: 1 });
+    expect(facets.priceRanges.reduce((total, range) => total + range.count, 0)).toBe(2);
+  });
+});
@@ -0,0 +1,247 @@
+import { InventoryService } from '../../src/services/inventoryService.js';
+import { OrderService } from '../../src/services/orderService.js';
+import { WarehouseService } from '../../src/services/warehouseService.js';
+import { InventoryMovement } from '../../src/models/InventoryMovement.js';
+import { Warehouse } from '../../src/models/Warehouse.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { pubsub, EVENTS } from '../../src/config/pubsub.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('InventoryService', () => {
+  let mockUser, mockAdmin, mockProduct;
+
+  const shippingAddress = { street: '1 Main St', city: 'Boston', state: 'MA', zipCode: '02101', country: 'US' };
+
+  beforeEach(async () => {
+    await clearTestCollections();
+
+    mockUser = await User.create({
+      email: 'customer@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    mockAdmin = await User.create({
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    mockProduct = await Product.create({
+      name: 'Notebook',
+      category: 'Stationery',
+      price: 5,
+      stock: 10,
+      createdBy: mockAdmin._id,
+    });
+
+    await InventoryService.recordDifferences(mockProduct._id, new Map(), InventoryService.stockSnapshot(mockProduct), {
+      type: 'initial',
+      actor: mockAdmin._id,
+    });
+  });
+
+  describe('Recording movements', () => {
+    it('should record orders and cancellations with their actor', async () => {
+      const order = await OrderService.createOrder(mockUser._id.toString(), {
+        items: [{ productId: mockProduct._id.toString(), quantity: 3 }],
+        shippingAddress,
+      });
+      await OrderService.cancelOrder(order._id.toString(), mockUser._id.toString(), 'customer');
+
+      const history = await InventoryService.getHistory(mockProduct._id);
+
+      expect(history.map(movement => [movement.type, movement.quantity])).toEqual([
+        ['cancellation', 3],
+        ['order', -3],
+        ['initial', 10],
+      ]);
+      expect(history[1].actor.toString()).toBe(mockUser._id.toString());
+      expect(history[1].order.toString()).toBe(order._id.toString());
+    });
+
+    it('should record warehouse adjustments and transfers per warehouse', async () => {
+      const [east, west] = await Warehouse.create([
+        { code: 'BOS', name: 'Boston', address: { state: 'MA', country: 'US' } },
+        { code: 'SEA', name: 'Seattle', address: { state: 'WA', country: 'US' } },
+      ]);
+
+      await WarehouseService.setStockLevel(mockProduct._id, null, east._id, 10, mockAdmin._id, 'Counted at Boston');
+      await WarehouseService.transferStock({
+        productId: mockProduct._id,
+        fromWarehouseId: east._id,
+        toWarehouseId: west._id,
+        quantity: 4,
+        reason: 'Rebalance',
+      }, mockAdmin._id);
+
+      const movements = await InventoryMovement.find({ product: mockProduct._id, warehouse: { $exists: true } })
+        .sort({ _id: 1 });
+
+      expect(movements.map(movement => [movement.type, movement.warehouse.toString(), movement.quantity])).toEqual([
+        ['adjustment', east._id.toString(), 10],
+        ['transfer', east._id.toString(), -4],
+        ['transfer', west._id.toString(), 4],
+      ]);
+      expect(movements[0].reason).toBe('Counted at Boston');
+      expect(movements[1].reason).toBe('Rebalance');
+    });
+
+    it('should page through history newest first', async () => {
+      await InventoryService.recordChange(mockProduct._id, null, 5, [], { type: 'restock' });
+
+      const [latest] = await InventoryService.getHistory(mockProduct._id, { first: 1 });
+      const older = await InventoryService.getHistory(mockProduct._id, { after: latest._id.toString() });
+
+      expect(latest.type).toBe('restock');
+      expect(older.map(movement => movement.type)).toEqual(['initial']);
+    });
+  });
+
+  describe('Append-only ledger', () => {
+    it('should reject changes to recorded movements', async () => {
+      const [movement] = await InventoryService.getHistory(mockProduct._id);
+
+      await expect(InventoryMovement.updateOne({ _id: movement._id }, { quantity: 1 }))
+        .rejects.toThrow('Inventory movements are append-only');
+      await expect(InventoryMovement.deleteOne({ _id: movement._id }))
+        .rejects.toThrow('Inventory movements are append-only');
+
+      movement.quantity = 1;
+      await expect(movement.save()).rejects.toThrow('Inventory movements are append-only');
+    });
+  });
+
+  describe('Low stock', () => {
+    const placeOrder = (product, quantity) => OrderService.createOrder(mockUser._id.toString(), {
+      items: [{ productId: product._id.toString(), quantity }],
+      shippingAddress,
+    });
+
+    beforeEach(async () => {
+      await Product.updateOne({ _id: mockProduct._id }, { reorderThreshold: 5 });
+    });
+
+    it('should publish an event when an order crosses the reorder threshold', async () => {
+      const publish = jest.spyOn(pubsub, 'publish');
+
+      await placeOrder(mockProduct, 4);
+      expect(publish).not.toHaveBeenCalledWith(EVENTS.PRODUCT_LOW_STOCK, expect.anything());
+
+      await placeOrder(mockProduct, 2);
+      expect(publish).toHaveBeenCalledWith(EVENTS.PRODUCT_LOW_STOCK, {
+        productLowStock: expect.objectContaining({ stock: 4, reorderThreshold: 5 })
+      });
+
+      // Only the order that crosses the threshold alerts
+      publish.mockClear();
+      await placeOrder(mockProduct, 1);
+      expect(publish).not.toHaveBeenCalledWith(EVENTS.PRODUCT_LOW_STOCK, expect.anything());
+    });
+
+    it('should publish an event when allocating backorders crosses the reorder threshold', async () => {
+      const kettle = await Product.create({
+        name: 'Restocking Kettle',
+        category: 'Kitchen',
+        price: 30,
+        stock: 0,
+        backorderMode: 'backorder',
+        reorderThreshold: 2,
+        createdBy: mockAdmin._id,
+      });
+      await placeOrder(kettle, 5);
+
+      await Product.updateOne({ _id: kettle._id }, { stock: 6 });
+      const publish = jest.spyOn(pubsub, 'publish');
+      await OrderService.allocateBackorders(kettle._id);
+
+      expect(publish).toHaveBeenCalledWith(EVENTS.PRODUCT_LOW_STOCK, {
+        productLowStock: expect.objectContaining({ stock: 1, reorderThreshold: 2 })
+      });
+    });
+
+    it('should list products at or below their threshold', async () => {
+      await Product.create({
+        name: 'Untracked Pen',
+        category: 'Stationery',
+        price: 1,
+        stock: 0,
+        createdBy: mockAdmin._id,
+      });
+
+      await expect(InventoryService.getLowStockProducts()).resolves.toEqual([]);
+
+      await placeOrder(mockProduct, 5);
+
+      const products = await InventoryService.getLowStockProducts();
+      expect(products.map(product => product.name)).toEqual(['Notebook']);
+      expect(products[0].lowStock).toBe(true);
+    });
+
+    it('should suggest reorder quantities from recent sales', async () => {
+      await placeOrder(mockProduct, 3);
+
+      const [suggestion] = await InventoryService.getReorderSuggestions({ days: 3, leadTimeDays: 4 });
+
+      // 1 unit a day for 4 days on top of the threshold of 5, with 7 in stock
+      expect(suggestion.product.name).toBe('Notebook');
+      expect(suggestion.unitsSold).toBe(3);
+      expect(suggestion.dailyVelocity).toBe(1);
+      expect(suggestion.daysOfStockLeft).toBe(7);
+      expect(suggestion.suggestedQuantity).toBe(2);
+    });
+
+    it('should leave out products with enough stock', async () => {
+      await placeOrder(mockProduct, 1);
+
+      await expect(InventoryService.getReorderSuggestions({ days: 30, leadTimeDays: 14 })).resolves.toEqual([]);
+      await expect(InventoryService.getReorderSuggestions({ days: 0 })).rejects.toThrow('Days must be between 1 and 365');
+    });
+  });
+
+  describe('Reconciliation', () => {
+    it('should find no discrepancies when stock matches the ledger', async () => {
+      await OrderService.createOrder(mockUser._id.toString(), {
+        items: [{ productId: mockProduct._id.toString(), quantity: 2 }],
+        shippingAddress,
+      });
+
+      await expect(InventoryService.reconcile()).resolves.toEqual([]);
+    });
+
+    it('should report and correct stock changed outside the ledger', async () => {
+      await Product.updateOne({ _id: mockProduct._id }, { $inc: { stock: -1 } });
+
+      const discrepancies = await InventoryService.reconcile({ correct: true });
+
+      expect(discrepancies).toHaveLength(1);
+      expect(discrepancies[0]).toMatchObject({ stock: 9, ledgerStock: 10 });
+
+      const [correction] = await InventoryService.getHistory(mockProduct._id);
+      expect(correction.type).toBe('correction');
+      expect(correction.quantity).toBe(-1);
+
+      await expect(InventoryService.reconcile()).resolves.toEqual([]);
+    });
+  });
+});
@@ -4,6 +4,7 @@ import { Product } from '../../src/models/Product.js';
 import { User } from '../../src/models/User.js';
 import { GraphQLError } from 'graphql';
 import mongoose from 'mongoose';
+import { pubsub, EVENTS } from '../../src/config/pubsub.js';
 import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
 
 // Mock the logger
@@ -101,6 +102,28 @@ describe('OrderService', () => {
       const total = OrderService.calculateOrderTotal([]);
       expect(total).toBe(0);
     });
+
+    it('should keep discounts, shipping and tax in the total when items change', async () => {
+      const order = await Order.create({
+        user: mockUser._id,
+        items: [{ product: mockProduct1._id, quantity: 2, price: 50 }],
+        subtotal: 100,
+        discountTotal: 10,
+        shippingCost: 5,
+        tax: 7.2,
+        totalAmount: 102.2,
+      });
+
+      order.items[0].restockedQuantity = 1;
+      await order.save();
+
+      expect(order.totalAmount).toBe(102.2);
+
+      order.shippingCost = 0;
+      await order.save();
+
+      expect(order.totalAmount).toBe(97.2);
+    });
   });
 
   describe('Stock Availability Validation', () => {
@@ -268,6 +291,8 @@ describe('OrderService', () => {
 
   describe('Order Status Update', () => {
     it('should update order status with valid transition', async () => {
+      await Order.updateOne({ _id: mockOrder._id }, { paymentStatus: 'paid' });
+
       const updatedOrder = await OrderService.updateOrderStatus(
         mockOrder._id, 
         'confirmed', 
@@ -294,6 +319,226 @@ describe('OrderService', () => {
         'admin-user-id'
       )).rejects.toThrow('Invalid status transition from "pending" to "shipped"');
     });
+
+    it('should not confirm an unpaid order', async () => {
+      await expect(OrderService.updateOrderStatus(mockOrder._id, 'confirmed'))
+        .rejects.toThrow('Order cannot be confirmed while payment status is "pending"');
+    });
+  });
+
+  describe('Product Variants', () => {
+    let variantProduct, smallVariant, largeVariant;
+
+    beforeEach(async () => {
+      variantProduct = await Product.create({
+        name: 'T-Shirt',
+        category: 'Apparel',
+        price: 20,
+        stock: 0,
+        createdBy: mockUser._id,
+        options: [{ name: 'Size', values: ['S', 'L'] }],
+        variants: [
+          { options: [{ name: 'Size', value: 'S' }], stock: 5 },
+          { options: [{ name: 'Size', value: 'L' }], stock: 2, price: 24 },
+        ],
+      });
+      [smallVariant, largeVariant] = variantProduct.variants;
+    });
+
+    it('should derive product stock and SKUs from variants', () => {
+      expect(variantProduct.stock).toBe(7);
+      expect(smallVariant.sku).toBe(`${variantProduct.sku}-S`);
+    });
+
+    it('should require a variant for products with variants', async () => {
+      await expect(OrderService.validateStockAvailability([
+        { productId: variantProduct._id, quantity: 1 }
+      ])).rejects.toThrow('A variant must be selected');
+    });
+
+    it('should reject a variant for products without variants', async () => {
+      await expect(OrderService.validateStockAvailability([
+        { productId: mockProduct1._id, variantId: smallVariant._id, quantity: 1 }
+      ])).rejects.toThrow('has no variants');
+    });
+
+    it('should validate stock per variant', async () => {
+      await expect(OrderService.validateStockAvailability([
+        { productId: variantProduct._id, variantId: largeVariant._id, quantity: 3 }
+      ])).rejects.toThrow('Available: 2, Requested: 3');
+    });
+
+    it('should price and deduct stock at variant level', async () => {
+      const order = await OrderService.createOrder(mockUser._id, {
+        items: [
+          { productId: variantProduct._id, variantId: smallVariant._id, quantity: 2 },
+          { productId: variantProduct._id, variantId: largeVariant._id, quantity: 1 },
+        ]
+      });
+
+      expect(order.totalAmount).toBe(64);
+      expect(order.items[1].sku).toBe(largeVariant.sku);
+      expect(order.items[1].variant.toString()).toBe(largeVariant._id.toString());
+
+      const updated = await Product.findById(variantProduct._id);
+      expect(updated.variants.id(smallVariant._id).stock).toBe(3);
+      expect(updated.variants.id(largeVariant._id).stock).toBe(1);
+      expect(updated.stock).toBe(4);
+    });
+
+    it('should restore variant stock on cancellation', async () => {
+      const order = await OrderService.createOrder(mockUser._id, {
+        items: [{ productId: variantProduct._id, variantId: largeVariant._id, quantity: 2 }]
+      });
+
+      await OrderService.cancelOrder(order._id, mockUser._id.toString(), 'customer');
+
+      const updated = await Product.findById(variantProduct._id);
+      expect(updated.variants.id(largeVariant._id).stock).toBe(2);
+      expect(updated.stock).toBe(7);
+    });
+  });
+
+  describe('Backorders', () => {
+    let backorderProduct;
+    const availableOn = new Date('2030-01-15');
+
+    const placeOrder = (quantity) => OrderService.createOrder(mockUser._id, {
+      items: [{ productId: backorderProduct._id, quantity }]
+    });
+
+    beforeEach(async () => {
+      backorderProduct = await Product.create({
+        name: 'Restocking Kettle',
+        category: 'Kitchen',
+        price: 30,
+        stock: 2,
+        backorderMode: 'backorder',
+        availableOn,
+        createdBy: mockUser._id,
+      });
+    });
+
+    it('should take orders beyond stock and backorder the shortfall', async () => {
+      const order = await placeOrder(5);
+
+      expect(order.items[0].quantity).toBe(5);
+      expect(order.items[0].backorderedQuantity).toBe(3);
+      expect(order.items[0].availableOn).toEqual(availableOn);
+      expect(order.hasBackorders).toBe(true);
+      expect(order.totalAmount).toBe(150);
+
+      const product = await Product.findById(backorderProduct._id);
+      expect(product.stock).toBe(0);
+    });
+
+    it('should require an availability date for pre-orders', async () => {
+      await expect(Product.create({
+        name: 'Upcoming Console',
+        category: 'Electronics',
+        price: 400,
+        backorderMode: 'preorder',
+        createdBy: mockUser._id,
+      })).rejects.toThrow('Pre-order products need an availability date');
+    });
+
+    it('should move paid orders with backorders to backordered, not confirmed', async () => {
+      const order = await placeOrder(4);
+      await Order.updateOne({ _id: order._id }, { paymentStatus: 'paid' });
+
+      await expect(OrderService.updateOrderStatus(order._id, 'confirmed'))
+        .rejects.toThrow('Orders with backordered items are confirmed as backordered');
+
+      const backordered = await OrderService.updateOrderStatus(order._id, 'backordered');
+      expect(backordered.status).toBe('backordered');
+
+      await expect(OrderService.updateOrderStatus(order._id, 'processing')).resolves.toBeDefined();
+      await expect(OrderService.updateOrderStatus(order._id, 'shipped'))
+        .rejects.toThrow('Order cannot be shipped while items are backordered');
+    });
+
+    it('should allocate restocked units to the oldest backorders first', async () => {
+      const first = await placeOrder(4);
+      const second = await placeOrder(3);
+      await Order.updateMany({}, { paymentStatus: 'paid', status: 'backordered' });
+
+      await Product.updateOne({ _id: backorderProduct._id }, { stock: 3 });
+      const allocated = await OrderService.allocateBackorders(backorderProduct._id);
+
+      expect(allocated.map(order => order._id.toString())).toEqual([
+        first._id.toString(),
+        second._id.toString(),
+      ]);
+      expect(allocated[0].status).toBe('confirmed');
+      expect(allocated[0].items[0].backorderedQuantity).toBe(0);
+      expect(allocated[1].status).toBe('backordered');
+      expect(allocated[1].items[0].backorderedQuantity).toBe(2);
+      expect(allocated[1].totalAmount).toBe(90);
+
+      const product = await Product.findById(backorderProduct._id);
+      expect(product.stock).toBe(0);
+    });
+
+    it('should only restore in-stock units on cancellation', async () => {
+      const order = await placeOrder(5);
+
+      await OrderService.cancelOrder(order._id, mockUser._id.toString(), 'customer');
+
+      const product = await Product.findById(backorderProduct._id);
+      expect(product.stock).toBe(2);
+    });
+  });
+
+  describe('Order Events', () => {
+    it('should publish NEW_ORDER when an order is created', async () => {
+      const publishSpy = jest.spyOn(pubsub, 'publish');
+
+      const order = await OrderService.createOrder(mockUser._id, {
+        items: [{ productId: mockProduct2._id, quantity: 1 }]
+      });
+
+      expect(publishSpy).toHaveBeenCalledWith(EVENTS.NEW_ORDER, { newOrder: order });
+    });
+
+    it('should publish ORDER_STATUS_UPDATED when status changes', async () => {
+      await Order.updateOne({ _id: mockOrder._id }, { paymentStatus: 'paid' });
+      const publishSpy = jest.spyOn(pubsub, 'publish');
+
+      const updatedOrder = await OrderService.updateOrderStatus(mockOrder._id, 'confirmed');
+
+      expect(publishSpy).toHaveBeenCalledWith(
+        EVENTS.ORDER_STATUS_UPDATED,
+        { orderStatusUpdated: updatedOrder }
+      );
+    });
+
+    it('should publish ORDER_STATUS_UPDATED when an order is cancelled', async () => {
+      const publishSpy = jest.spyOn(pubsub, 'publish');
+
+      await OrderService.cancelOrder(mockOrder._id, mockUser._id.toString(), 'customer');
+
+      expect(publishSpy).toHaveBeenCalledWith(
+        EVENTS.ORDER_STATUS_UPDATED,
+        expect.objectContaining({ orderStatusUpdated: expect.anything() })
+      );
+    });
+
+    it('should not publish when the status update fails', async () => {
+      const publishSpy = jest.spyOn(pubsub, 'publish');
+
+      await expect(OrderService.updateOrderStatus(mockOrder._id, 'shipped')).rejects.toThrow();
+
+      expect(publishSpy).not.toHaveBeenCalled();
+    });
+
+    it('should not fail the write when publishing fails', async () => {
+      await Order.updateOne({ _id: mockOrder._id }, { paymentStatus: 'paid' });
+      jest.spyOn(pubsub, 'publish').mockRejectedValue(new Error('PubSub down'));
+
+      const updatedOrder = await OrderService.updateOrderStatus(mockOrder._id, 'confirmed');
+
+      expect(updatedOrder.status).toBe('confirmed');
+    });
   });
 
   describe('Order Analytics', () => {
@@ -332,6 +577,25 @@ describe('OrderService', () => {
       expect(statusCounts.DELIVERED).toBe(1);
     });
 
+    it('should leave cancelled orders out of revenue', async () => {
+      await Order.create({
+        user: mockUser._id,
+        items: [{ product: mockProduct1._id, quantity: 1, price: 99.99 }],
+        totalAmount: 99.99,
+        status: 'cancelled',
+        paymentStatus: 'refunded',
+        payment: { amount: 99.99, refundedAmount: 99.99 }
+      });
+
+      const analytics = await OrderService.getOrderAnalytics();
+
+      expect(analytics.totalOrders).toBe(4);
+      expect(analytics.grossRevenue).toBe(399.95);
+      expect(analytics.totalRefunded).toBe(0);
+      expect(analytics.totalRevenue).toBe(399.95);
+      expect(analytics.averageOrderValue).toBeCloseTo(133.32, 2);
+    });
+
     it('should handle empty analytics', async () => {
       await Order.deleteMany({});
       
@@ -426,6 +690,43 @@ describe('OrderService', () => {
       expect(result.hasMore).toBe(false);
       expect(result.totalCount).toBe(26); // totalCount only filters by userId, not status
     });
+
+    it('should page forwards through every order once, including orders created in the same millisecond', async () => {
+      const seen = [];
+      let page = await OrderService.getOrderConnection({}, { first: 10 });
+      expect(page.pageInfo.hasPreviousPage).toBe(false);
+      seen.push(...page.edges);
+
+      while (page.pageInfo.hasNextPage) {
+        page = await OrderService.getOrderConnection({}, { first: 10, after: page.pageInfo.endCursor });
+        expect(page.pageInfo.hasPreviousPage).toBe(true);
+        seen.push(...page.edges);
+      }
+
+      expect(page.totalCount).toBe(26);
+      expect(new Set(seen.map(edge => edge.node._id.toString())).size).toBe(26);
+    });
+
+    it('should page backwards with last and before', async () => {
+      const all = await OrderService.getOrderConnection({}, { first: 30 });
+      const ids = all.edges.map(edge => edge.node._id.toString());
+
+      const lastPage = await OrderService.getOrderConnection({}, { last: 10 });
+      expect(lastPage.edges.map(edge => edge.node._id.toString())).toEqual(ids.slice(16));
+      expect(lastPage.pageInfo.hasPreviousPage).toBe(true);
+      expect(lastPage.pageInfo.hasNextPage).toBe(false);
+
+      const previousPage = await OrderService.getOrderConnection({}, { last: 10, before: lastPage.pageInfo.startCursor });
+      expect(previousPage.edges.map(edge => edge.node._id.toString())).toEqual(ids.slice(6, 16));
+      expect(previousPage.pageInfo.hasNextPage).toBe(true);
+    });
+
+    it('should count only orders matching the filters', async () => {
+      const result = await OrderService.getOrderConnection({ status: 'CONFIRMED' }, { first: 5 });
+
+      expect(result.totalCount).toBe(12);
+      result.edges.forEach(edge => expect(edge.node.status).toBe('confirmed'));
+    });
   });
 
   describe('Concurrent Order Processing', () => {
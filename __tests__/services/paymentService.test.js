@@ -0,0 +1,335 @@
+import { PaymentService } from '../../src/services/paymentService.js';
+import { LocalPaymentProvider, LOCAL_TEST_TOKENS, DEFAULT_WEBHOOK_SECRET } from '../../src/services/payments/localPaymentProvider.js';
+import { Order } from '../../src/models/Order.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('PaymentService', () => {
+  let mockUser, otherUser, mockProduct, mockOrder, provider;
+
+  beforeEach(async () => {
+    await clearTestCollections();
+
+    provider = new LocalPaymentProvider({ webhookSecret: 'test-webhook-secret' });
+    PaymentService.registerProvider(provider);
+
+    mockUser = await User.create({
+      email: 'payer@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    otherUser = await User.create({
+      email: 'other@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    mockProduct = await Product.create({
+      name: 'Payable Product',
+      category: 'Electronics',
+      price: 40,
+      stock: 8,
+      createdBy: mockUser._id,
+    });
+
+    mockOrder = await Order.create({
+      user: mockUser._id,
+      items: [{ product: mockProduct._id, quantity: 2, price: 40 }],
+      totalAmount: 80,
+      status: 'pending',
+    });
+  });
+
+  describe('Payment Status Transitions', () => {
+    it('should allow valid payment transitions', () => {
+      expect(PaymentService.isValidPaymentTransition('pending', 'paid')).toBe(true);
+      expect(PaymentService.isValidPaymentTransition('failed', 'paid')).toBe(true);
+      expect(PaymentService.isValidPaymentTransition('paid', 'refunded')).toBe(true);
+    });
+
+    it('should reject invalid payment transitions', () => {
+      expect(PaymentService.isValidPaymentTransition('pending', 'refunded')).toBe(false);
+      expect(PaymentService.isValidPaymentTransition('refunded', 'paid')).toBe(false);
+    });
+  });
+
+  describe('Providers', () => {
+    it('should throw for an unknown provider', () => {
+      expect(() => PaymentService.getProvider('acme')).toThrow('Payment provider "acme" is not configured');
+    });
+
+    describe('in production', () => {
+      const env = { ...process.env };
+
+      beforeEach(() => {
+        process.env.NODE_ENV = 'production';
+        process.env.PAYMENT_PROVIDER = 'acme';
+        process.env.PAYMENT_WEBHOOK_SECRET = 'whsec_production';
+      });
+
+      afterEach(() => {
+        process.env = { ...env };
+      });
+
+      it('should accept a real provider and webhook secret', () => {
+        expect(() => PaymentService.assertConfigured()).not.toThrow();
+      });
+
+      it('should refuse the local provider', () => {
+        expect(() => PaymentService.getProvider('local')).toThrow('cannot be used in production');
+        expect(() => new LocalPaymentProvider()).toThrow('cannot be used in production');
+
+        delete process.env.PAYMENT_PROVIDER;
+        expect(() => PaymentService.assertConfigured()).toThrow('PAYMENT_PROVIDER must name a real payment provider');
+      });
+
+      it('should refuse a missing or default webhook secret', () => {
+        process.env.PAYMENT_WEBHOOK_SECRET = DEFAULT_WEBHOOK_SECRET;
+        expect(() => PaymentService.assertConfigured()).toThrow('PAYMENT_WEBHOOK_SECRET must be set');
+
+        delete process.env.PAYMENT_WEBHOOK_SECRET;
+        expect(() => PaymentService.assertConfigured()).toThrow('PAYMENT_WEBHOOK_SECRET must be set');
+      });
+    });
+  });
+
+  describe('payOrder', () => {
+    it('should mark the order paid and confirm it', async () => {
+      const order = await PaymentService.payOrder(
+        mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.SUCCESS
+      );
+
+      expect(order.paymentStatus).toBe('paid');
+      expect(order.status).toBe('confirmed');
+      expect(order.payment.provider).toBe('local');
+      expect(order.payment.amount).toBe(80);
+      expect(order.payment.paidAt).toBeInstanceOf(Date);
+    });
+
+    it('should record a declined payment', async () => {
+      const order = await PaymentService.payOrder(
+        mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.DECLINED
+      );
+
+      expect(order.paymentStatus).toBe('failed');
+      expect(order.status).toBe('pending');
+      expect(order.payment.failureReason).toBe('Card declined');
+    });
+
+    it('should allow retrying after a failed payment', async () => {
+      await PaymentService.payOrder(mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.DECLINED);
+      const order = await PaymentService.payOrder(
+        mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.SUCCESS
+      );
+
+      expect(order.paymentStatus).toBe('paid');
+    });
+
+    it('should leave pending payments for the webhook', async () => {
+      const order = await PaymentService.payOrder(
+        mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.PENDING
+      );
+
+      expect(order.paymentStatus).toBe('pending');
+      expect(order.payment.transactionId).toMatch(/^local_txn_/);
+    });
+
+    it('should not let customers pay for other users orders', async () => {
+      await expect(PaymentService.payOrder(
+        mockOrder._id, otherUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.SUCCESS
+      )).rejects.toThrow('Not authorized to pay for this order');
+    });
+
+    it('should not charge an order twice', async () => {
+      await PaymentService.payOrder(mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.SUCCESS);
+
+      await expect(PaymentService.payOrder(
+        mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.SUCCESS
+      )).rejects.toThrow('Cannot pay for order');
+    });
+  });
+
+  describe('refundOrder', () => {
+    it('should refund, cancel and restock an unshipped order', async () => {
+      await Product.findByIdAndUpdate(mockProduct._id, { $inc: { stock: -2 } });
+      await PaymentService.payOrder(mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.SUCCESS);
+
+      const order = await PaymentService.refundOrder(mockOrder._id, 'Customer request');
+
+      expect(order.paymentStatus).toBe('refunded');
+      expect(order.status).toBe('cancelled');
+
+      const product = await Product.findById(mockProduct._id);
+      expect(product.stock).toBe(8);
+    });
+
+    it('should keep delivered orders delivered', async () => {
+      await PaymentService.payOrder(mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.SUCCESS);
+      await Order.updateOne({ _id: mockOrder._id }, { status: 'delivered' });
+
+      const order = await PaymentService.refundOrder(mockOrder._id);
+
+      expect(order.paymentStatus).toBe('refunded');
+      expect(order.status).toBe('delivered');
+    });
+
+    it('should not refund again on cancellation while the provider refund is pending', async () => {
+      await PaymentService.payOrder(mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.SUCCESS);
+      const refund = jest.spyOn(provider, 'refund').mockResolvedValue({ refundId: 'local_rfnd_pending', status: 'pending' });
+
+      const order = await PaymentService.refundOrder(mockOrder._id, 'Customer request');
+
+      expect(order.status).toBe('cancelled');
+      expect(refund).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not refund a balance held by a pending provider refund', async () => {
+      await PaymentService.payOrder(mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.SUCCESS);
+      await Order.updateOne({ _id: mockOrder._id }, { status: 'delivered' });
+      jest.spyOn(provider, 'refund').mockResolvedValue({ refundId: 'local_rfnd_pending', status: 'pending' });
+
+      const order = await PaymentService.refundOrder(mockOrder._id);
+
+      expect(order.payment.pendingRefundAmount).toBe(80);
+      expect(PaymentService.getRefundableAmount(order)).toBe(0);
+      await expect(PaymentService.refundOrder(mockOrder._id)).rejects.toThrow('at most 0.00');
+    });
+
+    it('should reject refunds of unpaid orders', async () => {
+      await expect(PaymentService.refundOrder(mockOrder._id))
+        .rejects.toThrow('Cannot refund order with payment status "pending"');
+    });
+  });
+
+  describe('Order cancellation', () => {
+    it('should refund paid orders when they are cancelled', async () => {
+      const { OrderService } = await import('../../src/services/orderService.js');
+      await PaymentService.payOrder(mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.SUCCESS);
+
+      await OrderService.cancelOrder(mockOrder._id, mockUser._id.toString(), 'customer');
+
+      const order = await Order.findById(mockOrder._id);
+      expect(order.status).toBe('cancelled');
+      expect(order.paymentStatus).toBe('refunded');
+    });
+  });
+
+  describe('handleWebhook', () => {
+    const buildWebhook = (type, data) => {
+      const rawBody = Buffer.from(JSON.stringify({ type, data }));
+      return { rawBody, signature: provider.signPayload(rawBody) };
+    };
+
+    it('should reject invalid signatures', async () => {
+      const { rawBody } = buildWebhook('payment.succeeded', {});
+
+      await expect(PaymentService.handleWebhook('local', rawBody, 'bad-signature'))
+        .rejects.toThrow('Invalid webhook signature');
+    });
+
+    it('should settle a pending payment', async () => {
+      const pending = await PaymentService.payOrder(
+        mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.PENDING
+      );
+      const { rawBody, signature } = buildWebhook('payment.succeeded', {
+        transactionId: pending.payment.transactionId,
+      });
+
+      const order = await PaymentService.handleWebhook('local', rawBody, signature);
+
+      expect(order.paymentStatus).toBe('paid');
+      expect(order.status).toBe('confirmed');
+    });
+
+    it('should be idempotent for repeated deliveries', async () => {
+      const pending = await PaymentService.payOrder(
+        mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.PENDING
+      );
+      const { rawBody, signature } = buildWebhook('payment.succeeded', {
+        transactionId: pending.payment.transactionId,
+      });
+
+      await PaymentService.handleWebhook('local', rawBody, signature);
+      const order = await PaymentService.handleWebhook('local', rawBody, signature);
+
+      expect(order.status).toBe('confirmed');
+    });
+
+    it('should record failures', async () => {
+      const pending = await PaymentService.payOrder(
+        mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.PENDING
+      );
+      const { rawBody, signature } = buildWebhook('payment.failed', {
+        transactionId: pending.payment.transactionId,
+        failureReason: 'Insufficient funds',
+      });
+
+      const order = await PaymentService.handleWebhook('local', rawBody, signature);
+
+      expect(order.paymentStatus).toBe('failed');
+      expect(order.payment.failureReason).toBe('Insufficient funds');
+    });
+
+    it('should settle and release pending refunds', async () => {
+      const paid = await PaymentService.payOrder(
+        mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.SUCCESS
+      );
+      jest.spyOn(provider, 'refund').mockResolvedValue({ refundId: 'local_rfnd_pending', status: 'pending' });
+      await PaymentService.refundPayment(paid, 'Goodwill', 30);
+      await PaymentService.refundPayment(await Order.findById(mockOrder._id), 'Goodwill', 20);
+
+      const failed = buildWebhook('refund.failed', { transactionId: paid.payment.transactionId, amount: 20 });
+      let order = await PaymentService.handleWebhook('local', failed.rawBody, failed.signature);
+
+      expect(order.payment.pendingRefundAmount).toBe(30);
+      expect(PaymentService.getRefundableAmount(order)).toBe(50);
+
+      const succeeded = buildWebhook('refund.succeeded', { transactionId: paid.payment.transactionId, amount: 30 });
+      order = await PaymentService.handleWebhook('local', succeeded.rawBody, succeeded.signature);
+
+      expect(order.paymentStatus).toBe('partially_refunded');
+      expect(order.payment.refundedAmount).toBe(30);
+      expect(order.payment.pendingRefundAmount).toBe(0);
+    });
+
+    it('should reject empty and malformed bodies', async () => {
+      const malformed = Buffer.from('not json');
+
+      await expect(PaymentService.handleWebhook('local', Buffer.alloc(0), 'signature'))
+        .rejects.toThrow('Invalid webhook payload');
+      await expect(PaymentService.handleWebhook('local', {}, 'signature'))
+        .rejects.toThrow('Invalid webhook payload');
+      await expect(PaymentService.handleWebhook('local', malformed, provider.signPayload(malformed)))
+        .rejects.toThrow('Invalid webhook payload');
+    });
+
+    it('should ignore unknown transactions', async () => {
+      const { rawBody, signature } = buildWebhook('payment.succeeded', { transactionId: 'local_txn_unknown' });
+
+      const result = await PaymentService.handleWebhook('local', rawBody, signature);
+
+      expect(result).toBeNull();
+    });
+  });
+});
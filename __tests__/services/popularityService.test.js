@@ -0,0 +1,149 @@
+import { PopularityService } from '../../src/services/popularityService.js';
+import { OrderService } from '../../src/services/orderService.js';
+import { PaymentService } from '../../src/services/paymentService.js';
+import { LOCAL_TEST_TOKENS } from '../../src/services/payments/localPaymentProvider.js';
+import { ProductActivity } from '../../src/models/ProductActivity.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('PopularityService', () => {
+  let mockUser, mockAdmin, shoes, socks, hat;
+
+  beforeEach(async () => {
+    await clearTestCollections();
+
+    mockUser = await User.create({
+      email: 'shopper@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    mockAdmin = await User.create({
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    [shoes, socks, hat] = await Product.create([
+      { name: 'Trail Shoes', category: 'Footwear', price: 80, stock: 10, createdBy: mockAdmin._id },
+      { name: 'Wool Socks', category: 'Footwear', price: 12, stock: 50, createdBy: mockAdmin._id },
+      { name: 'Sun Hat', category: 'Accessories', price: 25, stock: 20, createdBy: mockAdmin._id },
+    ]);
+  });
+
+  describe('Recording activity', () => {
+    it('should count views per product and day', async () => {
+      await PopularityService.recordView(shoes._id);
+      await PopularityService.recordView(shoes._id);
+      await PopularityService.recordView(shoes._id, new Date(Date.now() - DAY_MS));
+
+      const activity = await ProductActivity.find({ product: shoes._id }).sort({ day: -1 });
+      expect(activity).toHaveLength(2);
+      expect(activity[0].views).toBe(2);
+      expect(activity[1].views).toBe(1);
+    });
+
+    it('should count orders and units when an order is created', async () => {
+      await OrderService.createOrder(mockUser._id, {
+        items: [
+          { productId: shoes._id, quantity: 1 },
+          { productId: socks._id, quantity: 3 }
+        ]
+      });
+
+      const shoesActivity = await ProductActivity.findOne({ product: shoes._id });
+      const socksActivity = await ProductActivity.findOne({ product: socks._id });
+      expect(shoesActivity.orders).toBe(1);
+      expect(shoesActivity.unitsOrdered).toBe(1);
+      expect(socksActivity.orders).toBe(1);
+      expect(socksActivity.unitsOrdered).toBe(3);
+    });
+
+    it('should take cancelled orders back out', async () => {
+      const order = await OrderService.createOrder(mockUser._id, {
+        items: [{ productId: socks._id, quantity: 3 }]
+      });
+
+      await OrderService.cancelOrder(order._id, mockUser._id.toString(), 'customer');
+
+      const activity = await ProductActivity.findOne({ product: socks._id });
+      expect(activity.orders).toBe(0);
+      expect(activity.unitsOrdered).toBe(0);
+    });
+
+    it('should take fully refunded orders back out once', async () => {
+      const order = await OrderService.createOrder(mockUser._id, {
+        items: [{ productId: shoes._id, quantity: 2 }]
+      });
+      await PaymentService.payOrder(order._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.SUCCESS);
+
+      // Refunding an unshipped order also cancels it
+      await PaymentService.refundOrder(order._id, 'Customer request');
+
+      const activity = await ProductActivity.findOne({ product: shoes._id });
+      expect(activity.orders).toBe(0);
+      expect(activity.unitsOrdered).toBe(0);
+    });
+  });
+
+  describe('Rankings', () => {
+    it('should weigh units ordered above views', async () => {
+      await PopularityService.recordOrder({ items: [{ product: socks._id, quantity: 2 }] });
+      for (let i = 0; i < 5; i++) {
+        await PopularityService.recordView(shoes._id);
+      }
+
+      const scores = await PopularityService.computeScores('day');
+      expect(scores.get(socks._id.toString())).toBe(20);
+      expect(scores.get(shoes._id.toString())).toBe(5);
+      expect(scores.has(hat._id.toString())).toBe(false);
+    });
+
+    it('should only count activity inside the window', async () => {
+      await PopularityService.recordView(hat._id, new Date(Date.now() - 3 * DAY_MS));
+      await PopularityService.recordView(hat._id, new Date(Date.now() - 20 * DAY_MS));
+
+      expect((await PopularityService.computeScores('day')).has(hat._id.toString())).toBe(false);
+      expect((await PopularityService.computeScores('week')).get(hat._id.toString())).toBe(1);
+      expect((await PopularityService.computeScores('month')).get(hat._id.toString())).toBe(2);
+    });
+
+    it('should store scores on products and reset products without activity', async () => {
+      await Product.findByIdAndUpdate(hat._id, { popularity: { day: 4, week: 4, month: 4 } });
+      await PopularityService.recordView(shoes._id);
+      await PopularityService.recordOrder({ items: [{ product: socks._id, quantity: 1 }] }, new Date(Date.now() - 10 * DAY_MS));
+
+      const ranked = await PopularityService.refreshRankings();
+      expect(ranked).toBe(2);
+
+      const [updatedShoes, updatedSocks, updatedHat] = await Promise.all(
+        [shoes, socks, hat].map(product => Product.findById(product._id).lean())
+      );
+      expect(updatedShoes.popularity).toEqual({ day: 1, week: 1, month: 1 });
+      expect(updatedSocks.popularity).toEqual({ day: 0, week: 0, month: 10 });
+      expect(updatedHat.popularity).toEqual({ day: 0, week: 0, month: 0 });
+    });
+  });
+});
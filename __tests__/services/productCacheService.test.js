@@ -47,6 +47,7 @@ describe('ProductCacheService', () => {
       expect(cacheService.KEYS.POPULAR_PRODUCTS).toBe('products:popular');
       expect(cacheService.KEYS.CATEGORIES).toBe('products:categories');
       expect(cacheService.KEYS.SEARCH).toBe('products:search');
+      expect(cacheService.KEYS.FACETS).toBe('products:facets');
       expect(cacheService.KEYS.COUNT).toBe('products:count');
       expect(cacheService.KEYS.ANALYTICS).toBe('products:analytics');
     });
@@ -107,6 +108,29 @@ describe('ProductCacheService', () => {
         
         expect(key1).toBe(key2);
       });
+
+      it('should key each page and sort order separately', () => {
+        const firstPage = cacheService.generateSearchKey('iphone', {}, { first: 10 });
+        const secondPage = cacheService.generateSearchKey('iphone', {}, { first: 10, after: 'cursor' });
+        const byPrice = cacheService.generateSearchKey('iphone', {}, { first: 10, sort: { field: 'PRICE', direction: 'ASC' } });
+
+        expect(new Set([firstPage, secondPage, byPrice]).size).toBe(3);
+      });
+    });
+
+    describe('generateFacetKey', () => {
+      it('should share the search key hash under the facets prefix', () => {
+        const filters = { category: 'electronics' };
+        const searchKey = cacheService.generateSearchKey('iPhone', filters);
+
+        expect(cacheService.generateFacetKey('iPhone', filters))
+          .toBe(searchKey.replace('products:search:', 'products:facets:'));
+      });
+
+      it('should key listings without a search term', () => {
+        expect(cacheService.generateFacetKey(undefined, { inStock: true }))
+          .toBe(cacheService.generateFacetKey('', { inStock: true }));
+      });
     });
 
     describe('generateCategoryKey', () => {
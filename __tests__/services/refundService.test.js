@@ -0,0 +1,300 @@
+import { RefundService } from '../../src/services/refundService.js';
+import { PaymentService } from '../../src/services/paymentService.js';
+import { OrderService } from '../../src/services/orderService.js';
+import { LocalPaymentProvider, LOCAL_TEST_TOKENS } from '../../src/services/payments/localPaymentProvider.js';
+import { Order } from '../../src/models/Order.js';
+import { Product } from '../../src/models/Product.js';
+import { Refund } from '../../src/models/Refund.js';
+import { User } from '../../src/models/User.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('RefundService', () => {
+  let mockUser, mockAdmin, otherUser, mockProduct1, mockProduct2, mockOrder;
+
+  const payAndDeliver = async () => {
+    await PaymentService.payOrder(mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.SUCCESS);
+    await Order.updateOne({ _id: mockOrder._id }, { status: 'delivered' });
+  };
+
+  beforeEach(async () => {
+    await clearTestCollections();
+    PaymentService.registerProvider(new LocalPaymentProvider());
+
+    mockUser = await User.create({
+      email: 'customer@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    mockAdmin = await User.create({
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    otherUser = await User.create({
+      email: 'other@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    mockProduct1 = await Product.create({
+      name: 'Returnable Product 1',
+      category: 'Electronics',
+      price: 30,
+      stock: 5,
+      createdBy: mockAdmin._id,
+    });
+
+    mockProduct2 = await Product.create({
+      name: 'Returnable Product 2',
+      category: 'Books',
+      price: 10,
+      stock: 5,
+      createdBy: mockAdmin._id,
+    });
+
+    mockOrder = await Order.create({
+      user: mockUser._id,
+      items: [
+        { product: mockProduct1._id, quantity: 2, price: 30 },
+        { product: mockProduct2._id, quantity: 1, price: 10 },
+      ],
+      totalAmount: 70,
+      status: 'pending',
+    });
+  });
+
+  describe('RMA Status Transitions', () => {
+    it('should allow valid RMA transitions', () => {
+      expect(RefundService.isValidRmaTransition('requested', 'approved')).toBe(true);
+      expect(RefundService.isValidRmaTransition('approved', 'received')).toBe(true);
+      expect(RefundService.isValidRmaTransition('received', 'refunded')).toBe(true);
+    });
+
+    it('should reject invalid RMA transitions', () => {
+      expect(RefundService.isValidRmaTransition('requested', 'refunded')).toBe(false);
+      expect(RefundService.isValidRmaTransition('refunded', 'rejected')).toBe(false);
+      expect(RefundService.isValidRmaTransition('rejected', 'approved')).toBe(false);
+    });
+  });
+
+  describe('createRefund', () => {
+    beforeEach(payAndDeliver);
+
+    it('should refund selected items at the price paid', async () => {
+      const refund = await RefundService.createRefund(mockOrder._id, {
+        items: [{ productId: mockProduct1._id.toString(), quantity: 1 }],
+        reason: 'Damaged',
+      }, mockAdmin._id);
+
+      expect(refund.status).toBe('refunded');
+      expect(refund.type).toBe('refund');
+      expect(refund.amount).toBe(30);
+      expect(refund.providerRefundId).toMatch(/^local_rfnd_/);
+
+      const order = await Order.findById(mockOrder._id);
+      expect(order.paymentStatus).toBe('partially_refunded');
+      expect(order.payment.refundedAmount).toBe(30);
+      expect(order.status).toBe('delivered');
+
+      const stored = await Refund.collection.findOne({ _id: refund._id });
+      expect([stored.amount, stored.items[0].amount]).toEqual([3000, 3000]);
+    });
+
+    it('should restock refunded items when requested', async () => {
+      await RefundService.createRefund(mockOrder._id, {
+        items: [{ productId: mockProduct2._id.toString(), quantity: 1 }],
+        restock: true,
+      }, mockAdmin._id);
+
+      const product = await Product.findById(mockProduct2._id);
+      expect(product.stock).toBe(6);
+    });
+
+    it('should not restock by default', async () => {
+      await RefundService.createRefund(mockOrder._id, {
+        items: [{ productId: mockProduct2._id.toString(), quantity: 1 }],
+      }, mockAdmin._id);
+
+      const product = await Product.findById(mockProduct2._id);
+      expect(product.stock).toBe(5);
+    });
+
+    it('should support amount-only refunds', async () => {
+      const refund = await RefundService.createRefund(mockOrder._id, { amount: 5 }, mockAdmin._id);
+
+      expect(refund.items).toHaveLength(0);
+      expect(refund.amount).toBe(5);
+    });
+
+    it('should mark the payment refunded once fully refunded', async () => {
+      await RefundService.createRefund(mockOrder._id, {
+        items: [{ productId: mockProduct1._id.toString(), quantity: 2 }],
+      }, mockAdmin._id);
+      await RefundService.createRefund(mockOrder._id, {
+        items: [{ productId: mockProduct2._id.toString(), quantity: 1 }],
+      }, mockAdmin._id);
+
+      const order = await Order.findById(mockOrder._id);
+      expect(order.paymentStatus).toBe('refunded');
+      expect(order.payment.refundedAmount).toBe(70);
+    });
+
+    it('should not refund more units than were ordered', async () => {
+      await RefundService.createRefund(mockOrder._id, {
+        items: [{ productId: mockProduct1._id.toString(), quantity: 1 }],
+      }, mockAdmin._id);
+
+      await expect(RefundService.createRefund(mockOrder._id, {
+        items: [{ productId: mockProduct1._id.toString(), quantity: 2 }],
+      }, mockAdmin._id)).rejects.toThrow('Only 1 unit(s) of this item can still be returned');
+    });
+
+    it('should not refund more than was paid', async () => {
+      await expect(RefundService.createRefund(mockOrder._id, { amount: 100 }, mockAdmin._id))
+        .rejects.toThrow('Refund amount must be greater than 0 and at most 70.00');
+    });
+
+    it('should reject items that are not in the order', async () => {
+      await expect(RefundService.createRefund(mockOrder._id, {
+        items: [{ productId: mockAdmin._id.toString(), quantity: 1 }],
+      }, mockAdmin._id)).rejects.toThrow('Item is not part of this order');
+    });
+
+    it('should require items or an amount', async () => {
+      await expect(RefundService.createRefund(mockOrder._id, {}, mockAdmin._id))
+        .rejects.toThrow('A refund needs items or an amount');
+    });
+  });
+
+  describe('Cancellation after refunds', () => {
+    it('should not restore restocked units again when the order is cancelled', async () => {
+      await PaymentService.payOrder(mockOrder._id, mockUser._id.toString(), 'customer', LOCAL_TEST_TOKENS.SUCCESS);
+      await RefundService.createRefund(mockOrder._id, {
+        items: [{ productId: mockProduct1._id.toString(), quantity: 1 }],
+        restock: true,
+      }, mockAdmin._id);
+
+      await OrderService.cancelOrder(mockOrder._id.toString(), mockAdmin._id.toString(), 'admin');
+
+      // One unit back from the refund and only the other on cancellation
+      expect((await Product.findById(mockProduct1._id)).stock).toBe(7);
+      expect((await Product.findById(mockProduct2._id)).stock).toBe(6);
+
+      const order = await Order.findById(mockOrder._id);
+      expect(order.items[0].restockedQuantity).toBe(1);
+    });
+  });
+
+  describe('Returns', () => {
+    beforeEach(payAndDeliver);
+
+    it('should let customers request a return of a delivered order', async () => {
+      const refund = await RefundService.requestReturn(mockOrder._id, mockUser._id.toString(), {
+        items: [{ productId: mockProduct1._id.toString(), quantity: 1 }],
+        reason: 'Wrong size',
+      });
+
+      expect(refund.status).toBe('requested');
+      expect(refund.type).toBe('return');
+      expect(refund.amount).toBe(30);
+
+      const order = await Order.findById(mockOrder._id);
+      expect(order.paymentStatus).toBe('paid');
+    });
+
+    it('should not let customers return other users orders', async () => {
+      await expect(RefundService.requestReturn(mockOrder._id, otherUser._id.toString(), {
+        items: [{ productId: mockProduct1._id.toString(), quantity: 1 }],
+      })).rejects.toThrow('Not authorized to return items of this order');
+    });
+
+    it('should only accept returns of delivered orders', async () => {
+      await Order.updateOne({ _id: mockOrder._id }, { status: 'shipped' });
+
+      await expect(RefundService.requestReturn(mockOrder._id, mockUser._id.toString(), {
+        items: [{ productId: mockProduct1._id.toString(), quantity: 1 }],
+      })).rejects.toThrow('Only delivered orders can be returned');
+    });
+
+    it('should refund and restock a received return', async () => {
+      const requested = await RefundService.requestReturn(mockOrder._id, mockUser._id.toString(), {
+        items: [{ productId: mockProduct1._id.toString(), quantity: 2 }],
+      });
+
+      await RefundService.updateReturnStatus(requested._id, 'approved', {}, mockAdmin._id);
+      await RefundService.updateReturnStatus(requested._id, 'received', {}, mockAdmin._id);
+      const refund = await RefundService.updateReturnStatus(
+        requested._id, 'refunded', { restock: true, notes: 'Items in good condition' }, mockAdmin._id
+      );
+
+      expect(refund.status).toBe('refunded');
+      expect(refund.restockedAt).toBeInstanceOf(Date);
+      expect(refund.adminNotes).toBe('Items in good condition');
+
+      const product = await Product.findById(mockProduct1._id);
+      expect(product.stock).toBe(7);
+
+      const order = await Order.findById(mockOrder._id);
+      expect(order.payment.refundedAmount).toBe(60);
+    });
+
+    it('should free up quantities of rejected returns', async () => {
+      const requested = await RefundService.requestReturn(mockOrder._id, mockUser._id.toString(), {
+        items: [{ productId: mockProduct1._id.toString(), quantity: 2 }],
+      });
+      await RefundService.updateReturnStatus(requested._id, 'rejected', {}, mockAdmin._id);
+
+      const again = await RefundService.requestReturn(mockOrder._id, mockUser._id.toString(), {
+        items: [{ productId: mockProduct1._id.toString(), quantity: 2 }],
+      });
+
+      expect(again.status).toBe('requested');
+    });
+
+    it('should reject invalid RMA transitions', async () => {
+      const requested = await RefundService.requestReturn(mockOrder._id, mockUser._id.toString(), {
+        items: [{ productId: mockProduct1._id.toString(), quantity: 1 }],
+      });
+
+      await expect(RefundService.updateReturnStatus(requested._id, 'refunded', {}, mockAdmin._id))
+        .rejects.toThrow('Invalid return status transition from "requested" to "refunded"');
+
+      const unchanged = await Refund.findById(requested._id);
+      expect(unchanged.status).toBe('requested');
+    });
+  });
+
+  describe('Order Analytics', () => {
+    it('should report revenue net of refunds', async () => {
+      await payAndDeliver();
+      await RefundService.createRefund(mockOrder._id, { amount: 20 }, mockAdmin._id);
+
+      const analytics = await OrderService.getOrderAnalytics();
+
+      expect(analytics.grossRevenue).toBe(70);
+      expect(analytics.totalRefunded).toBe(20);
+      expect(analytics.totalRevenue).toBe(50);
+    });
+  });
+});
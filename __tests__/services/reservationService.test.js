@@ -0,0 +1,216 @@
+import { ReservationService } from '../../src/services/reservationService.js';
+import { CartService } from '../../src/services/cartService.js';
+import { OrderService } from '../../src/services/orderService.js';
+import { InventoryReservation } from '../../src/models/InventoryReservation.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('ReservationService', () => {
+  let mockUser, otherUser, mockProduct, variantProduct, userOwner, otherOwner;
+
+  beforeEach(async () => {
+    await clearTestCollections();
+
+    mockUser = await User.create({
+      email: 'reserve@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    otherUser = await User.create({
+      email: 'other@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    mockProduct = await Product.create({
+      name: 'Limited Print',
+      category: 'Art',
+      price: 50,
+      stock: 3,
+      createdBy: mockUser._id,
+    });
+
+    variantProduct = await Product.create({
+      name: 'Hoodie',
+      category: 'Clothing',
+      price: 40,
+      options: [{ name: 'Size', values: ['S', 'M'] }],
+      variants: [
+        { options: [{ name: 'Size', value: 'S' }], stock: 2 },
+        { options: [{ name: 'Size', value: 'M' }], stock: 5 },
+      ],
+      createdBy: mockUser._id,
+    });
+
+    userOwner = { userId: mockUser._id.toString() };
+    otherOwner = { userId: otherUser._id.toString() };
+  });
+
+  const productStock = async (product) => Product.findById(product._id);
+
+  describe('Reserving', () => {
+    it('should hold stock for the cart and lower available stock', async () => {
+      await CartService.addItem(userOwner, mockProduct._id.toString(), 2);
+
+      const cart = await CartService.reserveCart(userOwner);
+      const product = await productStock(mockProduct);
+
+      expect(product.stock).toBe(3);
+      expect(product.reservedStock).toBe(2);
+      expect(product.availableStock).toBe(1);
+
+      const reservations = await ReservationService.getActiveReservations(cart._id);
+      expect(reservations).toHaveLength(1);
+      expect(reservations[0].expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should hold variant stock', async () => {
+      const small = variantProduct.variants[0];
+      await CartService.addItem(userOwner, variantProduct._id.toString(), 2, small._id.toString());
+
+      await CartService.reserveCart(userOwner);
+      const product = await productStock(variantProduct);
+
+      expect(product.variants[0].reservedStock).toBe(2);
+      expect(product.reservedStock).toBe(2);
+    });
+
+    it('should keep held stock from other customers', async () => {
+      await CartService.addItem(userOwner, mockProduct._id.toString(), 2);
+      await CartService.reserveCart(userOwner);
+
+      await expect(CartService.addItem(otherOwner, mockProduct._id.toString(), 2))
+        .rejects.toThrow('Insufficient stock for "Limited Print". Available: 1, Requested: 2');
+    });
+
+    it('should let the customer holding stock keep using it', async () => {
+      await CartService.addItem(userOwner, mockProduct._id.toString(), 2);
+      await CartService.reserveCart(userOwner);
+
+      const cart = await CartService.updateItem(userOwner, mockProduct._id.toString(), 3);
+
+      expect(cart.items[0].quantity).toBe(3);
+    });
+
+    it('should replace an earlier reservation of the cart', async () => {
+      await CartService.addItem(userOwner, mockProduct._id.toString(), 2);
+      await CartService.reserveCart(userOwner);
+      const cart = await CartService.reserveCart(userOwner);
+
+      expect(await ReservationService.getActiveReservations(cart._id)).toHaveLength(1);
+      expect((await productStock(mockProduct)).reservedStock).toBe(2);
+    });
+
+    it('should reserve all lines or none', async () => {
+      await CartService.addItem(userOwner, mockProduct._id.toString(), 1);
+      await CartService.addItem(userOwner, variantProduct._id.toString(), 2, variantProduct.variants[0]._id.toString());
+      const cart = await CartService.getCart(userOwner);
+
+      // Someone else takes the small hoodies after the cart was filled
+      await Product.updateOne(
+        { _id: variantProduct._id, 'variants._id': variantProduct.variants[0]._id },
+        { $inc: { 'variants.$.reservedStock': 1, reservedStock: 1 } }
+      );
+
+      await expect(ReservationService.reserveCart(cart)).rejects.toThrow('Insufficient stock available to reserve');
+      expect((await productStock(mockProduct)).reservedStock).toBe(0);
+      expect(await ReservationService.getActiveReservations(cart._id)).toHaveLength(0);
+    });
+  });
+
+  describe('Releasing', () => {
+    it('should release stock on request', async () => {
+      await CartService.addItem(userOwner, mockProduct._id.toString(), 2);
+      const cart = await CartService.reserveCart(userOwner);
+
+      await CartService.releaseReservation(userOwner);
+
+      expect((await productStock(mockProduct)).reservedStock).toBe(0);
+      const reservation = await InventoryReservation.findOne({ cart: cart._id });
+      expect(reservation.status).toBe('released');
+    });
+
+    it('should release expired reservations when swept', async () => {
+      await CartService.addItem(userOwner, mockProduct._id.toString(), 2);
+      const cart = await CartService.reserveCart(userOwner);
+
+      expect(await ReservationService.releaseExpired()).toBe(0);
+
+      const later = new Date(Date.now() + 60 * 60 * 1000);
+      expect(await ReservationService.releaseExpired(later)).toBe(1);
+      expect(await ReservationService.releaseExpired(later)).toBe(0);
+
+      expect((await productStock(mockProduct)).reservedStock).toBe(0);
+      const reservation = await InventoryReservation.findOne({ cart: cart._id });
+      expect(reservation.status).toBe('expired');
+    });
+
+    it('should release stock when the cart is cleared', async () => {
+      await CartService.addItem(userOwner, mockProduct._id.toString(), 2);
+      await CartService.reserveCart(userOwner);
+
+      await CartService.clearCart(userOwner);
+
+      expect((await productStock(mockProduct)).reservedStock).toBe(0);
+    });
+  });
+
+  describe('Checkout', () => {
+    it('should convert reservations into stock deductions', async () => {
+      await CartService.addItem(userOwner, mockProduct._id.toString(), 3);
+      const cart = await CartService.reserveCart(userOwner);
+
+      const order = await CartService.checkout(mockUser._id.toString());
+      const product = await productStock(mockProduct);
+
+      expect(product.stock).toBe(0);
+      expect(product.reservedStock).toBe(0);
+
+      const reservation = await InventoryReservation.findOne({ cart: cart._id });
+      expect(reservation.status).toBe('converted');
+      expect(reservation.order.toString()).toBe(order._id.toString());
+    });
+
+    it('should give back reserved units the order no longer needs', async () => {
+      await CartService.addItem(userOwner, mockProduct._id.toString(), 3);
+      await CartService.reserveCart(userOwner);
+      await CartService.updateItem(userOwner, mockProduct._id.toString(), 1);
+
+      await CartService.checkout(mockUser._id.toString());
+      const product = await productStock(mockProduct);
+
+      expect(product.stock).toBe(2);
+      expect(product.reservedStock).toBe(0);
+    });
+
+    it('should not let other orders take reserved stock', async () => {
+      await CartService.addItem(userOwner, mockProduct._id.toString(), 3);
+      await CartService.reserveCart(userOwner);
+
+      await expect(OrderService.createOrder(otherUser._id.toString(), {
+        items: [{ productId: mockProduct._id.toString(), quantity: 1 }],
+      })).rejects.toThrow('Insufficient stock for "Limited Print". Available: 0, Requested: 1');
+    });
+  });
+});
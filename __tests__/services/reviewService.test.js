@@ -0,0 +1,169 @@
+import { ReviewService } from '../../src/services/reviewService.js';
+import { OrderService } from '../../src/services/orderService.js';
+import { Review } from '../../src/models/Review.js';
+import { Order } from '../../src/models/Order.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('ReviewService', () => {
+  let mockUser, otherUser, mockAdmin, mockProduct;
+
+  beforeEach(async () => {
+    await clearTestCollections();
+
+    mockUser = await User.create({
+      email: 'reviewer@test.com',
+      password: 'password123',
+      firstName: 'Jane',
+      lastName: 'Smith',
+      role: 'customer',
+    });
+
+    otherUser = await User.create({
+      email: 'other@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    mockAdmin = await User.create({
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    mockProduct = await Product.create({
+      name: 'Trail Shoes',
+      category: 'Footwear',
+      price: 80,
+      stock: 10,
+      createdBy: mockAdmin._id,
+    });
+  });
+
+  const addReview = (user, rating, extra = {}) => ReviewService.addReview(user._id, {
+    productId: mockProduct._id.toString(),
+    rating,
+    ...extra,
+  });
+
+  describe('Writing reviews', () => {
+    it('should keep the product rating summary up to date', async () => {
+      const review = await addReview(mockUser, 5, { title: 'Great grip' });
+      await addReview(otherUser, 2);
+
+      let product = await Product.findById(mockProduct._id);
+      expect(product.averageRating).toBe(3.5);
+      expect(product.reviewCount).toBe(2);
+
+      await ReviewService.updateReview(review._id, mockUser._id, { rating: 4 });
+      product = await Product.findById(mockProduct._id);
+      expect(product.averageRating).toBe(3);
+
+      await ReviewService.deleteReview(review._id, mockUser._id, 'customer');
+      product = await Product.findById(mockProduct._id);
+      expect(product.averageRating).toBe(2);
+      expect(product.reviewCount).toBe(1);
+    });
+
+    it('should allow one review per customer and product', async () => {
+      await addReview(mockUser, 4);
+
+      await expect(addReview(mockUser, 5)).rejects.toThrow('You have already reviewed this product');
+    });
+
+    it('should reject ratings outside 1 to 5', async () => {
+      await expect(addReview(mockUser, 6)).rejects.toThrow('Rating must be between 1 and 5');
+    });
+
+    it('should only let customers change their own reviews', async () => {
+      const review = await addReview(mockUser, 4);
+
+      await expect(ReviewService.updateReview(review._id, otherUser._id, { rating: 1 }))
+        .rejects.toThrow('Review not found');
+      await expect(ReviewService.deleteReview(review._id, otherUser._id, 'customer'))
+        .rejects.toThrow('Review not found');
+      await expect(ReviewService.deleteReview(review._id, mockAdmin._id, 'admin')).resolves.toBe(true);
+    });
+  });
+
+  describe('Verified purchases', () => {
+    it('should flag reviews from customers with a delivered order', async () => {
+      await Order.create({
+        user: mockUser._id,
+        items: [{ product: mockProduct._id, quantity: 1, price: 80 }],
+        totalAmount: 80,
+        status: 'delivered',
+      });
+
+      expect((await addReview(mockUser, 5)).verifiedPurchase).toBe(true);
+      expect((await addReview(otherUser, 5)).verifiedPurchase).toBe(false);
+    });
+
+    it('should flag existing reviews when the order is delivered', async () => {
+      const review = await addReview(mockUser, 5);
+      const order = await Order.create({
+        user: mockUser._id,
+        items: [{ product: mockProduct._id, quantity: 1, price: 80 }],
+        totalAmount: 80,
+        status: 'shipped',
+      });
+
+      await OrderService.updateOrderStatus(order._id, 'delivered');
+
+      expect((await Review.findById(review._id)).verifiedPurchase).toBe(true);
+    });
+  });
+
+  describe('Moderation and listing', () => {
+    it('should leave hidden reviews out of listings and ratings', async () => {
+      const review = await addReview(mockUser, 1);
+      await addReview(otherUser, 5);
+
+      await ReviewService.moderateReview(review._id, 'hidden', 'Off-topic', mockAdmin._id);
+
+      const product = await Product.findById(mockProduct._id);
+      expect(product.averageRating).toBe(5);
+      expect(product.reviewCount).toBe(1);
+
+      const reviews = await ReviewService.getProductReviews(mockProduct._id);
+      expect(reviews.totalCount).toBe(1);
+      expect(reviews.edges[0].node.rating).toBe(5);
+    });
+
+    it('should page through reviews newest first', async () => {
+      await addReview(mockUser, 3);
+      await addReview(otherUser, 4);
+
+      const firstPage = await ReviewService.getProductReviews(mockProduct._id, { first: 1 });
+      expect(firstPage.edges[0].node.rating).toBe(4);
+      expect(firstPage.pageInfo.hasNextPage).toBe(true);
+
+      const secondPage = await ReviewService.getProductReviews(mockProduct._id, {
+        first: 1,
+        after: firstPage.pageInfo.endCursor,
+      });
+      expect(secondPage.edges[0].node.rating).toBe(3);
+      expect(secondPage.pageInfo.hasNextPage).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+import mongoose from 'mongoose';
+import { SearchAnalyticsService } from '../../src/services/searchAnalyticsService.js';
+import { OrderService } from '../../src/services/orderService.js';
+import { SearchLog } from '../../src/models/SearchLog.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('SearchAnalyticsService', () => {
+  let mockUser, mockAdmin, shoes, socks;
+
+  const search = (query, resultCount, options = {}) => SearchAnalyticsService.recordSearch({
+    searchId: new mongoose.Types.ObjectId().toString(),
+    query,
+    resultCount,
+    ...options
+  });
+
+  beforeEach(async () => {
+    await clearTestCollections();
+
+    mockUser = await User.create({
+      email: 'shopper@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    mockAdmin = await User.create({
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    [shoes, socks] = await Product.create([
+      { name: 'Trail Shoes', category: 'Footwear', price: 80, stock: 10, createdBy: mockAdmin._id },
+      { name: 'Wool Socks', category: 'Footwear', price: 12, stock: 50, createdBy: mockAdmin._id },
+    ]);
+  });
+
+  describe('Recording searches', () => {
+    it('should log the normalized term and the filters used', async () => {
+      const log = await search('  Trail   SHOES ', 3, {
+        filter: { category: 'Footwear', minPrice: null },
+        userId: mockUser._id
+      });
+
+      expect(log.term).toBe('trail shoes');
+      expect(log.filters).toEqual({ category: 'Footwear' });
+      expect(log.user.toString()).toBe(mockUser._id.toString());
+      expect(log.expiresAt.getTime()).toBeGreaterThan(Date.now() + 89 * DAY_MS);
+    });
+
+    it('should not log searches without words', async () => {
+      expect(await search(' -- ', 0)).toBeNull();
+      expect(await SearchLog.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Recording clicks', () => {
+    it('should record each clicked product once', async () => {
+      const log = await search('shoes', 2, { sessionId: 'session-1' });
+
+      await SearchAnalyticsService.recordClick(log._id, shoes._id, { position: 1, sessionId: 'session-1' });
+      await SearchAnalyticsService.recordClick(log._id, shoes._id, { position: 1, sessionId: 'session-1' });
+
+      const updated = await SearchLog.findById(log._id);
+      expect(updated.clicks).toHaveLength(1);
+      expect(updated.clicks[0].position).toBe(1);
+    });
+
+    it('should only accept clicks from whoever searched', async () => {
+      const anonymous = await search('shoes', 2, { sessionId: 'session-1' });
+      const signedIn = await search('shoes', 2, { userId: mockUser._id });
+
+      await expect(SearchAnalyticsService.recordClick(anonymous._id, shoes._id, { sessionId: 'session-2' }))
+        .rejects.toThrow('Search not found');
+      await expect(SearchAnalyticsService.recordClick(signedIn._id, shoes._id, { userId: mockAdmin._id }))
+        .rejects.toThrow('Search not found');
+      await expect(SearchAnalyticsService.recordClick(new mongoose.Types.ObjectId(), shoes._id, {}))
+        .rejects.toThrow('Search not found');
+    });
+  });
+
+  describe('Conversion', () => {
+    it('should attribute orders to recent searches with a clicked product', async () => {
+      const clicked = await search('shoes', 2, { userId: mockUser._id });
+      const notClicked = await search('footwear', 2, { userId: mockUser._id });
+      await SearchAnalyticsService.recordClick(clicked._id, shoes._id, { userId: mockUser._id });
+
+      const order = await OrderService.createOrder(mockUser._id, {
+        items: [{ productId: shoes._id, quantity: 1 }]
+      });
+
+      expect((await SearchLog.findById(clicked._id)).order.toString()).toBe(order._id.toString());
+      expect((await SearchLog.findById(notClicked._id)).order).toBeNull();
+    });
+
+    it('should not attribute orders of other products or older searches', async () => {
+      const otherProduct = await search('shoes', 2, { userId: mockUser._id });
+      await SearchAnalyticsService.recordClick(otherProduct._id, socks._id, { userId: mockUser._id });
+
+      const old = await search('shoes', 2, { userId: mockUser._id });
+      await SearchAnalyticsService.recordClick(old._id, shoes._id, { userId: mockUser._id });
+      await SearchLog.collection.updateOne({ _id: old._id }, { $set: { createdAt: new Date(Date.now() - 8 * DAY_MS) } });
+
+      await OrderService.createOrder(mockUser._id, {
+        items: [{ productId: shoes._id, quantity: 1 }]
+      });
+
+      expect(await SearchLog.countDocuments({ order: { $ne: null } })).toBe(0);
+    });
+  });
+
+  describe('Reports', () => {
+    beforeEach(async () => {
+      const clicked = await search('shoes', 2, { userId: mockUser._id });
+      await SearchAnalyticsService.recordClick(clicked._id, shoes._id, { userId: mockUser._id });
+      await search('Shoes', 4);
+      await search('socks', 1);
+      await search('sandals', 0);
+      await search('sandals', 0);
+    });
+
+    it('should report the most searched terms', async () => {
+      const terms = await SearchAnalyticsService.getTopSearches({ days: 7, limit: 2 });
+
+      expect(terms).toEqual([
+        expect.objectContaining({ term: 'sandals', searches: 2, zeroResultSearches: 2, averageResults: 0 }),
+        expect.objectContaining({ term: 'shoes', searches: 2, averageResults: 3, clickedSearches: 1, clickThroughRate: 0.5 }),
+      ]);
+    });
+
+    it('should report searches that found nothing', async () => {
+      const terms = await SearchAnalyticsService.getZeroResultSearches();
+
+      expect(terms).toEqual([
+        expect.objectContaining({ term: 'sandals', searches: 2 }),
+      ]);
+    });
+
+    it('should report overall conversion', async () => {
+      await OrderService.createOrder(mockUser._id, {
+        items: [{ productId: shoes._id, quantity: 1 }]
+      });
+
+      const conversion = await SearchAnalyticsService.getSearchConversion({ days: 30 });
+
+      expect(conversion).toEqual({
+        searches: 5,
+        zeroResultSearches: 2,
+        clickedSearches: 1,
+        convertedSearches: 1,
+        clickThroughRate: 0.2,
+        conversionRate: 0.2
+      });
+    });
+
+    it('should reject report periods out of range', async () => {
+      await expect(SearchAnalyticsService.getTopSearches({ days: 0 }))
+        .rejects.toThrow('Days must be between 1 and 365');
+    });
+  });
+
+  describe('Retention', () => {
+    it('should purge searches older than the given days', async () => {
+      const old = await search('shoes', 2);
+      await search('socks', 1);
+      await SearchLog.collection.updateOne({ _id: old._id }, { $set: { createdAt: new Date(Date.now() - 40 * DAY_MS) } });
+
+      const deleted = await SearchAnalyticsService.purgeSearchLogs(30, mockAdmin._id);
+
+      expect(deleted).toBe(1);
+      expect(await SearchLog.countDocuments()).toBe(1);
+    });
+
+    it('should reject negative days', async () => {
+      await expect(SearchAnalyticsService.purgeSearchLogs(-1, mockAdmin._id))
+        .rejects.toThrow('Days cannot be negative');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import { SearchService } from '../../src/services/searchService.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('SearchService', () => {
+  let mockAdmin, headphones, television;
+
+  beforeEach(async () => {
+    await clearTestCollections();
+    SearchService.invalidateIndex();
+
+    mockAdmin = await User.create({
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    headphones = await Product.create({
+      name: 'Wireless Headphones',
+      description: 'Noise cancelling',
+      category: 'Audio',
+      price: 150,
+      stock: 5,
+      createdBy: mockAdmin._id,
+    });
+
+    television = await Product.create({
+      name: 'Smart Television',
+      description: '55 inch screen',
+      category: 'Video',
+      price: 600,
+      stock: 2,
+      createdBy: mockAdmin._id,
+    });
+
+    await Product.create({
+      name: 'Retired Headphones',
+      category: 'Audio',
+      price: 20,
+      stock: 0,
+      isActive: false,
+      createdBy: mockAdmin._id,
+    });
+  });
+
+  it('should find active products despite typos', async () => {
+    const hits = await SearchService.search('hedphones');
+
+    expect(hits.map(hit => hit.productId)).toEqual([headphones._id.toString()]);
+    expect(hits[0].score).toBeGreaterThan(0);
+  });
+
+  it('should keep the index in step with product changes', async () => {
+    await SearchService.search('headphones');
+
+    headphones.isActive = false;
+    SearchService.indexProduct(headphones);
+    expect(await SearchService.search('headphones')).toEqual([]);
+
+    television.name = 'Smart Projector';
+    SearchService.indexProduct(television);
+    expect((await SearchService.search('projector'))[0].productId).toBe(television._id.toString());
+  });
+
+  it('should apply synonym sets to new searches', async () => {
+    expect(await SearchService.search('tv')).toEqual([]);
+
+    const synonymSet = await SearchService.createSynonymSet(['TV', 'television'], mockAdmin._id);
+    expect(synonymSet.terms).toEqual(['tv', 'television']);
+    expect((await SearchService.search('tv'))[0].productId).toBe(television._id.toString());
+
+    await SearchService.deleteSynonymSet(synonymSet._id, mockAdmin._id);
+    expect(await SearchService.search('tv')).toEqual([]);
+  });
+
+  it('should only accept sets of different single words', async () => {
+    await expect(SearchService.createSynonymSet(['tv', 'flat screen'], mockAdmin._id))
+      .rejects.toThrow('Synonyms must be single words: "flat screen"');
+    await expect(SearchService.createSynonymSet(['tv', 'TV'], mockAdmin._id))
+      .rejects.toThrow('A synonym set needs at least two different words');
+  });
+});
@@ -0,0 +1,269 @@
+import { ShippingService } from '../../src/services/shippingService.js';
+import { ShipmentService } from '../../src/services/shipmentService.js';
+import { OrderService } from '../../src/services/orderService.js';
+import { ShippingMethod } from '../../src/models/ShippingMethod.js';
+import { Shipment } from '../../src/models/Shipment.js';
+import { Order } from '../../src/models/Order.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { Coupon } from '../../src/models/Coupon.js';
+import { ExchangeRate } from '../../src/models/ExchangeRate.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('ShippingService', () => {
+  let mockUser, mockAdmin, lamp, book;
+
+  const caAddress = {
+    street: '1 Main St',
+    city: 'Los Angeles',
+    state: 'CA',
+    zipCode: '90012',
+    country: 'US',
+  };
+
+  beforeEach(async () => {
+    await clearTestCollections();
+
+    mockUser = await User.create({
+      email: 'shopper@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    mockAdmin = await User.create({
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    lamp = await Product.create({
+      name: 'Desk Lamp',
+      category: 'Home',
+      price: 40,
+      stock: 10,
+      weight: 1.5,
+      createdBy: mockAdmin._id,
+    });
+
+    book = await Product.create({
+      name: 'Paperback',
+      category: 'Books',
+      price: 10,
+      stock: 10,
+      weight: 0.4,
+      createdBy: mockAdmin._id,
+    });
+
+    await ShippingMethod.create([
+      {
+        code: 'standard',
+        name: 'Standard',
+        carrier: 'USPS',
+        zones: [
+          { name: 'Domestic', countries: ['US'], rates: [{ maxWeight: 1, price: 5 }, { maxWeight: 5, price: 9 }], freeShippingThreshold: 100 },
+          { name: 'West Coast', countries: ['US'], states: ['CA', 'OR', 'WA'], rates: [{ maxWeight: 1, price: 4 }, { price: 7 }] },
+          { name: 'International', rates: [{ maxWeight: 2, price: 25 }] },
+        ],
+      },
+      {
+        code: 'express',
+        name: 'Express',
+        carrier: 'UPS',
+        zones: [{ name: 'Domestic', countries: ['US'], rates: [{ price: 20 }] }],
+      },
+    ]);
+  });
+
+  describe('Quotes', () => {
+    it('should quote every method shipping to the address, cheapest first', async () => {
+      const quotes = await ShippingService.getQuotes({
+        address: caAddress,
+        items: [{ productId: lamp._id.toString(), quantity: 1 }],
+      });
+
+      expect(quotes.map(quote => [quote.method.code, quote.zone, quote.price])).toEqual([
+        ['standard', 'West Coast', 7],
+        ['express', 'Domestic', 20],
+      ]);
+    });
+
+    it('should pick the rate tier for the parcel weight', async () => {
+      const address = { ...caAddress, state: 'NY' };
+      const light = await ShippingService.getQuotes({ address, items: [{ productId: book._id.toString(), quantity: 2 }] });
+      const heavy = await ShippingService.getQuotes({ address, items: [{ productId: lamp._id.toString(), quantity: 2 }] });
+
+      expect(light[0].price).toBe(5); // 0.8 kg
+      expect(heavy[0].price).toBe(9); // 3 kg
+    });
+
+    it('should ship free above the zone threshold', async () => {
+      const quotes = await ShippingService.getQuotes({
+        address: { ...caAddress, state: 'NY' },
+        items: [{ productId: lamp._id.toString(), quantity: 3 }],
+      });
+
+      expect(quotes[0].price).toBe(0);
+    });
+
+    it('should compare the threshold with the subtotal in the base currency', async () => {
+      await ExchangeRate.create({ currency: 'EUR', rate: 2 });
+      await Product.updateOne({ _id: lamp._id }, { currency: 'EUR' });
+
+      // 3 x 40 EUR is 60 in the base currency, below the threshold of 100
+      const quotes = await ShippingService.getQuotes({
+        address: { ...caAddress, state: 'NY' },
+        items: [{ productId: lamp._id.toString(), quantity: 3 }],
+      });
+
+      expect(quotes[0].price).toBe(9);
+    });
+
+    it('should fall back to catch-all zones and skip methods without a fitting rate', async () => {
+      const address = { ...caAddress, state: 'ON', country: 'CA' };
+
+      const quotes = await ShippingService.getQuotes({ address, items: [{ productId: book._id.toString(), quantity: 1 }] });
+      expect(quotes.map(quote => quote.zone)).toEqual(['International']);
+
+      const tooHeavy = await ShippingService.getQuotes({ address, items: [{ productId: lamp._id.toString(), quantity: 2 }] });
+      expect(tooHeavy).toHaveLength(0);
+    });
+
+    it('should store rates and thresholds in cents', async () => {
+      const stored = await ShippingMethod.collection.findOne({ code: 'standard' });
+
+      expect(stored.zones[0].rates.map(rate => rate.price)).toEqual([500, 900]);
+      expect(stored.zones[0].freeShippingThreshold).toBe(10000);
+    });
+  });
+
+  describe('Orders', () => {
+    const placeOrder = (input) => OrderService.createOrder(mockUser._id.toString(), {
+      items: [{ productId: lamp._id.toString(), quantity: 1 }, { productId: book._id.toString(), quantity: 1 }],
+      shippingAddress: caAddress,
+      ...input,
+    });
+
+    it('should charge the selected method and keep a snapshot of it', async () => {
+      const order = await placeOrder({ shippingMethod: 'EXPRESS' });
+
+      expect(order.shippingCost).toBe(20);
+      expect(order.shippingMethod.code).toBe('express');
+      expect(order.shippingMethod.carrier).toBe('UPS');
+      expect(order.totalAmount).toBe(70);
+    });
+
+    it('should require a shipping method for shipped orders', async () => {
+      await expect(placeOrder({})).rejects.toThrow('A shipping method must be selected');
+    });
+
+    it('should reject methods that do not ship to the address', async () => {
+      await expect(placeOrder({ shippingMethod: 'express', shippingAddress: { ...caAddress, country: 'FR' } }))
+        .rejects.toThrow('Express does not ship this order to the given address');
+    });
+
+    it('should not charge shipping with a free shipping coupon', async () => {
+      await Coupon.create({ code: 'SHIPFREE', type: 'free_shipping', value: 0, createdBy: mockAdmin._id });
+
+      const order = await placeOrder({ shippingMethod: 'standard', couponCode: 'SHIPFREE' });
+
+      expect(order.freeShipping).toBe(true);
+      expect(order.shippingCost).toBe(0);
+    });
+  });
+
+  describe('Shipments', () => {
+    let order;
+
+    beforeEach(async () => {
+      order = await OrderService.createOrder(mockUser._id.toString(), {
+        items: [{ productId: lamp._id.toString(), quantity: 2 }, { productId: book._id.toString(), quantity: 1 }],
+        shippingAddress: caAddress,
+        shippingMethod: 'standard',
+      });
+      await Order.updateOne({ _id: order._id }, { status: 'processing', paymentStatus: 'paid' });
+    });
+
+    it('should create a shipment for all items when the order ships', async () => {
+      await OrderService.updateOrderStatus(order._id, 'shipped', { shipment: { trackingNumber: '9400100' } });
+
+      const shipments = await ShipmentService.getShipments(order._id);
+      expect(shipments).toHaveLength(1);
+      expect(shipments[0].carrier).toBe('USPS');
+      expect(shipments[0].trackingNumber).toBe('9400100');
+      expect(shipments[0].items.map(item => item.quantity)).toEqual([2, 1]);
+    });
+
+    it('should split an order across shipments', async () => {
+      const first = await ShipmentService.createShipment(
+        order._id,
+        { carrier: 'FedEx', trackingNumber: 'FX1', items: [{ productId: lamp._id.toString(), quantity: 1 }] },
+        mockAdmin._id
+      );
+      expect(first.items).toHaveLength(1);
+      expect((await Order.findById(order._id)).status).toBe('processing');
+
+      await ShipmentService.createShipment(order._id, { trackingNumber: 'US2' }, mockAdmin._id);
+
+      const shipments = await ShipmentService.getShipments(order._id);
+      expect(shipments).toHaveLength(2);
+      expect(shipments[1].items.map(item => item.quantity)).toEqual([1, 1]);
+      expect((await Order.findById(order._id)).status).toBe('shipped');
+    });
+
+    it('should not ship more than was ordered', async () => {
+      await expect(ShipmentService.createShipment(
+        order._id,
+        { items: [{ productId: lamp._id.toString(), quantity: 3 }] },
+        mockAdmin._id
+      )).rejects.toThrow('Only 2 unit(s) of this item are left to ship');
+    });
+
+    it('should deliver the order with its last shipment', async () => {
+      await ShipmentService.createShipment(
+        order._id,
+        { items: [{ productId: book._id.toString(), quantity: 1 }] },
+        mockAdmin._id
+      );
+      await OrderService.updateOrderStatus(order._id, 'shipped');
+
+      const [first, second] = await ShipmentService.getShipments(order._id);
+
+      await ShipmentService.updateShipmentStatus(first._id, 'in_transit');
+      await ShipmentService.updateShipmentStatus(first._id, 'delivered');
+      expect((await Order.findById(order._id)).status).toBe('shipped');
+
+      const delivered = await ShipmentService.updateShipmentStatus(second._id, 'delivered');
+      expect(delivered.deliveredAt).toBeInstanceOf(Date);
+      expect((await Order.findById(order._id)).status).toBe('delivered');
+    });
+
+    it('should reject invalid shipment transitions', async () => {
+      await OrderService.updateOrderStatus(order._id, 'shipped');
+      const [shipment] = await ShipmentService.getShipments(order._id);
+      await ShipmentService.updateShipmentStatus(shipment._id, 'delivered');
+
+      await expect(ShipmentService.updateShipmentStatus(shipment._id, 'in_transit'))
+        .rejects.toThrow('Invalid shipment status transition from "delivered" to "in_transit"');
+      expect(await Shipment.countDocuments({ order: order._id })).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { SuggestionService } from '../../src/services/suggestionService.js';
+import { SearchAnalyticsService } from '../../src/services/searchAnalyticsService.js';
+import { CategoryService } from '../../src/services/categoryService.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('SuggestionService', () => {
+  let mockAdmin, audio, headphones;
+
+  beforeEach(async () => {
+    await clearTestCollections();
+    SuggestionService.tree = null;
+
+    mockAdmin = await User.create({
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    audio = await CategoryService.createCategory({ name: 'Headphones & Audio' }, mockAdmin._id);
+
+    headphones = await Product.create({
+      name: 'Wireless Headphones',
+      category: audio.name,
+      categoryId: audio._id,
+      price: 150,
+      stock: 5,
+      createdBy: mockAdmin._id,
+    });
+
+    await Product.create({
+      name: 'Retired Headset',
+      category: audio.name,
+      categoryId: audio._id,
+      price: 20,
+      stock: 0,
+      isActive: false,
+      createdBy: mockAdmin._id,
+    });
+  });
+
+  it('should suggest popular searches, categories and products', async () => {
+    await SearchAnalyticsService.recordSearch({ query: 'Head torch', resultCount: 4 });
+    await SearchAnalyticsService.recordSearch({ query: 'head  torch', resultCount: 2 });
+    await SearchAnalyticsService.recordSearch({ query: 'headlamp', resultCount: 3 }); // searched only once
+    await SearchAnalyticsService.recordSearch({ query: 'head gasket', resultCount: 0 }); // found nothing
+    await SearchAnalyticsService.recordSearch({ query: 'head gasket', resultCount: 0 });
+
+    const suggestions = await SuggestionService.getSuggestions('HEAD');
+
+    expect(suggestions).toEqual([
+      expect.objectContaining({ type: 'query', text: 'head torch' }),
+      expect.objectContaining({ type: 'category', text: 'Headphones & Audio', categoryId: audio._id.toString() }),
+      expect.objectContaining({ type: 'product', text: 'Wireless Headphones', productId: headphones._id.toString() }),
+    ]);
+  });
+
+  it('should prefer products over past searches with the same text', async () => {
+    await SearchAnalyticsService.recordSearch({ query: 'wireless headphones', resultCount: 1 });
+    await SearchAnalyticsService.recordSearch({ query: 'Wireless headphones', resultCount: 1 });
+
+    const suggestions = await SuggestionService.getSuggestions('wireless', 5);
+
+    expect(suggestions).toEqual([
+      expect.objectContaining({ type: 'product', text: 'Wireless Headphones' }),
+    ]);
+  });
+
+  it('should return nothing for an empty prefix', async () => {
+    expect(await SuggestionService.getSuggestions('  ')).toEqual([]);
+  });
+});
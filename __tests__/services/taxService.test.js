@@ -0,0 +1,197 @@
+import { TaxService } from '../../src/services/taxService.js';
+import { OrderService } from '../../src/services/orderService.js';
+import { TaxRule } from '../../src/models/TaxRule.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { Coupon } from '../../src/models/Coupon.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('TaxService', () => {
+  let mockUser, mockAdmin, mockProduct;
+
+  const laAddress = {
+    street: '1 Main St',
+    city: 'Los Angeles',
+    state: 'CA',
+    zipCode: '90012',
+    country: 'US',
+  };
+
+  beforeEach(async () => {
+    await clearTestCollections();
+
+    mockUser = await User.create({
+      email: 'taxpayer@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    mockAdmin = await User.create({
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    mockProduct = await Product.create({
+      name: 'Taxable Product',
+      category: 'Electronics',
+      price: 100,
+      stock: 10,
+      createdBy: mockAdmin._id,
+    });
+
+    await TaxRule.create([
+      { name: 'California State Tax', country: 'US', state: 'CA', rate: 7.25 },
+      { name: 'Los Angeles City Tax', country: 'US', state: 'CA', zipPrefix: '900', rate: 2.25 },
+      { name: 'Texas State Tax', country: 'US', state: 'TX', rate: 6.25 },
+    ]);
+  });
+
+  describe('Rule Matching', () => {
+    it('should stack every rule matching the address', async () => {
+      const rules = await TaxService.getApplicableRules(laAddress);
+
+      expect(rules.map(rule => rule.name)).toEqual(['California State Tax', 'Los Angeles City Tax']);
+    });
+
+    it('should narrow rules by ZIP prefix', async () => {
+      const rules = await TaxService.getApplicableRules({ ...laAddress, zipCode: '94105' });
+
+      expect(rules.map(rule => rule.name)).toEqual(['California State Tax']);
+    });
+
+    it('should match addresses case-insensitively', async () => {
+      const rules = await TaxService.getApplicableRules({ country: 'us', state: 'tx', zipCode: '73301' });
+
+      expect(rules).toHaveLength(1);
+    });
+
+    it('should ignore inactive rules and unknown countries', async () => {
+      await TaxRule.updateMany({}, { isActive: false });
+
+      expect(await TaxService.getApplicableRules(laAddress)).toHaveLength(0);
+      expect(await TaxService.getApplicableRules({ country: 'FR' })).toHaveLength(0);
+      expect(await TaxService.getApplicableRules(undefined)).toHaveLength(0);
+    });
+  });
+
+  describe('Tax Calculation', () => {
+    it('should compute tax per rule and allocate it to lines', async () => {
+      const result = await TaxService.calculateTax({ address: laAddress, lineAmounts: [60, 40] });
+
+      expect(result.tax).toBe(9.5);
+      expect(result.taxLines.map(line => line.amount)).toEqual([7.25, 2.25]);
+      expect(result.lineTaxes).toEqual([5.7, 3.8]);
+    });
+
+    it('should tax shipping only for rules that say so', async () => {
+      await TaxRule.updateOne({ name: 'California State Tax' }, { taxShipping: true });
+
+      const result = await TaxService.calculateTax({ address: laAddress, lineAmounts: [100], shipping: 10 });
+
+      expect(result.tax).toBe(10.23); // 7.98 + 2.25
+      expect(result.shippingTax).toBe(0.73);
+      expect(result.lineTaxes).toEqual([9.5]);
+    });
+
+    it('should not tax exempt customers', async () => {
+      const result = await TaxService.calculateTax({ address: laAddress, lineAmounts: [100], taxExempt: true });
+
+      expect(result.tax).toBe(0);
+      expect(result.taxLines).toHaveLength(0);
+    });
+  });
+
+  describe('Orders', () => {
+    const placeOrder = (userId, shippingAddress = laAddress, couponCode) => OrderService.createOrder(
+      userId.toString(),
+      { items: [{ productId: mockProduct._id.toString(), quantity: 2 }], shippingAddress, couponCode }
+    );
+
+    it('should store the tax breakdown on the order', async () => {
+      const order = await placeOrder(mockUser._id);
+
+      expect(order.subtotal).toBe(200);
+      expect(order.shippingCost).toBe(0);
+      expect(order.tax).toBe(19);
+      expect(order.taxLines).toHaveLength(2);
+      expect(order.taxLines[0].name).toBe('California State Tax');
+      expect(order.items[0].tax).toBe(19);
+      expect(order.totalAmount).toBe(219);
+    });
+
+    it('should tax the discounted amount', async () => {
+      await Coupon.create({ code: 'HALF', type: 'percentage', value: 50, createdBy: mockAdmin._id });
+
+      const order = await placeOrder(mockUser._id, laAddress, 'HALF');
+
+      expect(order.discountTotal).toBe(100);
+      expect(order.tax).toBe(9.5);
+      expect(order.totalAmount).toBe(109.5);
+    });
+
+    it('should not charge tax without matching rules', async () => {
+      const order = await placeOrder(mockUser._id, { ...laAddress, state: 'OR', zipCode: '97201' });
+
+      expect(order.tax).toBe(0);
+      expect(order.totalAmount).toBe(200);
+    });
+
+    it('should not charge tax to tax-exempt customers', async () => {
+      await User.updateOne({ _id: mockUser._id }, { taxExempt: true, taxExemptionId: 'EX-123' });
+
+      const order = await placeOrder(mockUser._id);
+
+      expect(order.taxExempt).toBe(true);
+      expect(order.tax).toBe(0);
+      expect(order.totalAmount).toBe(200);
+    });
+  });
+
+  describe('Admin Management', () => {
+    it('should create, update and delete tax rules', async () => {
+      const rule = await TaxService.createTaxRule(
+        { name: 'Ontario HST', country: 'ca', state: 'on', rate: 13, taxShipping: true },
+        mockAdmin._id
+      );
+      expect(rule.country).toBe('CA');
+      expect(rule.state).toBe('ON');
+
+      const updated = await TaxService.updateTaxRule(rule._id, { rate: 13.5 }, mockAdmin._id);
+      expect(updated.rate).toBe(13.5);
+
+      await TaxService.deleteTaxRule(rule._id, mockAdmin._id);
+      expect(await TaxRule.findById(rule._id)).toBeNull();
+    });
+
+    it('should list rules by country', async () => {
+      const rules = await TaxService.getTaxRules({ country: 'us' });
+
+      expect(rules).toHaveLength(3);
+    });
+
+    it('should reject invalid rates', async () => {
+      await expect(TaxService.createTaxRule({ name: 'Bad', country: 'US', rate: 150 }, mockAdmin._id))
+        .rejects.toThrow('Tax rate cannot exceed 100');
+    });
+  });
+});
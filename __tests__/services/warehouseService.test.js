@@ -0,0 +1,203 @@
+import { WarehouseService } from '../../src/services/warehouseService.js';
+import { OrderService } from '../../src/services/orderService.js';
+import { Warehouse } from '../../src/models/Warehouse.js';
+import { Order } from '../../src/models/Order.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('WarehouseService', () => {
+  let mockUser, mockAdmin, mockProduct, east, west, europe;
+
+  beforeEach(async () => {
+    await clearTestCollections();
+
+    mockUser = await User.create({
+      email: 'customer@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    mockAdmin = await User.create({
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    [east, west, europe] = await Warehouse.create([
+      { code: 'NYC', name: 'New York', address: { city: 'New York', state: 'NY', country: 'US' }, priority: 2 },
+      { code: 'LAX', name: 'Los Angeles', address: { city: 'Los Angeles', state: 'CA', country: 'US' }, priority: 1 },
+      { code: 'BER', name: 'Berlin', address: { city: 'Berlin', country: 'DE' }, priority: 0 },
+    ]);
+
+    mockProduct = await Product.create({
+      name: 'Desk Lamp',
+      category: 'Home',
+      price: 30,
+      stockLevels: [
+        { warehouse: east._id, quantity: 4 },
+        { warehouse: west._id, quantity: 2 },
+      ],
+      createdBy: mockAdmin._id,
+    });
+  });
+
+  const levelAt = (product, warehouse) => (
+    product.stockLevels.find(level => level.warehouse.equals(warehouse._id))?.quantity
+  );
+
+  describe('Stock levels', () => {
+    it('should keep stock as the sum of warehouse stock', async () => {
+      expect(mockProduct.stock).toBe(6);
+      expect(mockProduct.inStock).toBe(true);
+
+      const product = await WarehouseService.setStockLevel(
+        mockProduct._id, null, europe._id, 5, mockAdmin._id
+      );
+
+      expect(product.stock).toBe(11);
+      expect(levelAt(product, europe)).toBe(5);
+    });
+
+    it('should reject warehouse stock for variant products without a variant', async () => {
+      const hoodie = await Product.create({
+        name: 'Hoodie',
+        category: 'Clothing',
+        price: 40,
+        options: [{ name: 'Size', values: ['S'] }],
+        variants: [{ options: [{ name: 'Size', value: 'S' }], stock: 1 }],
+        createdBy: mockAdmin._id,
+      });
+
+      await expect(WarehouseService.setStockLevel(hoodie._id, null, east._id, 3, mockAdmin._id))
+        .rejects.toThrow('Stock is managed per variant for this product');
+
+      const product = await WarehouseService.setStockLevel(
+        hoodie._id, hoodie.variants[0]._id, east._id, 3, mockAdmin._id
+      );
+      expect(product.variants[0].stock).toBe(3);
+      expect(product.stock).toBe(3);
+    });
+  });
+
+  describe('Transfers', () => {
+    it('should move stock between warehouses', async () => {
+      const product = await WarehouseService.transferStock({
+        productId: mockProduct._id,
+        fromWarehouseId: east._id,
+        toWarehouseId: europe._id,
+        quantity: 3,
+      }, mockAdmin._id);
+
+      expect(levelAt(product, east)).toBe(1);
+      expect(levelAt(product, europe)).toBe(3);
+      expect(product.stock).toBe(6);
+    });
+
+    it('should not move more than the source warehouse holds', async () => {
+      await expect(WarehouseService.transferStock({
+        productId: mockProduct._id,
+        fromWarehouseId: west._id,
+        toWarehouseId: east._id,
+        quantity: 3,
+      }, mockAdmin._id)).rejects.toThrow('Not enough stock at LAX to transfer 3');
+    });
+  });
+
+  describe('Order allocation', () => {
+    const placeOrder = (quantity, shippingAddress) => OrderService.createOrder(mockUser._id.toString(), {
+      items: [{ productId: mockProduct._id.toString(), quantity }],
+      shippingAddress,
+    });
+
+    it('should ship from the warehouse nearest to the address', async () => {
+      const order = await placeOrder(1, { street: '1 Main St', city: 'San Diego', state: 'CA', zipCode: '92101', country: 'US' });
+
+      expect(order.items[0].allocations).toHaveLength(1);
+      expect(order.items[0].allocations[0].warehouse.toString()).toBe(west._id.toString());
+
+      const product = await Product.findById(mockProduct._id);
+      expect(levelAt(product, west)).toBe(1);
+      expect(product.stock).toBe(5);
+    });
+
+    it('should fall back to warehouse priority', async () => {
+      await Warehouse.updateOne({ _id: west._id }, { priority: 5 });
+
+      const order = await placeOrder(1, { street: '1 Main St', city: 'Austin', state: 'TX', zipCode: '73301', country: 'US' });
+
+      expect(order.items[0].allocations[0].warehouse.toString()).toBe(east._id.toString());
+    });
+
+    it('should split a line across warehouses when no single one has enough', async () => {
+      const order = await placeOrder(5, { street: '1 Main St', city: 'San Diego', state: 'CA', zipCode: '92101', country: 'US' });
+
+      expect(order.items[0].allocations.map(allocation => allocation.quantity)).toEqual([2, 3]);
+
+      const product = await Product.findById(mockProduct._id);
+      expect(levelAt(product, west)).toBe(0);
+      expect(levelAt(product, east)).toBe(1);
+    });
+
+    it('should skip inactive warehouses', async () => {
+      await Warehouse.updateOne({ _id: east._id }, { isActive: false });
+
+      await expect(placeOrder(3)).rejects.toThrow('Not enough stock at active warehouses for "Desk Lamp"');
+    });
+
+    it('should return stock to its warehouse when an order is cancelled', async () => {
+      const order = await placeOrder(1, { street: '1 Main St', city: 'San Diego', state: 'CA', zipCode: '92101', country: 'US' });
+
+      await OrderService.cancelOrder(order._id.toString(), mockUser._id.toString(), 'customer');
+
+      const product = await Product.findById(mockProduct._id);
+      expect(levelAt(product, west)).toBe(2);
+      expect(product.stock).toBe(6);
+    });
+
+    it('should return backorders allocated later from the same warehouse when cancelled', async () => {
+      const kettle = await Product.create({
+        name: 'Restocking Kettle',
+        category: 'Home',
+        price: 40,
+        backorderMode: 'backorder',
+        stockLevels: [{ warehouse: west._id, quantity: 2 }],
+        createdBy: mockAdmin._id,
+      });
+
+      const order = await OrderService.createOrder(mockUser._id.toString(), {
+        items: [{ productId: kettle._id.toString(), quantity: 5 }],
+      });
+      expect(order.items[0].backorderedQuantity).toBe(3);
+
+      await WarehouseService.setStockLevel(kettle._id, null, west._id, 3, mockAdmin._id);
+      const allocated = await Order.findById(order._id);
+      expect(allocated.items[0].allocations.map(allocation => allocation.quantity)).toEqual([2, 3]);
+
+      await OrderService.cancelOrder(order._id.toString(), mockUser._id.toString(), 'customer');
+
+      const product = await Product.findById(kettle._id);
+      expect(levelAt(product, west)).toBe(5);
+      expect(product.stock).toBe(5);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import { WishlistService, DEFAULT_WISHLIST_NAME, SAVED_FOR_LATER_NAME } from '../../src/services/wishlistService.js';
+import { CartService } from '../../src/services/cartService.js';
+import { OrderService } from '../../src/services/orderService.js';
+import { ReservationService } from '../../src/services/reservationService.js';
+import { InventoryReservation } from '../../src/models/InventoryReservation.js';
+import { Wishlist } from '../../src/models/Wishlist.js';
+import { Product } from '../../src/models/Product.js';
+import { User } from '../../src/models/User.js';
+import { pubsub, EVENTS } from '../../src/config/pubsub.js';
+import { ensureTestDBConnection, clearTestCollections, closeTestDBConnection } from '../utils/testDB.js';
+
+// Mock the logger
+jest.mock('../../src/utils/logging.js', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
+  await ensureTestDBConnection();
+});
+
+afterAll(async () => {
+  await closeTestDBConnection();
+});
+
+describe('WishlistService', () => {
+  let mockUser, otherUser, mockAdmin, mockProduct;
+
+  beforeEach(async () => {
+    await clearTestCollections();
+
+    mockUser = await User.create({
+      email: 'shopper@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    otherUser = await User.create({
+      email: 'other@test.com',
+      password: 'password123',
+      role: 'customer',
+    });
+
+    mockAdmin = await User.create({
+      email: 'admin@test.com',
+      password: 'password123',
+      role: 'admin',
+    });
+
+    mockProduct = await Product.create({
+      name: 'Trail Shoes',
+      category: 'Footwear',
+      price: 80,
+      stock: 0,
+      createdBy: mockAdmin._id,
+    });
+  });
+
+  describe('Lists and items', () => {
+    it('should add products to the default list once', async () => {
+      await WishlistService.addItem(mockUser._id, mockProduct._id);
+      const wishlist = await WishlistService.addItem(mockUser._id, mockProduct._id);
+
+      expect(wishlist.name).toBe(DEFAULT_WISHLIST_NAME);
+      expect(wishlist.items).toHaveLength(1);
+      expect(await Wishlist.countDocuments({ user: mockUser._id })).toBe(1);
+    });
+
+    it('should reject duplicate list names per customer', async () => {
+      await WishlistService.createWishlist(mockUser._id, 'Birthday');
+      await WishlistService.createWishlist(otherUser._id, 'Birthday');
+
+      await expect(WishlistService.createWishlist(mockUser._id, 'Birthday'))
+        .rejects.toThrow('You already have a wishlist named "Birthday"');
+    });
+
+    it('should move items between lists', async () => {
+      const birthday = await WishlistService.createWishlist(mockUser._id, 'Birthday');
+      const wishlist = await WishlistService.addItem(mockUser._id, mockProduct._id);
+
+      const destination = await WishlistService.moveItem(mockUser._id, wishlist._id, birthday._id, mockProduct._id);
+
+      expect(destination.items).toHaveLength(1);
+      expect((await Wishlist.findById(wishlist._id)).items).toHaveLength(0);
+    });
+
+    it('should not let customers change lists of others', async () => {
+      const wishlist = await WishlistService.createWishlist(mockUser._id, 'Birthday');
+
+      await expect(WishlistService.addItem(otherUser._id, mockProduct._id, null, wishlist._id))
+        .rejects.toThrow('Wishlist not found');
+      await expect(WishlistService.deleteWishlist(wishlist._id, otherUser._id))
+        .rejects.toThrow('Wishlist not found');
+    });
+
+    it('should move cart lines to the saved-for-later list', async () => {
+      await Product.findByIdAndUpdate(mockProduct._id, { stock: 5 });
+      await CartService.addItem({ userId: mockUser._id.toString() }, mockProduct._id, 2);
+
+      const wishlist = await WishlistService.saveForLater(mockUser._id, mockProduct._id);
+
+      expect(wishlist.name).toBe(SAVED_FOR_LATER_NAME);
+      expect(wishlist.items).toHaveLength(1);
+      expect((await CartService.getCart({ userId: mockUser._id.toString() })).items).toHaveLength(0);
+    });
+  });
+
+  describe('Sharing', () => {
+    it('should find shared lists by token until unshared', async () => {
+      const wishlist = await WishlistService.createWishlist(mockUser._id, 'Birthday');
+
+      const shared = await WishlistService.shareWishlist(wishlist._id, mockUser._id);
+      expect(shared.shareToken).toMatch(/^[0-9a-f]{48}$/);
+      expect((await WishlistService.shareWishlist(wishlist._id, mockUser._id)).shareToken).toBe(shared.shareToken);
+      expect((await WishlistService.getSharedWishlist(shared.shareToken))._id).toEqual(wishlist._id);
+
+      await WishlistService.unshareWishlist(wishlist._id, mockUser._id);
+      expect(await WishlistService.getSharedWishlist(shared.shareToken)).toBeNull();
+    });
+  });
+
+  describe('Alerts', () => {
+    it('should alert customers when a wishlisted product is restocked and repriced', async () => {
+      await WishlistService.addItem(mockUser._id, mockProduct._id);
+      const birthday = await WishlistService.createWishlist(mockUser._id, 'Birthday');
+      await WishlistService.addItem(mockUser._id, mockProduct._id, null, birthday._id);
+
+      const published = [];
+      const subscription = await pubsub.subscribe(EVENTS.WISHLIST_ALERT, (payload) => published.push(payload.wishlistAlert));
+
+      const product = await Product.findById(mockProduct._id);
+      const before = WishlistService.availabilitySnapshot(product);
+      product.stock = 3;
+      product.price = 60;
+      await product.save();
+
+      const alerts = await WishlistService.notifyProductChange(before, product);
+      pubsub.unsubscribe(subscription);
+
+      // One alert per customer and kind of change, however many lists hold the product
+      expect(alerts.map(alert => alert.type).sort()).toEqual(['back_in_stock', 'price_drop']);
+      expect(alerts.find(alert => alert.type === 'price_drop')).toMatchObject({ previousPrice: 80, price: 60 });
+      expect(published).toHaveLength(2);
+    });
+
+    it('should not alert when nothing customers care about changed', async () => {
+      await WishlistService.addItem(mockUser._id, mockProduct._id);
+
+      const product = await Product.findById(mockProduct._id);
+      const before = WishlistService.availabilitySnapshot(product);
+      product.price = 90;
+      await product.save();
+
+      expect(await WishlistService.notifyProductChange(before, product)).toEqual([]);
+    });
+
+    describe('when stock is given back', () => {
+      let published, subscription;
+
+      beforeEach(async () => {
+        await WishlistService.addItem(mockUser._id, mockProduct._id);
+        published = [];
+        subscription = await pubsub.subscribe(EVENTS.WISHLIST_ALERT, (payload) => published.push(payload.wishlistAlert));
+      });
+
+      afterEach(() => {
+        pubsub.unsubscribe(subscription);
+      });
+
+      it('should alert when a cancelled order restores stock', async () => {
+        await OrderService.restoreStock(mockProduct._id, 2);
+
+        expect(published.map(alert => alert.type)).toEqual(['back_in_stock']);
+
+        // Restoring more stock to a product already in stock alerts no one
+        await OrderService.restoreStock(mockProduct._id, 1);
+        expect(published).toHaveLength(1);
+      });
+
+      it('should alert when an expired reservation is released', async () => {
+        await Product.updateOne({ _id: mockProduct._id }, { stock: 2, reservedStock: 2 });
+        await InventoryReservation.create({
+          cart: mockUser._id,
+          product: mockProduct._id,
+          quantity: 2,
+          expiresAt: new Date(Date.now() - 1000),
+        });
+
+        await ReservationService.releaseExpired();
+
+        expect(published.map(alert => alert.type)).toEqual(['back_in_stock']);
+      });
+    });
+  });
+});
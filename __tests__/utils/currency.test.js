@@ -0,0 +1,71 @@
+import {
+  roundCurrency,
+  allocateAmount,
+  toMinorUnits,
+  fromMinorUnits,
+  sumAmounts,
+  multiplyAmount
+} from '../../src/utils/currency.js';
+
+describe('Currency Utils', () => {
+  describe('roundCurrency', () => {
+    it('should round to whole cents', () => {
+      expect(roundCurrency(10.005)).toBe(10.01);
+      expect(roundCurrency(0.1 + 0.2)).toBe(0.3);
+      expect(roundCurrency(199.98)).toBe(199.98);
+    });
+  });
+
+  describe('toMinorUnits', () => {
+    it('should convert amounts to whole cents', () => {
+      expect(toMinorUnits(19.99)).toBe(1999);
+      expect(toMinorUnits(1.005)).toBe(101);
+      expect(toMinorUnits(0.1 + 0.2)).toBe(30);
+      expect(fromMinorUnits(1999)).toBe(19.99);
+    });
+  });
+
+  describe('sumAmounts', () => {
+    it('should add amounts without float artifacts', () => {
+      expect(sumAmounts([0.1, 0.2])).toBe(0.3);
+      expect(sumAmounts([19.99, 5.01, 0.7])).toBe(25.7);
+    });
+
+    it('should subtract negative amounts', () => {
+      expect(sumAmounts([100, -33.33, 4.99])).toBe(71.66);
+    });
+
+    it('should return zero for no amounts', () => {
+      expect(sumAmounts([])).toBe(0);
+    });
+  });
+
+  describe('multiplyAmount', () => {
+    it('should multiply an amount by a quantity exactly', () => {
+      expect(multiplyAmount(19.99, 3)).toBe(59.97);
+      expect(multiplyAmount(0.1, 3)).toBe(0.3);
+    });
+  });
+
+  describe('allocateAmount', () => {
+    it('should split an amount in proportion to weights', () => {
+      expect(allocateAmount(10, [40, 60])).toEqual([4, 6]);
+    });
+
+    it('should give the rounding remainder to the last weighted part', () => {
+      const parts = allocateAmount(10, [1, 1, 1]);
+
+      expect(parts).toEqual([3.33, 3.33, 3.34]);
+      expect(roundCurrency(parts.reduce((total, part) => total + part, 0))).toBe(10);
+    });
+
+    it('should skip zero weights', () => {
+      expect(allocateAmount(5, [0, 20, 0])).toEqual([0, 5, 0]);
+    });
+
+    it('should return zeros when there is nothing to allocate to', () => {
+      expect(allocateAmount(5, [0, 0])).toEqual([0, 0]);
+      expect(allocateAmount(5, [])).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import { GraphQLError } from 'graphql';
+import { encodeCursor, decodeCursor, cursorFilter, pageWindow, paginateQuery } from '../../src/utils/pagination.js';
+
+// Evaluate the query conditions paginateQuery builds against a plain object
+const matches = (item, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$and') return condition.every(part => matches(item, part));
+  if (key === '$or') return condition.some(part => matches(item, part));
+  if (key === '$nor') return !condition.some(part => matches(item, part));
+
+  const value = item[key] ?? null;
+  if (condition === null || typeof condition !== 'object') return value === condition;
+  return Object.entries(condition).every(([operator, operand]) => ({
+    $gt: () => value !== null && value > operand,
+    $lt: () => value !== null && value < operand,
+    $ne: () => value !== operand,
+  })[operator]());
+});
+
+// Compare like MongoDB, missing values first
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return a < b ? -1 : 1;
+};
+
+const findIn = (items) => async (filter, sort, limit) => items
+  .filter(item => matches(item, filter))
+  .sort((a, b) => Object.entries(sort).reduce(
+    (result, [path, order]) => result || compare(a[path] ?? null, b[path] ?? null) * order, 0
+  ))
+  .slice(0, limit);
+
+describe('Pagination Utils', () => {
+  const id = '507f1f77bcf86cd799439011';
+
+  describe('encodeCursor and decodeCursor', () => {
+    it('should round-trip the sort value and ID', () => {
+      expect(decodeCursor(encodeCursor('PRICE_ASC', 1999, id), 'PRICE_ASC')).toEqual({ value: 1999, id });
+      expect(decodeCursor(encodeCursor('NAME_ASC', undefined, id), 'NAME_ASC')).toEqual({ value: null, id });
+    });
+
+    it('should restore dates', () => {
+      const createdAt = new Date('2024-05-01T10:00:00Z');
+      const { value } = decodeCursor(encodeCursor('CREATED_AT_DESC', createdAt, id), 'CREATED_AT_DESC');
+
+      expect(value).toEqual(createdAt);
+    });
+
+    it('should reject malformed cursors and cursors of another ordering', () => {
+      const priceCursor = encodeCursor('PRICE_ASC', 1999, id);
+
+      expect(() => decodeCursor(priceCursor, 'PRICE_DESC')).toThrow(GraphQLError);
+      expect(() => decodeCursor('not-a-cursor', 'PRICE_ASC')).toThrow('Invalid cursor format');
+      expect(() => decodeCursor(Buffer.from(id).toString('base64'), 'PRICE_ASC')).toThrow('Invalid cursor format');
+    });
+  });
+
+  describe('cursorFilter', () => {
+    it('should continue after the cursor in ascending order', () => {
+      expect(cursorFilter('price', 1, { value: 1999, id })).toEqual({
+        $or: [
+          { price: { $gt: 1999 } },
+          { price: 1999, _id: { $gt: id } }
+        ]
+      });
+    });
+
+    it('should put missing values last in descending order', () => {
+      expect(cursorFilter('averageRating', -1, { value: 4.5, id })).toEqual({
+        $or: [
+          { averageRating: { $lt: 4.5 } },
+          { averageRating: 4.5, _id: { $lt: id } },
+          { averageRating: null }
+        ]
+      });
+    });
+
+    it('should continue from a missing value', () => {
+      expect(cursorFilter('popularity.week', 1, { value: null, id })).toEqual({
+        $or: [
+          { 'popularity.week': null, _id: { $gt: id } },
+          { 'popularity.week': { $ne: null } }
+        ]
+      });
+      expect(cursorFilter('popularity.week', -1, { value: null, id })).toEqual({
+        'popularity.week': null,
+        _id: { $lt: id }
+      });
+    });
+  });
+
+  describe('pageWindow', () => {
+    it('should read forwards by default and backwards with last', () => {
+      expect(pageWindow({})).toEqual({ limit: 20, backward: false });
+      expect(pageWindow({ first: 5 })).toEqual({ limit: 5, backward: false });
+      expect(pageWindow({ last: 5 })).toEqual({ limit: 5, backward: true });
+      expect(() => pageWindow({ first: 5, last: 5 })).toThrow(GraphQLError);
+    });
+  });
+
+  describe('paginateQuery', () => {
+    // Ratings with ties and a missing value, ordered best first: a, then
+    // the ties d, c, b by ID, then f and e
+    const items = ['a', 'b', 'c', 'd', 'e', 'f'].map((letter, index) => ({
+      _id: `507f1f77bcf86cd79943901${index}`,
+      name: letter,
+      rating: [5, 4, 4, 4, null, 2][index]
+    }));
+    const options = {
+      ordering: 'RATING_DESC',
+      path: 'rating',
+      direction: -1,
+      cursorValue: item => item.rating,
+      find: findIn(items)
+    };
+    const names = (page) => page.edges.map(edge => edge.node.name).join('');
+
+    it('should page forwards through ties and missing values', async () => {
+      const first = await paginateQuery({ first: 2 }, options);
+      const second = await paginateQuery({ first: 2, after: first.pageInfo.endCursor }, options);
+      const third = await paginateQuery({ first: 2, after: second.pageInfo.endCursor }, options);
+
+      expect([names(first), names(second), names(third)]).toEqual(['ad', 'cb', 'fe']);
+      expect(first.pageInfo).toMatchObject({ hasPreviousPage: false, hasNextPage: true });
+      expect(second.pageInfo).toMatchObject({ hasPreviousPage: true, hasNextPage: true });
+      expect(third.pageInfo).toMatchObject({ hasPreviousPage: true, hasNextPage: false });
+    });
+
+    it('should page backwards from the end and from a cursor', async () => {
+      const last = await paginateQuery({ last: 4 }, options);
+      const before = await paginateQuery({ last: 4, before: last.pageInfo.startCursor }, options);
+
+      expect(names(last)).toBe('cbfe');
+      expect(last.pageInfo).toMatchObject({ hasPreviousPage: true, hasNextPage: false });
+      expect(names(before)).toBe('ad');
+      expect(before.pageInfo).toMatchObject({ hasPreviousPage: false, hasNextPage: true });
+    });
+
+    it('should return the items between two cursors', async () => {
+      const all = await paginateQuery({ first: 6 }, options);
+      const cursors = all.edges.map(edge => edge.cursor);
+
+      const between = await paginateQuery({ after: cursors[0], before: cursors[4] }, options);
+
+      expect(names(between)).toBe('dcb');
+    });
+
+    it('should order by ID alone', async () => {
+      const byId = { ordering: 'NEWEST', direction: -1, find: findIn(items) };
+
+      const first = await paginateQuery({ first: 4 }, byId);
+      const second = await paginateQuery({ first: 4, after: first.pageInfo.endCursor }, byId);
+
+      expect(names(first)).toBe('fedc');
+      expect(names(second)).toBe('ba');
+    });
+  });
+});
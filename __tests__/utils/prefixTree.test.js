@@ -0,0 +1,36 @@
+import { PrefixTree } from '../../src/utils/prefixTree.js';
+
+describe('PrefixTree', () => {
+  let tree, headphones, headset, mouse;
+
+  beforeEach(() => {
+    tree = new PrefixTree();
+    headphones = { type: 'product', text: 'Wireless Headphones' };
+    headset = { type: 'product', text: 'Gaming Headset' };
+    mouse = { type: 'product', text: 'Wireless Mouse' };
+    [headphones, headset, mouse].forEach(entry => tree.add(entry));
+  });
+
+  it('should find entries by the start of any word', () => {
+    expect(tree.find('head')).toEqual(expect.arrayContaining([headphones, headset]));
+    expect(tree.find('head')).toHaveLength(2);
+    expect(tree.find('Wire')).toEqual(expect.arrayContaining([headphones, mouse]));
+  });
+
+  it('should match several words in order', () => {
+    expect(tree.find('wireless  hea')).toEqual([headphones]);
+    expect(tree.find('headphones wireless')).toEqual([]);
+  });
+
+  it('should return each entry once', () => {
+    tree.add({ type: 'query', text: 'head head' });
+
+    expect(tree.find('head')).toHaveLength(3);
+    expect(tree.size).toBe(4);
+  });
+
+  it('should not match the middle of words or empty prefixes', () => {
+    expect(tree.find('phones')).toEqual([]);
+    expect(tree.find(' - ')).toEqual([]);
+  });
+});
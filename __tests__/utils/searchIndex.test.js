@@ -0,0 +1,98 @@
+import {
+  SearchIndex,
+  tokenize,
+  editDistance,
+  maxTypos
+} from '../../src/utils/searchIndex.js';
+
+describe('Search Index Utils', () => {
+  describe('tokenize', () => {
+    it('should split text into lowercase words without accents', () => {
+      expect(tokenize('Café Crème, 2-Pack!')).toEqual(['cafe', 'creme', '2', 'pack']);
+      expect(tokenize(undefined)).toEqual([]);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count edits including swapped letters', () => {
+      expect(editDistance('hedphones', 'headphones')).toBe(1);
+      expect(editDistance('haedphones', 'headphones')).toBe(1);
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+    });
+
+    it('should stop counting past the maximum', () => {
+      expect(editDistance('kitten', 'sitting', 1)).toBe(2);
+      expect(editDistance('tv', 'television', 2)).toBe(3);
+    });
+
+    it('should tolerate more typos in longer words', () => {
+      expect(maxTypos('tv')).toBe(0);
+      expect(maxTypos('mouse')).toBe(1);
+      expect(maxTypos('headphones')).toBe(2);
+    });
+  });
+
+  describe('SearchIndex', () => {
+    let index;
+
+    beforeEach(() => {
+      index = new SearchIndex();
+      index.add('headphones', {
+        name: 'Wireless Headphones',
+        category: 'Audio',
+        description: 'Noise cancelling headphones'
+      });
+      index.add('headset', {
+        name: 'Gaming Headset',
+        category: 'Gaming',
+        description: 'Comfortable headphones with a microphone'
+      });
+      index.add('tv', {
+        name: 'Smart Television',
+        category: 'Video',
+        description: '55 inch screen'
+      });
+    });
+
+    it('should rank name matches above description matches', () => {
+      const results = index.search('headphones');
+
+      expect(results.map(result => result.id)).toEqual(['headphones', 'headset']);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    it('should find words with typos and by prefix', () => {
+      expect(index.search('hedphones')[0].id).toBe('headphones');
+      expect(index.search('televsion')[0].id).toBe('tv');
+      expect(index.search('tele')[0].id).toBe('tv');
+    });
+
+    it('should not correct short words', () => {
+      expect(index.search('tb')).toEqual([]);
+    });
+
+    it('should match synonyms', () => {
+      expect(index.search('tv')).toEqual([]);
+
+      index.setSynonyms([['tv', 'television']]);
+
+      expect(index.search('tv')[0].id).toBe('tv');
+    });
+
+    it('should rank documents matching more of the query higher', () => {
+      const results = index.search('wireless headphones');
+
+      expect(results[0].id).toBe('headphones');
+      expect(results.map(result => result.id)).toContain('headset');
+    });
+
+    it('should update and remove documents', () => {
+      index.add('tv', { name: 'Projector', category: 'Video', description: '' });
+      expect(index.search('television')).toEqual([]);
+
+      index.remove('headphones');
+      expect(index.search('wireless')).toEqual([]);
+      expect(index.size).toBe(2);
+    });
+  });
+});
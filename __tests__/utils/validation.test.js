@@ -138,6 +138,12 @@ describe('Validation Utils', () => {
       // Note: 0 is falsy so validation doesn't run, which is correct behavior
     });
 
+    it('should validate last and reject combining it with first', () => {
+      expect(() => validatePaginationArgs(undefined, undefined, 10, 'dGVzdA==')).not.toThrow();
+      expect(() => validatePaginationArgs(undefined, undefined, 101)).toThrow('Last argument must be between 1 and 100');
+      expect(() => validatePaginationArgs(10, undefined, 10)).toThrow('Cannot paginate with both first and last');
+    });
+
     it('should not throw for any cursor (current implementation is basic)', () => {
       // Current implementation only checks if buffer conversion returns something
       // which it always does, so no validation errors are thrown
@@ -0,0 +1,35 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { CategoryService } from '../src/services/categoryService.js';
+
+// Load environment variables
+dotenv.config();
+
+// Category names like "Electronics > Phones" become nested categories.
+// Products already in the taxonomy and coupons already scoped by category ID
+// are left alone, so the migration can be rerun.
+const migrateCategories = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/graphmarket');
+    console.log('Connected to MongoDB for migration');
+
+    const { categoryNames, products } = await CategoryService.migrateProductCategories();
+    console.log(`Moved ${products} products with ${categoryNames} category names into the taxonomy`);
+
+    const { coupons } = await CategoryService.migrateCouponCategories();
+    console.log(`Scoped ${coupons} coupons by category ID`);
+
+    console.log('\n✅ Product and coupon categories migrated');
+
+  } catch (error) {
+    console.error('Error migrating categories:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed');
+    process.exit();
+  }
+};
+
+migrateCategories();
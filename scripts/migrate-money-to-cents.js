@@ -0,0 +1,130 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+// Load environment variables
+dotenv.config();
+
+// Amount in cents, leaving missing and null values alone
+const cents = (path) => ({
+  $cond: [{ $isNumber: path }, { $round: [{ $multiply: [path, 100] }, 0] }, path]
+});
+
+// Map every element of an array (given as an expression) through `update`,
+// which returns the fields to replace for `$$<as>`
+const mapArray = (input, as, update) => ({
+  $map: {
+    input: { $ifNull: [input, []] },
+    as,
+    in: { $mergeObjects: [`$$${as}`, update] }
+  }
+});
+
+// Convert the listed amount fields of every element in an array field
+const centsInArray = (field, amountFields) => mapArray(
+  `$${field}`,
+  'entry',
+  Object.fromEntries(amountFields.map(amountField => [amountField, cents(`$$entry.${amountField}`)]))
+);
+
+// Each step runs once; amounts must only be multiplied once. Steps are
+// recorded separately so databases migrated before a step existed still get it.
+const STEPS = [
+  {
+    name: 'money-to-cents',
+    async run(db) {
+      const products = await db.collection('products').updateMany({}, [
+        {
+          $set: {
+            price: cents('$price'),
+            prices: centsInArray('prices', ['amount']),
+            variants: centsInArray('variants', ['price'])
+          }
+        }
+      ]);
+      console.log(`Converted ${products.modifiedCount} products`);
+
+      const orders = await db.collection('orders').updateMany({}, [
+        {
+          $set: {
+            items: centsInArray('items', ['price', 'discount', 'tax']),
+            discounts: centsInArray('discounts', ['amount']),
+            taxLines: centsInArray('taxLines', ['amount']),
+            subtotal: cents('$subtotal'),
+            discountTotal: cents('$discountTotal'),
+            shippingCost: cents('$shippingCost'),
+            tax: cents('$tax'),
+            totalAmount: cents('$totalAmount')
+          }
+        }
+      ]);
+      await db.collection('orders').updateMany({ payment: { $type: 'object' } }, [
+        {
+          $set: {
+            'payment.amount': cents('$payment.amount'),
+            'payment.refundedAmount': cents('$payment.refundedAmount')
+          }
+        }
+      ]);
+      console.log(`Converted ${orders.modifiedCount} orders`);
+    }
+  },
+  {
+    name: 'money-to-cents-coupons-refunds-shipping',
+    async run(db) {
+      const coupons = await db.collection('coupons').updateMany({}, [
+        { $set: { value: cents('$value'), minOrderValue: cents('$minOrderValue') } }
+      ]);
+      console.log(`Converted ${coupons.modifiedCount} coupons`);
+
+      const refunds = await db.collection('refunds').updateMany({}, [
+        { $set: { amount: cents('$amount'), items: centsInArray('items', ['amount']) } }
+      ]);
+      console.log(`Converted ${refunds.modifiedCount} refunds`);
+
+      const shippingMethods = await db.collection('shippingmethods').updateMany({}, [
+        {
+          $set: {
+            zones: mapArray('$zones', 'zone', {
+              rates: mapArray('$$zone.rates', 'rate', { price: cents('$$rate.price') }),
+              freeShippingThreshold: cents('$$zone.freeShippingThreshold')
+            })
+          }
+        }
+      ]);
+      console.log(`Converted ${shippingMethods.modifiedCount} shipping methods`);
+    }
+  }
+];
+
+const migrateMoney = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/graphmarket');
+    console.log('Connected to MongoDB for migration');
+
+    const db = mongoose.connection.db;
+    const migrations = db.collection('migrations');
+
+    for (const step of STEPS) {
+      if (await migrations.findOne({ name: step.name })) {
+        console.log(`Migration "${step.name}" already applied, nothing to do`);
+        continue;
+      }
+
+      await step.run(db);
+      await migrations.insertOne({ name: step.name, appliedAt: new Date() });
+    }
+
+    console.log('\n✅ Money amounts migrated to cents');
+
+  } catch (error) {
+    console.error('Error migrating money amounts:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed');
+    process.exit();
+  }
+};
+
+migrateMoney();
@@ -0,0 +1,46 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { InventoryService } from '../src/services/inventoryService.js';
+
+// Load environment variables
+dotenv.config();
+
+// With --fix, correction movements are recorded so the ledger matches stock.
+// Run it once with --fix to start the ledger for products created before it existed.
+const correct = process.argv.includes('--fix');
+
+const reconcileInventory = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/graphmarket');
+    console.log('Connected to MongoDB for reconciliation');
+
+    const discrepancies = await InventoryService.reconcile({ correct });
+
+    for (const discrepancy of discrepancies) {
+      const holder = discrepancy.variant
+        ? `${discrepancy.product} (variant ${discrepancy.variant})`
+        : `${discrepancy.product}`;
+      console.log(`${holder}: stock ${discrepancy.stock}, ledger ${discrepancy.ledgerStock}`);
+    }
+
+    if (discrepancies.length === 0) {
+      console.log('\n✅ Inventory ledger matches stock');
+    } else if (correct) {
+      console.log(`\n✅ Recorded corrections for ${discrepancies.length} discrepancies`);
+    } else {
+      console.log(`\n⚠️  Found ${discrepancies.length} discrepancies, run with --fix to correct the ledger`);
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    console.error('Error reconciling inventory:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed');
+    process.exit();
+  }
+};
+
+reconcileInventory();
@@ -2,6 +2,8 @@ import dotenv from 'dotenv';
 import mongoose from 'mongoose';
 import { User } from '../src/models/User.js';
 import { Product } from '../src/models/Product.js';
+import { Category } from '../src/models/Category.js';
+import { CategoryService } from '../src/services/categoryService.js';
 
 // Load environment variables
 dotenv.config();
@@ -15,6 +17,7 @@ const seedDatabase = async () => {
     // Clear existing data
     await User.deleteMany({});
     await Product.deleteMany({});
+    await Category.deleteMany({});
     console.log('Cleared existing data');
 
     // Create admin user
@@ -87,7 +90,8 @@ const seedDatabase = async () => {
     ];
 
     await Product.insertMany(products);
-    console.log('Created sample products');
+    await CategoryService.migrateProductCategories();
+    console.log('Created sample products and categories');
 
     console.log('\n✅ Database seeded successfully!');
     console.log('\nAdmin credentials:');
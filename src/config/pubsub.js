@@ -0,0 +1,13 @@
+import { PubSub } from 'graphql-subscriptions';
+
+// In-process PubSub engine for GraphQL subscriptions.
+// Swap for a Redis-backed engine when running more than one API instance.
+export const pubsub = new PubSub();
+
+// Subscription event names
+export const EVENTS = {
+  ORDER_STATUS_UPDATED: 'ORDER_STATUS_UPDATED',
+  NEW_ORDER: 'NEW_ORDER',
+  PRODUCT_LOW_STOCK: 'PRODUCT_LOW_STOCK',
+  WISHLIST_ALERT: 'WISHLIST_ALERT',
+};
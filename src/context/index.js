@@ -5,6 +5,82 @@ import { createDataLoaders } from '../services/dataLoaders.js';
 import { userSessionCache } from '../services/userSessionCache.js';
 import { performanceLogger } from '../utils/logging.js';
 
+/**
+ * Resolve the user behind a bearer token, using the session cache when possible.
+ * Throws if the token cannot be verified.
+ */
+const authenticateToken = async (token, session = {}) => {
+  // Create token hash for caching
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  
+  // Try to get cached token validation
+  let cachedValidation = await userSessionCache.getTokenValidation(tokenHash);
+  
+  if (cachedValidation) {
+    // Use cached validation
+    const user = await User.findById(cachedValidation.userId).select('-password');
+    
+    performanceLogger?.debug('Used cached token validation', {
+      userId: cachedValidation.userId,
+      tokenHash: tokenHash.substring(0, 8) + '...',
+    });
+
+    return user;
+  }
+
+  // Verify token and cache result
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(decoded.userId).select('-password');
+  
+  if (user) {
+    // Cache token validation
+    await userSessionCache.setTokenValidation(tokenHash, {
+      userId: user._id.toString(),
+      role: user.role,
+      isAdmin: user.role === 'admin',
+    });
+    
+    // Cache user profile if not already cached
+    const cachedProfile = await userSessionCache.getUserProfile(user._id.toString());
+    if (!cachedProfile) {
+      await userSessionCache.setUserProfile(user._id.toString(), user.toObject());
+    }
+    
+    // Update user session
+    await userSessionCache.setUserSession(user._id.toString(), session);
+  }
+
+  return user;
+};
+
+/**
+ * Build the resolver context shared by HTTP and WebSocket operations
+ */
+const buildContext = (user, extras = {}) => {
+  // Create DataLoaders for this request
+  const dataLoaders = createDataLoaders();
+  
+  // If we have a valid user, prime the user loader
+  if (user) {
+    dataLoaders.prime('user', user._id.toString(), user);
+  }
+
+  return {
+    ...extras,
+    user,
+    isAuthenticated: !!user,
+    isAdmin: user?.role === 'admin',
+    isCustomer: user?.role === 'customer',
+    userId: user?._id?.toString(),
+    
+    // DataLoaders for efficient data fetching
+    dataLoaders,
+    
+    // Caching services
+    userSessionCache,
+  };
+};
+
 export const createContext = async ({ req }) => {
   const startTime = Date.now();
   let user = null;
@@ -15,47 +91,11 @@ export const createContext = async ({ req }) => {
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
       
-      // Create token hash for caching
-      const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-      
-      // Try to get cached token validation
-      let cachedValidation = await userSessionCache.getTokenValidation(tokenHash);
-      
-      if (cachedValidation) {
-        // Use cached validation
-        user = await User.findById(cachedValidation.userId).select('-password');
-        
-        performanceLogger?.debug('Used cached token validation', {
-          userId: cachedValidation.userId,
-          tokenHash: tokenHash.substring(0, 8) + '...',
-        });
-      } else {
-        // Verify token and cache result
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        user = await User.findById(decoded.userId).select('-password');
-        
-        if (user) {
-          // Cache token validation
-          await userSessionCache.setTokenValidation(tokenHash, {
-            userId: user._id.toString(),
-            role: user.role,
-            isAdmin: user.role === 'admin',
-          });
-          
-          // Cache user profile if not already cached
-          const cachedProfile = await userSessionCache.getUserProfile(user._id.toString());
-          if (!cachedProfile) {
-            await userSessionCache.setUserProfile(user._id.toString(), user.toObject());
-          }
-          
-          // Update user session
-          await userSessionCache.setUserSession(user._id.toString(), {
-            ipAddress: req.ip,
-            userAgent: req.get('User-Agent'),
-            lastRequest: req.originalUrl,
-          });
-        }
-      }
+      user = await authenticateToken(token, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        lastRequest: req.originalUrl,
+      });
     }
   } catch (error) {
     // Token is invalid - user remains null
@@ -70,14 +110,6 @@ export const createContext = async ({ req }) => {
     }
   }
   
-  // Create DataLoaders for this request
-  const dataLoaders = createDataLoaders();
-  
-  // If we have a valid user, prime the user loader
-  if (user) {
-    dataLoaders.prime('user', user._id.toString(), user);
-  }
-  
   const duration = Date.now() - startTime;
   
   // Log context creation performance
@@ -89,24 +121,51 @@ export const createContext = async ({ req }) => {
     });
   }
 
-  return {
+  return buildContext(user, {
     req,
-    user,
-    isAuthenticated: !!user,
-    isAdmin: user?.role === 'admin',
-    isCustomer: user?.role === 'customer',
-    userId: user?._id?.toString(),
-    
-    // DataLoaders for efficient data fetching
-    dataLoaders,
-    
-    // Caching services
-    userSessionCache,
     
     // Performance tracking
     performance: {
       contextCreationTime: duration,
       requestStartTime: startTime,
     },
-  };
-}; 
\ No newline at end of file
+  });
+};
+
+/**
+ * Context factory for graphql-ws subscriptions.
+ * Clients send the token in connectionParams as `authorization: "Bearer <token>"`.
+ */
+export const createSubscriptionContext = async (ctx) => {
+  const startTime = Date.now();
+  const params = ctx.connectionParams || {};
+  const authHeader = params.authorization || params.Authorization;
+  const request = ctx.extra?.request;
+  const ip = request?.socket?.remoteAddress;
+  let user = null;
+
+  try {
+    if (typeof authHeader === 'string' && authHeader.startsWith('Bearer ')) {
+      user = await authenticateToken(authHeader.substring(7), {
+        ipAddress: ip,
+        userAgent: request?.headers?.['user-agent'],
+        lastRequest: 'subscription',
+      });
+    }
+  } catch (error) {
+    performanceLogger?.warn('Subscription authentication error', {
+      error: error.message,
+      ip,
+    });
+
+    await userSessionCache.trackFailedAttempt('token_verification', ip);
+  }
+
+  return buildContext(user, {
+    connectionParams: params,
+    performance: {
+      contextCreationTime: Date.now() - startTime,
+      requestStartTime: startTime,
+    },
+  });
+};
@@ -1,6 +1,9 @@
 import { ApolloServer } from '@apollo/server';
 import { expressMiddleware } from '@apollo/server/express4';
 import { ApolloServerPluginDrainHttpServer } from '@apollo/server/plugin/drainHttpServer';
+import { makeExecutableSchema } from '@graphql-tools/schema';
+import { WebSocketServer } from 'ws';
+import { useServer } from 'graphql-ws/lib/use/ws';
 import express from 'express';
 import http from 'http';
 import cors from 'cors';
@@ -11,18 +14,44 @@ import { connectDB } from './config/database.js';
 import { connectRedis } from './config/redis.js';
 import { typeDefs } from './schema/index.js';
 import { resolvers } from './resolvers/index.js';
-import { createContext } from './context/index.js';
+import { createContext, createSubscriptionContext } from './context/index.js';
 import { generalLimiter, createGraphQLRateLimiter } from './middleware/rateLimiting.js';
+import { queryLimitsPlugin, createSubscriptionValidation } from './middleware/queryComplexity.js';
 import { requestLogger, requestIdMiddleware } from './utils/logging.js';
+import paymentRoutes from './routes/payments.js';
+import { PaymentService } from './services/paymentService.js';
+import { ReservationService } from './services/reservationService.js';
+import { InventoryService } from './services/inventoryService.js';
+import { PopularityService } from './services/popularityService.js';
+import { SearchService } from './services/searchService.js';
+import { SuggestionService } from './services/suggestionService.js';
 
 // Load environment variables
 dotenv.config();
 
 async function startServer() {
+  // Refuse to start production with the development payment setup
+  PaymentService.assertConfigured();
+
   // Connect to databases
   await connectDB();
   await connectRedis();
 
+  // Give back stock held by checkout reservations that ran out
+  ReservationService.startSweeper();
+
+  // Periodically check stock against the inventory ledger
+  InventoryService.startReconciliation();
+
+  // Keep product popularity rankings up to date
+  PopularityService.startRanking();
+
+  // Build the product search index and keep it in step with other instances
+  SearchService.startIndexing();
+
+  // Keep search box suggestions up to date
+  SuggestionService.startRefreshing();
+
   // Create Express app
   const app = express();
   const httpServer = http.createServer(app);
@@ -44,11 +73,39 @@ async function startServer() {
   // General rate limiting
   app.use(generalLimiter);
 
+  // Shared executable schema for HTTP and WebSocket transports
+  const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+  // GraphQL subscriptions over WebSockets (graphql-ws protocol)
+  const wsServer = new WebSocketServer({
+    server: httpServer,
+    path: '/graphql',
+  });
+  const wsServerCleanup = useServer({
+    schema,
+    context: createSubscriptionContext,
+    // Same depth and complexity limits as HTTP operations
+    onSubscribe: createSubscriptionValidation(schema),
+  }, wsServer);
+
   // Create Apollo Server
   const server = new ApolloServer({
-    typeDefs,
-    resolvers,
-    plugins: [ApolloServerPluginDrainHttpServer({ httpServer })],
+    schema,
+    plugins: [
+      ApolloServerPluginDrainHttpServer({ httpServer }),
+      // Reject operations over the depth or complexity limits
+      queryLimitsPlugin,
+      // Close open WebSocket connections on shutdown
+      {
+        async serverWillStart() {
+          return {
+            async drainServer() {
+              await wsServerCleanup.dispose();
+            },
+          };
+        },
+      },
+    ],
     introspection: process.env.NODE_ENV !== 'production',
     csrfPrevention: true,
     formatError: (error) => {
@@ -102,6 +159,9 @@ async function startServer() {
     })
   );
 
+  // Payment provider callbacks
+  app.use('/payments', paymentRoutes);
+
   // Health check endpoint
   app.get('/health', (req, res) => {
     res.status(200).json({ 
@@ -116,6 +176,7 @@ async function startServer() {
   await new Promise((resolve) => httpServer.listen({ port: PORT }, resolve));
   
   console.log(`🚀 Server ready at http://localhost:${PORT}/graphql`);
+  console.log(`📡 Subscriptions ready at ws://localhost:${PORT}/graphql`);
   console.log(`🏥 Health check available at http://localhost:${PORT}/health`);
 }
 
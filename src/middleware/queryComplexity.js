@@ -1,8 +1,14 @@
-import { createComplexityLimitRule } from 'graphql-query-complexity';
+import { createRequire } from 'module';
+import path from 'path';
 import depthLimit from 'graphql-depth-limit';
-import { GraphQLError } from 'graphql';
+import { GraphQLError, parse, validate } from 'graphql';
 import { performanceLogger } from '../utils/logging.js';
 
+// Required rather than imported: the package's ES module build loads its own
+// copy of graphql, which cannot work with the schema built here. Resolved from
+// the working directory, the project root (as for .env).
+const { createComplexityRule } = createRequire(path.join(process.cwd(), 'package.json'))('graphql-query-complexity');
+
 /**
  * GraphQL Query Complexity and Depth Analysis
  * Prevents expensive queries and potential DoS attacks
@@ -36,105 +42,102 @@ const typeComplexityMap = {
 };
 
 /**
- * Custom complexity analysis function
+ * Estimated cost of one field, given its arguments and the cost of its selections
  */
-const createComplexityAnalysis = () => {
-  return createComplexityLimitRule(1000, {
+const estimateFieldComplexity = ({ field, args, childComplexity }) => {
+  const fieldName = field.name;
+  let complexity = typeComplexityMap.scalar;
+
+  // Determine base complexity based on field characteristics
+  if (field.type.toString().includes('[')) {
+    // List fields
+    complexity = typeComplexityMap.list;
+
+    // Factor in pagination arguments
+    if (args.first || args.limit) {
+      const limit = args.first || args.limit || 10;
+      complexity = Math.min(complexity * Math.ceil(limit / 10), 50);
+    }
+  } else if (field.type.toString().includes('!')) {
+    // Required fields (likely important data)
+    complexity = typeComplexityMap.object;
+  }
+
+  // Field-specific complexity adjustments
+  switch (fieldName) {
+    case 'products':
+    case 'orders':
+    case 'users':
+      complexity = typeComplexityMap.paginatedList;
+      break;
+
+    case 'searchProducts':
+      complexity = typeComplexityMap.search;
+      break;
+
+    case 'orderStats':
+    case 'productCategories':
+    case 'popularProducts':
+      complexity = typeComplexityMap.analytics;
+      break;
+
+    case 'allOrders':
+    case 'updateUserRole':
+      complexity = typeComplexityMap.admin;
+      break;
+
+    case 'createdBy':
+    case 'user':
+    case 'items':
+      complexity = typeComplexityMap.populated;
+      break;
+  }
+
+  // Add child complexity
+  const totalComplexity = complexity + childComplexity;
+
+  // Log high complexity fields for monitoring
+  if (totalComplexity > 50) {
+    performanceLogger.debug('High complexity field detected', {
+      fieldName,
+      fieldComplexity: complexity,
+      childComplexity,
+      totalComplexity,
+      args,
+    });
+  }
+
+  return totalComplexity;
+};
+
+/**
+ * Custom complexity analysis rule. Arguments given as variables are only
+ * known with the operation's `variables`.
+ */
+const createComplexityAnalysis = ({ variables, operationName } = {}) => {
+  return createComplexityRule({
     maximumComplexity: 1000,
-    
-    // Introspection queries should have lower limits
-    introspection: true,
-    
-    // Custom complexity calculation
-    estimators: [
-      // Field-level complexity estimation
-      {
-        createEstimator: ({ type, field }) => {
-          return (args, childComplexity) => {
-            const fieldName = field.name;
-            let complexity = typeComplexityMap.scalar;
-            
-            // Determine base complexity based on field characteristics
-            if (field.type.toString().includes('[')) {
-              // List fields
-              complexity = typeComplexityMap.list;
-              
-              // Factor in pagination arguments
-              if (args.first || args.limit) {
-                const limit = args.first || args.limit || 10;
-                complexity = Math.min(complexity * Math.ceil(limit / 10), 50);
-              }
-            } else if (field.type.toString().includes('!')) {
-              // Required fields (likely important data)
-              complexity = typeComplexityMap.object;
-            }
-            
-            // Field-specific complexity adjustments
-            switch (fieldName) {
-              case 'products':
-              case 'orders':
-              case 'users':
-                complexity = typeComplexityMap.paginatedList;
-                break;
-                
-              case 'searchProducts':
-                complexity = typeComplexityMap.search;
-                break;
-                
-              case 'orderStats':
-              case 'productCategories':
-              case 'popularProducts':
-                complexity = typeComplexityMap.analytics;
-                break;
-                
-              case 'allOrders':
-              case 'updateUserRole':
-                complexity = typeComplexityMap.admin;
-                break;
-                
-              case 'createdBy':
-              case 'user':
-              case 'items':
-                complexity = typeComplexityMap.populated;
-                break;
-            }
-            
-            // Add child complexity
-            const totalComplexity = complexity + childComplexity;
-            
-            // Log high complexity fields for monitoring
-            if (totalComplexity > 50) {
-              performanceLogger.debug('High complexity field detected', {
-                fieldName,
-                fieldComplexity: complexity,
-                childComplexity,
-                totalComplexity,
-                args,
-              });
-            }
-            
-            return totalComplexity;
-          };
-        },
-      },
-    ],
-    
-    // Custom error handling
-    onComplete: (complexity, requestContext) => {
-      const { operationName, document } = requestContext.request;
-      
+    variables,
+    operationName,
+    estimators: [estimateFieldComplexity],
+
+    createError: (max, actual) => new GraphQLError(
+      `Query is too complex: ${actual}. Maximum allowed complexity: ${max}`,
+      { extensions: { code: 'QUERY_TOO_COMPLEX' } }
+    ),
+
+    onComplete: (complexity) => {
       performanceLogger.info('Query complexity analysis completed', {
         operationName: operationName || 'anonymous',
         complexity,
         maxComplexity: 1000,
       });
-      
+
       // Log high complexity queries for optimization
       if (complexity > 500) {
         performanceLogger.warn('High complexity query detected', {
           operationName,
           complexity,
-          query: document?.loc?.source?.body?.substring(0, 200) + '...',
         });
       }
     },
@@ -364,13 +367,68 @@ export const createComplexityRateLimit = (windowMs = 60000, maxComplexityPerWind
 };
 
 /**
- * Export validation rules for Apollo Server
+ * Export validation rules for an operation with its `variables` and `operationName`
  */
-export const createValidationRules = () => [
-  createComplexityAnalysis(),
+export const createValidationRules = (request = {}) => [
+  createComplexityAnalysis(request),
   createDepthLimitRule(15), // Max depth of 15 levels
 ];
 
+/**
+ * Depth and complexity errors of an operation; none when it is within limits
+ */
+export const validateQueryLimits = (schema, document, request = {}) => (
+  validate(schema, document, createValidationRules(request))
+);
+
+/**
+ * Apollo Server plugin rejecting operations over the depth or complexity limits.
+ * Runs once the operation is resolved, when its variables are known.
+ */
+export const queryLimitsPlugin = {
+  async requestDidStart() {
+    return {
+      async didResolveOperation({ schema, document, request }) {
+        const [error] = validateQueryLimits(schema, document, request);
+
+        if (error) {
+          throw new GraphQLError(error.message, {
+            nodes: error.nodes,
+            extensions: { code: error.extensions?.code || 'GRAPHQL_VALIDATION_FAILED', http: { status: 400 } },
+          });
+        }
+      },
+    };
+  },
+};
+
+/**
+ * graphql-ws onSubscribe hook applying the same limits as HTTP operations.
+ * Returns the errors of an invalid operation, or its execution arguments.
+ */
+export const createSubscriptionValidation = (schema) => (ctx, message) => {
+  const { query, variables, operationName } = message.payload;
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return [error];
+  }
+
+  const errors = validate(schema, document);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const limitErrors = validateQueryLimits(schema, document, { variables, operationName });
+  if (limitErrors.length > 0) {
+    return limitErrors;
+  }
+
+  return { schema, document, variableValues: variables, operationName };
+};
+
 /**
  * Export plugins for Apollo Server
  */
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// Guest carts are removed by MongoDB after this many days of inactivity
+export const GUEST_CART_TTL_DAYS = 30;
+
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Selected variant for products sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Quantity must be a whole number'
+    }
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const cartSchema = new mongoose.Schema({
+  // Owner of the cart - either a signed-in user or a guest token
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true
+  },
+  guestToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  items: [cartItemSchema],
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index - only guest carts carry an expiry date
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Every cart must belong to someone
+cartSchema.pre('validate', function(next) {
+  if (!this.user && !this.guestToken) {
+    this.invalidate('user', 'Cart must belong to a user or a guest');
+  }
+  next();
+});
+
+// Slide the guest cart expiry forward on every change
+cartSchema.pre('save', function(next) {
+  if (!this.user && this.guestToken) {
+    this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  } else {
+    this.expiresAt = undefined;
+  }
+  next();
+});
+
+// Virtual for total number of units in the cart
+cartSchema.virtual('itemCount').get(function() {
+  return this.items.reduce((count, item) => count + item.quantity, 0);
+});
+
+export const Cart = mongoose.model('Cart', cartSchema);
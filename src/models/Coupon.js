@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import { moneyPath } from '../utils/currency.js';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Coupon code must be 3-32 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed_amount', 'free_shipping'],
+    required: [true, 'Coupon type is required']
+  },
+  // Percent off for percentage coupons, currency amount for fixed amount
+  // coupons; both stored in hundredths
+  value: moneyPath({
+    default: 0,
+    min: [0, 'Coupon value cannot be negative']
+  }),
+  minOrderValue: moneyPath({
+    default: 0,
+    min: [0, 'Minimum order value cannot be negative']
+  }),
+  // Total redemptions allowed across all customers (null = unlimited)
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  // Redemptions allowed per customer (null = unlimited)
+  perUserLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  // Scope - when both are empty the coupon applies to every item. Categories
+  // include their subcategories.
+  applicableCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  // Apply money getters so serialized coupons carry amounts, not cents
+  toObject: { getters: true },
+  toJSON: { getters: true }
+});
+
+// Indexes for better query performance
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+// Type-specific value rules and a sane validity window
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    this.invalidate('value', 'Percentage must be greater than 0 and at most 100');
+  }
+
+  if (this.type === 'fixed_amount' && this.value <= 0) {
+    this.invalidate('value', 'Fixed amount must be greater than 0');
+  }
+
+  if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+    this.invalidate('expiresAt', 'Expiry must be after the start date');
+  }
+
+  next();
+});
+
+// Virtual for whether the coupon is limited to some products or categories
+couponSchema.virtual('isScoped').get(function() {
+  return this.applicableCategories.length > 0 || this.applicableProducts.length > 0;
+});
+
+export const Coupon = mongoose.model('Coupon', couponSchema);
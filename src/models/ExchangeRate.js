@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import { CURRENCY_CODE_PATTERN } from '../utils/currency.js';
+
+/**
+ * Exchange rate of a currency against the base currency: how many units of
+ * the currency one unit of the base currency buys.
+ */
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [CURRENCY_CODE_PATTERN, 'Currency must be a three-letter code']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Exchange rate is required'],
+    validate: {
+      validator: (value) => Number.isFinite(value) && value > 0,
+      message: 'Exchange rate must be greater than 0'
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
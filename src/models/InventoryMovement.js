@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+/**
+ * One change to the stock of a product or variant, at a warehouse when the
+ * stock is kept at warehouses. The ledger is append-only: mistakes are fixed
+ * by recording a further movement, so stock always equals the sum of its
+ * movements (see InventoryService.reconcile).
+ */
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Variant whose stock changed (subdocument _id within Product.variants)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  // Change in stock: positive adds units, negative removes them
+  quantity: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: (value) => Number.isInteger(value) && value !== 0,
+      message: 'Quantity must be a non-zero whole number'
+    }
+  },
+  // initial: stock a product was created with; order/cancellation: taken by
+  // and returned from orders; restock: returned by a refund; adjustment: set
+  // by an admin; transfer: moved between warehouses; correction: recorded by
+  // reconciliation to match the ledger to stock
+  type: {
+    type: String,
+    enum: ['initial', 'order', 'cancellation', 'restock', 'adjustment', 'transfer', 'correction'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // User who caused the change (customer for orders, admin for adjustments)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 }, { sparse: true });
+
+// Movements are never changed or removed once recorded
+const rejectChange = function(next) {
+  next(new Error('Inventory movements are append-only'));
+};
+
+inventoryMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+inventoryMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+export const InventoryMovement = mongoose.model('InventoryMovement', inventoryMovementSchema);
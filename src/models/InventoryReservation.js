@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// Minutes a checkout reservation holds stock before the sweeper releases it
+export const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES, 10) || 15;
+
+// Stock held for one cart line while the customer checks out
+const inventoryReservationSchema = new mongoose.Schema({
+  cart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    required: [true, 'Reservation must belong to a cart']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Reserved variant (subdocument _id within Product.variants)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Quantity must be a whole number'
+    }
+  },
+  // active: holding stock; converted: deducted by an order;
+  // released: given back early; expired: given back by the sweeper
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Order the reservation was converted into
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }
+}, {
+  timestamps: true
+});
+
+inventoryReservationSchema.index({ cart: 1, status: 1 });
+inventoryReservationSchema.index({ status: 1, expiresAt: 1 });
+
+export const InventoryReservation = mongoose.model('InventoryReservation', inventoryReservationSchema);
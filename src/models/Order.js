@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { BASE_CURRENCY, CURRENCY_CODE_PATTERN, moneyPath, multiplyAmount, sumAmounts } from '../utils/currency.js';
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -6,6 +7,14 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Product variant ordered (subdocument _id within Product.variants)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // SKU snapshot at order time
+  sku: {
+    type: String
+  },
   quantity: {
     type: Number,
     required: true,
@@ -15,11 +24,105 @@ const orderItemSchema = new mongoose.Schema({
       message: 'Quantity must be a whole number'
     }
   },
-  price: {
-    type: Number,
+  price: moneyPath({
     required: true,
     min: [0, 'Price cannot be negative']
-  }
+  }),
+  // Share of order discounts allocated to this line (whole line, not per unit)
+  discount: moneyPath({
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  }),
+  // Share of items tax allocated to this line (whole line, not per unit)
+  tax: moneyPath({
+    default: 0,
+    min: [0, 'Tax cannot be negative']
+  }),
+  // Units ordered beyond stock that wait for restocking; not allocated to
+  // warehouses nor shippable until stock arrives
+  backorderedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Backordered quantity cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return Number.isInteger(value) && value <= this.quantity;
+      },
+      message: 'Backordered quantity must be a whole number no greater than the quantity'
+    }
+  },
+  // Units put back into stock by restocking refunds, which cancelling the
+  // order must not restore again
+  restockedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Restocked quantity cannot be negative']
+  },
+  // Expected availability of backordered units, from the product at order time
+  availableOn: {
+    type: Date
+  },
+  // Warehouses the line is fulfilled from (empty for stock not kept at warehouses)
+  allocations: [{
+    _id: false,
+    warehouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', required: true },
+    quantity: { type: Number, required: true, min: 1 }
+  }]
+}, {
+  toObject: { getters: true },
+  toJSON: { getters: true }
+});
+
+// A discount applied to the order, e.g. from a coupon
+const orderDiscountSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed_amount', 'free_shipping'],
+    required: true
+  },
+  description: {
+    type: String
+  },
+  amount: moneyPath({
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  })
+}, {
+  _id: false,
+  toObject: { getters: true },
+  toJSON: { getters: true }
+});
+
+// Tax charged under one jurisdiction rule (snapshot at order time)
+const orderTaxLineSchema = new mongoose.Schema({
+  taxRule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRule'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true
+  },
+  amount: moneyPath({
+    required: true,
+    min: [0, 'Tax cannot be negative']
+  })
+}, {
+  _id: false,
+  toObject: { getters: true },
+  toJSON: { getters: true }
 });
 
 const orderSchema = new mongoose.Schema({
@@ -29,14 +132,59 @@ const orderSchema = new mongoose.Schema({
     required: [true, 'Order must belong to a user']
   },
   items: [orderItemSchema],
-  totalAmount: {
+  // All amounts on the order are in this currency
+  currency: {
+    type: String,
+    default: BASE_CURRENCY,
+    uppercase: true,
+    match: [CURRENCY_CODE_PATTERN, 'Currency must be a three-letter code']
+  },
+  // Units of the order currency per unit of the base currency at placement
+  exchangeRate: {
     type: Number,
+    default: 1,
+    min: [0, 'Exchange rate cannot be negative']
+  },
+  // Item total before discounts
+  subtotal: moneyPath({
+    min: [0, 'Subtotal cannot be negative']
+  }),
+  discounts: [orderDiscountSchema],
+  discountTotal: moneyPath({
+    default: 0,
+    min: [0, 'Discount total cannot be negative']
+  }),
+  freeShipping: {
+    type: Boolean,
+    default: false
+  },
+  // Snapshot of the shipping method chosen at checkout
+  shippingMethod: {
+    code: String,
+    name: String,
+    carrier: String
+  },
+  shippingCost: moneyPath({
+    default: 0,
+    min: [0, 'Shipping cost cannot be negative']
+  }),
+  tax: moneyPath({
+    default: 0,
+    min: [0, 'Tax cannot be negative']
+  }),
+  taxLines: [orderTaxLineSchema],
+  // Customer was tax exempt when the order was placed
+  taxExempt: {
+    type: Boolean,
+    default: false
+  },
+  totalAmount: moneyPath({
     required: [true, 'Total amount is required'],
     min: [0, 'Total amount cannot be negative']
-  },
+  }),
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: ['pending', 'confirmed', 'backordered', 'processing', 'shipped', 'delivered', 'cancelled'],
     default: 'pending'
   },
   shippingAddress: {
@@ -48,15 +196,36 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  // Provider-side details of the payment (see PaymentService)
+  payment: {
+    provider: String,
+    transactionId: String,
+    amount: moneyPath(),
+    paidAt: Date,
+    failureReason: String,
+    refundId: String,
+    // Running total of refunds issued against this payment
+    refundedAmount: moneyPath({
+      default: 0
+    }),
+    // Refunds the provider accepted but has not settled yet
+    pendingRefundAmount: moneyPath({
+      default: 0
+    }),
+    refundedAt: Date
+  },
   notes: {
     type: String,
     maxlength: [500, 'Notes cannot exceed 500 characters']
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Apply money getters so serialized orders carry amounts, not cents
+  toObject: { getters: true },
+  toJSON: { getters: true }
 });
 
 // Indexes for better query performance
@@ -64,18 +233,27 @@ orderSchema.index({ user: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ paymentStatus: 1 });
+orderSchema.index({ 'payment.provider': 1, 'payment.transactionId': 1 }, { sparse: true });
+orderSchema.index({ 'discounts.coupon': 1, user: 1 });
 
 // Virtual for order number
 orderSchema.virtual('orderNumber').get(function() {
   return `ORD-${this._id.toString().slice(-8).toUpperCase()}`;
 });
 
-// Pre-save middleware to calculate total if not provided
+// Virtual for orders with units waiting for restocking
+orderSchema.virtual('hasBackorders').get(function() {
+  return this.items.some(item => item.backorderedQuantity > 0);
+});
+
+// Pre-save middleware to calculate the subtotal and total if not provided
 orderSchema.pre('save', function(next) {
-  if (this.isModified('items') && !this.isModified('totalAmount')) {
-    this.totalAmount = this.items.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
+  if (this.subtotal == null) {
+    this.subtotal = sumAmounts(this.items.map(item => multiplyAmount(item.price, item.quantity)));
+  }
+
+  if (this.isModified(['items', 'subtotal', 'discountTotal', 'shippingCost', 'tax']) && !this.isModified('totalAmount')) {
+    this.totalAmount = sumAmounts([this.subtotal, -this.discountTotal, this.shippingCost, this.tax]);
   }
   next();
 });
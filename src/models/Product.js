@@ -1,4 +1,112 @@
 import mongoose from 'mongoose';
+import { BASE_CURRENCY, CURRENCY_CODE_PATTERN, moneyPath } from '../utils/currency.js';
+
+// Option axis, e.g. { name: 'Size', values: ['S', 'M', 'L'] }
+const productOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true
+  },
+  values: {
+    type: [{ type: String, trim: true }],
+    validate: {
+      validator: (values) => values.length > 0,
+      message: 'Option must have at least one value'
+    }
+  }
+}, {
+  _id: false
+});
+
+// Fixed price in another currency, used instead of converting the product price
+const priceOverrideSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [CURRENCY_CODE_PATTERN, 'Currency must be a three-letter code']
+  },
+  amount: moneyPath({
+    required: [true, 'Price amount is required'],
+    min: [0, 'Price cannot be negative']
+  })
+}, {
+  _id: false,
+  toObject: { getters: true },
+  toJSON: { getters: true }
+});
+
+// Units kept at one warehouse
+const stockLevelSchema = new mongoose.Schema({
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Stock must be a whole number'
+    }
+  }
+}, {
+  _id: false
+});
+
+// Stock may be kept at each warehouse at most once
+const stockLevelsPath = {
+  type: [stockLevelSchema],
+  validate: {
+    validator: (levels) => new Set(levels.map(level => level.warehouse.toString())).size === levels.length,
+    message: 'Only one stock level per warehouse is allowed'
+  }
+};
+
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    trim: true
+  },
+  // One value per product option axis, e.g. [{ name: 'Size', value: 'M' }]
+  options: [{
+    _id: false,
+    name: { type: String, required: true, trim: true },
+    value: { type: String, required: true, trim: true }
+  }],
+  // Falls back to the product price when not set
+  price: moneyPath({
+    min: [0, 'Price cannot be negative']
+  }),
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Stock must be a whole number'
+    }
+  },
+  // Per-warehouse stock; when set, stock is their sum
+  stockLevels: stockLevelsPath,
+  // Units held by active checkout reservations (see ReservationService)
+  reservedStock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  toObject: { getters: true },
+  toJSON: { getters: true }
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -12,13 +120,17 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Product description cannot exceed 1000 characters']
   },
+  // Name of the product's category, kept in step with categoryId by CategoryService
   category: {
     type: String,
     required: [true, 'Product category is required'],
     trim: true
   },
-  price: {
-    type: Number,
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  price: moneyPath({
     required: [true, 'Product price is required'],
     min: [0, 'Price cannot be negative'],
     validate: {
@@ -27,6 +139,21 @@ const productSchema = new mongoose.Schema({
       },
       message: 'Price must be a valid positive number'
     }
+  }),
+  // Currency of price (and of variant prices)
+  currency: {
+    type: String,
+    default: BASE_CURRENCY,
+    uppercase: true,
+    trim: true,
+    match: [CURRENCY_CODE_PATTERN, 'Currency must be a three-letter code']
+  },
+  prices: {
+    type: [priceOverrideSchema],
+    validate: {
+      validator: (prices) => new Set(prices.map(price => price.currency)).size === prices.length,
+      message: 'Only one price per currency is allowed'
+    }
   },
   stock: {
     type: Number,
@@ -37,6 +164,34 @@ const productSchema = new mongoose.Schema({
       message: 'Stock must be a whole number'
     }
   },
+  // Per-warehouse stock of products without variants; when set, stock is their sum
+  stockLevels: stockLevelsPath,
+  // Units held by active checkout reservations, including variant reservations
+  reservedStock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative']
+  },
+  // none: orders cannot exceed stock; backorder: orders beyond stock wait for
+  // restocking; preorder: orders are taken before release (availableOn)
+  backorderMode: {
+    type: String,
+    enum: ['none', 'backorder', 'preorder'],
+    default: 'none'
+  },
+  // When backordered or pre-ordered units are expected to be in stock
+  availableOn: {
+    type: Date
+  },
+  // Stock at or below which the product needs reordering; unset means not tracked
+  reorderThreshold: {
+    type: Number,
+    min: [0, 'Reorder threshold cannot be negative'],
+    validate: {
+      validator: (value) => value == null || Number.isInteger(value),
+      message: 'Reorder threshold must be a whole number'
+    }
+  },
   sku: {
     type: String,
     unique: true,
@@ -47,6 +202,32 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Shipping weight per unit in kilograms
+  weight: {
+    type: Number,
+    default: 0,
+    min: [0, 'Weight cannot be negative']
+  },
+  options: [productOptionSchema],
+  variants: [variantSchema],
+  // Summary of published reviews, kept up to date by ReviewService
+  averageRating: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  },
+  reviewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Popularity scores per ranking window, kept up to date by PopularityService
+  popularity: {
+    day: { type: Number, default: 0 },
+    week: { type: Number, default: 0 },
+    month: { type: Number, default: 0 }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -57,26 +238,140 @@ const productSchema = new mongoose.Schema({
     required: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Apply money getters so serialized products carry amounts, not cents
+  toObject: { getters: true },
+  toJSON: { getters: true }
 });
 
 // Indexes for better query performance
 productSchema.index({ category: 1 });
+productSchema.index({ categoryId: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ name: 'text', description: 'text' });
 productSchema.index({ isActive: 1 });
+productSchema.index({ isActive: 1, 'popularity.day': -1 });
+productSchema.index({ isActive: 1, 'popularity.week': -1 });
+productSchema.index({ isActive: 1, 'popularity.month': -1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ reorderThreshold: 1 }, { sparse: true });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
 
 // Virtual for checking if product is in stock
 productSchema.virtual('inStock').get(function() {
   return this.stock > 0;
 });
 
-// Pre-save middleware to generate SKU if not provided
+// Virtual for products that take orders beyond their stock
+productSchema.virtual('acceptsBackorders').get(function() {
+  return this.backorderMode === 'backorder' || this.backorderMode === 'preorder';
+});
+
+// Virtual for stock that has fallen to the reorder threshold
+productSchema.virtual('lowStock').get(function() {
+  return this.reorderThreshold != null && this.stock <= this.reorderThreshold;
+});
+
+// Virtual for stock not held by checkout reservations
+productSchema.virtual('availableStock').get(function() {
+  return Math.max(this.stock - (this.reservedStock || 0), 0);
+});
+
+// Virtual for checking if the product sells in variants
+productSchema.virtual('hasVariants').get(function() {
+  return this.variants.length > 0;
+});
+
+// Ensure every variant picks exactly one allowed value per option axis, with no duplicates
+productSchema.pre('validate', function(next) {
+  if (this.variants.length === 0) {
+    return next();
+  }
+
+  const axes = new Map(this.options.map(option => [option.name, option.values]));
+  const seenCombinations = new Set();
+  const seenSkus = new Set();
+
+  this.variants.forEach((variant, index) => {
+    const path = `variants.${index}.options`;
+    const names = variant.options.map(option => option.name);
+
+    if (names.length !== axes.size || new Set(names).size !== names.length) {
+      this.invalidate(path, 'Variant must specify exactly one value for each product option');
+      return;
+    }
+
+    for (const option of variant.options) {
+      if (!axes.has(option.name) || !axes.get(option.name).includes(option.value)) {
+        this.invalidate(path, `Invalid value "${option.value}" for option "${option.name}"`);
+        return;
+      }
+    }
+
+    const combination = [...variant.options]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(option => `${option.name}=${option.value}`)
+      .join('|');
+
+    if (seenCombinations.has(combination)) {
+      this.invalidate(path, 'Duplicate variant option combination');
+    }
+    seenCombinations.add(combination);
+
+    if (variant.sku) {
+      if (seenSkus.has(variant.sku)) {
+        this.invalidate(`variants.${index}.sku`, 'Duplicate variant SKU');
+      }
+      seenSkus.add(variant.sku);
+    }
+  });
+
+  next();
+});
+
+// Pre-orders need a release date to show customers
+productSchema.pre('validate', function(next) {
+  if (this.backorderMode === 'preorder' && !this.availableOn) {
+    this.invalidate('availableOn', 'Pre-order products need an availability date');
+  }
+  next();
+});
+
+// Pre-save middleware to generate SKUs if not provided
 productSchema.pre('save', function(next) {
   if (!this.sku && this.isNew) {
     this.sku = `${this.category.toUpperCase()}-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
   }
+
+  for (const variant of this.variants) {
+    if (!variant.sku) {
+      const suffix = variant.options.map(option => option.value).join('-');
+      variant.sku = `${this.sku}-${suffix}`.toUpperCase().replace(/\s+/g, '');
+    }
+  }
+  next();
+});
+
+// Stock kept at warehouses is the sum of the warehouse stock levels, and
+// product stock is the sum of active variant stock when the product has variants
+productSchema.pre('save', function(next) {
+  const sumLevels = (levels) => levels.reduce((total, level) => total + level.quantity, 0);
+
+  for (const variant of this.variants) {
+    if (variant.stockLevels.length > 0) {
+      variant.stock = sumLevels(variant.stockLevels);
+    }
+  }
+
+  if (this.variants.length === 0 && this.stockLevels.length > 0) {
+    this.stock = sumLevels(this.stockLevels);
+  }
+
+  if (this.variants.length > 0) {
+    this.stock = this.variants
+      .filter(variant => variant.isActive)
+      .reduce((total, variant) => total + variant.stock, 0);
+  }
   next();
 });
 
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Daily activity is only needed for the longest popularity window
+const RETENTION_DAYS = 60;
+
+// Views and orders of a product on one day (UTC), counted by PopularityService
+const productActivitySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Start of the day (UTC) the activity was counted on
+  day: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  orders: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  unitsOrdered: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+});
+
+productActivitySchema.index({ product: 1, day: 1 }, { unique: true });
+productActivitySchema.index({ day: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+export const ProductActivity = mongoose.model('ProductActivity', productActivitySchema);
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import { moneyPath } from '../utils/currency.js';
+
+const refundItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Quantity must be a whole number'
+    }
+  },
+  // Value of the returned units at the price paid
+  amount: moneyPath({
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  })
+}, {
+  _id: false,
+  toObject: { getters: true },
+  toJSON: { getters: true }
+});
+
+/**
+ * A refund or customer return (RMA) against an order. Customer returns start
+ * as "requested" and are moved through the RMA workflow by an admin; refunds
+ * issued directly by an admin are created as "refunded".
+ */
+const refundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Refund must belong to an order']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Refund must belong to a user']
+  },
+  type: {
+    type: String,
+    enum: ['refund', 'return'],
+    required: true
+  },
+  items: [refundItemSchema],
+  amount: moneyPath({
+    required: [true, 'Refund amount is required'],
+    min: [0, 'Refund amount cannot be negative']
+  }),
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunded'],
+    default: 'requested'
+  },
+  restock: {
+    type: Boolean,
+    default: false
+  },
+  // Set once the items have been put back into inventory
+  restockedAt: {
+    type: Date
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  adminNotes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  providerRefundId: {
+    type: String
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  refundedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  // Apply money getters so serialized refunds carry amounts, not cents
+  toObject: { getters: true },
+  toJSON: { getters: true }
+});
+
+// Indexes for better query performance
+refundSchema.index({ order: 1 });
+refundSchema.index({ user: 1, createdAt: -1 });
+refundSchema.index({ status: 1 });
+
+// Virtual for RMA number
+refundSchema.virtual('rmaNumber').get(function() {
+  return `RMA-${this._id.toString().slice(-8).toUpperCase()}`;
+});
+
+export const Refund = mongoose.model('Refund', refundSchema);
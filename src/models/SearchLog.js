@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// How long searches are kept (see SearchAnalyticsService.purgeSearchLogs to drop them sooner)
+export const SEARCH_LOG_RETENTION_DAYS = parseInt(process.env.SEARCH_LOG_RETENTION_DAYS, 10) || 90;
+
+const searchClickSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // 1-based rank of the product in the results
+  position: {
+    type: Number,
+    min: 1
+  },
+  clickedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// One product search, for search suggestions and analytics
+const searchLogSchema = new mongoose.Schema({
+  // Lowercase words of the query (see tokenize in utils/searchIndex.js)
+  term: {
+    type: String,
+    required: true
+  },
+  // The ProductFilterInput the search was narrowed with
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  resultCount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Signed-in customer, or the storefront's anonymous session
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sessionId: {
+    type: String,
+    trim: true
+  },
+  // Results opened, each product once
+  clicks: [searchClickSchema],
+  // First order of a clicked product placed after the search
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  convertedAt: Date,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + SEARCH_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+searchLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+searchLogSchema.index({ term: 1, createdAt: -1 });
+searchLogSchema.index({ createdAt: -1 });
+searchLogSchema.index({ user: 1, createdAt: -1 });
+
+export const SearchLog = mongoose.model('SearchLog', searchLogSchema);
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+const shipmentItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Quantity must be a whole number'
+    }
+  }
+}, {
+  _id: false
+});
+
+/**
+ * A parcel sent for an order. Orders may ship in several shipments, each
+ * carrying part of the ordered items.
+ */
+const shipmentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Shipment must belong to an order']
+  },
+  carrier: {
+    type: String,
+    required: [true, 'Carrier is required'],
+    trim: true
+  },
+  trackingNumber: {
+    type: String,
+    trim: true
+  },
+  trackingUrl: {
+    type: String,
+    trim: true
+  },
+  items: {
+    type: [shipmentItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'Shipment must contain at least one item'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['shipped', 'in_transit', 'delivered'],
+    default: 'shipped'
+  },
+  shippedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+shipmentSchema.index({ order: 1 });
+shipmentSchema.index({ carrier: 1, trackingNumber: 1 });
+
+export const Shipment = mongoose.model('Shipment', shipmentSchema);
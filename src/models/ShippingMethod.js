@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import { moneyPath } from '../utils/currency.js';
+
+// Price for parcels up to maxWeight kilograms (null = no upper bound)
+const rateSchema = new mongoose.Schema({
+  maxWeight: {
+    type: Number,
+    default: null,
+    min: [0, 'Maximum weight cannot be negative']
+  },
+  price: moneyPath({
+    required: [true, 'Rate price is required'],
+    min: [0, 'Rate price cannot be negative']
+  })
+}, {
+  _id: false,
+  toObject: { getters: true },
+  toJSON: { getters: true }
+});
+
+// Destinations sharing one rate table. An empty country list covers every country.
+const zoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true
+  },
+  countries: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  states: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  rates: {
+    type: [rateSchema],
+    validate: {
+      validator: (rates) => rates.length > 0,
+      message: 'Zone must have at least one rate'
+    }
+  },
+  // Orders with a subtotal of at least this amount ship free
+  freeShippingThreshold: moneyPath({
+    min: [0, 'Free shipping threshold cannot be negative']
+  })
+}, {
+  _id: false,
+  toObject: { getters: true },
+  toJSON: { getters: true }
+});
+
+const shippingMethodSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Shipping method code is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_-]{2,32}$/, 'Code must be 2-32 letters, digits, dashes or underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Shipping method name is required'],
+    trim: true
+  },
+  carrier: {
+    type: String,
+    required: [true, 'Carrier is required'],
+    trim: true
+  },
+  minDeliveryDays: {
+    type: Number,
+    min: [0, 'Delivery days cannot be negative']
+  },
+  maxDeliveryDays: {
+    type: Number,
+    min: [0, 'Delivery days cannot be negative']
+  },
+  zones: {
+    type: [zoneSchema],
+    validate: {
+      validator: (zones) => zones.length > 0,
+      message: 'Shipping method must have at least one zone'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  // Apply money getters so serialized methods carry amounts, not cents
+  toObject: { getters: true },
+  toJSON: { getters: true }
+});
+
+shippingMethodSchema.index({ isActive: 1 });
+
+// Keep rate tiers ordered by weight so the first matching tier is the cheapest fit
+shippingMethodSchema.pre('save', function(next) {
+  for (const zone of this.zones) {
+    zone.rates.sort((a, b) => (a.maxWeight ?? Infinity) - (b.maxWeight ?? Infinity));
+  }
+  next();
+});
+
+/**
+ * Find the zone covering an address. Zones naming the state win over
+ * country-wide zones, which win over catch-all zones.
+ */
+shippingMethodSchema.methods.findZone = function(address = {}) {
+  const country = (address.country || '').trim().toUpperCase();
+  const state = (address.state || '').trim().toUpperCase();
+
+  const specificity = (zone) => {
+    if (zone.countries.length === 0) return 1;
+    if (!zone.countries.includes(country)) return 0;
+    if (zone.states.length === 0) return 2;
+    return zone.states.includes(state) ? 3 : 0;
+  };
+
+  return this.zones.reduce((best, zone) => {
+    const score = specificity(zone);
+    return score > 0 && score > (best?.score || 0) ? { zone, score } : best;
+  }, null)?.zone || null;
+};
+
+export const ShippingMethod = mongoose.model('ShippingMethod', shippingMethodSchema);
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Words product search treats as meaning the same, e.g. tv, television
+const synonymSetSchema = new mongoose.Schema({
+  terms: {
+    type: [{ type: String, lowercase: true, trim: true }],
+    validate: {
+      validator: (terms) => terms.length >= 2,
+      message: 'A synonym set needs at least two different words'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+synonymSetSchema.index({ terms: 1 });
+
+export const SynonymSet = mongoose.model('SynonymSet', synonymSetSchema);
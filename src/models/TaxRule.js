@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+/**
+ * A tax rate for a jurisdiction. Every active rule matching a shipping
+ * address applies, so state and local rates can be configured separately
+ * and stack (e.g. a state rule plus a city rule scoped by ZIP prefix).
+ */
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax rule name is required'],
+    trim: true,
+    maxlength: [100, 'Tax rule name cannot exceed 100 characters']
+  },
+  // ISO 3166-1 country code, as used in shipping addresses (e.g. US or USA)
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2,3}$/, 'Country must be a 2 or 3-letter ISO code']
+  },
+  // State/province code; empty applies to the whole country
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // ZIP/postal code prefix; empty applies to the whole state
+  zipPrefix: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // Percentage, e.g. 7.25 for 7.25%
+  rate: {
+    type: Number,
+    required: [true, 'Tax rate is required'],
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100']
+  },
+  taxShipping: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Rules are looked up by country, then narrowed by state and ZIP prefix
+taxRuleSchema.index({ country: 1, state: 1, isActive: 1 });
+
+/**
+ * Whether the rule covers a shipping address
+ */
+taxRuleSchema.methods.matchesAddress = function(address = {}) {
+  const country = (address.country || '').trim().toUpperCase();
+  const state = (address.state || '').trim().toUpperCase();
+  const zipCode = (address.zipCode || '').replace(/\s/g, '').toUpperCase();
+
+  return this.country === country
+    && (!this.state || this.state === state)
+    && (!this.zipPrefix || zipCode.startsWith(this.zipPrefix.replace(/\s/g, '')));
+};
+
+export const TaxRule = mongoose.model('TaxRule', taxRuleSchema);
@@ -31,6 +31,15 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Tax-exempt customers (e.g. resellers, non-profits) are charged no tax
+  taxExempt: {
+    type: Boolean,
+    default: false
+  },
+  taxExemptionId: {
+    type: String,
+    trim: true
   }
 }, {
   timestamps: true
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+/**
+ * A location stock is kept and shipped from. Orders are fulfilled from the
+ * warehouse nearest to the shipping address, ties broken by priority.
+ */
+const warehouseSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Warehouse code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{2,16}$/, 'Code must be 2-16 letters, digits, dashes or underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Warehouse name is required'],
+    trim: true,
+    maxlength: [100, 'Warehouse name cannot exceed 100 characters']
+  },
+  address: {
+    street: String,
+    city: String,
+    state: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    zipCode: String,
+    // ISO 3166-1 country code, as used in shipping addresses
+    country: {
+      type: String,
+      required: [true, 'Country is required'],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{2,3}$/, 'Country must be a 2 or 3-letter ISO code']
+    }
+  },
+  // Lower numbers are preferred among equally near warehouses
+  priority: {
+    type: Number,
+    default: 0,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Priority must be a whole number'
+    }
+  },
+  // Inactive warehouses keep their stock but do not fulfil orders
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+warehouseSchema.index({ isActive: 1, priority: 1 });
+
+/**
+ * How near the warehouse is to an address: 0 same state, 1 same country,
+ * 2 elsewhere (or unknown address)
+ */
+warehouseSchema.methods.distanceTo = function(address) {
+  const country = address?.country?.trim().toUpperCase();
+  const state = address?.state?.trim().toUpperCase();
+
+  if (!country || country !== this.address.country) {
+    return 2;
+  }
+
+  return state && state === this.address.state ? 0 : 1;
+};
+
+export const Warehouse = mongoose.model('Warehouse', warehouseSchema);
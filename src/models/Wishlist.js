@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Selected variant for products sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Wishlist name is required'],
+    trim: true,
+    maxlength: [50, 'Wishlist name cannot exceed 50 characters']
+  },
+  items: [wishlistItemSchema],
+  // Unguessable token of the public link; unset while the list is private
+  shareToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  }
+}, {
+  timestamps: true
+});
+
+// List names are unique per customer
+wishlistSchema.index({ user: 1, name: 1 }, { unique: true });
+// Find the lists to notify when a product is restocked or repriced
+wishlistSchema.index({ 'items.product': 1 });
+
+// Virtual for whether the list has a public link
+wishlistSchema.virtual('isShared').get(function() {
+  return Boolean(this.shareToken);
+});
+
+export const Wishlist = mongoose.model('Wishlist', wishlistSchema);
@@ -0,0 +1,209 @@
+import { GraphQLError } from 'graphql';
+import { Order } from '../models/Order.js';
+import { InventoryReservation } from '../models/InventoryReservation.js';
+import { CartService } from '../services/cartService.js';
+import { ReservationService } from '../services/reservationService.js';
+import { logger } from '../utils/logging.js';
+import { validateObjectId, validateQuantity } from '../utils/validation.js';
+import { requireAuth } from '../middleware/auth.js';
+import { findVariant, formatVariant } from '../utils/variants.js';
+import { multiplyAmount } from '../utils/currency.js';
+
+// Signed-in users always use their own cart; guests identify theirs by token
+const getCartOwner = (context, guestToken) => {
+  if (context.isAuthenticated) {
+    return { userId: context.user._id.toString() };
+  }
+  return { guestToken };
+};
+
+// Cart lines shown to the customer, skipping those whose product has since been deleted
+const listedItems = (cart) => cart.items.filter(item => item.product && item.product.name);
+
+export const cartResolvers = {
+  Query: {
+    /**
+     * Get the current user's or guest's cart
+     */
+    cart: async (parent, { guestToken }, context) => {
+      if (!context.isAuthenticated && !guestToken) {
+        return null;
+      }
+
+      return CartService.getCart(getCartOwner(context, guestToken));
+    },
+  },
+
+  Mutation: {
+    /**
+     * Add a product to the cart (creates a guest cart when needed)
+     */
+    addToCart: async (parent, { productId, variantId, quantity = 1, guestToken }, context) => {
+      try {
+        validateObjectId(productId);
+        if (variantId) validateObjectId(variantId);
+        validateQuantity(quantity);
+
+        return await CartService.addItem(getCartOwner(context, guestToken), productId, quantity, variantId);
+      } catch (error) {
+        logger.error('addToCart mutation failed', {
+          error: error.message,
+          productId,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    },
+
+    /**
+     * Change the quantity of a cart item (0 removes it)
+     */
+    updateCartItem: async (parent, { productId, variantId, quantity, guestToken }, context) => {
+      try {
+        validateObjectId(productId);
+        if (variantId) validateObjectId(variantId);
+        if (!Number.isInteger(quantity) || quantity < 0) {
+          throw new GraphQLError('Quantity must be a non-negative integer', {
+            extensions: { code: 'INVALID_INPUT', field: 'quantity' }
+          });
+        }
+
+        return await CartService.updateItem(getCartOwner(context, guestToken), productId, quantity, variantId);
+      } catch (error) {
+        logger.error('updateCartItem mutation failed', {
+          error: error.message,
+          productId,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    },
+
+    /**
+     * Remove a product from the cart
+     */
+    removeFromCart: async (parent, { productId, variantId, guestToken }, context) => {
+      try {
+        validateObjectId(productId);
+        if (variantId) validateObjectId(variantId);
+
+        return await CartService.removeItem(getCartOwner(context, guestToken), productId, variantId);
+      } catch (error) {
+        logger.error('removeFromCart mutation failed', {
+          error: error.message,
+          productId,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    },
+
+    /**
+     * Remove every item from the cart
+     */
+    clearCart: async (parent, { guestToken }, context) => {
+      try {
+        return await CartService.clearCart(getCartOwner(context, guestToken));
+      } catch (error) {
+        logger.error('clearCart mutation failed', {
+          error: error.message,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    },
+
+    /**
+     * Hold stock for the cart's lines while the customer checks out
+     */
+    reserveCart: async (parent, { guestToken }, context) => {
+      try {
+        return await CartService.reserveCart(getCartOwner(context, guestToken));
+      } catch (error) {
+        logger.error('reserveCart mutation failed', {
+          error: error.message,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    },
+
+    /**
+     * Give back stock held for the cart
+     */
+    releaseCartReservation: async (parent, { guestToken }, context) => {
+      try {
+        return await CartService.releaseReservation(getCartOwner(context, guestToken));
+      } catch (error) {
+        logger.error('releaseCartReservation mutation failed', {
+          error: error.message,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    },
+
+    /**
+     * Place an order from the signed-in user's cart
+     */
+    checkoutCart: requireAuth(async (parent, { input = {} }, context) => {
+      try {
+        const order = await CartService.checkout(context.user._id.toString(), input);
+
+        const populatedOrder = await Order.findById(order._id)
+          .populate('user', 'email firstName lastName')
+          .populate('items.product', 'name price imageUrl category');
+
+        logger.info('Cart checkout completed', {
+          orderId: order._id,
+          userId: context.user._id,
+          totalAmount: order.totalAmount
+        });
+
+        return populatedOrder;
+      } catch (error) {
+        logger.error('checkoutCart mutation failed', {
+          error: error.message,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+
+  // Field resolvers
+  Cart: {
+    // Only guest carts expose their token
+    guestToken: (cart) => (cart.user ? null : cart.guestToken),
+
+    items: (cart) => listedItems(cart),
+
+    // Counts the listed lines only, so the count matches the items shown
+    itemCount: (cart) => listedItems(cart).reduce((count, item) => count + item.quantity, 0),
+
+    subtotal: (cart) => CartService.calculateSubtotal(cart),
+
+    reservations: async (cart) => {
+      const reservations = await ReservationService.getActiveReservations(cart._id);
+      return InventoryReservation.populate(reservations, { path: 'product' });
+    },
+  },
+
+  InventoryReservation: {
+    status: (reservation) => reservation.status.toUpperCase(),
+
+    variant: (reservation) => {
+      const variant = findVariant(reservation.product, reservation.variant);
+      return variant ? formatVariant(reservation.product, variant) : null;
+    },
+  },
+
+  CartItem: {
+    variant: (item) => {
+      const variant = findVariant(item.product, item.variant);
+      return variant ? formatVariant(item.product, variant) : null;
+    },
+
+    lineTotal: (item) => multiplyAmount(CartService.getItemPrice(item), item.quantity),
+  },
+};
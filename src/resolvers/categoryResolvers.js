@@ -0,0 +1,120 @@
+import { GraphQLError } from 'graphql';
+import { Category } from '../models/Category.js';
+import { CategoryService } from '../services/categoryService.js';
+import { logger } from '../utils/logging.js';
+import { validateObjectId } from '../utils/validation.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+// Map Mongoose validation errors to INVALID_INPUT like the product mutations do
+const toInputError = (error) => {
+  if (error.name === 'ValidationError') {
+    const field = Object.keys(error.errors)[0];
+    return new GraphQLError(error.errors[field].message, {
+      extensions: { code: 'INVALID_INPUT', field }
+    });
+  }
+  return error;
+};
+
+export const categoryResolvers = {
+  Query: {
+    /**
+     * Subcategories of a category, or the top-level categories
+     */
+    categories: async (parent, { parentId }) => {
+      if (parentId) {
+        validateObjectId(parentId);
+      }
+
+      return CategoryService.getCategories(parentId || null);
+    },
+
+    /**
+     * A category by ID or slug
+     */
+    category: async (parent, { id, slug }) => {
+      if (id) {
+        validateObjectId(id);
+        return Category.findById(id);
+      }
+
+      if (slug) {
+        return Category.findOne({ slug: slug.toLowerCase() });
+      }
+
+      throw new GraphQLError('Either id or slug is required', {
+        extensions: { code: 'INVALID_INPUT' }
+      });
+    },
+  },
+
+  Mutation: {
+    /**
+     * Create a category (admin only)
+     */
+    createCategory: requireAdmin(async (parent, { input }, context) => {
+      try {
+        if (input.parentId) {
+          validateObjectId(input.parentId);
+        }
+
+        return await CategoryService.createCategory(input, context.user._id);
+      } catch (error) {
+        logger.error('createCategory mutation failed', {
+          error: error.message,
+          name: input?.name,
+          adminId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Rename, describe, reorder or move a category (admin only)
+     */
+    updateCategory: requireAdmin(async (parent, { id, input }, context) => {
+      try {
+        validateObjectId(id);
+        if (input.parentId) {
+          validateObjectId(input.parentId);
+        }
+
+        return await CategoryService.updateCategory(id, input, context.user._id);
+      } catch (error) {
+        logger.error('updateCategory mutation failed', {
+          error: error.message,
+          categoryId: id,
+          adminId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Delete an empty category (admin only)
+     */
+    deleteCategory: requireAdmin(async (parent, { id }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await CategoryService.deleteCategory(id, context.user._id);
+      } catch (error) {
+        logger.error('deleteCategory mutation failed', {
+          error: error.message,
+          categoryId: id,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+
+  // Field resolvers
+  Category: {
+    parent: (category) => (category.parent ? Category.findById(category.parent) : null),
+
+    children: (category) => CategoryService.getCategories(category._id),
+
+    breadcrumbs: (category) => CategoryService.getBreadcrumbs(category._id),
+  },
+};
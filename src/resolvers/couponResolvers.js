@@ -0,0 +1,135 @@
+import { GraphQLError } from 'graphql';
+import { Coupon } from '../models/Coupon.js';
+import { CouponService } from '../services/couponService.js';
+import { logger } from '../utils/logging.js';
+import { validateObjectId } from '../utils/validation.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+// Map Mongoose validation errors to INVALID_INPUT like the product mutations do
+const toInputError = (error) => {
+  if (error.name === 'ValidationError') {
+    const field = Object.keys(error.errors)[0];
+    return new GraphQLError(error.errors[field].message, {
+      extensions: { code: 'INVALID_INPUT', field }
+    });
+  }
+  return error;
+};
+
+const validateCouponInput = (input) => {
+  (input.applicableProducts || []).forEach(productId => validateObjectId(productId));
+  (input.applicableCategories || []).forEach(categoryId => validateObjectId(categoryId));
+
+  for (const field of ['usageLimit', 'perUserLimit']) {
+    if (input[field] !== undefined && input[field] !== null && (!Number.isInteger(input[field]) || input[field] < 1)) {
+      throw new GraphQLError(`${field} must be a positive integer`, {
+        extensions: { code: 'INVALID_INPUT', field }
+      });
+    }
+  }
+};
+
+export const couponResolvers = {
+  Query: {
+    /**
+     * List coupons (admin only)
+     */
+    coupons: requireAdmin(async (parent, { activeOnly }, context) => {
+      try {
+        return await CouponService.getCoupons({ activeOnly });
+      } catch (error) {
+        logger.error('coupons query failed', {
+          error: error.message,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Get a coupon by ID (admin only)
+     */
+    coupon: requireAdmin(async (parent, { id }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await Coupon.findById(id);
+      } catch (error) {
+        logger.error('coupon query failed', {
+          error: error.message,
+          couponId: id,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+
+  Mutation: {
+    /**
+     * Create a coupon (admin only)
+     */
+    createCoupon: requireAdmin(async (parent, { input }, context) => {
+      try {
+        validateCouponInput(input);
+
+        return await CouponService.createCoupon(input, context.user._id);
+      } catch (error) {
+        logger.error('createCoupon mutation failed', {
+          error: error.message,
+          code: input?.code,
+          adminId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Update a coupon (admin only)
+     */
+    updateCoupon: requireAdmin(async (parent, { id, input }, context) => {
+      try {
+        validateObjectId(id);
+        validateCouponInput(input);
+
+        return await CouponService.updateCoupon(id, input, context.user._id);
+      } catch (error) {
+        logger.error('updateCoupon mutation failed', {
+          error: error.message,
+          couponId: id,
+          adminId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Deactivate a coupon (admin only)
+     */
+    deleteCoupon: requireAdmin(async (parent, { id }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await CouponService.deleteCoupon(id, context.user._id);
+      } catch (error) {
+        logger.error('deleteCoupon mutation failed', {
+          error: error.message,
+          couponId: id,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+
+  // Field resolvers
+  Coupon: {
+    type: (coupon) => coupon.type.toUpperCase(),
+
+    usage: (coupon) => CouponService.getCouponUsage(coupon._id),
+  },
+
+  OrderDiscount: {
+    type: (discount) => discount.type.toUpperCase(),
+  },
+};
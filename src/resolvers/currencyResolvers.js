@@ -0,0 +1,72 @@
+import { GraphQLError } from 'graphql';
+import { CurrencyService } from '../services/currencyService.js';
+import { logger } from '../utils/logging.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { BASE_CURRENCY } from '../utils/currency.js';
+
+// Map Mongoose validation errors to INVALID_INPUT like the product mutations do
+const toInputError = (error) => {
+  if (error.name === 'ValidationError') {
+    const field = Object.keys(error.errors)[0];
+    return new GraphQLError(error.errors[field].message, {
+      extensions: { code: 'INVALID_INPUT', field }
+    });
+  }
+  return error;
+};
+
+export const currencyResolvers = {
+  Query: {
+    /**
+     * Base currency and exchange rates against it (public)
+     */
+    currencies: async () => {
+      try {
+        return {
+          baseCurrency: BASE_CURRENCY,
+          exchangeRates: await CurrencyService.getExchangeRates()
+        };
+      } catch (error) {
+        logger.error('currencies query failed', {
+          error: error.message
+        });
+        throw error;
+      }
+    },
+  },
+
+  Mutation: {
+    /**
+     * Create or update the exchange rate of a currency (admin only)
+     */
+    setExchangeRate: requireAdmin(async (parent, { currency, rate }, context) => {
+      try {
+        return await CurrencyService.setExchangeRate(currency, rate, context.user._id);
+      } catch (error) {
+        logger.error('setExchangeRate mutation failed', {
+          error: error.message,
+          currency,
+          rate,
+          adminId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Remove the exchange rate of a currency (admin only)
+     */
+    deleteExchangeRate: requireAdmin(async (parent, { currency }, context) => {
+      try {
+        return await CurrencyService.deleteExchangeRate(currency, context.user._id);
+      } catch (error) {
+        logger.error('deleteExchangeRate mutation failed', {
+          error: error.message,
+          currency,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+};
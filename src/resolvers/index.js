@@ -1,8 +1,22 @@
-import { GraphQLScalarType } from 'graphql';
+import { GraphQLScalarType, GraphQLError } from 'graphql';
 import { Kind } from 'graphql/language/index.js';
 import { userResolvers } from './userResolvers.js';
 import { productResolvers } from './productResolvers.js';
 import { orderResolvers } from './orderResolvers.js';
+import { cartResolvers } from './cartResolvers.js';
+import { paymentResolvers } from './paymentResolvers.js';
+import { refundResolvers } from './refundResolvers.js';
+import { couponResolvers } from './couponResolvers.js';
+import { taxResolvers } from './taxResolvers.js';
+import { shippingResolvers } from './shippingResolvers.js';
+import { currencyResolvers } from './currencyResolvers.js';
+import { warehouseResolvers } from './warehouseResolvers.js';
+import { inventoryResolvers } from './inventoryResolvers.js';
+import { reviewResolvers } from './reviewResolvers.js';
+import { wishlistResolvers } from './wishlistResolvers.js';
+import { categoryResolvers } from './categoryResolvers.js';
+import { searchResolvers } from './searchResolvers.js';
+import { roundCurrency, toMinorUnits } from '../utils/currency.js';
 
 // Custom Date scalar
 const DateType = new GraphQLScalarType({
@@ -22,28 +36,100 @@ const DateType = new GraphQLScalarType({
   },
 });
 
+// Custom Money scalar: a currency amount with at most two decimal places
+const parseMoney = (value) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || toMinorUnits(value) / 100 !== value) {
+    throw new GraphQLError('Money amounts must be numbers with at most two decimal places', {
+      extensions: { code: 'INVALID_INPUT' }
+    });
+  }
+  return value;
+};
+
+const MoneyType = new GraphQLScalarType({
+  name: 'Money',
+  description: 'Currency amount with at most two decimal places',
+  parseValue(value) {
+    return parseMoney(value); // value from the client
+  },
+  serialize(value) {
+    return roundCurrency(Number(value)); // value sent to the client
+  },
+  parseLiteral(ast) {
+    if (ast.kind === Kind.INT || ast.kind === Kind.FLOAT) {
+      return parseMoney(parseFloat(ast.value));
+    }
+    return null;
+  },
+});
+
 export const resolvers = {
   Date: DateType,
+  Money: MoneyType,
   
   Query: {
     ...userResolvers.Query,
     ...productResolvers.Query,
     ...orderResolvers.Query,
+    ...cartResolvers.Query,
+    ...refundResolvers.Query,
+    ...couponResolvers.Query,
+    ...taxResolvers.Query,
+    ...shippingResolvers.Query,
+    ...currencyResolvers.Query,
+    ...warehouseResolvers.Query,
+    ...inventoryResolvers.Query,
+    ...reviewResolvers.Query,
+    ...wishlistResolvers.Query,
+    ...categoryResolvers.Query,
+    ...searchResolvers.Query,
   },
   
   Mutation: {
     ...userResolvers.Mutation,
     ...productResolvers.Mutation,
     ...orderResolvers.Mutation,
+    ...cartResolvers.Mutation,
+    ...paymentResolvers.Mutation,
+    ...refundResolvers.Mutation,
+    ...couponResolvers.Mutation,
+    ...taxResolvers.Mutation,
+    ...shippingResolvers.Mutation,
+    ...currencyResolvers.Mutation,
+    ...warehouseResolvers.Mutation,
+    ...reviewResolvers.Mutation,
+    ...wishlistResolvers.Mutation,
+    ...categoryResolvers.Mutation,
+    ...searchResolvers.Mutation,
   },
   
   Subscription: {
     ...orderResolvers.Subscription,
+    ...inventoryResolvers.Subscription,
+    ...wishlistResolvers.Subscription,
   },
   
   // Type resolvers
   User: userResolvers.User,
   Product: productResolvers.Product,
+  ProductConnection: productResolvers.ProductConnection,
   Order: orderResolvers.Order,
   OrderItem: orderResolvers.OrderItem,
+  Cart: cartResolvers.Cart,
+  CartItem: cartResolvers.CartItem,
+  InventoryReservation: cartResolvers.InventoryReservation,
+  Refund: refundResolvers.Refund,
+  RefundItem: refundResolvers.RefundItem,
+  Coupon: couponResolvers.Coupon,
+  OrderDiscount: couponResolvers.OrderDiscount,
+  Shipment: shippingResolvers.Shipment,
+  ShipmentItem: shippingResolvers.ShipmentItem,
+  StockLevel: warehouseResolvers.StockLevel,
+  InventoryMovement: inventoryResolvers.InventoryMovement,
+  Review: reviewResolvers.Review,
+  Wishlist: wishlistResolvers.Wishlist,
+  WishlistItem: wishlistResolvers.WishlistItem,
+  WishlistAlert: wishlistResolvers.WishlistAlert,
+  Category: categoryResolvers.Category,
+  SearchSuggestion: searchResolvers.SearchSuggestion,
 }; 
\ No newline at end of file
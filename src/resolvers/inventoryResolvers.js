@@ -0,0 +1,96 @@
+import { InventoryService } from '../services/inventoryService.js';
+import { Product } from '../models/Product.js';
+import { Warehouse } from '../models/Warehouse.js';
+import { User } from '../models/User.js';
+import { Order } from '../models/Order.js';
+import { pubsub, EVENTS } from '../config/pubsub.js';
+import { logger } from '../utils/logging.js';
+import { validateObjectId } from '../utils/validation.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { findVariant, formatVariant } from '../utils/variants.js';
+
+export const inventoryResolvers = {
+  Query: {
+    /**
+     * Stock movements of a product, newest first (admin only)
+     */
+    inventoryHistory: requireAdmin(async (parent, { productId, variantId, first, after }, context) => {
+      try {
+        validateObjectId(productId);
+        if (variantId) validateObjectId(variantId);
+        if (after) validateObjectId(after);
+
+        return await InventoryService.getHistory(productId, { variantId, first, after });
+      } catch (error) {
+        logger.error('inventoryHistory query failed', {
+          error: error.message,
+          productId,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Products at or below their reorder threshold (admin only)
+     */
+    lowStockProducts: requireAdmin(async (parent, { first }, context) => {
+      try {
+        return await InventoryService.getLowStockProducts({ first });
+      } catch (error) {
+        logger.error('lowStockProducts query failed', {
+          error: error.message,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Reorder quantities based on recent sales (admin only)
+     */
+    reorderSuggestions: requireAdmin(async (parent, { days, leadTimeDays }, context) => {
+      try {
+        return await InventoryService.getReorderSuggestions({ days, leadTimeDays });
+      } catch (error) {
+        logger.error('reorderSuggestions query failed', {
+          error: error.message,
+          days,
+          leadTimeDays,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+
+  Subscription: {
+    /**
+     * Products an order took to their reorder threshold (admin only)
+     */
+    productLowStock: {
+      subscribe: requireAdmin(() => pubsub.asyncIterator(EVENTS.PRODUCT_LOW_STOCK)),
+    },
+  },
+
+  // Field resolvers
+  InventoryMovement: {
+    type: (movement) => movement.type.toUpperCase(),
+
+    variant: async (movement) => {
+      if (!movement.variant) {
+        return null;
+      }
+
+      const product = await Product.findById(movement.product).select('price variants');
+      const variant = findVariant(product, movement.variant);
+      return variant ? formatVariant(product, variant) : null;
+    },
+
+    warehouse: (movement) => (movement.warehouse ? Warehouse.findById(movement.warehouse) : null),
+
+    actor: (movement) => (movement.actor ? User.findById(movement.actor).select('email firstName lastName role') : null),
+
+    order: (movement) => (movement.order ? Order.findById(movement.order) : null),
+  },
+};
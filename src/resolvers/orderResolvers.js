@@ -1,9 +1,35 @@
 import { GraphQLError } from 'graphql';
+import { withFilter } from 'graphql-subscriptions';
 import { Order } from '../models/Order.js';
 import { OrderService } from '../services/orderService.js';
 import { logger } from '../utils/logging.js';
 import { verifyToken } from '../utils/auth.js';
 import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { pubsub, EVENTS } from '../config/pubsub.js';
+import { findVariant, formatVariant } from '../utils/variants.js';
+
+// Order.user may be an ObjectId or a populated user document
+const getOrderOwnerId = (order) => (order.user?._id || order.user).toString();
+
+/**
+ * Work out whose orders a subscriber may follow. Customers are pinned to
+ * their own ID; admins may pick a user or receive every order (null).
+ */
+const resolveSubscriptionUserId = (requestedUserId, context) => {
+  const ownId = context.user._id.toString();
+
+  if (context.isAdmin) {
+    return requestedUserId || null;
+  }
+
+  if (requestedUserId && requestedUserId !== ownId) {
+    throw new GraphQLError('Not authorized to subscribe to orders of another user', {
+      extensions: { code: 'FORBIDDEN' }
+    });
+  }
+
+  return ownId;
+};
 
 export const orderResolvers = {
   Query: {
@@ -32,6 +58,24 @@ export const orderResolvers = {
       }
     }),
 
+    /**
+     * Get current user's orders as a connection
+     */
+    myOrdersConnection: requireAuth(async (parent, { first, after, last, before }, context) => {
+      try {
+        return await OrderService.getOrderConnection(
+          { userId: context.user._id.toString() },
+          { first, after, last, before }
+        );
+      } catch (error) {
+        logger.error('myOrdersConnection query failed', {
+          error: error.message,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
     /**
      * Get a specific order by ID
      */
@@ -103,6 +147,22 @@ export const orderResolvers = {
       }
     }),
 
+    /**
+     * Get all orders as a connection (admin only)
+     */
+    allOrdersConnection: requireAdmin(async (parent, { status, first, after, last, before }, context) => {
+      try {
+        return await OrderService.getOrderConnection({ status }, { first, after, last, before });
+      } catch (error) {
+        logger.error('allOrdersConnection query failed', {
+          error: error.message,
+          userId: context.user?._id,
+          status
+        });
+        throw error;
+      }
+    }),
+
     /**
      * Get order analytics (admin only)
      */
@@ -210,9 +270,12 @@ export const orderResolvers = {
     /**
      * Update order status (admin only)
      */
-    updateOrderStatus: requireAdmin(async (parent, { orderId, status }, context) => {
+    updateOrderStatus: requireAdmin(async (parent, { orderId, status, shipment }, context) => {
       try {
-        const updatedOrder = await OrderService.updateOrderStatus(orderId, status);
+        const updatedOrder = await OrderService.updateOrderStatus(orderId, status.toLowerCase(), {
+          shipment,
+          adminId: context.user._id
+        });
 
         // Populate the updated order for response
         const populatedOrder = await Order.findById(updatedOrder._id)
@@ -238,6 +301,29 @@ export const orderResolvers = {
     }),
   },
 
+  Subscription: {
+    /**
+     * Order status changes (customers: own orders only)
+     */
+    orderStatusUpdated: {
+      subscribe: requireAuth((parent, args, context, info) => {
+        const targetUserId = resolveSubscriptionUserId(args.userId, context);
+
+        return withFilter(
+          () => pubsub.asyncIterator(EVENTS.ORDER_STATUS_UPDATED),
+          (payload) => !targetUserId || getOrderOwnerId(payload.orderStatusUpdated) === targetUserId
+        )(parent, args, context, info);
+      }),
+    },
+
+    /**
+     * Newly placed orders (admin only)
+     */
+    newOrder: {
+      subscribe: requireAdmin(() => pubsub.asyncIterator(EVENTS.NEW_ORDER)),
+    },
+  },
+
   // Field resolvers
   Order: {
     // Ensure user is always populated
@@ -268,8 +354,33 @@ export const orderResolvers = {
       return `ORD-${order._id.toString().slice(-8).toUpperCase()}`;
     },
 
+    // Orders placed before discounts existed have no stored subtotal
+    subtotal: (order) => order.subtotal ?? OrderService.calculateOrderTotal(order.items),
+
     // Transform status to uppercase for consistency
     status: (order) => order.status.toUpperCase(),
+
+    hasBackorders: (order) => order.items.some(item => item.backorderedQuantity > 0),
+
+    paymentStatus: (order) => order.paymentStatus.toUpperCase(),
+
+    // Payment details exist once a charge has been attempted
+    payment: (order) => (order.payment?.transactionId ? order.payment : null),
+
+    // Refunds and returns recorded against the order
+    refunds: async (order) => {
+      const { RefundService } = await import('../services/refundService.js');
+      return RefundService.getRefunds({ orderId: order._id });
+    },
+
+    // Orders placed without a shipping method have an empty snapshot
+    shippingMethod: (order) => (order.shippingMethod?.code ? order.shippingMethod : null),
+
+    // Parcels sent for the order, oldest first
+    shipments: async (order) => {
+      const { ShipmentService } = await import('../services/shipmentService.js');
+      return ShipmentService.getShipments(order._id);
+    },
   },
 
   // Order item field resolvers
@@ -282,5 +393,24 @@ export const orderResolvers = {
       const { Product } = await import('../models/Product.js');
       return await Product.findById(item.product);
     },
+
+    // Resolve the ordered variant from the product's current variants
+    variant: async (item) => {
+      if (!item.variant) {
+        return null;
+      }
+
+      let product = item.product;
+      if (!product?.variants) {
+        const { Product } = await import('../models/Product.js');
+        product = await Product.findById(product?._id || product).select('price variants');
+      }
+
+      const variant = findVariant(product, item.variant);
+      return variant ? formatVariant(product, variant) : null;
+    },
+
+    // Orders placed before warehouses were tracked have no allocations
+    allocations: (item) => item.allocations || [],
   },
 }; 
\ No newline at end of file
@@ -0,0 +1,78 @@
+import { GraphQLError } from 'graphql';
+import { Order } from '../models/Order.js';
+import { PaymentService } from '../services/paymentService.js';
+import { logger } from '../utils/logging.js';
+import { validateObjectId } from '../utils/validation.js';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+
+// Reload an order with the fields the Order type expects populated
+const populateOrder = (orderId) => Order.findById(orderId)
+  .populate('user', 'email firstName lastName')
+  .populate('items.product', 'name price imageUrl category');
+
+export const paymentResolvers = {
+  Mutation: {
+    /**
+     * Pay for a pending order
+     */
+    payOrder: requireAuth(async (parent, { orderId, paymentMethod }, context) => {
+      try {
+        validateObjectId(orderId);
+
+        if (!paymentMethod || paymentMethod.trim().length === 0) {
+          throw new GraphQLError('Payment method is required', {
+            extensions: { code: 'INVALID_INPUT', field: 'paymentMethod' }
+          });
+        }
+
+        const order = await PaymentService.payOrder(
+          orderId,
+          context.user._id.toString(),
+          context.user.role,
+          paymentMethod.trim()
+        );
+
+        logger.info('Order payment processed', {
+          orderId,
+          userId: context.user._id,
+          paymentStatus: order.paymentStatus
+        });
+
+        return populateOrder(order._id);
+      } catch (error) {
+        logger.error('payOrder mutation failed', {
+          error: error.message,
+          orderId,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Refund a paid order (admin only)
+     */
+    refundOrder: requireAdmin(async (parent, { orderId, reason }, context) => {
+      try {
+        validateObjectId(orderId);
+
+        const order = await PaymentService.refundOrder(orderId, reason);
+
+        logger.info('Order refunded by admin', {
+          orderId,
+          adminId: context.user._id,
+          reason
+        });
+
+        return populateOrder(order._id);
+      } catch (error) {
+        logger.error('refundOrder mutation failed', {
+          error: error.message,
+          orderId,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+};
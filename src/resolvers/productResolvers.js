@@ -1,96 +1,270 @@
 import { GraphQLError } from 'graphql';
+import mongoose from 'mongoose';
 import { Product } from '../models/Product.js';
 import { User } from '../models/User.js';
 import { requireAdmin } from '../middleware/auth.js';
 import { validateObjectId } from '../utils/validation.js';
-import { performanceLogger, graphqlLogger } from '../utils/logging.js';
+import { decodeCursor, encodeCursor, pageWindow, paginateQuery } from '../utils/pagination.js';
+import { logger, performanceLogger, graphqlLogger } from '../utils/logging.js';
 import { productCacheService } from '../services/productCacheService.js';
+import { InventoryService } from '../services/inventoryService.js';
+import { OrderService } from '../services/orderService.js';
+import { formatVariant, getAvailableStock } from '../utils/variants.js';
+import { BASE_CURRENCY, toMinorUnits } from '../utils/currency.js';
+import { CurrencyService } from '../services/currencyService.js';
+import { PopularityService } from '../services/popularityService.js';
+import { WishlistService } from '../services/wishlistService.js';
+import { CategoryService } from '../services/categoryService.js';
+import { FacetService } from '../services/facetService.js';
+import { SearchService } from '../services/searchService.js';
+import { SearchAnalyticsService } from '../services/searchAnalyticsService.js';
+
+// Map ProductVariantInput to embedded variants, keeping the IDs of existing variants
+const toVariantDocuments = (variants = []) => variants.map(({ id, ...variant }) => (
+  id ? { _id: id, ...variant } : variant
+));
+
+// Views count towards popularity but must never fail or slow down the query.
+// Only the product query itself counts, not products looked up inside other
+// fields of the operation.
+const recordView = (productId, info) => {
+  if (info?.path.prev) {
+    return;
+  }
+
+  PopularityService.recordView(productId).catch(error => {
+    logger.warn('Failed to record product view', {
+      error: error.message,
+      productId
+    });
+  });
+};
+
+// Query conditions of the products listing
+const buildListingFilter = async (filter = {}) => {
+  const queryFilter = { isActive: true }; // Only show active products
+  
+  // Categories include their subcategories
+  if (filter.categoryId) {
+    validateObjectId(filter.categoryId);
+  }
+  Object.assign(queryFilter, await CategoryService.productFilter(filter));
+  
+  // Prices are stored in cents
+  if (filter.minPrice !== undefined || filter.maxPrice !== undefined) {
+    queryFilter.price = {};
+    if (filter.minPrice !== undefined) {
+      queryFilter.price.$gte = toMinorUnits(filter.minPrice);
+    }
+    if (filter.maxPrice !== undefined) {
+      queryFilter.price.$lte = toMinorUnits(filter.maxPrice);
+    }
+  }
+  
+  if (filter.inStock === true) {
+    queryFilter.stock = { $gt: 0 };
+  } else if (filter.inStock === false) {
+    queryFilter.stock = { $eq: 0 };
+  }
+  
+  if (filter.search) {
+    queryFilter.$text = { $search: filter.search };
+  }
+
+  return queryFilter;
+};
+
+// Query conditions of a product search: the products the search index found
+// (see SearchService.search) that pass the filters. Hit IDs are cast to
+// ObjectIds since the conditions are also used in facet aggregations, which
+// Mongoose does not cast.
+const buildSearchFilter = async (hits, filter = {}) => {
+  const searchQuery = {
+    isActive: true,
+    _id: { $in: hits.map(hit => new mongoose.Types.ObjectId(hit.productId)) }
+  };
+
+  // Apply additional filters
+  if (filter.categoryId) {
+    validateObjectId(filter.categoryId);
+  }
+  Object.assign(searchQuery, await CategoryService.productFilter(filter));
+
+  if (filter.minPrice !== undefined) {
+    searchQuery.price = { ...searchQuery.price, $gte: toMinorUnits(filter.minPrice) };
+  }
+
+  if (filter.maxPrice !== undefined) {
+    searchQuery.price = { ...searchQuery.price, $lte: toMinorUnits(filter.maxPrice) };
+  }
+
+  if (filter.inStock !== undefined) {
+    if (filter.inStock) {
+      searchQuery.stock = { $gt: 0 };
+    } else {
+      searchQuery.stock = { $eq: 0 };
+    }
+  }
+
+  return searchQuery;
+};
+
+// Product fields of ProductSortInput; popularity is scored per window
+const SORT_FIELDS = {
+  PRICE: () => 'price',
+  NAME: () => 'name',
+  CREATED_AT: () => 'createdAt',
+  POPULARITY: window => `popularity.${window.toLowerCase()}`,
+  RATING: () => 'averageRating'
+};
+
+const DEFAULT_SORT = { field: 'CREATED_AT', direction: 'DESC' };
+
+// Value of a sort field as stored, for cursors compared in the database
+const sortValue = (product, path) => {
+  const value = path.split('.').reduce((object, key) => object?.[key], product);
+  // Prices are stored in cents
+  return path === 'price' ? toMinorUnits(value) : value;
+};
+
+// Connection arguments of a product query, with page sizes capped at 100
+// products rather than rejected
+const pageArgs = ({ first, after, last, before }) => ({
+  first: first && Math.min(first, 100),
+  after,
+  last: last && Math.min(last, 100),
+  before
+});
+
+// A page of the products matching `queryFilter` in `sort` order, ties broken by ID
+const findSortedPage = (queryFilter, { field, direction = 'ASC', window = 'WEEK' }, args) => {
+  const path = SORT_FIELDS[field](window);
+
+  return paginateQuery(pageArgs(args), {
+    // Popularity cursors only hold in the window they were issued for
+    ordering: field === 'POPULARITY' ? `${field}_${window}_${direction}` : `${field}_${direction}`,
+    path,
+    direction: direction === 'DESC' ? -1 : 1,
+    cursorValue: product => sortValue(product, path),
+    find: (pageFilter, sort, limit) => Product.find({ ...queryFilter, ...pageFilter })
+      .sort(sort)
+      .limit(limit)
+      .populate('createdBy', 'id firstName lastName email')
+  });
+};
+
+// Relevance score and product ID of a RELEVANCE cursor
+const decodeRankCursor = (cursor) => {
+  const { value, id } = decodeCursor(cursor, 'RELEVANCE');
+  if (typeof value !== 'number') {
+    throw new GraphQLError('Invalid cursor format', {
+      extensions: { code: 'INVALID_CURSOR' }
+    });
+  }
+  return { score: value, id };
+};
+
+// Whether a hit ranks after or before the cursor: hits are ordered by score,
+// highest first, then by product ID as the search index breaks ties
+const ranksAfter = (hit, { score, id }) => (
+  hit.score < score || (hit.score === score && hit.productId > id)
+);
+const ranksBefore = (hit, { score, id }) => (
+  hit.score > score || (hit.score === score && hit.productId < id)
+);
+
+// A page of search hits in relevance order. Cursors resume from the score
+// they were issued at, so products whose score changed or that no longer
+// match since do not invalidate them.
+const findRankedPage = async (rankedHits, args) => {
+  const { limit, backward } = pageWindow(pageArgs(args));
+
+  // Index of the first hit matching `test`, or the end of the ranking
+  const indexWhere = (test) => {
+    const index = rankedHits.findIndex(test);
+    return index === -1 ? rankedHits.length : index;
+  };
+
+  // Hits between the cursors, then the first or last `limit` of them
+  const afterCursor = args.after && decodeRankCursor(args.after);
+  const beforeCursor = args.before && decodeRankCursor(args.before);
+  const start = afterCursor ? indexWhere(hit => ranksAfter(hit, afterCursor)) : 0;
+  const end = beforeCursor
+    ? indexWhere(hit => !ranksBefore(hit, beforeCursor))
+    : rankedHits.length;
+  const from = backward ? Math.max(start, end - limit) : start;
+  const to = backward ? end : Math.min(end, start + limit);
+
+  const pageHits = rankedHits.slice(from, Math.max(from, to));
+  const products = await Product.find({ _id: { $in: pageHits.map(hit => hit.productId) } })
+    .populate('createdBy', 'id firstName lastName email');
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const edges = pageHits
+    .filter(hit => productsById.has(hit.productId))
+    .map(hit => ({
+      node: productsById.get(hit.productId),
+      cursor: encodeCursor('RELEVANCE', hit.score, hit.productId)
+    }));
+
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage: to < rankedHits.length,
+      hasPreviousPage: from > 0,
+      startCursor: edges.length > 0 ? edges[0].cursor : null,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+    }
+  };
+};
+
+// Facets are only aggregated when a query selects them, so the connection
+// remembers what it was built from (kept out of the cached page and of JSON)
+const withFacets = (connection, facetSource) => Object.defineProperty(
+  { ...connection }, 'facetSource', { value: facetSource }
+);
+
+// Searches feed suggestions and analytics but must never fail or slow down
+// the query. Returns the ID clicks on the results are recorded against.
+const recordSearch = (search) => {
+  const searchId = new mongoose.Types.ObjectId().toString();
+
+  SearchAnalyticsService.recordSearch({ searchId, ...search }).catch(error => {
+    logger.warn('Failed to record product search', {
+      error: error.message,
+      query: search.query
+    });
+  });
+
+  return searchId;
+};
 
 export const productResolvers = {
   Query: {
     // Public query - get products with filtering and pagination
-    products: async (parent, { filter = {}, first = 20, after }, context) => {
+    products: async (parent, { filter = {}, sort, first, after, last, before, currency }, context) => {
       const startTime = Date.now();
       
       try {
-        graphqlLogger.operationStart('products', { filter, first, after }, context);
-        
-        // Validate and limit pagination
-        const limit = Math.min(first, 100); // Max 100 products per request
+        graphqlLogger.operationStart('products', { filter, sort, first, after, last, before, currency }, context);
 
         // Check cache first
-        const cacheData = await productCacheService.getProductList(filter, { first, after });
+        const cacheData = await productCacheService.getProductList(filter, { first, after, last, before, sort });
         if (cacheData) {
           const duration = Date.now() - startTime;
           graphqlLogger.operationComplete('products', duration, true);
-          return cacheData;
+          return withFacets(await CurrencyService.localizeConnection(cacheData, currency), { filter });
         }
         
         // Build query filters
-        const queryFilter = { isActive: true }; // Only show active products
-        
-        if (filter.category) {
-          queryFilter.category = { $regex: new RegExp(filter.category, 'i') };
-        }
-        
-        if (filter.minPrice !== undefined || filter.maxPrice !== undefined) {
-          queryFilter.price = {};
-          if (filter.minPrice !== undefined) {
-            queryFilter.price.$gte = filter.minPrice;
-          }
-          if (filter.maxPrice !== undefined) {
-            queryFilter.price.$lte = filter.maxPrice;
-          }
-        }
-        
-        if (filter.inStock === true) {
-          queryFilter.stock = { $gt: 0 };
-        } else if (filter.inStock === false) {
-          queryFilter.stock = { $eq: 0 };
-        }
-        
-        if (filter.search) {
-          queryFilter.$text = { $search: filter.search };
-        }
-        
-        // Base query
-        let query = Product.find(queryFilter);
+        const queryFilter = await buildListingFilter(filter);
         
-        // Handle cursor-based pagination
-        if (after) {
-          try {
-            const cursor = Buffer.from(after, 'base64').toString();
-            query = query.where('_id').gt(cursor);
-          } catch (error) {
-            throw new GraphQLError('Invalid cursor format', {
-              extensions: { code: 'INVALID_CURSOR' }
-            });
-          }
-        }
-        
-        // Execute query with limit + 1 to check for next page
-        const products = await query
-          .limit(limit + 1)
-          .sort({ createdAt: -1, _id: 1 }) // Consistent sorting for pagination
-          .populate('createdBy', 'id firstName lastName email');
+        // Newest first unless asked otherwise
+        const { edges, pageInfo } = await findSortedPage(queryFilter, sort || DEFAULT_SORT, { first, after, last, before });
         
         // Get total count for metadata
         const totalCount = await Product.countDocuments(queryFilter);
         
-        // Determine pagination info
-        const hasNextPage = products.length > limit;
-        const edges = products.slice(0, limit).map(product => ({
-          node: product,
-          cursor: Buffer.from(product._id.toString()).toString('base64')
-        }));
-        
-        const pageInfo = {
-          hasNextPage,
-          hasPreviousPage: !!after,
-          startCursor: edges.length > 0 ? edges[0].cursor : null,
-          endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null,
-        };
-        
         const duration = Date.now() - startTime;
         if (duration > 1000) {
           performanceLogger.slowQuery('products', duration, { filter, totalCount });
@@ -103,11 +277,11 @@ export const productResolvers = {
         };
 
         // Cache the result
-        await productCacheService.setProductList(filter, { first, after }, result);
+        await productCacheService.setProductList(filter, { first, after, last, before, sort }, result);
 
         graphqlLogger.operationComplete('products', duration, true);
         
-        return result;
+        return withFacets(await CurrencyService.localizeConnection(result, currency), { filter });
         
       } catch (error) {
         const duration = Date.now() - startTime;
@@ -124,40 +298,37 @@ export const productResolvers = {
     },
 
     // Public query - get single product by ID
-    product: async (parent, { id }, context) => {
+    product: async (parent, { id, currency }, context, info) => {
       const startTime = Date.now();
       
       try {
-        graphqlLogger.operationStart('product', { id }, context);
+        graphqlLogger.operationStart('product', { id, currency }, context);
         
         validateObjectId(id);
 
         // Check cache first
-        const cachedProduct = await productCacheService.getProduct(id);
-        if (cachedProduct) {
-          const duration = Date.now() - startTime;
-          graphqlLogger.operationComplete('product', duration, true);
-          return cachedProduct;
+        let product = await productCacheService.getProduct(id);
+        if (!product) {
+          product = await Product.findOne({ 
+            _id: id, 
+            isActive: true 
+          }).populate('createdBy', 'id firstName lastName email');
+
+          // Cache the product
+          if (product) {
+            await productCacheService.setProduct(id, product);
+          }
         }
         
-        const product = await Product.findOne({ 
-          _id: id, 
-          isActive: true 
-        }).populate('createdBy', 'id firstName lastName email');
-        
+        const duration = Date.now() - startTime;
+        graphqlLogger.operationComplete('product', duration, true);
+
         if (!product) {
-          const duration = Date.now() - startTime;
-          graphqlLogger.operationComplete('product', duration, true);
           return null;
         }
 
-        // Cache the product
-        await productCacheService.setProduct(id, product);
-        
-        const duration = Date.now() - startTime;
-        graphqlLogger.operationComplete('product', duration, true);
-        
-        return product;
+        recordView(id, info);
+        return CurrencyService.localize(product, currency);
         
       } catch (error) {
         const duration = Date.now() - startTime;
@@ -174,31 +345,34 @@ export const productResolvers = {
     },
 
     // Public query - get popular products (most frequently queried/ordered)
-    popularProducts: async (parent, { limit = 10 }, context) => {
+    popularProducts: async (parent, { limit = 10, category, window = 'WEEK' }, context) => {
       const startTime = Date.now();
       
       try {
-        graphqlLogger.operationStart('popularProducts', { limit }, context);
+        graphqlLogger.operationStart('popularProducts', { limit, category, window }, context);
         
         const limitValue = Math.min(limit, 50); // Max 50 products
+        const options = { category, window: window.toLowerCase() };
 
         // Check cache first
-        const cachedPopular = await productCacheService.getPopularProducts(limitValue);
+        const cachedPopular = await productCacheService.getPopularProducts(limitValue, options);
         if (cachedPopular) {
           const duration = Date.now() - startTime;
           graphqlLogger.operationComplete('popularProducts', duration, true);
           return cachedPopular;
         }
 
-        // For now, return products sorted by creation date
-        // In a real app, you'd track view/order counts and sort by popularity
-        const products = await Product.find({ isActive: true })
-          .sort({ createdAt: -1 })
+        const queryFilter = { isActive: true, ...await CategoryService.productFilter({ category }) };
+
+        // Ranked by the scores PopularityService keeps up to date; products
+        // without recent views or orders follow, newest first
+        const products = await Product.find(queryFilter)
+          .sort({ [`popularity.${options.window}`]: -1, createdAt: -1 })
           .limit(limitValue)
           .populate('createdBy', 'id firstName lastName email');
 
         // Cache the result
-        await productCacheService.setPopularProducts(limitValue, products);
+        await productCacheService.setPopularProducts(limitValue, products, options);
 
         const duration = Date.now() - startTime;
         graphqlLogger.operationComplete('popularProducts', duration, true);
@@ -230,22 +404,27 @@ export const productResolvers = {
           return cachedCategories;
         }
 
-        // Aggregate categories with product counts
+        // Aggregate categories with product counts. Products not yet moved
+        // into the taxonomy are grouped by their category name.
         const categories = await Product.aggregate([
           { $match: { isActive: true } },
           { 
             $group: {
-              _id: '$category',
+              _id: { categoryId: '$categoryId', category: '$category' },
               count: { $sum: 1 },
               averagePrice: { $avg: '$price' },
               totalStock: { $sum: '$stock' }
             }
           },
+          { $lookup: { from: 'categories', localField: '_id.categoryId', foreignField: '_id', as: 'node' } },
           { 
             $project: {
-              category: '$_id',
+              category: '$_id.category',
+              categoryId: '$_id.categoryId',
+              slug: { $first: '$node.slug' },
               productCount: '$count',
-              averagePrice: { $round: ['$averagePrice', 2] },
+              // Prices are stored in cents
+              averagePrice: { $round: [{ $divide: ['$averagePrice', 100] }, 2] },
               totalStock: '$totalStock'
             }
           },
@@ -271,11 +450,11 @@ export const productResolvers = {
     },
 
     // Public query - search products with enhanced text search
-    searchProducts: async (parent, { query, filter = {}, first = 20, after }, context) => {
+    searchProducts: async (parent, { query, filter = {}, sort, first, after, last, before, currency, sessionId }, context) => {
       const startTime = Date.now();
       
       try {
-        graphqlLogger.operationStart('searchProducts', { query, filter, first, after }, context);
+        graphqlLogger.operationStart('searchProducts', { query, filter, sort, first, after, last, before, currency }, context);
 
         if (!query || query.trim().length === 0) {
           throw new GraphQLError('Search query is required', {
@@ -287,83 +466,42 @@ export const productResolvers = {
         }
 
         const searchTerm = query.trim();
-        const limit = Math.min(first, 100);
 
         // Check cache first
-        const cacheData = await productCacheService.getSearchResults(searchTerm, filter);
+        const cacheData = await productCacheService.getSearchResults(searchTerm, filter, { first, after, last, before, sort });
         if (cacheData) {
+          const searchId = recordSearch({
+            query: searchTerm,
+            filter,
+            resultCount: cacheData.totalCount,
+            userId: context.user?.id,
+            sessionId
+          });
           const duration = Date.now() - startTime;
           graphqlLogger.operationComplete('searchProducts', duration, true);
-          return cacheData;
-        }
-
-        // Build search query - use either text search or regex, not both
-        const searchQuery = {
-          isActive: true,
-          $or: [
-            { name: { $regex: searchTerm, $options: 'i' } }, // Case-insensitive name search
-            { description: { $regex: searchTerm, $options: 'i' } }, // Case-insensitive description search
-            { category: { $regex: searchTerm, $options: 'i' } } // Case-insensitive category search
-          ]
-        };
-
-        // Apply additional filters
-        if (filter.category) {
-          searchQuery.category = { $regex: filter.category, $options: 'i' };
-        }
-
-        if (filter.minPrice !== undefined) {
-          searchQuery.price = { ...searchQuery.price, $gte: filter.minPrice };
-        }
-
-        if (filter.maxPrice !== undefined) {
-          searchQuery.price = { ...searchQuery.price, $lte: filter.maxPrice };
-        }
-
-        if (filter.inStock !== undefined) {
-          if (filter.inStock) {
-            searchQuery.stock = { $gt: 0 };
-          } else {
-            searchQuery.stock = { $eq: 0 };
-          }
-        }
-
-        let mongoQuery = Product.find(searchQuery);
-
-        // Handle cursor pagination
-        if (after) {
-          try {
-            const cursor = Buffer.from(after, 'base64').toString();
-            mongoQuery = mongoQuery.where('_id').gt(cursor);
-          } catch (error) {
-            throw new GraphQLError('Invalid cursor format', {
-              extensions: { code: 'INVALID_CURSOR' }
-            });
-          }
-        }
+          return withFacets(
+            { ...await CurrencyService.localizeConnection(cacheData, currency), searchId },
+            { searchTerm, filter }
+          );
+        }
+
+        // Rank with the search index, then keep the hits passing the filters
+        const hits = await SearchService.search(searchTerm);
+        const searchQuery = await buildSearchFilter(hits, filter);
+        const matchingIds = new Set((await Product.distinct('_id', searchQuery)).map(String));
+        const rankedHits = hits.filter(hit => matchingIds.has(hit.productId));
+
+        // Most relevant first unless a sort order is given
+        const { edges, pageInfo } = sort
+          ? await findSortedPage(searchQuery, sort, { first, after, last, before })
+          : await findRankedPage(rankedHits, { first, after, last, before });
+
+        const scores = new Map(rankedHits.map(hit => [hit.productId, hit.score]));
+        edges.forEach(edge => {
+          edge.relevanceScore = scores.get(edge.node._id.toString());
+        });
 
-        // Execute search with text score for relevance
-        const products = await mongoQuery
-          .limit(limit + 1)
-          .sort({ createdAt: -1, _id: 1 }) // Remove text score sorting if no text search is used
-          .populate('createdBy', 'id firstName lastName email');
-
-        // Get total count
-        const totalCount = await Product.countDocuments(searchQuery);
-
-        // Determine pagination info
-        const hasNextPage = products.length > limit;
-        const edges = products.slice(0, limit).map(product => ({
-          node: product,
-          cursor: Buffer.from(product._id.toString()).toString('base64')
-        }));
-
-        const pageInfo = {
-          hasNextPage,
-          hasPreviousPage: !!after,
-          startCursor: edges.length > 0 ? edges[0].cursor : null,
-          endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null,
-        };
+        const totalCount = rankedHits.length;
 
         const result = {
           edges,
@@ -372,12 +510,22 @@ export const productResolvers = {
         };
 
         // Cache the search results
-        await productCacheService.setSearchResults(searchTerm, filter, result);
+        await productCacheService.setSearchResults(searchTerm, filter, { first, after, last, before, sort }, result);
+        const searchId = recordSearch({
+          query: searchTerm,
+          filter,
+          resultCount: totalCount,
+          userId: context.user?.id,
+          sessionId
+        });
 
         const duration = Date.now() - startTime;
         graphqlLogger.operationComplete('searchProducts', duration, true);
         
-        return result;
+        return withFacets(
+          { ...await CurrencyService.localizeConnection(result, currency), searchId },
+          { searchTerm, filter }
+        );
         
       } catch (error) {
         const duration = Date.now() - startTime;
@@ -421,7 +569,7 @@ export const productResolvers = {
           });
         }
         
-        if (!input.category || input.category.trim().length === 0) {
+        if (!input.categoryId && (!input.category || input.category.trim().length === 0)) {
           throw new GraphQLError('Product category is required', {
             extensions: { code: 'INVALID_INPUT', field: 'category' }
           });
@@ -438,21 +586,40 @@ export const productResolvers = {
             extensions: { code: 'INVALID_INPUT', field: 'stock' }
           });
         }
+
+        if (input.reorderThreshold != null && input.reorderThreshold < 0) {
+          throw new GraphQLError('Reorder threshold cannot be negative', {
+            extensions: { code: 'INVALID_INPUT', field: 'reorderThreshold' }
+          });
+        }
         
+        if (input.categoryId) {
+          validateObjectId(input.categoryId);
+        }
+        const category = await CategoryService.resolveProductCategory(input);
+
         // Create product with current user as creator
         const productData = {
           ...input,
+          ...(input.variants && { variants: toVariantDocuments(input.variants) }),
+          ...(input.backorderMode && { backorderMode: input.backorderMode.toLowerCase() }),
           name: input.name.trim(),
-          category: input.category.trim(),
+          category: category.name,
+          categoryId: category._id,
           description: input.description?.trim() || '',
           createdBy: context.user.id,
         };
         
         const product = await Product.create(productData);
+        await InventoryService.recordDifferences(product._id, new Map(), InventoryService.stockSnapshot(product), {
+          type: 'initial',
+          actor: context.user.id
+        });
         await product.populate('createdBy', 'id firstName lastName email');
 
         // Invalidate related cache
         await productCacheService.invalidateProduct(product._id, product);
+        SearchService.indexProduct(product);
         
         const duration = Date.now() - startTime;
         graphqlLogger.operationComplete('addProduct', duration, true);
@@ -473,6 +640,14 @@ export const productResolvers = {
             extensions: { code: 'DUPLICATE_SKU' }
           });
         }
+
+        // Handle schema validation errors (e.g., invalid variant options)
+        if (error.name === 'ValidationError') {
+          const field = Object.keys(error.errors)[0];
+          throw new GraphQLError(error.errors[field].message, {
+            extensions: { code: 'INVALID_INPUT', field }
+          });
+        }
         
         throw new GraphQLError('Failed to create product', {
           extensions: { code: 'CREATE_PRODUCT_ERROR' }
@@ -490,12 +665,16 @@ export const productResolvers = {
         validateObjectId(id);
         
         // Find the product
-        const product = await Product.findById(id);
+        let product = await Product.findById(id);
         if (!product) {
           throw new GraphQLError('Product not found', {
             extensions: { code: 'PRODUCT_NOT_FOUND' }
           });
         }
+
+        // Stock before the edit, to record any change in the inventory ledger
+        const stockBefore = InventoryService.stockSnapshot(product);
+        const availabilityBefore = WishlistService.availabilitySnapshot(product);
         
         // Validate input if provided
         if (input.name !== undefined) {
@@ -507,13 +686,20 @@ export const productResolvers = {
           product.name = input.name.trim();
         }
         
-        if (input.category !== undefined) {
+        if (input.categoryId) {
+          validateObjectId(input.categoryId);
+        } else if (input.category !== undefined) {
           if (!input.category || input.category.trim().length === 0) {
             throw new GraphQLError('Product category cannot be empty', {
               extensions: { code: 'INVALID_INPUT', field: 'category' }
             });
           }
-          product.category = input.category.trim();
+        }
+
+        if (input.categoryId || input.category !== undefined) {
+          const category = await CategoryService.resolveProductCategory(input);
+          product.category = category.name;
+          product.categoryId = category._id;
         }
         
         if (input.description !== undefined) {
@@ -541,17 +727,94 @@ export const productResolvers = {
         if (input.imageUrl !== undefined) {
           product.imageUrl = input.imageUrl?.trim() || '';
         }
+
+        if (input.reorderThreshold !== undefined) {
+          if (input.reorderThreshold !== null && input.reorderThreshold < 0) {
+            throw new GraphQLError('Reorder threshold cannot be negative', {
+              extensions: { code: 'INVALID_INPUT', field: 'reorderThreshold' }
+            });
+          }
+          product.reorderThreshold = input.reorderThreshold;
+        }
+
+        if (input.weight !== undefined) {
+          if (input.weight === null || input.weight < 0) {
+            throw new GraphQLError('Weight cannot be negative', {
+              extensions: { code: 'INVALID_INPUT', field: 'weight' }
+            });
+          }
+          product.weight = input.weight;
+        }
+        
+        if (input.currency !== undefined) {
+          if (!input.currency) {
+            throw new GraphQLError('Currency cannot be empty', {
+              extensions: { code: 'INVALID_INPUT', field: 'currency' }
+            });
+          }
+          product.currency = input.currency;
+        }
+
+        if (input.prices !== undefined) {
+          product.prices = input.prices || [];
+        }
         
         if (input.isActive !== undefined) {
           product.isActive = input.isActive;
         }
+
+        if (input.backorderMode !== undefined) {
+          product.backorderMode = (input.backorderMode || 'none').toLowerCase();
+        }
+
+        if (input.availableOn !== undefined) {
+          product.availableOn = input.availableOn;
+        }
+
+        if (input.options !== undefined) {
+          product.options = input.options || [];
+        }
+
+        if (input.variants !== undefined) {
+          product.variants = toVariantDocuments(input.variants || []);
+        }
+
+        // Stock of variant products is derived from their variants
+        if (input.stock !== undefined && product.hasVariants) {
+          throw new GraphQLError('Stock is managed per variant for this product', {
+            extensions: { code: 'INVALID_INPUT', field: 'stock' }
+          });
+        }
+
+        // Stock kept at warehouses is set per warehouse (setWarehouseStock)
+        if (input.stock !== undefined && product.stockLevels?.length > 0) {
+          throw new GraphQLError('Stock is managed per warehouse for this product', {
+            extensions: { code: 'INVALID_INPUT', field: 'stock' }
+          });
+        }
         
         // Save the updated product
         await product.save();
+        const stockAfter = InventoryService.stockSnapshot(product);
+        await InventoryService.recordDifferences(product._id, stockBefore, stockAfter, {
+          type: 'adjustment',
+          actor: context.user.id,
+          reason: input.stockReason
+        });
+
+        // Restocked units go to waiting backorders first
+        if (product.acceptsBackorders && InventoryService.isRestock(stockBefore, stockAfter)) {
+          const allocatedOrders = await OrderService.allocateBackorders(product._id);
+          if (allocatedOrders.length > 0) {
+            product = await Product.findById(product._id);
+          }
+        }
+        await WishlistService.notifyProductChange(availabilityBefore, product);
         await product.populate('createdBy', 'id firstName lastName email');
 
         // Invalidate related cache
         await productCacheService.invalidateProduct(product._id, product);
+        SearchService.indexProduct(product);
         
         const duration = Date.now() - startTime;
         graphqlLogger.operationComplete('updateProduct', duration, true);
@@ -572,6 +835,14 @@ export const productResolvers = {
             extensions: { code: 'DUPLICATE_SKU' }
           });
         }
+
+        // Handle schema validation errors (e.g., invalid variant options)
+        if (error.name === 'ValidationError') {
+          const field = Object.keys(error.errors)[0];
+          throw new GraphQLError(error.errors[field].message, {
+            extensions: { code: 'INVALID_INPUT', field }
+          });
+        }
         
         throw new GraphQLError('Failed to update product', {
           extensions: { code: 'UPDATE_PRODUCT_ERROR' }
@@ -602,6 +873,7 @@ export const productResolvers = {
 
         // Invalidate related cache
         await productCacheService.invalidateProduct(product._id, product);
+        SearchService.indexProduct(product);
         
         const duration = Date.now() - startTime;
         graphqlLogger.operationComplete('deleteProduct', duration, true);
@@ -642,5 +914,48 @@ export const productResolvers = {
     
     // Virtual field for checking if product is in stock
     inStock: (product) => product.stock > 0,
+
+    availableStock: (product) => getAvailableStock(product),
+
+    // Cached products are plain objects without the lowStock virtual
+    lowStock: (product) => product.reorderThreshold != null && product.stock <= product.reorderThreshold,
+
+    // Products created before reviews existed have no rating summary
+    averageRating: (product) => product.averageRating || 0,
+
+    reviewCount: (product) => product.reviewCount || 0,
+
+    // Products created before backorders were supported do not take them
+    backorderMode: (product) => (product.backorderMode || 'none').toUpperCase(),
+
+    stockLevels: (product) => product.stockLevels || [],
+
+    // Products created before currencies were tracked are priced in the base currency
+    currency: (product) => product.currency || BASE_CURRENCY,
+
+    prices: (product) => product.prices || [],
+
+    options: (product) => product.options || [],
+
+    variants: (product) => (product.variants || []).map(variant => formatVariant(product, variant)),
+
+    // The product's category and the categories above it, top-level first
+    breadcrumbs: (product) => (product.categoryId ? CategoryService.getBreadcrumbs(product.categoryId) : []),
+  },
+
+  ProductConnection: {
+    // Counts over every matching product, not just the current page
+    facets: async (connection) => {
+      if (!connection.facetSource) {
+        return null;
+      }
+
+      const { searchTerm = '', filter = {} } = connection.facetSource;
+      const match = searchTerm
+        ? await buildSearchFilter(await SearchService.search(searchTerm), filter)
+        : await buildListingFilter(filter);
+
+      return FacetService.getFacets(match, searchTerm, filter);
+    },
   },
 }; 
\ No newline at end of file
@@ -0,0 +1,176 @@
+import { GraphQLError } from 'graphql';
+import { RefundService } from '../services/refundService.js';
+import { logger } from '../utils/logging.js';
+import { validateObjectId, validateQuantity } from '../utils/validation.js';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { findVariant, formatVariant } from '../utils/variants.js';
+
+// Validate refund/return items and map them to service input
+const toRefundItems = (items = []) => items.map(item => {
+  validateObjectId(item.productId);
+  if (item.variantId) {
+    validateObjectId(item.variantId);
+  }
+  validateQuantity(item.quantity);
+
+  return {
+    productId: item.productId,
+    variantId: item.variantId || null,
+    quantity: item.quantity
+  };
+});
+
+export const refundResolvers = {
+  Query: {
+    /**
+     * Current user's returns and refunds
+     */
+    myReturns: requireAuth(async (parent, args, context) => {
+      try {
+        return await RefundService.getRefunds({ userId: context.user._id });
+      } catch (error) {
+        logger.error('myReturns query failed', {
+          error: error.message,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Refunds and returns, optionally by order and status (admin only)
+     */
+    refunds: requireAdmin(async (parent, { orderId, status }, context) => {
+      try {
+        if (orderId) {
+          validateObjectId(orderId);
+        }
+
+        return await RefundService.getRefunds({
+          orderId,
+          status: status?.toLowerCase()
+        });
+      } catch (error) {
+        logger.error('refunds query failed', {
+          error: error.message,
+          orderId,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+
+  Mutation: {
+    /**
+     * Refund items and/or an amount of an order (admin only)
+     */
+    createRefund: requireAdmin(async (parent, { orderId, items, amount, restock, reason }, context) => {
+      try {
+        validateObjectId(orderId);
+
+        if (amount !== undefined && amount !== null && (!Number.isFinite(amount) || amount < 0)) {
+          throw new GraphQLError('Amount must be a non-negative number', {
+            extensions: { code: 'INVALID_INPUT', field: 'amount' }
+          });
+        }
+
+        return await RefundService.createRefund(
+          orderId,
+          { items: toRefundItems(items), amount: amount ?? undefined, restock, reason },
+          context.user._id
+        );
+      } catch (error) {
+        logger.error('createRefund mutation failed', {
+          error: error.message,
+          orderId,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Request a return for items of a delivered order
+     */
+    requestReturn: requireAuth(async (parent, { orderId, items, reason }, context) => {
+      try {
+        validateObjectId(orderId);
+
+        return await RefundService.requestReturn(
+          orderId,
+          context.user._id.toString(),
+          { items: toRefundItems(items), reason }
+        );
+      } catch (error) {
+        logger.error('requestReturn mutation failed', {
+          error: error.message,
+          orderId,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Move a return through the RMA workflow (admin only)
+     */
+    updateReturnStatus: requireAdmin(async (parent, { returnId, status, restock, notes }, context) => {
+      try {
+        validateObjectId(returnId);
+
+        return await RefundService.updateReturnStatus(
+          returnId,
+          status.toLowerCase(),
+          { restock, notes },
+          context.user._id
+        );
+      } catch (error) {
+        logger.error('updateReturnStatus mutation failed', {
+          error: error.message,
+          returnId,
+          status,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+
+  // Field resolvers
+  Refund: {
+    order: async (refund) => {
+      const { Order } = await import('../models/Order.js');
+      return Order.findById(refund.order?._id || refund.order);
+    },
+
+    user: async (refund) => {
+      const { User } = await import('../models/User.js');
+      return User.findById(refund.user?._id || refund.user).select('email firstName lastName role');
+    },
+
+    type: (refund) => refund.type.toUpperCase(),
+
+    status: (refund) => refund.status.toUpperCase(),
+
+    rmaNumber: (refund) => `RMA-${refund._id.toString().slice(-8).toUpperCase()}`,
+  },
+
+  RefundItem: {
+    product: async (item) => {
+      const { Product } = await import('../models/Product.js');
+      return Product.findById(item.product);
+    },
+
+    variant: async (item) => {
+      if (!item.variant) {
+        return null;
+      }
+
+      const { Product } = await import('../models/Product.js');
+      const product = await Product.findById(item.product).select('price variants');
+      const variant = findVariant(product, item.variant);
+      return variant ? formatVariant(product, variant) : null;
+    },
+  },
+};
@@ -0,0 +1,129 @@
+import { GraphQLError } from 'graphql';
+import { ReviewService } from '../services/reviewService.js';
+import { Product } from '../models/Product.js';
+import { User } from '../models/User.js';
+import { logger } from '../utils/logging.js';
+import { validateObjectId, validatePaginationArgs } from '../utils/validation.js';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+
+// Map Mongoose validation errors to INVALID_INPUT like the product mutations do
+const toInputError = (error) => {
+  if (error.name === 'ValidationError') {
+    const field = Object.keys(error.errors)[0];
+    return new GraphQLError(error.errors[field].message, {
+      extensions: { code: 'INVALID_INPUT', field }
+    });
+  }
+  return error;
+};
+
+export const reviewResolvers = {
+  Query: {
+    /**
+     * Published reviews of a product, newest first
+     */
+    productReviews: async (parent, { productId, first, after, last, before }) => {
+      try {
+        validateObjectId(productId);
+        validatePaginationArgs(first, after, last, before);
+
+        return await ReviewService.getProductReviews(productId, { first, after, last, before });
+      } catch (error) {
+        logger.error('productReviews query failed', {
+          error: error.message,
+          productId
+        });
+        throw error;
+      }
+    },
+  },
+
+  Mutation: {
+    /**
+     * Review a product (one review per customer and product)
+     */
+    addReview: requireAuth(async (parent, { input }, context) => {
+      try {
+        validateObjectId(input.productId);
+
+        return await ReviewService.addReview(context.user._id, input);
+      } catch (error) {
+        logger.error('addReview mutation failed', {
+          error: error.message,
+          productId: input?.productId,
+          userId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Edit your own review
+     */
+    updateReview: requireAuth(async (parent, { id, input }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await ReviewService.updateReview(id, context.user._id, input);
+      } catch (error) {
+        logger.error('updateReview mutation failed', {
+          error: error.message,
+          reviewId: id,
+          userId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Delete your own review (admins may delete any)
+     */
+    deleteReview: requireAuth(async (parent, { id }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await ReviewService.deleteReview(id, context.user._id, context.user.role);
+      } catch (error) {
+        logger.error('deleteReview mutation failed', {
+          error: error.message,
+          reviewId: id,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Publish or hide a review (admin only)
+     */
+    moderateReview: requireAdmin(async (parent, { id, status, note }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await ReviewService.moderateReview(id, status.toLowerCase(), note, context.user._id);
+      } catch (error) {
+        logger.error('moderateReview mutation failed', {
+          error: error.message,
+          reviewId: id,
+          status,
+          adminId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+  },
+
+  // Field resolvers
+  Review: {
+    product: (review) => Product.findById(review.product),
+
+    // Reviewers are shown by first name and last initial only
+    author: async (review) => {
+      const user = await User.findById(review.user).select('firstName lastName');
+      const name = [user?.firstName, user?.lastName && `${user.lastName[0]}.`].filter(Boolean).join(' ');
+      return name || 'Customer';
+    },
+
+    status: (review) => review.status.toUpperCase(),
+  },
+};
@@ -0,0 +1,179 @@
+import { SearchService } from '../services/searchService.js';
+import { SuggestionService } from '../services/suggestionService.js';
+import { SearchAnalyticsService } from '../services/searchAnalyticsService.js';
+import { logger } from '../utils/logging.js';
+import { validateObjectId } from '../utils/validation.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+export const searchResolvers = {
+  Query: {
+    /**
+     * Autocomplete for the search box: popular searches, categories and
+     * product names matching what was typed so far
+     */
+    searchSuggestions: async (parent, { prefix, limit = 10 }) => (
+      SuggestionService.getSuggestions(prefix, limit)
+    ),
+
+    /**
+     * Synonym sets used by product search (admin only)
+     */
+    synonymSets: requireAdmin(async () => SearchService.getSynonymSets()),
+
+    /**
+     * Most searched terms (admin only)
+     */
+    topSearches: requireAdmin(async (parent, { days, limit }, context) => {
+      try {
+        return await SearchAnalyticsService.getTopSearches({ days, limit });
+      } catch (error) {
+        logger.error('topSearches query failed', {
+          error: error.message,
+          days,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Most searched terms that found nothing (admin only)
+     */
+    zeroResultSearches: requireAdmin(async (parent, { days, limit }, context) => {
+      try {
+        return await SearchAnalyticsService.getZeroResultSearches({ days, limit });
+      } catch (error) {
+        logger.error('zeroResultSearches query failed', {
+          error: error.message,
+          days,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Share of searches leading to a click and to an order (admin only)
+     */
+    searchConversion: requireAdmin(async (parent, { days }, context) => {
+      try {
+        return await SearchAnalyticsService.getSearchConversion({ days });
+      } catch (error) {
+        logger.error('searchConversion query failed', {
+          error: error.message,
+          days,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+
+  Mutation: {
+    /**
+     * Record that a searchProducts result was opened, by the customer or
+     * anonymous session that searched
+     */
+    recordSearchClick: async (parent, { searchId, productId, position, sessionId }, context) => {
+      validateObjectId(searchId);
+      validateObjectId(productId);
+
+      return SearchAnalyticsService.recordClick(searchId, productId, {
+        position,
+        userId: context.user?._id,
+        sessionId
+      });
+    },
+
+    /**
+     * Make product search treat words as meaning the same (admin only)
+     */
+    createSynonymSet: requireAdmin(async (parent, { terms }, context) => {
+      try {
+        return await SearchService.createSynonymSet(terms, context.user._id);
+      } catch (error) {
+        logger.error('createSynonymSet mutation failed', {
+          error: error.message,
+          terms,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Replace the words of a synonym set (admin only)
+     */
+    updateSynonymSet: requireAdmin(async (parent, { id, terms }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await SearchService.updateSynonymSet(id, terms, context.user._id);
+      } catch (error) {
+        logger.error('updateSynonymSet mutation failed', {
+          error: error.message,
+          synonymSetId: id,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Delete a synonym set (admin only)
+     */
+    deleteSynonymSet: requireAdmin(async (parent, { id }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await SearchService.deleteSynonymSet(id, context.user._id);
+      } catch (error) {
+        logger.error('deleteSynonymSet mutation failed', {
+          error: error.message,
+          synonymSetId: id,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Delete logged searches older than a number of days (admin only).
+     * Returns the number deleted.
+     */
+    purgeSearchLogs: requireAdmin(async (parent, { olderThanDays }, context) => {
+      try {
+        return await SearchAnalyticsService.purgeSearchLogs(olderThanDays, context.user._id);
+      } catch (error) {
+        logger.error('purgeSearchLogs mutation failed', {
+          error: error.message,
+          olderThanDays,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Rebuild the search index now, e.g. after importing products (admin only).
+     * Returns the number of products indexed.
+     */
+    rebuildSearchIndex: requireAdmin(async (parent, args, context) => {
+      try {
+        const index = await SearchService.rebuildIndex();
+        return index.size;
+      } catch (error) {
+        logger.error('rebuildSearchIndex mutation failed', {
+          error: error.message,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+
+  // Field resolvers
+  SearchSuggestion: {
+    type: (suggestion) => suggestion.type.toUpperCase(),
+  },
+};
@@ -0,0 +1,180 @@
+import { GraphQLError } from 'graphql';
+import { ShippingService } from '../services/shippingService.js';
+import { ShipmentService } from '../services/shipmentService.js';
+import { logger } from '../utils/logging.js';
+import { validateObjectId, validateQuantity } from '../utils/validation.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { findVariant, formatVariant } from '../utils/variants.js';
+
+// Map Mongoose validation errors to INVALID_INPUT like the product mutations do
+const toInputError = (error) => {
+  if (error.name === 'ValidationError') {
+    const field = Object.keys(error.errors)[0];
+    return new GraphQLError(error.errors[field].message, {
+      extensions: { code: 'INVALID_INPUT', field }
+    });
+  }
+  return error;
+};
+
+// Validate item references and quantities ({ productId, variantId, quantity })
+const validateItems = (items = []) => {
+  for (const item of items) {
+    validateObjectId(item.productId);
+    if (item.variantId) {
+      validateObjectId(item.variantId);
+    }
+    validateQuantity(item.quantity);
+  }
+};
+
+export const shippingResolvers = {
+  Query: {
+    /**
+     * Shipping options and prices for items sent to an address (public)
+     */
+    shippingQuotes: async (parent, { input }) => {
+      try {
+        validateItems(input.items);
+
+        return await ShippingService.getQuotes(input);
+      } catch (error) {
+        logger.error('shippingQuotes query failed', {
+          error: error.message,
+          input
+        });
+        throw error;
+      }
+    },
+
+    /**
+     * List shipping methods (admin only)
+     */
+    shippingMethods: requireAdmin(async (parent, { includeInactive }, context) => {
+      try {
+        return await ShippingService.getShippingMethods({ includeInactive });
+      } catch (error) {
+        logger.error('shippingMethods query failed', {
+          error: error.message,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+
+  Mutation: {
+    /**
+     * Create a shipping method (admin only)
+     */
+    createShippingMethod: requireAdmin(async (parent, { input }, context) => {
+      try {
+        return await ShippingService.createShippingMethod(input, context.user._id);
+      } catch (error) {
+        logger.error('createShippingMethod mutation failed', {
+          error: error.message,
+          input,
+          adminId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Update a shipping method (admin only)
+     */
+    updateShippingMethod: requireAdmin(async (parent, { id, input }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await ShippingService.updateShippingMethod(id, input, context.user._id);
+      } catch (error) {
+        logger.error('updateShippingMethod mutation failed', {
+          error: error.message,
+          shippingMethodId: id,
+          adminId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Delete a shipping method (admin only)
+     */
+    deleteShippingMethod: requireAdmin(async (parent, { id }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await ShippingService.deleteShippingMethod(id, context.user._id);
+      } catch (error) {
+        logger.error('deleteShippingMethod mutation failed', {
+          error: error.message,
+          shippingMethodId: id,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Ship some or all remaining items of an order (admin only)
+     */
+    createShipment: requireAdmin(async (parent, { orderId, input }, context) => {
+      try {
+        validateObjectId(orderId);
+        validateItems(input?.items || []);
+
+        return await ShipmentService.createShipment(orderId, input || {}, context.user._id);
+      } catch (error) {
+        logger.error('createShipment mutation failed', {
+          error: error.message,
+          orderId,
+          adminId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Update the tracking status of a shipment (admin only)
+     */
+    updateShipmentStatus: requireAdmin(async (parent, { shipmentId, status }, context) => {
+      try {
+        validateObjectId(shipmentId);
+
+        return await ShipmentService.updateShipmentStatus(shipmentId, status.toLowerCase());
+      } catch (error) {
+        logger.error('updateShipmentStatus mutation failed', {
+          error: error.message,
+          shipmentId,
+          status,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+
+  // Shipment field resolvers
+  Shipment: {
+    status: (shipment) => shipment.status.toUpperCase(),
+  },
+
+  ShipmentItem: {
+    product: async (item) => {
+      const { Product } = await import('../models/Product.js');
+      return Product.findById(item.product);
+    },
+
+    variant: async (item) => {
+      if (!item.variant) {
+        return null;
+      }
+
+      const { Product } = await import('../models/Product.js');
+      const product = await Product.findById(item.product).select('price variants');
+      const variant = findVariant(product, item.variant);
+      return variant ? formatVariant(product, variant) : null;
+    },
+  },
+};
@@ -0,0 +1,89 @@
+import { GraphQLError } from 'graphql';
+import { TaxService } from '../services/taxService.js';
+import { logger } from '../utils/logging.js';
+import { validateObjectId } from '../utils/validation.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+// Map Mongoose validation errors to INVALID_INPUT like the product mutations do
+const toInputError = (error) => {
+  if (error.name === 'ValidationError') {
+    const field = Object.keys(error.errors)[0];
+    return new GraphQLError(error.errors[field].message, {
+      extensions: { code: 'INVALID_INPUT', field }
+    });
+  }
+  return error;
+};
+
+export const taxResolvers = {
+  Query: {
+    /**
+     * List tax rules (admin only)
+     */
+    taxRules: requireAdmin(async (parent, { country }, context) => {
+      try {
+        return await TaxService.getTaxRules({ country });
+      } catch (error) {
+        logger.error('taxRules query failed', {
+          error: error.message,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+
+  Mutation: {
+    /**
+     * Create a tax rule (admin only)
+     */
+    createTaxRule: requireAdmin(async (parent, { input }, context) => {
+      try {
+        return await TaxService.createTaxRule(input, context.user._id);
+      } catch (error) {
+        logger.error('createTaxRule mutation failed', {
+          error: error.message,
+          input,
+          adminId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Update a tax rule (admin only)
+     */
+    updateTaxRule: requireAdmin(async (parent, { id, input }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await TaxService.updateTaxRule(id, input, context.user._id);
+      } catch (error) {
+        logger.error('updateTaxRule mutation failed', {
+          error: error.message,
+          taxRuleId: id,
+          adminId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Delete a tax rule (admin only)
+     */
+    deleteTaxRule: requireAdmin(async (parent, { id }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await TaxService.deleteTaxRule(id, context.user._id);
+      } catch (error) {
+        logger.error('deleteTaxRule mutation failed', {
+          error: error.message,
+          taxRuleId: id,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+};
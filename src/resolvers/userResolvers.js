@@ -4,7 +4,23 @@ import { generateToken } from '../utils/auth.js';
 import { validateEmail, validatePassword, validateObjectId } from '../utils/validation.js';
 import { requireAuth, requireAdmin } from '../middleware/auth.js';
 import { sanitizeEmail, sanitizeName, validateNoSQLInjection } from '../utils/sanitization.js';
-import { securityLogger } from '../utils/logging.js';
+import { securityLogger, logger } from '../utils/logging.js';
+import { paginateQuery } from '../utils/pagination.js';
+import { CartService } from '../services/cartService.js';
+
+// Merge a guest cart into the user's cart without ever failing authentication
+const mergeGuestCart = async (user, guestCartToken) => {
+  if (!guestCartToken) return;
+
+  try {
+    await CartService.mergeGuestCart(user._id.toString(), guestCartToken);
+  } catch (error) {
+    logger.warn('Guest cart merge failed', {
+      error: error.message,
+      userId: user._id
+    });
+  }
+};
 
 export const userResolvers = {
   Query: {
@@ -30,11 +46,32 @@ export const userResolvers = {
 
       return users.slice(0, limit);
     }),
+
+    // Get active users, newest first, as a connection (Admin only)
+    usersConnection: requireAdmin(async (parent, { first, after, last, before }) => {
+      const filter = { isActive: true };
+
+      const [page, totalCount] = await Promise.all([
+        paginateQuery({ first, after, last, before }, {
+          ordering: 'NEWEST',
+          path: 'createdAt',
+          direction: -1,
+          cursorValue: user => user.createdAt,
+          find: (pageFilter, sort, limit) => User.find({ ...filter, ...pageFilter })
+            .sort(sort)
+            .limit(limit)
+            .select('-password')
+        }),
+        User.countDocuments(filter)
+      ]);
+
+      return { ...page, totalCount };
+    }),
   },
 
   Mutation: {
     // User signup
-    signup: async (parent, { email, password, firstName, lastName }, context) => {
+    signup: async (parent, { email, password, firstName, lastName, guestCartToken }, context) => {
       const clientIP = context.req?.ip || 'unknown';
       
       try {
@@ -72,6 +109,9 @@ export const userResolvers = {
 
         const user = await User.create(userData);
 
+        // Carry over anything added to the cart before signing up
+        await mergeGuestCart(user, guestCartToken);
+
         // Generate JWT token
         const token = generateToken(user._id);
 
@@ -111,7 +151,7 @@ export const userResolvers = {
     },
 
     // User login
-    login: async (parent, { email, password }, context) => {
+    login: async (parent, { email, password, guestCartToken }, context) => {
       const clientIP = context.req?.ip || 'unknown';
       
       try {
@@ -156,6 +196,9 @@ export const userResolvers = {
           });
         }
 
+        // Carry over anything added to the cart before logging in
+        await mergeGuestCart(user, guestCartToken);
+
         // Generate JWT token
         const token = generateToken(user._id);
 
@@ -241,6 +284,38 @@ export const userResolvers = {
         });
       }
     }),
+
+    // Flag or unflag a customer as tax exempt (Admin only)
+    setTaxExempt: requireAdmin(async (parent, { userId, taxExempt, exemptionId }) => {
+      try {
+        validateObjectId(userId);
+
+        const user = await User.findById(userId);
+        if (!user) {
+          throw new GraphQLError('User not found', {
+            extensions: {
+              code: 'USER_NOT_FOUND',
+            },
+          });
+        }
+
+        user.taxExempt = taxExempt;
+        user.taxExemptionId = taxExempt ? exemptionId : undefined;
+        await user.save();
+
+        return user;
+      } catch (error) {
+        if (error instanceof GraphQLError) {
+          throw error;
+        }
+
+        throw new GraphQLError('Failed to update tax exemption', {
+          extensions: {
+            code: 'INTERNAL_ERROR',
+          },
+        });
+      }
+    }),
   },
 
   User: {
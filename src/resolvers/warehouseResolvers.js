@@ -0,0 +1,140 @@
+import { GraphQLError } from 'graphql';
+import { WarehouseService } from '../services/warehouseService.js';
+import { productCacheService } from '../services/productCacheService.js';
+import { Warehouse } from '../models/Warehouse.js';
+import { logger } from '../utils/logging.js';
+import { validateObjectId } from '../utils/validation.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+// Map Mongoose validation errors to INVALID_INPUT like the product mutations do
+const toInputError = (error) => {
+  if (error.name === 'ValidationError') {
+    const field = Object.keys(error.errors)[0];
+    return new GraphQLError(error.errors[field].message, {
+      extensions: { code: 'INVALID_INPUT', field }
+    });
+  }
+  return error;
+};
+
+export const warehouseResolvers = {
+  Query: {
+    /**
+     * List warehouses (admin only)
+     */
+    warehouses: requireAdmin(async (parent, { activeOnly }, context) => {
+      try {
+        return await WarehouseService.getWarehouses({ activeOnly });
+      } catch (error) {
+        logger.error('warehouses query failed', {
+          error: error.message,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+
+  Mutation: {
+    /**
+     * Create a warehouse (admin only)
+     */
+    createWarehouse: requireAdmin(async (parent, { input }, context) => {
+      try {
+        return await WarehouseService.createWarehouse(input, context.user._id);
+      } catch (error) {
+        logger.error('createWarehouse mutation failed', {
+          error: error.message,
+          input,
+          adminId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Update a warehouse (admin only)
+     */
+    updateWarehouse: requireAdmin(async (parent, { id, input }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await WarehouseService.updateWarehouse(id, input, context.user._id);
+      } catch (error) {
+        logger.error('updateWarehouse mutation failed', {
+          error: error.message,
+          warehouseId: id,
+          adminId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Set the stock of a product or variant at a warehouse (admin only)
+     */
+    setWarehouseStock: requireAdmin(async (parent, { productId, variantId, warehouseId, quantity, reason }, context) => {
+      try {
+        validateObjectId(productId);
+        if (variantId) validateObjectId(variantId);
+        validateObjectId(warehouseId);
+
+        const product = await WarehouseService.setStockLevel(
+          productId,
+          variantId,
+          warehouseId,
+          quantity,
+          context.user._id,
+          reason
+        );
+        await productCacheService.invalidateProduct(product._id, product);
+
+        return product;
+      } catch (error) {
+        logger.error('setWarehouseStock mutation failed', {
+          error: error.message,
+          productId,
+          variantId,
+          warehouseId,
+          adminId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Move stock between warehouses (admin only)
+     */
+    transferStock: requireAdmin(async (parent, { input }, context) => {
+      try {
+        validateObjectId(input.productId);
+        if (input.variantId) validateObjectId(input.variantId);
+        validateObjectId(input.fromWarehouseId);
+        validateObjectId(input.toWarehouseId);
+
+        const product = await WarehouseService.transferStock(input, context.user._id);
+        await productCacheService.invalidateProduct(product._id, product);
+
+        return product;
+      } catch (error) {
+        logger.error('transferStock mutation failed', {
+          error: error.message,
+          input,
+          adminId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+
+  // Field resolvers
+  StockLevel: {
+    warehouse: async (level) => {
+      if (level.warehouse && typeof level.warehouse === 'object' && level.warehouse.code) {
+        return level.warehouse;
+      }
+
+      return Warehouse.findById(level.warehouse);
+    },
+  },
+};
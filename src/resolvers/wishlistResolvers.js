@@ -0,0 +1,264 @@
+import { GraphQLError } from 'graphql';
+import { withFilter } from 'graphql-subscriptions';
+import { WishlistService } from '../services/wishlistService.js';
+import { User } from '../models/User.js';
+import { logger } from '../utils/logging.js';
+import { validateObjectId } from '../utils/validation.js';
+import { requireAuth } from '../middleware/auth.js';
+import { pubsub, EVENTS } from '../config/pubsub.js';
+import { findVariant, formatVariant } from '../utils/variants.js';
+
+// Map Mongoose validation errors to INVALID_INPUT like the product mutations do
+const toInputError = (error) => {
+  if (error.name === 'ValidationError') {
+    const field = Object.keys(error.errors)[0];
+    return new GraphQLError(error.errors[field].message, {
+      extensions: { code: 'INVALID_INPUT', field }
+    });
+  }
+  return error;
+};
+
+export const wishlistResolvers = {
+  Query: {
+    /**
+     * The current user's wishlists
+     */
+    myWishlists: requireAuth(async (parent, args, context) => {
+      try {
+        return await WishlistService.getWishlists(context.user._id);
+      } catch (error) {
+        logger.error('myWishlists query failed', {
+          error: error.message,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * A wishlist shared by its public link (no sign-in needed)
+     */
+    sharedWishlist: async (parent, { token }) => WishlistService.getSharedWishlist(token),
+  },
+
+  Mutation: {
+    /**
+     * Create a named wishlist
+     */
+    createWishlist: requireAuth(async (parent, { name }, context) => {
+      try {
+        return await WishlistService.createWishlist(context.user._id, name);
+      } catch (error) {
+        logger.error('createWishlist mutation failed', {
+          error: error.message,
+          userId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Rename one of your wishlists
+     */
+    renameWishlist: requireAuth(async (parent, { id, name }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await WishlistService.renameWishlist(id, context.user._id, name);
+      } catch (error) {
+        logger.error('renameWishlist mutation failed', {
+          error: error.message,
+          wishlistId: id,
+          userId: context.user?._id
+        });
+        throw toInputError(error);
+      }
+    }),
+
+    /**
+     * Delete one of your wishlists
+     */
+    deleteWishlist: requireAuth(async (parent, { id }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await WishlistService.deleteWishlist(id, context.user._id);
+      } catch (error) {
+        logger.error('deleteWishlist mutation failed', {
+          error: error.message,
+          wishlistId: id,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Add a product to a wishlist (your default list when none is given)
+     */
+    addToWishlist: requireAuth(async (parent, { productId, variantId, wishlistId }, context) => {
+      try {
+        validateObjectId(productId);
+        if (variantId) validateObjectId(variantId);
+        if (wishlistId) validateObjectId(wishlistId);
+
+        return await WishlistService.addItem(context.user._id, productId, variantId, wishlistId);
+      } catch (error) {
+        logger.error('addToWishlist mutation failed', {
+          error: error.message,
+          productId,
+          wishlistId,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Remove a product from one of your wishlists
+     */
+    removeFromWishlist: requireAuth(async (parent, { wishlistId, productId, variantId }, context) => {
+      try {
+        validateObjectId(wishlistId);
+        validateObjectId(productId);
+        if (variantId) validateObjectId(variantId);
+
+        return await WishlistService.removeItem(context.user._id, wishlistId, productId, variantId);
+      } catch (error) {
+        logger.error('removeFromWishlist mutation failed', {
+          error: error.message,
+          productId,
+          wishlistId,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Move a product between two of your wishlists
+     */
+    moveWishlistItem: requireAuth(async (parent, { fromWishlistId, toWishlistId, productId, variantId }, context) => {
+      try {
+        validateObjectId(fromWishlistId);
+        validateObjectId(toWishlistId);
+        validateObjectId(productId);
+        if (variantId) validateObjectId(variantId);
+
+        return await WishlistService.moveItem(context.user._id, fromWishlistId, toWishlistId, productId, variantId);
+      } catch (error) {
+        logger.error('moveWishlistItem mutation failed', {
+          error: error.message,
+          productId,
+          fromWishlistId,
+          toWishlistId,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Move a cart line to your saved-for-later list
+     */
+    saveForLater: requireAuth(async (parent, { productId, variantId }, context) => {
+      try {
+        validateObjectId(productId);
+        if (variantId) validateObjectId(variantId);
+
+        return await WishlistService.saveForLater(context.user._id, productId, variantId);
+      } catch (error) {
+        logger.error('saveForLater mutation failed', {
+          error: error.message,
+          productId,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Give one of your wishlists a public link
+     */
+    shareWishlist: requireAuth(async (parent, { id }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await WishlistService.shareWishlist(id, context.user._id);
+      } catch (error) {
+        logger.error('shareWishlist mutation failed', {
+          error: error.message,
+          wishlistId: id,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+
+    /**
+     * Turn off the public link of one of your wishlists
+     */
+    unshareWishlist: requireAuth(async (parent, { id }, context) => {
+      try {
+        validateObjectId(id);
+
+        return await WishlistService.unshareWishlist(id, context.user._id);
+      } catch (error) {
+        logger.error('unshareWishlist mutation failed', {
+          error: error.message,
+          wishlistId: id,
+          userId: context.user?._id
+        });
+        throw error;
+      }
+    }),
+  },
+
+  Subscription: {
+    /**
+     * Products on your wishlists coming back in stock or dropping in price
+     */
+    wishlistAlert: {
+      subscribe: requireAuth((parent, args, context, info) => {
+        const userId = context.user._id.toString();
+
+        return withFilter(
+          () => pubsub.asyncIterator(EVENTS.WISHLIST_ALERT),
+          (payload) => payload.wishlistAlert.user.toString() === userId
+        )(parent, args, context, info);
+      }),
+    },
+  },
+
+  // Field resolvers
+  Wishlist: {
+    // Products removed from the catalog drop off the list
+    items: (wishlist) => wishlist.items.filter(item => item.product?.isActive),
+
+    itemCount: (wishlist) => wishlist.items.filter(item => item.product?.isActive).length,
+
+    // Shown on shared lists: first name and last initial only
+    owner: async (wishlist) => {
+      const user = await User.findById(wishlist.user).select('firstName lastName');
+      const name = [user?.firstName, user?.lastName && `${user.lastName[0]}.`].filter(Boolean).join(' ');
+      return name || 'Customer';
+    },
+  },
+
+  WishlistItem: {
+    variant: (item) => {
+      const variant = findVariant(item.product, item.variant);
+      return variant ? formatVariant(item.product, variant) : null;
+    },
+  },
+
+  WishlistAlert: {
+    type: (alert) => alert.type.toUpperCase(),
+
+    variant: (alert) => {
+      const variant = findVariant(alert.product, alert.variant);
+      return variant ? formatVariant(alert.product, variant) : null;
+    },
+  },
+};
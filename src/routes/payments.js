@@ -0,0 +1,42 @@
+import express from 'express';
+import { PaymentService } from '../services/paymentService.js';
+import { logger } from '../utils/logging.js';
+
+const router = express.Router();
+
+/**
+ * Payment provider webhook endpoint.
+ * The raw body is kept so the provider signature can be verified byte-for-byte.
+ */
+router.post('/webhooks/:provider', express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+  const { provider } = req.params;
+  const signature = req.get('X-Payment-Signature');
+
+  try {
+    const order = await PaymentService.handleWebhook(provider, req.body, signature);
+
+    res.json({
+      success: true,
+      data: { orderId: order?._id || null },
+    });
+    
+  } catch (error) {
+    const code = error.extensions?.code;
+
+    if (['INVALID_SIGNATURE', 'INVALID_WEBHOOK_PAYLOAD', 'PAYMENT_PROVIDER_NOT_FOUND'].includes(code)) {
+      logger.warn('Rejected payment webhook', { provider, code, ip: req.ip });
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Payment webhook processing error', { provider, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process webhook',
+    });
+  }
+});
+
+export default router;
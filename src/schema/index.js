@@ -4,6 +4,9 @@ export const typeDefs = gql`
   # Scalar types
   scalar Date
 
+  # Currency amount with at most two decimal places
+  scalar Money
+
   # User types
   type User {
     id: ID!
@@ -13,10 +16,23 @@ export const typeDefs = gql`
     lastName: String
     fullName: String
     isActive: Boolean!
+    taxExempt: Boolean!
+    taxExemptionId: String
     createdAt: Date!
     updatedAt: Date!
   }
 
+  type UserConnection {
+    edges: [UserEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type UserEdge {
+    node: User!
+    cursor: String!
+  }
+
   enum Role {
     CUSTOMER
     ADMIN
@@ -27,37 +43,423 @@ export const typeDefs = gql`
     id: ID!
     name: String!
     description: String
+    # Name of the product's category
     category: String!
-    price: Float!
+    categoryId: ID
+    # The product's category and the categories above it, top-level first
+    breadcrumbs: [Category!]!
+    price: Money!
+    currency: String!
+    prices: [ProductPrice!]!
     stock: Int!
+    # Stock not held by checkout reservations
+    availableStock: Int!
+    # Stock per warehouse; stock is their sum when set
+    stockLevels: [StockLevel!]!
+    # Stock at or below which the product needs reordering
+    reorderThreshold: Int
+    lowStock: Boolean!
+    # Whether orders may exceed stock
+    backorderMode: BackorderMode!
+    # When backordered or pre-ordered units are expected in stock
+    availableOn: Date
+    # Average of published review ratings (0 without reviews)
+    averageRating: Float!
+    reviewCount: Int!
     sku: String
     imageUrl: String
+    weight: Float
     isActive: Boolean!
     inStock: Boolean!
+    options: [ProductOption!]!
+    variants: [ProductVariant!]!
     createdBy: User!
     createdAt: Date!
     updatedAt: Date!
   }
 
+  # Node of the product category taxonomy
+  type Category {
+    id: ID!
+    name: String!
+    slug: String!
+    description: String
+    parent: Category
+    # Subcategories in display order
+    children: [Category!]!
+    # This category and the categories above it, top-level first
+    breadcrumbs: [Category!]!
+    sortOrder: Int!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  # Fixed price in another currency
+  type ProductPrice {
+    currency: String!
+    amount: Money!
+  }
+
+  # Exchange rate against the base currency
+  type ExchangeRate {
+    currency: String!
+    rate: Float!
+    updatedAt: Date!
+  }
+
+  type Currencies {
+    baseCurrency: String!
+    exchangeRates: [ExchangeRate!]!
+  }
+
+  # Option axis such as Size or Color
+  type ProductOption {
+    name: String!
+    values: [String!]!
+  }
+
+  type VariantOption {
+    name: String!
+    value: String!
+  }
+
+  type ProductVariant {
+    id: ID!
+    sku: String!
+    options: [VariantOption!]!
+    price: Money!
+    stock: Int!
+    availableStock: Int!
+    stockLevels: [StockLevel!]!
+    isActive: Boolean!
+    inStock: Boolean!
+  }
+
+  # Location stock is kept and shipped from
+  type Warehouse {
+    id: ID!
+    code: String!
+    name: String!
+    address: ShippingAddress!
+    priority: Int!
+    isActive: Boolean!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  enum InventoryMovementType {
+    INITIAL
+    ORDER
+    CANCELLATION
+    RESTOCK
+    ADJUSTMENT
+    TRANSFER
+    CORRECTION
+  }
+
+  # Ledger entry for one change to the stock of a product or variant
+  type InventoryMovement {
+    id: ID!
+    variant: ProductVariant
+    warehouse: Warehouse
+    # Positive adds units, negative removes them
+    quantity: Int!
+    type: InventoryMovementType!
+    reason: String
+    actor: User
+    order: Order
+    createdAt: Date!
+  }
+
+  # Customer review of a product
+  type Review {
+    id: ID!
+    product: Product!
+    # Reviewer's first name and last initial
+    author: String!
+    rating: Int!
+    title: String
+    body: String
+    # The reviewer has received the product in a delivered order
+    verifiedPurchase: Boolean!
+    status: ReviewStatus!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  type ReviewConnection {
+    edges: [ReviewEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type ReviewEdge {
+    node: Review!
+    cursor: String!
+  }
+
+  # Hidden reviews are not listed and do not count towards ratings
+  enum ReviewStatus {
+    PUBLISHED
+    HIDDEN
+  }
+
+  # How much of a product to reorder to cover the lead time at its recent sales rate
+  type ReorderSuggestion {
+    product: Product!
+    stock: Int!
+    reorderThreshold: Int
+    # Units sold in the period the suggestion is based on
+    unitsSold: Int!
+    dailyVelocity: Float!
+    # null when the product has not sold in the period
+    daysOfStockLeft: Float
+    suggestedQuantity: Int!
+  }
+
+  # Units at a warehouse: stock kept there, or the part of an order line shipped from it
+  type StockLevel {
+    warehouse: Warehouse!
+    quantity: Int!
+  }
+
   # Order types
   type Order {
     id: ID!
     user: User!
     items: [OrderItem!]!
-    totalAmount: Float!
+    currency: String!
+    exchangeRate: Float!
+    subtotal: Money!
+    discounts: [OrderDiscount!]!
+    discountTotal: Money!
+    freeShipping: Boolean!
+    shippingMethod: OrderShippingMethod
+    shippingCost: Money!
+    tax: Money!
+    taxLines: [OrderTaxLine!]!
+    taxExempt: Boolean!
+    totalAmount: Money!
     status: OrderStatus!
+    # Whether any item waits for stock
+    hasBackorders: Boolean!
     orderNumber: String!
     shippingAddress: ShippingAddress
     paymentStatus: PaymentStatus!
+    payment: PaymentDetails
+    refunds: [Refund!]!
+    shipments: [Shipment!]!
     notes: String
     createdAt: Date!
     updatedAt: Date!
   }
 
+  type OrderConnection {
+    edges: [OrderEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type OrderEdge {
+    node: Order!
+    cursor: String!
+  }
+
   type OrderItem {
     product: Product!
+    variant: ProductVariant
+    sku: String
     quantity: Int!
-    price: Float!
+    price: Money!
+    discount: Money!
+    tax: Money!
+    # Units waiting for stock; they ship once restocked
+    backorderedQuantity: Int!
+    # Expected availability of the backordered units
+    availableOn: Date
+    # Warehouses the line ships from
+    allocations: [StockLevel!]!
+  }
+
+  # Shipping method chosen at checkout
+  type OrderShippingMethod {
+    code: String!
+    name: String!
+    carrier: String!
+  }
+
+  # Shipping method with zone-based rate tables
+  type ShippingMethod {
+    id: ID!
+    code: String!
+    name: String!
+    carrier: String!
+    minDeliveryDays: Int
+    maxDeliveryDays: Int
+    zones: [ShippingZone!]!
+    isActive: Boolean!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  # Destinations sharing a rate table (no countries = everywhere else)
+  type ShippingZone {
+    name: String!
+    countries: [String!]!
+    states: [String!]!
+    rates: [ShippingRate!]!
+    freeShippingThreshold: Money
+  }
+
+  # Price for parcels up to maxWeight kg (no maxWeight = any weight)
+  type ShippingRate {
+    maxWeight: Float
+    price: Money!
+  }
+
+  type ShippingQuote {
+    method: ShippingMethod!
+    zone: String!
+    price: Money!
+  }
+
+  # Parcel sent for an order; orders may ship in several
+  type Shipment {
+    id: ID!
+    carrier: String!
+    trackingNumber: String
+    trackingUrl: String
+    items: [ShipmentItem!]!
+    status: ShipmentStatus!
+    shippedAt: Date!
+    deliveredAt: Date
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  type ShipmentItem {
+    product: Product
+    variant: ProductVariant
+    quantity: Int!
+  }
+
+  enum ShipmentStatus {
+    SHIPPED
+    IN_TRANSIT
+    DELIVERED
+  }
+
+  type OrderTaxLine {
+    name: String!
+    rate: Float!
+    amount: Money!
+  }
+
+  # Tax rule for a jurisdiction (country, optional state and ZIP prefix)
+  type TaxRule {
+    id: ID!
+    name: String!
+    country: String!
+    state: String
+    zipPrefix: String
+    rate: Float!
+    taxShipping: Boolean!
+    isActive: Boolean!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  type OrderDiscount {
+    code: String!
+    type: CouponType!
+    description: String
+    amount: Money!
+  }
+
+  # Coupon types
+  type Coupon {
+    id: ID!
+    code: String!
+    description: String
+    type: CouponType!
+    value: Float!
+    minOrderValue: Money!
+    usageLimit: Int
+    perUserLimit: Int
+    usageCount: Int!
+    startsAt: Date
+    expiresAt: Date
+    applicableCategories: [ID!]!
+    applicableProducts: [ID!]!
+    isActive: Boolean!
+    usage: CouponUsage!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  type CouponUsage {
+    redemptions: Int!
+    uniqueCustomers: Int!
+    totalDiscount: Money!
+    totalRevenue: Money!
+  }
+
+  enum CouponType {
+    PERCENTAGE
+    FIXED_AMOUNT
+    FREE_SHIPPING
+  }
+
+  type PaymentDetails {
+    provider: String!
+    transactionId: String!
+    amount: Money!
+    paidAt: Date
+    failureReason: String
+    refundedAmount: Money!
+    pendingRefundAmount: Money!
+    refundedAt: Date
+  }
+
+  # Refund and return (RMA) types
+  type Refund {
+    id: ID!
+    rmaNumber: String!
+    order: Order!
+    user: User!
+    type: RefundType!
+    items: [RefundItem!]!
+    amount: Money!
+    status: ReturnStatus!
+    restock: Boolean!
+    restockedAt: Date
+    reason: String
+    adminNotes: String
+    providerRefundId: String
+    refundedAt: Date
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  type RefundItem {
+    product: Product
+    variant: ProductVariant
+    sku: String
+    quantity: Int!
+    amount: Money!
+  }
+
+  enum RefundType {
+    REFUND
+    RETURN
+  }
+
+  enum ReturnStatus {
+    REQUESTED
+    APPROVED
+    REJECTED
+    RECEIVED
+    REFUNDED
   }
 
   type ShippingAddress {
@@ -71,19 +473,111 @@ export const typeDefs = gql`
   enum OrderStatus {
     PENDING
     CONFIRMED
+    # Paid, with items waiting for stock
+    BACKORDERED
     PROCESSING
     SHIPPED
     DELIVERED
     CANCELLED
   }
 
+  # NONE: orders cannot exceed stock; BACKORDER: orders beyond stock wait for
+  # restocking; PREORDER: orders are taken before release (availableOn required)
+  enum BackorderMode {
+    NONE
+    BACKORDER
+    PREORDER
+  }
+
+  # Rolling window of views and orders a popularity ranking is based on
+  enum PopularityWindow {
+    DAY
+    WEEK
+    MONTH
+  }
+
   enum PaymentStatus {
     PENDING
     PAID
     FAILED
+    PARTIALLY_REFUNDED
     REFUNDED
   }
 
+  # Cart types
+  type Cart {
+    id: ID!
+    items: [CartItem!]!
+    itemCount: Int!
+    subtotal: Money!
+    guestToken: String
+    # Stock currently held for this cart's checkout
+    reservations: [InventoryReservation!]!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  enum ReservationStatus {
+    ACTIVE
+    CONVERTED
+    RELEASED
+    EXPIRED
+  }
+
+  # Stock held for a cart line during checkout
+  type InventoryReservation {
+    id: ID!
+    product: Product!
+    variant: ProductVariant
+    quantity: Int!
+    status: ReservationStatus!
+    expiresAt: Date!
+  }
+
+  type CartItem {
+    product: Product!
+    variant: ProductVariant
+    quantity: Int!
+    lineTotal: Money!
+  }
+
+  # Wishlist types
+  type Wishlist {
+    id: ID!
+    name: String!
+    items: [WishlistItem!]!
+    itemCount: Int!
+    # Owner's first name and last initial
+    owner: String!
+    # Token of the public link (see sharedWishlist); null while private
+    shareToken: String
+    isShared: Boolean!
+    createdAt: Date!
+    updatedAt: Date!
+  }
+
+  type WishlistItem {
+    product: Product!
+    variant: ProductVariant
+    addedAt: Date!
+  }
+
+  enum WishlistAlertType {
+    BACK_IN_STOCK
+    PRICE_DROP
+  }
+
+  # A product on one of your wishlists came back in stock or dropped in price
+  type WishlistAlert {
+    type: WishlistAlertType!
+    wishlist: Wishlist!
+    product: Product!
+    variant: ProductVariant
+    price: Money!
+    # Price before the drop (PRICE_DROP only)
+    previousPrice: Money
+  }
+
   # Auth types
   type AuthPayload {
     token: String!
@@ -92,24 +586,85 @@ export const typeDefs = gql`
 
   # Input types
   input ProductFilterInput {
+    # Category slug or name; products in subcategories are included
     category: String
-    minPrice: Float
-    maxPrice: Float
+    categoryId: ID
+    minPrice: Money
+    maxPrice: Money
     inStock: Boolean
     search: String
   }
 
+  enum ProductSortField {
+    PRICE
+    NAME
+    CREATED_AT
+    # Popularity score over the sort's window
+    POPULARITY
+    # Average review rating
+    RATING
+  }
+
+  enum SortDirection {
+    ASC
+    DESC
+  }
+
+  input ProductSortInput {
+    field: ProductSortField!
+    direction: SortDirection = ASC
+    # Popularity window of POPULARITY sorts; ignored by other fields
+    window: PopularityWindow = WEEK
+  }
+
   input ProductInput {
     name: String!
     description: String
-    category: String!
-    price: Float!
+    # Category by slug or name ("Parent > Child" for nested categories);
+    # unknown categories are created. Either category or categoryId is required.
+    category: String
+    categoryId: ID
+    price: Money!
+    currency: String
+    prices: [ProductPriceInput!]
     stock: Int!
+    reorderThreshold: Int
+    backorderMode: BackorderMode
+    availableOn: Date
     imageUrl: String
+    weight: Float
+    options: [ProductOptionInput!]
+    variants: [ProductVariantInput!]
+  }
+
+  input ProductPriceInput {
+    currency: String!
+    amount: Money!
+  }
+
+  input ProductOptionInput {
+    name: String!
+    values: [String!]!
+  }
+
+  input VariantOptionInput {
+    name: String!
+    value: String!
+  }
+
+  # Pass id to keep an existing variant when replacing the variants list
+  input ProductVariantInput {
+    id: ID
+    sku: String
+    options: [VariantOptionInput!]!
+    price: Money
+    stock: Int!
+    isActive: Boolean
   }
 
   input OrderItemInput {
     productId: ID!
+    variantId: ID
     quantity: Int!
   }
 
@@ -117,6 +672,9 @@ export const typeDefs = gql`
     items: [OrderItemInput!]!
     shippingAddress: ShippingAddressInput
     notes: String
+    couponCode: String
+    shippingMethod: String
+    currency: String
   }
 
   input ShippingAddressInput {
@@ -127,14 +685,205 @@ export const typeDefs = gql`
     country: String!
   }
 
+  input RefundItemInput {
+    productId: ID!
+    variantId: ID
+    quantity: Int!
+  }
+
+  input CheckoutInput {
+    shippingAddress: ShippingAddressInput
+    notes: String
+    couponCode: String
+    shippingMethod: String
+    currency: String
+  }
+
+  input ShippingQuoteInput {
+    address: ShippingAddressInput!
+    items: [OrderItemInput!]!
+  }
+
+  input ShipmentInput {
+    carrier: String
+    trackingNumber: String
+    trackingUrl: String
+  }
+
+  input CreateShipmentInput {
+    carrier: String
+    trackingNumber: String
+    trackingUrl: String
+    # Defaults to every item not yet shipped
+    items: [ShipmentItemInput!]
+  }
+
+  input ShipmentItemInput {
+    productId: ID!
+    variantId: ID
+    quantity: Int!
+  }
+
+  input ShippingMethodInput {
+    code: String!
+    name: String!
+    carrier: String!
+    minDeliveryDays: Int
+    maxDeliveryDays: Int
+    zones: [ShippingZoneInput!]!
+    isActive: Boolean
+  }
+
+  input UpdateShippingMethodInput {
+    code: String
+    name: String
+    carrier: String
+    minDeliveryDays: Int
+    maxDeliveryDays: Int
+    zones: [ShippingZoneInput!]
+    isActive: Boolean
+  }
+
+  input ShippingZoneInput {
+    name: String!
+    countries: [String!]
+    states: [String!]
+    rates: [ShippingRateInput!]!
+    freeShippingThreshold: Money
+  }
+
+  input ShippingRateInput {
+    maxWeight: Float
+    price: Money!
+  }
+
+  input CouponInput {
+    code: String!
+    description: String
+    type: CouponType!
+    value: Float
+    minOrderValue: Money
+    usageLimit: Int
+    perUserLimit: Int
+    startsAt: Date
+    expiresAt: Date
+    applicableCategories: [ID!]
+    applicableProducts: [ID!]
+    isActive: Boolean
+  }
+
+  input TaxRuleInput {
+    name: String!
+    country: String!
+    state: String
+    zipPrefix: String
+    rate: Float!
+    taxShipping: Boolean
+    isActive: Boolean
+  }
+
+  input UpdateTaxRuleInput {
+    name: String
+    country: String
+    state: String
+    zipPrefix: String
+    rate: Float
+    taxShipping: Boolean
+    isActive: Boolean
+  }
+
+  input WarehouseInput {
+    code: String!
+    name: String!
+    address: ShippingAddressInput!
+    priority: Int
+    isActive: Boolean
+  }
+
+  input UpdateWarehouseInput {
+    code: String
+    name: String
+    address: ShippingAddressInput
+    priority: Int
+    isActive: Boolean
+  }
+
+  input StockTransferInput {
+    productId: ID!
+    variantId: ID
+    fromWarehouseId: ID!
+    toWarehouseId: ID!
+    quantity: Int!
+    reason: String
+  }
+
+  input UpdateCouponInput {
+    code: String
+    description: String
+    type: CouponType
+    value: Float
+    minOrderValue: Money
+    usageLimit: Int
+    perUserLimit: Int
+    startsAt: Date
+    expiresAt: Date
+    applicableCategories: [ID!]
+    applicableProducts: [ID!]
+    isActive: Boolean
+  }
+
+  input ReviewInput {
+    productId: ID!
+    rating: Int!
+    title: String
+    body: String
+  }
+
+  input CategoryInput {
+    name: String!
+    # Derived from the name when omitted
+    slug: String
+    description: String
+    # Unset for a top-level category
+    parentId: ID
+    sortOrder: Int
+  }
+
+  input UpdateCategoryInput {
+    name: String
+    slug: String
+    description: String
+    # Moves the category and its subcategories; null makes it top-level
+    parentId: ID
+    sortOrder: Int
+  }
+
+  input UpdateReviewInput {
+    rating: Int
+    title: String
+    body: String
+  }
+
   input UpdateProductInput {
     name: String
     description: String
     category: String
-    price: Float
+    categoryId: ID
+    price: Money
+    currency: String
+    prices: [ProductPriceInput!]
     stock: Int
+    # Recorded in the inventory ledger when the edit changes stock
+    stockReason: String
+    # null stops low-stock tracking
+    reorderThreshold: Int
+    backorderMode: BackorderMode
+    availableOn: Date
     imageUrl: String
+    weight: Float
     isActive: Boolean
+    options: [ProductOptionInput!]
+    variants: [ProductVariantInput!]
   }
 
   # Pagination types
@@ -142,11 +891,102 @@ export const typeDefs = gql`
     edges: [ProductEdge!]!
     pageInfo: PageInfo!
     totalCount: Int!
+    # Filter counts over all matching products, for products and searchProducts
+    facets: ProductFacets
+    # Set for searchProducts, to record clicks on the results (recordSearchClick)
+    searchId: ID
+  }
+
+  # Faceted navigation
+  type ProductFacets {
+    categories: [CategoryFacet!]!
+    # About five ranges holding similar numbers of products, in the base currency
+    priceRanges: [PriceRangeFacet!]!
+    stock: StockFacet!
+    # Option values such as Color: Red (3), Blue (2)
+    attributes: [AttributeFacet!]!
+  }
+
+  type CategoryFacet {
+    # Unset for products not yet moved into the category taxonomy
+    categoryId: ID
+    category: String!
+    count: Int!
+  }
+
+  type PriceRangeFacet {
+    min: Money!
+    max: Money!
+    count: Int!
+  }
+
+  type StockFacet {
+    inStock: Int!
+    outOfStock: Int!
+  }
+
+  type AttributeFacet {
+    name: String!
+    values: [AttributeValueFacet!]!
+  }
+
+  type AttributeValueFacet {
+    value: String!
+    count: Int!
   }
 
   type ProductEdge {
     node: Product!
     cursor: String!
+    # How well the product matches a searchProducts query, higher is better
+    relevanceScore: Float
+  }
+
+  enum SearchSuggestionType {
+    QUERY
+    CATEGORY
+    PRODUCT
+  }
+
+  # Autocomplete entry: a popular search, a category or a product name
+  type SearchSuggestion {
+    text: String!
+    type: SearchSuggestionType!
+    # Set for CATEGORY suggestions
+    categoryId: ID
+    # Set for PRODUCT suggestions
+    productId: ID
+  }
+
+  # Search analytics of one search term
+  type SearchTermStats {
+    term: String!
+    searches: Int!
+    zeroResultSearches: Int!
+    averageResults: Float!
+    # Searches in which a result was opened, and in which an opened product was then ordered
+    clickedSearches: Int!
+    convertedSearches: Int!
+    clickThroughRate: Float!
+    conversionRate: Float!
+    lastSearchedAt: Date!
+  }
+
+  type SearchConversionStats {
+    searches: Int!
+    zeroResultSearches: Int!
+    clickedSearches: Int!
+    convertedSearches: Int!
+    clickThroughRate: Float!
+    conversionRate: Float!
+  }
+
+  # Words product search treats as meaning the same, e.g. tv, television
+  type SynonymSet {
+    id: ID!
+    terms: [String!]!
+    createdAt: Date!
+    updatedAt: Date!
   }
 
   type PageInfo {
@@ -159,8 +999,11 @@ export const typeDefs = gql`
   # Product Category type
   type ProductCategory {
     category: String!
+    # Unset for products not yet moved into the category taxonomy
+    categoryId: ID
+    slug: String
     productCount: Int!
-    averagePrice: Float!
+    averagePrice: Money!
     totalStock: Int!
   }
 
@@ -169,36 +1012,87 @@ export const typeDefs = gql`
     # Public queries
     products(
       filter: ProductFilterInput
-      first: Int = 20
+      # Newest first by default
+      sort: ProductSortInput
+      # 20 by default; last pages backwards (with before)
+      first: Int
       after: String
+      last: Int
+      before: String
+      currency: String
     ): ProductConnection!
     
-    product(id: ID!): Product
+    product(id: ID!, currency: String): Product
     
     # Advanced product queries
-    popularProducts(limit: Int = 10): [Product!]!
+    popularProducts(limit: Int = 10, category: String, window: PopularityWindow = WEEK): [Product!]!
     productCategories: [ProductCategory!]!
     searchProducts(
       query: String!
       filter: ProductFilterInput
-      first: Int = 20
+      # Most relevant first by default
+      sort: ProductSortInput
+      first: Int
       after: String
+      last: Int
+      before: String
+      currency: String
+      # Anonymous storefront session, for search analytics of signed-out customers
+      sessionId: String
     ): ProductConnection!
+    # At most 20 suggestions
+    searchSuggestions(prefix: String!, limit: Int = 10): [SearchSuggestion!]!
+    shippingQuotes(input: ShippingQuoteInput!): [ShippingQuote!]!
+    currencies: Currencies!
+    productReviews(productId: ID!, first: Int, after: String, last: Int, before: String): ReviewConnection!
+    # Subcategories of parentId, or the top-level categories
+    categories(parentId: ID): [Category!]!
+    category(id: ID, slug: String): Category
     
     # Authenticated queries
     me: User
     
+    # Cart (signed-in user, or guest via guestToken)
+    cart(guestToken: String): Cart
+
+    # Wishlists
+    myWishlists: [Wishlist!]!
+    sharedWishlist(token: String!): Wishlist
+    
     # Customer queries
-    myOrders: [Order!]!
+    myOrders: [Order!]! @deprecated(reason: "Use myOrdersConnection")
+    myOrdersConnection(first: Int, after: String, last: Int, before: String): OrderConnection!
     order(id: ID!): Order
+    myReturns: [Refund!]!
     
     # Admin queries
-    users(first: Int = 20, after: String): [User!]!
+    users(first: Int = 20, after: String): [User!]! @deprecated(reason: "Use usersConnection")
+    usersConnection(first: Int, after: String, last: Int, before: String): UserConnection!
     allOrders(
       status: OrderStatus
       first: Int = 20
       after: String
-    ): [Order!]!
+    ): [Order!]! @deprecated(reason: "Use allOrdersConnection")
+    allOrdersConnection(
+      status: OrderStatus
+      first: Int
+      after: String
+      last: Int
+      before: String
+    ): OrderConnection!
+    refunds(orderId: ID, status: ReturnStatus): [Refund!]!
+    coupons(activeOnly: Boolean = false): [Coupon!]!
+    coupon(id: ID!): Coupon
+    taxRules(country: String): [TaxRule!]!
+    shippingMethods(includeInactive: Boolean = false): [ShippingMethod!]!
+    warehouses(activeOnly: Boolean = false): [Warehouse!]!
+    inventoryHistory(productId: ID!, variantId: ID, first: Int = 50, after: String): [InventoryMovement!]!
+    lowStockProducts(first: Int = 50): [Product!]!
+    reorderSuggestions(days: Int = 30, leadTimeDays: Int = 14): [ReorderSuggestion!]!
+    synonymSets: [SynonymSet!]!
+    topSearches(days: Int = 30, limit: Int = 20): [SearchTermStats!]!
+    zeroResultSearches(days: Int = 30, limit: Int = 20): [SearchTermStats!]!
+    searchConversion(days: Int = 30): SearchConversionStats!
     
     # Analytics (Admin only)
     orderStats: OrderStats!
@@ -206,8 +1100,10 @@ export const typeDefs = gql`
 
   type OrderStats {
     totalOrders: Int!
-    totalRevenue: Float!
-    averageOrderValue: Float!
+    totalRevenue: Money!
+    grossRevenue: Money!
+    totalRefunded: Money!
+    averageOrderValue: Money!
     ordersByStatus: [StatusCount!]!
   }
 
@@ -219,28 +1115,99 @@ export const typeDefs = gql`
   # Mutation type
   type Mutation {
     # Authentication
-    signup(email: String!, password: String!, firstName: String, lastName: String): AuthPayload!
-    login(email: String!, password: String!): AuthPayload!
+    signup(email: String!, password: String!, firstName: String, lastName: String, guestCartToken: String): AuthPayload!
+    login(email: String!, password: String!, guestCartToken: String): AuthPayload!
+    
+    # Search analytics: searchId comes from searchProducts, position is 1-based
+    recordSearchClick(searchId: ID!, productId: ID!, position: Int, sessionId: String): Boolean!
+    
+    # Cart mutations (signed-in user, or guest via guestToken)
+    addToCart(productId: ID!, variantId: ID, quantity: Int = 1, guestToken: String): Cart!
+    updateCartItem(productId: ID!, variantId: ID, quantity: Int!, guestToken: String): Cart!
+    removeFromCart(productId: ID!, variantId: ID, guestToken: String): Cart!
+    clearCart(guestToken: String): Cart!
+    reserveCart(guestToken: String): Cart!
+    releaseCartReservation(guestToken: String): Cart!
+    checkoutCart(input: CheckoutInput): Order!
+
+    # Wishlist mutations
+    createWishlist(name: String!): Wishlist!
+    renameWishlist(id: ID!, name: String!): Wishlist!
+    deleteWishlist(id: ID!): Boolean!
+    addToWishlist(productId: ID!, variantId: ID, wishlistId: ID): Wishlist!
+    removeFromWishlist(wishlistId: ID!, productId: ID!, variantId: ID): Wishlist!
+    moveWishlistItem(fromWishlistId: ID!, toWishlistId: ID!, productId: ID!, variantId: ID): Wishlist!
+    saveForLater(productId: ID!, variantId: ID): Wishlist!
+    shareWishlist(id: ID!): Wishlist!
+    unshareWishlist(id: ID!): Wishlist!
     
     # Customer mutations
     placeOrder(input: OrderInput!): Order!
     cancelOrder(orderId: ID!): Order!
+    payOrder(orderId: ID!, paymentMethod: String!): Order!
+    requestReturn(orderId: ID!, items: [RefundItemInput!]!, reason: String!): Refund!
+    addReview(input: ReviewInput!): Review!
+    updateReview(id: ID!, input: UpdateReviewInput!): Review!
+    deleteReview(id: ID!): Boolean!
     
     # Admin mutations
     addProduct(input: ProductInput!): Product!
     updateProduct(id: ID!, input: UpdateProductInput!): Product!
     deleteProduct(id: ID!): Boolean!
     
-    updateOrderStatus(orderId: ID!, status: OrderStatus!): Order!
+    createCoupon(input: CouponInput!): Coupon!
+    updateCoupon(id: ID!, input: UpdateCouponInput!): Coupon!
+    deleteCoupon(id: ID!): Boolean!
+    
+    createTaxRule(input: TaxRuleInput!): TaxRule!
+    updateTaxRule(id: ID!, input: UpdateTaxRuleInput!): TaxRule!
+    deleteTaxRule(id: ID!): Boolean!
+    
+    createShippingMethod(input: ShippingMethodInput!): ShippingMethod!
+    updateShippingMethod(id: ID!, input: UpdateShippingMethodInput!): ShippingMethod!
+    deleteShippingMethod(id: ID!): Boolean!
+    
+    setExchangeRate(currency: String!, rate: Float!): ExchangeRate!
+    deleteExchangeRate(currency: String!): Boolean!
+    
+    createWarehouse(input: WarehouseInput!): Warehouse!
+    updateWarehouse(id: ID!, input: UpdateWarehouseInput!): Warehouse!
+    setWarehouseStock(productId: ID!, variantId: ID, warehouseId: ID!, quantity: Int!, reason: String): Product!
+    transferStock(input: StockTransferInput!): Product!
+    
+    moderateReview(id: ID!, status: ReviewStatus!, note: String): Review!
+    
+    createCategory(input: CategoryInput!): Category!
+    updateCategory(id: ID!, input: UpdateCategoryInput!): Category!
+    deleteCategory(id: ID!): Boolean!
+    
+    # Single words only, at least two per set
+    createSynonymSet(terms: [String!]!): SynonymSet!
+    updateSynonymSet(id: ID!, terms: [String!]!): SynonymSet!
+    deleteSynonymSet(id: ID!): Boolean!
+    # Number of products indexed
+    rebuildSearchIndex: Int!
+    # Number of searches deleted
+    purgeSearchLogs(olderThanDays: Int!): Int!
+    
+    updateOrderStatus(orderId: ID!, status: OrderStatus!, shipment: ShipmentInput): Order!
+    createShipment(orderId: ID!, input: CreateShipmentInput): Shipment!
+    updateShipmentStatus(shipmentId: ID!, status: ShipmentStatus!): Shipment!
+    refundOrder(orderId: ID!, reason: String): Order!
+    createRefund(orderId: ID!, items: [RefundItemInput!], amount: Money, restock: Boolean = false, reason: String): Refund!
+    updateReturnStatus(returnId: ID!, status: ReturnStatus!, restock: Boolean = false, notes: String): Refund!
     
     # User management (Admin only)
     updateUserRole(userId: ID!, role: Role!): User!
     deactivateUser(userId: ID!): User!
+    setTaxExempt(userId: ID!, taxExempt: Boolean!, exemptionId: String): User!
   }
 
-  # Subscription type (for future implementation)
+  # Subscription type (served over graphql-ws at /graphql)
   type Subscription {
     orderStatusUpdated(userId: ID): Order!
     newOrder: Order!
+    productLowStock: Product!
+    wishlistAlert: WishlistAlert!
   }
 `; 
\ No newline at end of file
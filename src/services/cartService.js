@@ -0,0 +1,376 @@
+import crypto from 'crypto';
+import { GraphQLError } from 'graphql';
+import { Cart } from '../models/Cart.js';
+import { OrderService } from './orderService.js';
+import { ReservationService } from './reservationService.js';
+import { logger } from '../utils/logging.js';
+import { getUnitPrice } from '../utils/variants.js';
+
+// Errors of cart lines whose product or variant can no longer be bought
+const UNAVAILABLE_ITEM_CODES = ['PRODUCT_NOT_FOUND', 'PRODUCT_INACTIVE', 'VARIANT_NOT_FOUND', 'VARIANT_REQUIRED'];
+
+export class CartService {
+  /**
+   * Generate an unguessable token identifying a guest cart
+   */
+  static generateGuestToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Build the Mongo query for a cart owner ({ userId } or { guestToken })
+   */
+  static buildOwnerQuery(owner = {}) {
+    if (owner.userId) {
+      return { user: owner.userId };
+    }
+
+    if (owner.guestToken) {
+      return { guestToken: owner.guestToken };
+    }
+
+    throw new GraphQLError('Authentication or a guest cart token is required', {
+      extensions: { code: 'CART_OWNER_REQUIRED' }
+    });
+  }
+
+  /**
+   * Populate cart items with product details
+   */
+  static async populateCart(cart) {
+    if (!cart) {
+      return cart;
+    }
+
+    await cart.populate('items.product', 'name price stock reservedStock backorderMode availableOn imageUrl category isActive variants');
+    return cart;
+  }
+
+  /**
+   * Current unit price of a populated cart line
+   */
+  static getItemPrice(item) {
+    return getUnitPrice(item.product, item.variant);
+  }
+
+  /**
+   * Calculate cart subtotal from current product and variant prices
+   */
+  static calculateSubtotal(cart) {
+    return OrderService.calculateOrderTotal(
+      cart.items
+        .filter(item => item.product && item.product.price !== undefined)
+        .map(item => ({ price: this.getItemPrice(item), quantity: item.quantity }))
+    );
+  }
+
+  /**
+   * Get the cart for an owner, or null if none exists
+   */
+  static async getCart(owner) {
+    const cart = await Cart.findOne(this.buildOwnerQuery(owner));
+    return this.populateCart(cart);
+  }
+
+  /**
+   * Get the cart for an owner, creating it if needed.
+   * Guests without a (still valid) token get a fresh cart with a server-issued token.
+   */
+  static async getOrCreateCart(owner = {}) {
+    if (owner.userId || owner.guestToken) {
+      const existing = await Cart.findOne(this.buildOwnerQuery(owner));
+      if (existing) {
+        return existing;
+      }
+    }
+
+    const cartData = owner.userId
+      ? { user: owner.userId, items: [] }
+      : { guestToken: this.generateGuestToken(), items: [] };
+
+    try {
+      return await Cart.create(cartData);
+    } catch (error) {
+      // Another request created the user's cart first
+      if (error.code === 11000 && owner.userId) {
+        return Cart.findOne({ user: owner.userId });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get an existing cart; signed-in users always have one
+   */
+  static async requireCart(owner = {}) {
+    if (owner.userId) {
+      return this.getOrCreateCart(owner);
+    }
+
+    const cart = await Cart.findOne(this.buildOwnerQuery(owner));
+    if (!cart) {
+      throw new GraphQLError('Cart not found', {
+        extensions: { code: 'CART_NOT_FOUND' }
+      });
+    }
+
+    return cart;
+  }
+
+  /**
+   * Find the cart line for a product (and variant)
+   */
+  static findItem(cart, productId, variantId = null) {
+    return cart.items.find(item => {
+      const id = item.product?._id || item.product;
+      const sameVariant = (item.variant?.toString() || null) === (variantId?.toString() || null);
+      return id.toString() === productId.toString() && sameVariant;
+    });
+  }
+
+  /**
+   * Add a product to the cart, merging with an existing line
+   */
+  static async addItem(owner, productId, quantity, variantId = null) {
+    const cart = await this.getOrCreateCart(owner);
+    const existingItem = this.findItem(cart, productId, variantId);
+    const newQuantity = (existingItem?.quantity || 0) + quantity;
+
+    await OrderService.validateStockAvailability(
+      [{ productId, variantId, quantity: newQuantity }],
+      { reservations: await ReservationService.getActiveReservations(cart._id) }
+    );
+
+    if (existingItem) {
+      existingItem.quantity = newQuantity;
+    } else {
+      cart.items.push({ product: productId, variant: variantId || undefined, quantity });
+    }
+
+    await cart.save();
+
+    logger.info('Item added to cart', {
+      cartId: cart._id,
+      productId,
+      variantId,
+      quantity: newQuantity
+    });
+
+    return this.populateCart(cart);
+  }
+
+  /**
+   * Set the quantity of a cart line; zero removes it
+   */
+  static async updateItem(owner, productId, quantity, variantId = null) {
+    const cart = await this.requireCart(owner);
+    const item = this.findItem(cart, productId, variantId);
+
+    if (!item) {
+      throw new GraphQLError('Product is not in the cart', {
+        extensions: { code: 'CART_ITEM_NOT_FOUND' }
+      });
+    }
+
+    if (quantity === 0) {
+      return this.removeItem(owner, productId, variantId);
+    }
+
+    await OrderService.validateStockAvailability(
+      [{ productId, variantId, quantity }],
+      { reservations: await ReservationService.getActiveReservations(cart._id) }
+    );
+
+    item.quantity = quantity;
+    await cart.save();
+
+    return this.populateCart(cart);
+  }
+
+  /**
+   * Remove a product from the cart
+   */
+  static async removeItem(owner, productId, variantId = null) {
+    const cart = await this.requireCart(owner);
+    const item = this.findItem(cart, productId, variantId);
+
+    if (!item) {
+      throw new GraphQLError('Product is not in the cart', {
+        extensions: { code: 'CART_ITEM_NOT_FOUND' }
+      });
+    }
+
+    cart.items = cart.items.filter(cartItem => cartItem !== item);
+    await cart.save();
+
+    return this.populateCart(cart);
+  }
+
+  /**
+   * Remove all items from the cart
+   */
+  static async clearCart(owner) {
+    const cart = await this.requireCart(owner);
+
+    cart.items = [];
+    await cart.save();
+    await ReservationService.releaseCart(cart._id);
+
+    return this.populateCart(cart);
+  }
+
+  /**
+   * Hold stock for every cart line while the customer checks out. Replaces
+   * any earlier reservation of the cart and restarts the expiry.
+   */
+  static async reserveCart(owner) {
+    const cart = await this.requireCart(owner);
+
+    if (cart.items.length === 0) {
+      throw new GraphQLError('Cart is empty', {
+        extensions: { code: 'CART_EMPTY' }
+      });
+    }
+
+    await ReservationService.releaseCart(cart._id);
+    await OrderService.validateStockAvailability(cart.items.map(item => ({
+      productId: item.product.toString(),
+      variantId: item.variant?.toString(),
+      quantity: item.quantity
+    })));
+    await ReservationService.reserveCart(cart);
+
+    return this.populateCart(cart);
+  }
+
+  /**
+   * Give back the stock held for the cart
+   */
+  static async releaseReservation(owner) {
+    const cart = await this.requireCart(owner);
+
+    await ReservationService.releaseCart(cart._id);
+
+    return this.populateCart(cart);
+  }
+
+  /**
+   * Most of a product (and variant) the cart may hold, as addItem validates
+   * it: null when the product can no longer be bought, Infinity when it
+   * accepts backorders
+   */
+  static async getMaxQuantity(productId, variantId, reservations) {
+    try {
+      const [{ product, availableStock }] = await OrderService.validateStockAvailability(
+        [{ productId, variantId, quantity: 0 }],
+        { reservations }
+      );
+      return product.acceptsBackorders ? Infinity : availableStock;
+    } catch (error) {
+      if (UNAVAILABLE_ITEM_CODES.includes(error.extensions?.code)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Merge a guest cart into the user's cart and delete the guest cart. Merged
+   * lines are limited to the stock available, and lines that can no longer
+   * be bought are dropped.
+   */
+  static async mergeGuestCart(userId, guestToken) {
+    const guestCart = await Cart.findOne({ guestToken });
+    if (!guestCart) {
+      return null;
+    }
+
+    // Stock the guest cart held is available to the user cart again
+    await ReservationService.releaseCart(guestCart._id);
+
+    const userCart = await this.getOrCreateCart({ userId });
+    const reservations = await ReservationService.getActiveReservations(userCart._id);
+    const adjustedItems = [];
+
+    for (const guestItem of guestCart.items) {
+      const existingItem = this.findItem(userCart, guestItem.product, guestItem.variant);
+      const currentQuantity = existingItem?.quantity || 0;
+      const maxQuantity = await this.getMaxQuantity(guestItem.product, guestItem.variant, reservations);
+      // Lines already in the user cart are never reduced by merging
+      const quantity = maxQuantity === null
+        ? currentQuantity
+        : Math.max(Math.min(currentQuantity + guestItem.quantity, maxQuantity), currentQuantity);
+
+      if (quantity < currentQuantity + guestItem.quantity) {
+        adjustedItems.push({
+          productId: guestItem.product,
+          variantId: guestItem.variant,
+          requested: guestItem.quantity,
+          merged: quantity - currentQuantity
+        });
+      }
+
+      if (existingItem) {
+        existingItem.quantity = quantity;
+      } else if (quantity > 0) {
+        userCart.items.push({
+          product: guestItem.product,
+          variant: guestItem.variant,
+          quantity
+        });
+      }
+    }
+
+    await userCart.save();
+    await Cart.deleteOne({ _id: guestCart._id });
+
+    logger.info('Guest cart merged', {
+      userId,
+      guestCartId: guestCart._id,
+      mergedItems: guestCart.items.length,
+      adjustedItems
+    });
+
+    return this.populateCart(userCart);
+  }
+
+  /**
+   * Turn the user's cart into an order and empty the cart
+   */
+  static async checkout(userId, { shippingAddress, notes, couponCode, shippingMethod, currency } = {}) {
+    const cart = await Cart.findOne({ user: userId });
+
+    if (!cart || cart.items.length === 0) {
+      throw new GraphQLError('Cart is empty', {
+        extensions: { code: 'CART_EMPTY' }
+      });
+    }
+
+    const items = cart.items.map(item => ({
+      productId: item.product.toString(),
+      variantId: item.variant?.toString(),
+      quantity: item.quantity
+    }));
+
+    const order = await OrderService.createOrder(userId, {
+      items,
+      shippingAddress,
+      notes,
+      couponCode,
+      shippingMethod,
+      currency,
+      cartId: cart._id
+    });
+
+    cart.items = [];
+    await cart.save();
+
+    logger.info('Cart checked out', {
+      cartId: cart._id,
+      orderId: order._id,
+      userId
+    });
+
+    return order;
+  }
+}
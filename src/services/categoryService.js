@@ -0,0 +1,401 @@
+import mongoose from 'mongoose';
+import { GraphQLError } from 'graphql';
+import { Category } from '../models/Category.js';
+import { Coupon } from '../models/Coupon.js';
+import { Product } from '../models/Product.js';
+import { productCacheService } from './productCacheService.js';
+import { SearchService } from './searchService.js';
+import { cache } from '../config/redis.js';
+import { logger } from '../utils/logging.js';
+
+// Fields admins may set on a category (parent is handled separately)
+const EDITABLE_FIELDS = ['name', 'slug', 'description', 'sortOrder'];
+
+// Separates nested categories in category names, e.g. "Electronics > Phones"
+const PATH_SEPARATOR = '>';
+
+// Compare category names case-insensitively
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+const categoryNotFound = (field) => new GraphQLError('Category not found', {
+  extensions: { code: 'CATEGORY_NOT_FOUND', ...(field && { field }) }
+});
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+export class CategoryService {
+  /**
+   * Keep only the fields admins may set
+   */
+  static pickCategoryFields(input = {}) {
+    return Object.fromEntries(
+      Object.entries(input).filter(([field, value]) => EDITABLE_FIELDS.includes(field) && value !== undefined)
+    );
+  }
+
+  /**
+   * URL-friendly form of a category name
+   */
+  static slugify(name) {
+    return name
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'category';
+  }
+
+  /**
+   * A slug based on `base` that no category uses yet
+   */
+  static async uniqueSlug(base) {
+    let slug = base;
+    for (let suffix = 2; await Category.exists({ slug }); suffix++) {
+      slug = `${base}-${suffix}`;
+    }
+    return slug;
+  }
+
+  /**
+   * Children of a category, or the top-level categories, in display order
+   */
+  static async getCategories(parentId = null) {
+    return Category.find({ parent: parentId }).sort({ sortOrder: 1, name: 1 });
+  }
+
+  /**
+   * Get a category or throw CATEGORY_NOT_FOUND
+   */
+  static async getCategory(categoryId, field) {
+    const category = await Category.findById(categoryId);
+
+    if (!category) {
+      throw categoryNotFound(field);
+    }
+
+    return category;
+  }
+
+  /**
+   * A category by its slug or by its name (case-insensitive), or null.
+   * Top-level categories win when several share a name.
+   */
+  static async findByName(name) {
+    const bySlug = await Category.findOne({ slug: name.trim().toLowerCase() });
+    if (bySlug) {
+      return bySlug;
+    }
+
+    const byName = await Category.find({ name: name.trim() }).collation(CASE_INSENSITIVE);
+    return byName.sort((a, b) => a.ancestors.length - b.ancestors.length)[0] || null;
+  }
+
+  /**
+   * The category and every category below it
+   */
+  static async descendantIds(categoryId) {
+    const descendants = await Category.find({ ancestors: categoryId }).distinct('_id');
+    return [toObjectId(categoryId), ...descendants];
+  }
+
+  /**
+   * Product query conditions for a category filter given by ID or by slug or
+   * name. Products in subcategories match too; unknown categories match nothing.
+   */
+  static async productFilter({ categoryId, category } = {}) {
+    if (!categoryId && !category) {
+      return {};
+    }
+
+    const match = categoryId
+      ? await Category.findById(categoryId)
+      : await this.findByName(category);
+
+    return { categoryId: { $in: match ? await this.descendantIds(match._id) : [] } };
+  }
+
+  /**
+   * The category a product is put in: an existing category by ID, or by slug
+   * or name. Unknown names (including "Parent > Child" paths) are added to the
+   * taxonomy so products are never left outside it.
+   */
+  static async resolveProductCategory({ categoryId, category } = {}) {
+    if (categoryId) {
+      return this.getCategory(categoryId, 'categoryId');
+    }
+
+    const path = category.split(PATH_SEPARATOR).map(name => name.trim()).filter(Boolean);
+    if (path.length === 1) {
+      const existing = await this.findByName(path[0]);
+      if (existing) {
+        return existing;
+      }
+    }
+
+    return this.findOrCreatePath(path);
+  }
+
+  /**
+   * Walk a list of category names from the top level down, creating the
+   * categories that do not exist yet. Returns the last one.
+   */
+  static async findOrCreatePath(names) {
+    let parent = null;
+
+    for (const name of names) {
+      const existing = await Category.findOne({ parent: parent?._id || null, name })
+        .collation(CASE_INSENSITIVE);
+
+      parent = existing || await Category.create({
+        name,
+        slug: await this.uniqueSlug(this.slugify(name)),
+        parent: parent?._id || null,
+        ancestors: parent ? [...parent.ancestors, parent._id] : []
+      });
+
+      if (!existing) {
+        logger.info('Category created', {
+          categoryId: parent._id,
+          name
+        });
+      }
+    }
+
+    return parent;
+  }
+
+  /**
+   * A category and the categories above it, top-level first
+   */
+  static async getBreadcrumbs(categoryId) {
+    const category = await Category.findById(categoryId);
+    if (!category) {
+      return [];
+    }
+
+    const ancestors = await Category.find({ _id: { $in: category.ancestors } });
+    const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+
+    return [
+      ...category.ancestors.map(id => byId.get(id.toString())).filter(Boolean),
+      category
+    ];
+  }
+
+  /**
+   * Product category analytics are derived from the taxonomy, so drop them
+   * when it changes
+   */
+  static async invalidateCategoryCaches() {
+    await cache.del(productCacheService.KEYS.CATEGORIES);
+  }
+
+  /**
+   * Parent and ancestors for a category placed under `parentId`
+   */
+  static async placement(parentId) {
+    if (!parentId) {
+      return { parent: null, ancestors: [] };
+    }
+
+    const parent = await this.getCategory(parentId, 'parentId');
+    return { parent: parent._id, ancestors: [...parent.ancestors, parent._id] };
+  }
+
+  /**
+   * Create a category (admin only). Without a slug one is derived from the name.
+   */
+  static async createCategory({ parentId, ...input }, adminId) {
+    const fields = this.pickCategoryFields(input);
+    if (!fields.slug && fields.name) {
+      fields.slug = await this.uniqueSlug(this.slugify(fields.name));
+    }
+
+    try {
+      const category = await Category.create({ ...fields, ...await this.placement(parentId) });
+      await this.invalidateCategoryCaches();
+
+      logger.info('Category created', {
+        categoryId: category._id,
+        slug: category.slug,
+        adminId
+      });
+
+      return category;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new GraphQLError(`Category slug "${fields.slug}" is already in use`, {
+          extensions: { code: 'DUPLICATE_CATEGORY_SLUG', field: 'slug' }
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a category (admin only). Renaming it renames its products'
+   * category; moving it (parentId, null for top level) moves its subcategories
+   * along.
+   */
+  static async updateCategory(categoryId, { parentId, ...input }, adminId) {
+    const category = await this.getCategory(categoryId);
+    const previousName = category.name;
+    const previousAncestors = [...category.ancestors];
+
+    category.set(this.pickCategoryFields(input));
+
+    const moving = parentId !== undefined && (parentId || null)?.toString() !== category.parent?.toString();
+    if (moving) {
+      if (parentId && (parentId.toString() === category._id.toString()
+        || await Category.exists({ _id: parentId, ancestors: category._id }))) {
+        throw new GraphQLError('A category cannot be moved below itself', {
+          extensions: { code: 'INVALID_INPUT', field: 'parentId' }
+        });
+      }
+
+      category.set(await this.placement(parentId));
+    }
+
+    try {
+      await category.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new GraphQLError(`Category slug "${input.slug}" is already in use`, {
+          extensions: { code: 'DUPLICATE_CATEGORY_SLUG', field: 'slug' }
+        });
+      }
+      throw error;
+    }
+
+    if (moving) {
+      // Swap the moved category's old ancestors for its new ones in every subcategory
+      const descendants = await Category.find({ ancestors: category._id });
+      if (descendants.length > 0) {
+        await Category.bulkWrite(descendants.map(descendant => ({
+          updateOne: {
+            filter: { _id: descendant._id },
+            update: {
+              $set: {
+                ancestors: [
+                  ...category.ancestors,
+                  ...descendant.ancestors.slice(previousAncestors.length)
+                ]
+              }
+            }
+          }
+        })));
+      }
+    }
+
+    if (category.name !== previousName) {
+      await Product.updateMany({ categoryId: category._id }, { category: category.name });
+      SearchService.invalidateIndex();
+    }
+
+    await this.invalidateCategoryCaches();
+
+    logger.info('Category updated', {
+      categoryId,
+      updatedFields: Object.keys(input),
+      moved: moving,
+      adminId
+    });
+
+    return category;
+  }
+
+  /**
+   * Delete a category (admin only). Only categories without subcategories
+   * and products can be deleted.
+   */
+  static async deleteCategory(categoryId, adminId) {
+    const category = await this.getCategory(categoryId);
+
+    if (await Category.exists({ parent: category._id })) {
+      throw new GraphQLError('Move or delete the subcategories first', {
+        extensions: { code: 'CATEGORY_HAS_CHILDREN' }
+      });
+    }
+
+    if (await Product.exists({ categoryId: category._id })) {
+      throw new GraphQLError('Move the products in this category first', {
+        extensions: { code: 'CATEGORY_IN_USE' }
+      });
+    }
+
+    await category.deleteOne();
+    await this.invalidateCategoryCaches();
+
+    logger.info('Category deleted', {
+      categoryId,
+      slug: category.slug,
+      adminId
+    });
+
+    return true;
+  }
+
+  /**
+   * Put every product without a category document into the taxonomy,
+   * creating categories from their category names ("Parent > Child" names
+   * become nested categories). Safe to run more than once.
+   */
+  static async migrateProductCategories() {
+    const names = await Product.distinct('category', { categoryId: null });
+    let categorized = 0;
+
+    for (const name of names) {
+      const category = await this.resolveProductCategory({ category: name });
+      const result = await Product.updateMany(
+        { categoryId: null, category: name },
+        { categoryId: category._id, category: category.name }
+      );
+      categorized += result.modifiedCount;
+    }
+
+    await this.invalidateCategoryCaches();
+    if (categorized > 0) {
+      SearchService.invalidateIndex();
+    }
+
+    logger.info('Product categories migrated', {
+      categoryNames: names.length,
+      products: categorized
+    });
+
+    return { categoryNames: names.length, products: categorized };
+  }
+
+  /**
+   * Replace the category names coupons were scoped to with category IDs,
+   * creating categories from names not in the taxonomy yet. Read from the
+   * raw collection since the model no longer casts names. Safe to run more
+   * than once.
+   */
+  static async migrateCouponCategories() {
+    const coupons = await Coupon.collection
+      .find({ applicableCategories: { $type: 'string' } }, { projection: { applicableCategories: 1 } })
+      .toArray();
+
+    for (const coupon of coupons) {
+      const categoryIds = [];
+      for (const entry of coupon.applicableCategories) {
+        const category = typeof entry === 'string'
+          ? await this.resolveProductCategory({ category: entry })
+          : { _id: entry };
+        if (!categoryIds.some(id => id.equals(category._id))) {
+          categoryIds.push(category._id);
+        }
+      }
+
+      await Coupon.collection.updateOne({ _id: coupon._id }, { $set: { applicableCategories: categoryIds } });
+    }
+
+    logger.info('Coupon categories migrated', {
+      coupons: coupons.length
+    });
+
+    return { coupons: coupons.length };
+  }
+}
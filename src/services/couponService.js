@@ -0,0 +1,331 @@
+import mongoose from 'mongoose';
+import { GraphQLError } from 'graphql';
+import { Coupon } from '../models/Coupon.js';
+import { Order } from '../models/Order.js';
+import { CategoryService } from './categoryService.js';
+import { logger } from '../utils/logging.js';
+import { roundCurrency, allocateAmount, fromMinorUnits, multiplyAmount, sumAmounts } from '../utils/currency.js';
+
+// Fields admins may set on a coupon
+const EDITABLE_FIELDS = [
+  'code', 'description', 'type', 'value', 'minOrderValue', 'usageLimit', 'perUserLimit',
+  'startsAt', 'expiresAt', 'applicableCategories', 'applicableProducts', 'isActive'
+];
+
+const invalidCoupon = (message) => new GraphQLError(message, {
+  extensions: { code: 'INVALID_COUPON', field: 'couponCode' }
+});
+
+export class CouponService {
+  /**
+   * Normalize a customer-entered coupon code
+   */
+  static normalizeCode(code) {
+    return (code || '').trim().toUpperCase();
+  }
+
+  /**
+   * IDs (as strings) of the coupon's categories and every category below them
+   */
+  static async getScopeCategoryIds(coupon) {
+    const ids = await Promise.all(coupon.applicableCategories.map(id => CategoryService.descendantIds(id)));
+    return new Set(ids.flat().map(id => id.toString()));
+  }
+
+  /**
+   * Whether an order line falls within the coupon's product/category scope.
+   * Lines are { product, price, quantity } with the product document;
+   * categoryIds come from getScopeCategoryIds.
+   */
+  static isLineEligible(coupon, line, categoryIds = new Set()) {
+    if (!coupon.isScoped) {
+      return true;
+    }
+
+    const productId = line.product._id.toString();
+    return coupon.applicableProducts.some(id => id.toString() === productId)
+      || (Boolean(line.product.categoryId) && categoryIds.has(line.product.categoryId.toString()));
+  }
+
+  /**
+   * Calculate the discount of a coupon on order lines, allocated across the
+   * eligible lines in proportion to their value. Returns
+   * { amount, allocations (per line, same order as lines), freeShipping }.
+   * Fixed amounts are in the base currency; exchangeRate converts them to the
+   * currency of the lines. categoryIds come from getScopeCategoryIds.
+   */
+  static calculateDiscount(coupon, lines, exchangeRate = 1, categoryIds = new Set()) {
+    if (coupon.type === 'free_shipping') {
+      return { amount: 0, allocations: lines.map(() => 0), freeShipping: true };
+    }
+
+    const eligibleTotals = lines.map(line => (
+      this.isLineEligible(coupon, line, categoryIds) ? multiplyAmount(line.price, line.quantity) : 0
+    ));
+    const eligibleSubtotal = sumAmounts(eligibleTotals);
+
+    const amount = roundCurrency(coupon.type === 'percentage'
+      ? eligibleSubtotal * coupon.value / 100
+      : Math.min(coupon.value * exchangeRate, eligibleSubtotal));
+
+    return { amount, allocations: allocateAmount(amount, eligibleTotals), freeShipping: false };
+  }
+
+  /**
+   * Number of orders a user has placed with a coupon (cancelled orders excluded)
+   */
+  static async countUserRedemptions(couponId, userId) {
+    return Order.countDocuments({
+      user: userId,
+      'discounts.coupon': couponId,
+      status: { $ne: 'cancelled' }
+    });
+  }
+
+  /**
+   * Look up a coupon by code and check that the user may apply it to lines
+   * worth `subtotal`. Throws INVALID_COUPON with a customer-facing reason.
+   * Returns { coupon, categoryIds } with the IDs from getScopeCategoryIds.
+   */
+  static async findApplicableCoupon(code, userId, subtotal, lines = [], exchangeRate = 1) {
+    const coupon = await Coupon.findOne({ code: this.normalizeCode(code) });
+
+    if (!coupon || !coupon.isActive) {
+      throw invalidCoupon('Coupon code is not valid');
+    }
+
+    const now = new Date();
+    if (coupon.startsAt && coupon.startsAt > now) {
+      throw invalidCoupon('Coupon is not active yet');
+    }
+    if (coupon.expiresAt && coupon.expiresAt <= now) {
+      throw invalidCoupon('Coupon has expired');
+    }
+
+    if (coupon.usageLimit !== null && coupon.usageCount >= coupon.usageLimit) {
+      throw invalidCoupon('Coupon usage limit has been reached');
+    }
+
+    const minOrderValue = roundCurrency(coupon.minOrderValue * exchangeRate);
+    if (subtotal < minOrderValue) {
+      throw invalidCoupon(`Order must be at least ${minOrderValue.toFixed(2)} to use this coupon`);
+    }
+
+    const categoryIds = await this.getScopeCategoryIds(coupon);
+    if (coupon.isScoped && !lines.some(line => this.isLineEligible(coupon, line, categoryIds))) {
+      throw invalidCoupon('Coupon does not apply to any items in this order');
+    }
+
+    if (coupon.perUserLimit !== null) {
+      const redemptions = await this.countUserRedemptions(coupon._id, userId);
+      if (redemptions >= coupon.perUserLimit) {
+        throw invalidCoupon('You have already used this coupon the maximum number of times');
+      }
+    }
+
+    return { coupon, categoryIds };
+  }
+
+  /**
+   * Validate a coupon for order lines and work out its discount. Returns
+   * { coupon, discount (order discount line), allocations, freeShipping }.
+   */
+  static async applyCoupon(code, userId, lines, exchangeRate = 1) {
+    const subtotal = sumAmounts(lines.map(line => multiplyAmount(line.price, line.quantity)));
+    const { coupon, categoryIds } = await this.findApplicableCoupon(code, userId, subtotal, lines, exchangeRate);
+    const { amount, allocations, freeShipping } = this.calculateDiscount(coupon, lines, exchangeRate, categoryIds);
+
+    return {
+      coupon,
+      discount: {
+        coupon: coupon._id,
+        code: coupon.code,
+        type: coupon.type,
+        description: coupon.description,
+        amount
+      },
+      allocations,
+      freeShipping
+    };
+  }
+
+  /**
+   * Atomically count a redemption, enforcing the global usage limit
+   */
+  static async redeem(couponId) {
+    const coupon = await Coupon.findOneAndUpdate(
+      {
+        _id: couponId,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usageCount: 1 } },
+      { new: true }
+    );
+
+    if (!coupon) {
+      throw invalidCoupon('Coupon usage limit has been reached');
+    }
+
+    return coupon;
+  }
+
+  /**
+   * Give back a redemption, e.g. when the order is cancelled
+   */
+  static async release(couponId) {
+    return Coupon.findOneAndUpdate(
+      { _id: couponId, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Pick the editable fields out of coupon input
+   */
+  static pickCouponFields(input) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+      if (input[key] !== undefined) {
+        fields[key] = key === 'type' && input[key] ? input[key].toLowerCase() : input[key];
+      }
+      return fields;
+    }, {});
+  }
+
+  /**
+   * Check that the categories a coupon is scoped to exist
+   */
+  static async validateScopeCategories(categoryIds = []) {
+    for (const categoryId of categoryIds) {
+      await CategoryService.getCategory(categoryId, 'applicableCategories');
+    }
+  }
+
+  /**
+   * Create a coupon (admin only)
+   */
+  static async createCoupon(input, adminId) {
+    await this.validateScopeCategories(input.applicableCategories);
+
+    try {
+      const coupon = await Coupon.create({
+        ...this.pickCouponFields(input),
+        createdBy: adminId
+      });
+
+      logger.info('Coupon created', {
+        couponId: coupon._id,
+        code: coupon.code,
+        adminId
+      });
+
+      return coupon;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new GraphQLError('A coupon with this code already exists', {
+          extensions: { code: 'DUPLICATE_COUPON', field: 'code' }
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a coupon (admin only)
+   */
+  static async updateCoupon(couponId, input, adminId) {
+    const coupon = await Coupon.findById(couponId);
+
+    if (!coupon) {
+      throw new GraphQLError('Coupon not found', {
+        extensions: { code: 'COUPON_NOT_FOUND' }
+      });
+    }
+
+    await this.validateScopeCategories(input.applicableCategories);
+    coupon.set(this.pickCouponFields(input));
+
+    try {
+      await coupon.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new GraphQLError('A coupon with this code already exists', {
+          extensions: { code: 'DUPLICATE_COUPON', field: 'code' }
+        });
+      }
+      throw error;
+    }
+
+    logger.info('Coupon updated', {
+      couponId,
+      updatedFields: Object.keys(input),
+      adminId
+    });
+
+    return coupon;
+  }
+
+  /**
+   * Deactivate a coupon (admin only). Coupons are kept for order history.
+   */
+  static async deleteCoupon(couponId, adminId) {
+    const coupon = await Coupon.findByIdAndUpdate(couponId, { isActive: false }, { new: true });
+
+    if (!coupon) {
+      throw new GraphQLError('Coupon not found', {
+        extensions: { code: 'COUPON_NOT_FOUND' }
+      });
+    }
+
+    logger.info('Coupon deactivated', {
+      couponId,
+      code: coupon.code,
+      adminId
+    });
+
+    return true;
+  }
+
+  /**
+   * List coupons, newest first
+   */
+  static async getCoupons({ activeOnly = false } = {}) {
+    return Coupon.find(activeOnly ? { isActive: true } : {}).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Usage report for a coupon, from the orders it was applied to. Amounts
+   * are stored in cents and reported in the base currency.
+   */
+  static async getCouponUsage(couponId) {
+    const [result] = await Order.aggregate([
+      {
+        $match: {
+          'discounts.coupon': new mongoose.Types.ObjectId(couponId.toString()),
+          status: { $ne: 'cancelled' }
+        }
+      },
+      { $unwind: '$discounts' },
+      { $match: { 'discounts.coupon': new mongoose.Types.ObjectId(couponId.toString()) } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          customers: { $addToSet: '$user' },
+          totalDiscount: { $sum: { $round: [{ $divide: ['$discounts.amount', { $ifNull: ['$exchangeRate', 1] }] }, 0] } },
+          totalRevenue: { $sum: { $round: [{ $divide: ['$totalAmount', { $ifNull: ['$exchangeRate', 1] }] }, 0] } }
+        }
+      }
+    ]);
+
+    return {
+      redemptions: result?.redemptions || 0,
+      uniqueCustomers: result?.customers.length || 0,
+      totalDiscount: fromMinorUnits(result?.totalDiscount || 0),
+      totalRevenue: fromMinorUnits(result?.totalRevenue || 0)
+    };
+  }
+}
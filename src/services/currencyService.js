@@ -0,0 +1,200 @@
+import { GraphQLError } from 'graphql';
+import { ExchangeRate } from '../models/ExchangeRate.js';
+import { logger } from '../utils/logging.js';
+import { BASE_CURRENCY, CURRENCY_CODE_PATTERN, roundCurrency } from '../utils/currency.js';
+import { findVariant, getUnitPrice } from '../utils/variants.js';
+
+export class CurrencyService {
+  /**
+   * Normalize a currency code, defaulting to the base currency
+   */
+  static normalizeCurrency(currency) {
+    const code = (currency || BASE_CURRENCY).trim().toUpperCase();
+
+    if (!CURRENCY_CODE_PATTERN.test(code)) {
+      throw new GraphQLError('Currency must be a three-letter code', {
+        extensions: { code: 'INVALID_INPUT', field: 'currency' }
+      });
+    }
+
+    return code;
+  }
+
+  /**
+   * Exchange rates against the base currency, keyed by currency code.
+   * Includes the base currency itself at 1.
+   */
+  static async getRates() {
+    const rates = await ExchangeRate.find();
+    return new Map([[BASE_CURRENCY, 1], ...rates.map(rate => [rate.currency, rate.rate])]);
+  }
+
+  /**
+   * Normalize a requested currency and check that it can be priced in
+   */
+  static resolveCurrency(currency, rates) {
+    const code = this.normalizeCurrency(currency);
+
+    if (!rates.has(code)) {
+      throw new GraphQLError(`Currency "${code}" is not supported`, {
+        extensions: { code: 'UNSUPPORTED_CURRENCY', field: 'currency' }
+      });
+    }
+
+    return code;
+  }
+
+  /**
+   * Convert an amount between currencies, rounded to cents
+   */
+  static convert(amount, from, to, rates) {
+    if (from === to) {
+      return amount;
+    }
+
+    this.resolveCurrency(from, rates);
+    this.resolveCurrency(to, rates);
+
+    return roundCurrency(amount / rates.get(from) * rates.get(to));
+  }
+
+  /**
+   * Unit price of a product (or variant) in a currency. A price override for
+   * the currency wins over converting; variants with their own price convert it.
+   */
+  static getPrice(product, variantId, currency, rates) {
+    const variant = findVariant(product, variantId);
+
+    if (variant?.price === undefined || variant?.price === null) {
+      const override = (product.prices || []).find(price => price.currency === currency);
+      if (override) {
+        return override.amount;
+      }
+    }
+
+    return this.convert(getUnitPrice(product, variantId), product.currency || BASE_CURRENCY, currency, rates);
+  }
+
+  /**
+   * Shape a product with its prices in a currency. Works on documents and on
+   * plain objects served from cache.
+   */
+  static localizeProduct(product, currency, rates) {
+    if (!product) {
+      return product;
+    }
+
+    const data = typeof product.toObject === 'function' ? product.toObject({ getters: true }) : { ...product };
+
+    return {
+      ...data,
+      id: (data.id || data._id).toString(),
+      currency,
+      price: this.getPrice(product, null, currency, rates),
+      variants: (data.variants || []).map(variant => ({
+        ...variant,
+        price: this.getPrice(product, variant._id, currency, rates)
+      }))
+    };
+  }
+
+  /**
+   * Localize a single product. Without a currency it is returned as is,
+   * priced in its own currency.
+   */
+  static async localize(product, currency) {
+    if (!currency || !product) {
+      return product;
+    }
+
+    const rates = await this.getRates();
+    return this.localizeProduct(product, this.resolveCurrency(currency, rates), rates);
+  }
+
+  /**
+   * Localize the products of a ProductConnection. Without a currency the
+   * connection is returned as is.
+   */
+  static async localizeConnection(connection, currency) {
+    if (!currency) {
+      return connection;
+    }
+
+    const rates = await this.getRates();
+    const code = this.resolveCurrency(currency, rates);
+
+    return {
+      ...connection,
+      edges: connection.edges.map(edge => ({
+        ...edge,
+        node: this.localizeProduct(edge.node, code, rates)
+      }))
+    };
+  }
+
+  /**
+   * Currency and exchange rate to lock on a new order
+   */
+  static async resolveOrderCurrency(currency) {
+    const rates = await this.getRates();
+    const code = this.resolveCurrency(currency, rates);
+
+    return { currency: code, exchangeRate: rates.get(code), rates };
+  }
+
+  /**
+   * List exchange rates
+   */
+  static async getExchangeRates() {
+    return ExchangeRate.find().sort({ currency: 1 });
+  }
+
+  /**
+   * Create or update the exchange rate of a currency (admin only)
+   */
+  static async setExchangeRate(currency, rate, adminId) {
+    const code = this.normalizeCurrency(currency);
+
+    if (code === BASE_CURRENCY) {
+      throw new GraphQLError(`${BASE_CURRENCY} is the base currency and always has a rate of 1`, {
+        extensions: { code: 'INVALID_INPUT', field: 'currency' }
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency: code },
+      { rate, updatedBy: adminId },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    logger.info('Exchange rate updated', {
+      currency: code,
+      rate,
+      adminId
+    });
+
+    return exchangeRate;
+  }
+
+  /**
+   * Remove a currency's exchange rate (admin only). Existing orders keep the
+   * rate locked at placement.
+   */
+  static async deleteExchangeRate(currency, adminId) {
+    const code = this.normalizeCurrency(currency);
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ currency: code });
+
+    if (!exchangeRate) {
+      throw new GraphQLError(`No exchange rate found for "${code}"`, {
+        extensions: { code: 'EXCHANGE_RATE_NOT_FOUND' }
+      });
+    }
+
+    logger.info('Exchange rate deleted', {
+      currency: code,
+      adminId
+    });
+
+    return true;
+  }
+}
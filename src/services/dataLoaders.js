@@ -147,10 +147,11 @@ export class DataLoaderFactory {
             // Fetch uncached products from database
             if (uncachedIds.length > 0) {
               const dbProductIds = uncachedIds.map(item => item.id);
+              // Not lean: money getters turn the stored cents into prices
               const dbProducts = await Product.find({ 
                 _id: { $in: dbProductIds }, 
                 isActive: true 
-              }).populate('createdBy', 'firstName lastName email').lean();
+              }).populate('createdBy', 'firstName lastName email');
               
               // Create lookup map
               const productMap = new Map(dbProducts.map(product => [product._id.toString(), product]));
@@ -211,13 +212,12 @@ export class DataLoaderFactory {
           const startTime = Date.now();
           
           try {
-            // Fetch orders for all users in one query
+            // Fetch orders for all users in one query (not lean, so money getters apply)
             const orders = await Order.find({ 
               user: { $in: userIds } 
             })
             .populate('items.product', 'name price imageUrl')
-            .sort({ createdAt: -1 })
-            .lean();
+            .sort({ createdAt: -1 });
             
             // Group orders by user
             const ordersByUser = new Map();
@@ -321,11 +321,11 @@ export class DataLoaderFactory {
           const startTime = Date.now();
           
           try {
+            // Not lean, so money getters apply
             const orders = await Order.find({ 
               _id: { $in: orderIds } 
             })
-            .populate('items.product', 'name price imageUrl sku')
-            .lean();
+            .populate('items.product', 'name price imageUrl sku');
             
             // Create lookup map
             const orderMap = new Map(orders.map(order => [order._id.toString(), order.items]));
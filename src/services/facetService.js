@@ -0,0 +1,93 @@
+import { Product } from '../models/Product.js';
+import { productCacheService } from './productCacheService.js';
+import { fromMinorUnits } from '../utils/currency.js';
+
+// Number of price ranges; $bucketAuto spreads the matching products evenly over them
+const PRICE_BUCKETS = 5;
+
+export class FacetService {
+  /**
+   * $facet stages counting the products that match a listing or search by
+   * category, price range, availability and option value
+   */
+  static facetStages() {
+    return {
+      categories: [
+        { $group: { _id: { categoryId: '$categoryId', category: '$category' }, count: { $sum: 1 } } },
+        { $sort: { count: -1, '_id.category': 1 } }
+      ],
+      priceRanges: [
+        { $bucketAuto: { groupBy: '$price', buckets: PRICE_BUCKETS } }
+      ],
+      stock: [
+        {
+          $group: {
+            _id: null,
+            inStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 1, 0] } },
+            outOfStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 0, 1] } }
+          }
+        }
+      ],
+      attributes: [
+        { $unwind: '$options' },
+        { $unwind: '$options.values' },
+        { $group: { _id: { name: '$options.name', value: '$options.values' }, count: { $sum: 1 } } },
+        { $sort: { '_id.name': 1, count: -1, '_id.value': 1 } }
+      ]
+    };
+  }
+
+  /**
+   * Shape the $facet output for the ProductFacets type. Prices are stored in
+   * cents; option values are grouped under their option name.
+   */
+  static formatFacets({ categories = [], priceRanges = [], stock = [], attributes = [] } = {}) {
+    const attributesByName = new Map();
+    for (const { _id, count } of attributes) {
+      if (!attributesByName.has(_id.name)) {
+        attributesByName.set(_id.name, { name: _id.name, values: [] });
+      }
+      attributesByName.get(_id.name).values.push({ value: _id.value, count });
+    }
+
+    return {
+      categories: categories.map(({ _id, count }) => ({
+        categoryId: _id.categoryId || null,
+        category: _id.category,
+        count
+      })),
+      priceRanges: priceRanges.map(({ _id, count }) => ({
+        min: fromMinorUnits(_id.min),
+        max: fromMinorUnits(_id.max),
+        count
+      })),
+      stock: {
+        inStock: stock[0]?.inStock || 0,
+        outOfStock: stock[0]?.outOfStock || 0
+      },
+      attributes: [...attributesByName.values()]
+    };
+  }
+
+  /**
+   * Facets for the products matching `match`, the query conditions of a
+   * listing (no searchTerm) or search. Facets do not depend on the page, so
+   * they are cached per search term and filter.
+   */
+  static async getFacets(match, searchTerm = '', filter = {}) {
+    const cached = await productCacheService.getFacets(searchTerm, filter);
+    if (cached) {
+      return cached;
+    }
+
+    const [result] = await Product.aggregate([
+      { $match: match },
+      { $facet: this.facetStages() }
+    ]);
+
+    const facets = this.formatFacets(result);
+    await productCacheService.setFacets(searchTerm, filter, facets);
+
+    return facets;
+  }
+}
@@ -0,0 +1,296 @@
+import { GraphQLError } from 'graphql';
+import { InventoryMovement } from '../models/InventoryMovement.js';
+import { Product } from '../models/Product.js';
+import { Order } from '../models/Order.js';
+import { logger } from '../utils/logging.js';
+
+// How often the ledger is checked against product stock
+const RECONCILE_INTERVAL_MS = (parseInt(process.env.INVENTORY_RECONCILE_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Products whose stock has fallen to their reorder threshold
+const LOW_STOCK_FILTER = {
+  isActive: true,
+  reorderThreshold: { $ne: null },
+  $expr: { $lte: ['$stock', '$reorderThreshold'] }
+};
+
+// Key of a stock holder (the product or a variant), optionally at a warehouse
+const holderKey = (variantId, warehouseId = null) => (
+  `${variantId ? variantId.toString() : ''}:${warehouseId ? warehouseId.toString() : ''}`
+);
+
+export class InventoryService {
+  static reconciler = null;
+
+  /**
+   * Append movements to the ledger. Zero quantities are skipped.
+   */
+  static async record(movements) {
+    const entries = movements.filter(movement => movement.quantity !== 0);
+
+    if (entries.length === 0) {
+      return [];
+    }
+
+    return InventoryMovement.insertMany(entries);
+  }
+
+  /**
+   * Record a change of `quantity` units to a product or variant, one movement
+   * per warehouse in `allocations` when the stock is kept at warehouses.
+   * `movement` carries the type, actor, reason and references.
+   */
+  static async recordChange(productId, variantId, quantity, allocations = [], movement = {}) {
+    const base = { ...movement, product: productId, variant: variantId || undefined };
+    const sign = Math.sign(quantity);
+
+    return this.record(allocations.length > 0
+      ? allocations.map(allocation => ({ ...base, warehouse: allocation.warehouse, quantity: sign * allocation.quantity }))
+      : [{ ...base, quantity }]);
+  }
+
+  /**
+   * Stock of every holder of a product: the product itself, or each variant
+   * when it has variants, per warehouse when stock is kept at warehouses
+   */
+  static stockSnapshot(product) {
+    const snapshot = new Map();
+
+    const addHolder = (holder, variantId) => {
+      if ((holder.stockLevels || []).length > 0) {
+        for (const level of holder.stockLevels) {
+          snapshot.set(holderKey(variantId, level.warehouse), level.quantity);
+        }
+      } else {
+        snapshot.set(holderKey(variantId), holder.stock || 0);
+      }
+    };
+
+    if (product.variants?.length > 0) {
+      product.variants.forEach(variant => addHolder(variant, variant._id));
+    } else {
+      addHolder(product, null);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Record what changed between two stock snapshots of a product
+   * (see stockSnapshot), e.g. around an admin edit
+   */
+  static async recordDifferences(productId, before, after, movement = {}) {
+    const keys = new Set([...before.keys(), ...after.keys()]);
+
+    return this.record([...keys].map(key => {
+      const [variantId, warehouseId] = key.split(':');
+
+      return {
+        ...movement,
+        product: productId,
+        variant: variantId || undefined,
+        warehouse: warehouseId || undefined,
+        quantity: (after.get(key) || 0) - (before.get(key) || 0)
+      };
+    }));
+  }
+
+  /**
+   * Whether any holder gained stock between two snapshots (see stockSnapshot)
+   */
+  static isRestock(before, after) {
+    return [...after].some(([key, quantity]) => quantity > (before.get(key) || 0));
+  }
+
+  /**
+   * Movements of a product, newest first. `after` is the ID of the last
+   * movement of the previous page.
+   */
+  static async getHistory(productId, { variantId, first = 50, after } = {}) {
+    const query = { product: productId };
+
+    if (variantId) {
+      query.variant = variantId;
+    }
+
+    if (after) {
+      query._id = { $lt: after };
+    }
+
+    return InventoryMovement.find(query)
+      .sort({ _id: -1 })
+      .limit(Math.min(first, 100));
+  }
+
+  /**
+   * Whether taking `quantity` units took a product (as updated) from above
+   * its reorder threshold to at or below it
+   */
+  static crossedReorderThreshold(product, quantity) {
+    return product.reorderThreshold != null
+      && product.stock <= product.reorderThreshold
+      && product.stock + quantity > product.reorderThreshold;
+  }
+
+  /**
+   * Active products at or below their reorder threshold, lowest stock first
+   */
+  static async getLowStockProducts({ first = 50 } = {}) {
+    return Product.find(LOW_STOCK_FILTER)
+      .sort({ stock: 1, _id: 1 })
+      .limit(Math.min(first, 100));
+  }
+
+  /**
+   * Suggest how much to reorder so stock covers `leadTimeDays` of sales at the
+   * rate of the last `days` days, on top of the reorder threshold. Covers
+   * products sold in that period and low-stock products; those with enough
+   * stock are left out. Most urgent (fewest days of stock left) first.
+   */
+  static async getReorderSuggestions({ days = 30, leadTimeDays = 14 } = {}) {
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      throw new GraphQLError('Days must be between 1 and 365', {
+        extensions: { code: 'INVALID_INPUT', field: 'days' }
+      });
+    }
+
+    if (!Number.isInteger(leadTimeDays) || leadTimeDays < 0) {
+      throw new GraphQLError('Lead time cannot be negative', {
+        extensions: { code: 'INVALID_INPUT', field: 'leadTimeDays' }
+      });
+    }
+
+    const sales = await Order.aggregate([
+      { $match: { createdAt: { $gte: new Date(Date.now() - days * DAY_MS) }, status: { $ne: 'cancelled' } } },
+      { $unwind: '$items' },
+      { $group: { _id: '$items.product', unitsSold: { $sum: '$items.quantity' } } }
+    ]);
+    const unitsSold = new Map(sales.map(sale => [sale._id.toString(), sale.unitsSold]));
+
+    const products = await Product.find({
+      $or: [
+        { isActive: true, _id: { $in: sales.map(sale => sale._id) } },
+        LOW_STOCK_FILTER
+      ]
+    });
+
+    const suggestions = products.map(product => {
+      const sold = unitsSold.get(product._id.toString()) || 0;
+      const dailyVelocity = sold / days;
+      const target = Math.ceil(dailyVelocity * leadTimeDays) + (product.reorderThreshold || 0);
+
+      return {
+        product,
+        stock: product.stock,
+        reorderThreshold: product.reorderThreshold,
+        unitsSold: sold,
+        dailyVelocity,
+        daysOfStockLeft: dailyVelocity > 0 ? product.stock / dailyVelocity : null,
+        suggestedQuantity: Math.max(target - product.stock, 0)
+      };
+    });
+
+    return suggestions
+      .filter(suggestion => suggestion.suggestedQuantity > 0)
+      .sort((a, b) => (a.daysOfStockLeft ?? Infinity) - (b.daysOfStockLeft ?? Infinity)
+        || b.suggestedQuantity - a.suggestedQuantity);
+  }
+
+  /**
+   * Check every product's (or variant's) stock against the sum of its
+   * ledger. Returns the holders that disagree; with `correct`, records
+   * correction movements so the ledger matches stock again.
+   */
+  static async reconcile({ correct = false } = {}) {
+    const sums = await InventoryMovement.aggregate([
+      {
+        $group: {
+          _id: { product: '$product', variant: '$variant' },
+          quantity: { $sum: '$quantity' }
+        }
+      }
+    ]);
+    const ledger = new Map(sums.map(sum => [
+      `${sum._id.product}:${holderKey(sum._id.variant)}`,
+      sum.quantity
+    ]));
+
+    const discrepancies = [];
+    const products = Product.find().select('name stock variants._id variants.stock').cursor();
+
+    for await (const product of products) {
+      const holders = product.variants.length > 0
+        ? product.variants.map(variant => ({ variant: variant._id, stock: variant.stock }))
+        : [{ variant: null, stock: product.stock }];
+
+      for (const holder of holders) {
+        const ledgerStock = ledger.get(`${product._id}:${holderKey(holder.variant)}`) || 0;
+
+        if (ledgerStock !== holder.stock) {
+          discrepancies.push({
+            product: product._id,
+            variant: holder.variant,
+            stock: holder.stock,
+            ledgerStock
+          });
+        }
+      }
+    }
+
+    for (const discrepancy of discrepancies) {
+      logger.warn('Inventory ledger does not match stock', {
+        productId: discrepancy.product,
+        variantId: discrepancy.variant,
+        stock: discrepancy.stock,
+        ledgerStock: discrepancy.ledgerStock
+      });
+    }
+
+    if (correct) {
+      await this.record(discrepancies.map(discrepancy => ({
+        product: discrepancy.product,
+        variant: discrepancy.variant || undefined,
+        quantity: discrepancy.stock - discrepancy.ledgerStock,
+        type: 'correction',
+        reason: 'Reconciliation: ledger did not match stock'
+      })));
+    }
+
+    logger.info('Inventory reconciled', {
+      discrepancies: discrepancies.length,
+      corrected: correct
+    });
+
+    return discrepancies;
+  }
+
+  /**
+   * Start reconciling the ledger in the background
+   */
+  static startReconciliation(intervalMs = RECONCILE_INTERVAL_MS) {
+    if (this.reconciler) {
+      return;
+    }
+
+    this.reconciler = setInterval(() => {
+      this.reconcile().catch(error => {
+        logger.error('Inventory reconciliation failed', {
+          error: error.message
+        });
+      });
+    }, intervalMs);
+
+    // Never keep the process alive just for reconciliation
+    this.reconciler.unref();
+  }
+
+  /**
+   * Stop background reconciliation
+   */
+  static stopReconciliation() {
+    clearInterval(this.reconciler);
+    this.reconciler = null;
+  }
+}
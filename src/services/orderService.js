@@ -2,7 +2,25 @@ import mongoose from 'mongoose';
 import { GraphQLError } from 'graphql';
 import { Order } from '../models/Order.js';
 import { Product } from '../models/Product.js';
+import { User } from '../models/User.js';
+import { CouponService } from './couponService.js';
+import { TaxService } from './taxService.js';
+import { ShippingService } from './shippingService.js';
+import { CurrencyService } from './currencyService.js';
+import { ReservationService } from './reservationService.js';
+import { WarehouseService } from './warehouseService.js';
+import { InventoryService } from './inventoryService.js';
+import { ReviewService } from './reviewService.js';
+import { PopularityService } from './popularityService.js';
+import { SearchAnalyticsService } from './searchAnalyticsService.js';
+import { WishlistService } from './wishlistService.js';
+import { PaymentService } from './paymentService.js';
+import { ShipmentService } from './shipmentService.js';
 import { logger } from '../utils/logging.js';
+import { paginateQuery } from '../utils/pagination.js';
+import { pubsub, EVENTS } from '../config/pubsub.js';
+import { roundCurrency, fromMinorUnits, multiplyAmount, sumAmounts } from '../utils/currency.js';
+import { getLineKey, getAvailableStock } from '../utils/variants.js';
 
 // Check if we're in test environment to disable transactions
 const isTestEnvironment = process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID;
@@ -10,14 +28,25 @@ const isTestEnvironment = process.env.NODE_ENV === 'test' || process.env.JEST_WO
 export class OrderService {
   // Valid order status transitions
   static VALID_TRANSITIONS = {
-    pending: ['confirmed', 'cancelled'],
+    pending: ['confirmed', 'backordered', 'cancelled'],
     confirmed: ['processing', 'cancelled'],
+    // Paid, with units waiting for stock; in-stock units may still be processed and shipped
+    backordered: ['confirmed', 'processing', 'cancelled'],
     processing: ['shipped', 'cancelled'],
     shipped: ['delivered'],
     delivered: [],
     cancelled: []
   };
 
+  // Statuses in which backordered lines still wait for stock
+  static BACKORDER_STATUSES = ['pending', 'backordered', 'processing'];
+
+  // Payment states an order must be in before it may enter a status
+  static TRANSITION_REQUIREMENTS = {
+    confirmed: { paymentStatus: ['paid'] },
+    backordered: { paymentStatus: ['paid'] }
+  };
+
   /**
    * Validate if order status transition is allowed
    */
@@ -26,19 +55,68 @@ export class OrderService {
     return allowedTransitions ? allowedTransitions.includes(newStatus) : false;
   }
 
+  /**
+   * Check that an order satisfies the payment requirements of a target status
+   */
+  static meetsTransitionRequirements(order, newStatus) {
+    const requirements = this.TRANSITION_REQUIREMENTS[newStatus];
+    if (!requirements) {
+      return true;
+    }
+
+    return requirements.paymentStatus.includes(order.paymentStatus);
+  }
+
   /**
    * Calculate order total from items
    */
   static calculateOrderTotal(items) {
-    return items.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
+    return sumAmounts(items.map(item => multiplyAmount(item.price, item.quantity)));
+  }
+
+  /**
+   * Resolve the variant an order item refers to. Products with variants
+   * must be ordered by variant; products without variants must not be.
+   */
+  static resolveVariant(product, variantId) {
+    if (product.variants.length === 0) {
+      if (variantId) {
+        throw new GraphQLError(`Product "${product.name}" has no variants`, {
+          extensions: { code: 'VARIANT_NOT_FOUND' }
+        });
+      }
+      return null;
+    }
+
+    if (!variantId) {
+      throw new GraphQLError(`A variant must be selected for "${product.name}"`, {
+        extensions: { code: 'VARIANT_REQUIRED' }
+      });
+    }
+
+    const variant = product.variants.id(variantId);
+    if (!variant) {
+      throw new GraphQLError(`Variant with ID ${variantId} not found for "${product.name}"`, {
+        extensions: { code: 'VARIANT_NOT_FOUND' }
+      });
+    }
+
+    if (!variant.isActive) {
+      throw new GraphQLError(`Variant "${variant.sku}" is not available for purchase`, {
+        extensions: { code: 'PRODUCT_INACTIVE' }
+      });
+    }
+
+    return variant;
   }
 
   /**
-   * Validate stock availability for order items
+   * Validate stock availability for order items. Stock held by other
+   * checkouts is unavailable; stock held by `reservations` counts as available.
+   * Products that accept backorders may be ordered beyond their stock; the
+   * shortfall is returned as `backorderedQuantity`.
    */
-  static async validateStockAvailability(orderItems) {
+  static async validateStockAvailability(orderItems, { reservations = [] } = {}) {
     const validationResults = [];
     
     for (const item of orderItems) {
@@ -56,23 +134,94 @@ export class OrderService {
         });
       }
 
-      if (product.stock < item.quantity) {
+      const variant = this.resolveVariant(product, item.variantId);
+      const holder = variant || product;
+      const ownReserved = ReservationService.reservedQuantity(reservations, product._id, variant?._id);
+      const availableStock = Math.max(holder.stock - (holder.reservedStock || 0) + ownReserved, 0);
+      const displayName = variant ? `${product.name} (${variant.sku})` : product.name;
+
+      if (availableStock < item.quantity && !product.acceptsBackorders) {
         throw new GraphQLError(
-          `Insufficient stock for "${product.name}". Available: ${product.stock}, Requested: ${item.quantity}`,
+          `Insufficient stock for "${displayName}". Available: ${availableStock}, Requested: ${item.quantity}`,
           { extensions: { code: 'INSUFFICIENT_STOCK' } }
         );
       }
 
       validationResults.push({
         product,
+        variant,
         requestedQuantity: item.quantity,
-        availableStock: product.stock
+        backorderedQuantity: Math.max(item.quantity - availableStock, 0),
+        availableStock,
+        unitPrice: variant?.price ?? product.price
       });
     }
 
     return validationResults;
   }
 
+  /**
+   * Atomically deduct stock for a product or one of its variants, consuming
+   * `reservedQuantity` units the order holds through a reservation and taking
+   * warehouse stock as given by `allocations`. The change is recorded in the
+   * inventory ledger as `movement` ({ type, actor, order, ... }).
+   * Returns null when not enough unreserved stock is left.
+   */
+  static async deductStock(productId, quantity, variantId = null, { reservedQuantity = 0, allocations = [], movement = {} } = {}) {
+    const { update, arrayFilters } = WarehouseService.stockUpdate(-quantity, variantId, allocations);
+    update.$inc.reservedStock = -reservedQuantity;
+    if (variantId) {
+      update.$inc['variants.$[variant].reservedStock'] = -reservedQuantity;
+    }
+
+    const product = await Product.findOneAndUpdate(
+      {
+        $and: [
+          ReservationService.availabilityFilter(productId, quantity, variantId, reservedQuantity),
+          ...WarehouseService.allocationFilters(allocations, variantId)
+        ]
+      },
+      update,
+      { new: true, arrayFilters }
+    );
+
+    if (product) {
+      await InventoryService.recordChange(productId, variantId, -quantity, allocations, movement);
+    }
+    return product;
+  }
+
+  /**
+   * Return stock to a product or one of its variants, back to the warehouses
+   * in `allocations` past the first `skip` units (restored before), record
+   * it in the inventory ledger as `movement` and send back-in-stock alerts
+   */
+  static async restoreStock(productId, quantity, variantId = null, { allocations = [], skip = 0, movement = {} } = {}) {
+    const restored = WarehouseService.takeAllocations(allocations, quantity, skip);
+    const { update, arrayFilters } = WarehouseService.stockUpdate(quantity, variantId, restored);
+
+    const product = variantId
+      ? await Product.findOneAndUpdate(
+        { _id: productId, 'variants._id': variantId },
+        update,
+        { new: true, arrayFilters }
+      )
+      : await Product.findByIdAndUpdate(productId, update, { new: true, arrayFilters });
+
+    if (!product) {
+      logger.warn(variantId ? 'Variant no longer exists, stock not restored' : 'Product no longer exists, stock not restored', {
+        productId,
+        variantId,
+        quantity
+      });
+      return product;
+    }
+
+    await InventoryService.recordChange(productId, variantId, quantity, restored, movement);
+    await WishlistService.notifyStockReturned(product, variantId, quantity);
+    return product;
+  }
+
   /**
    * Helper function to execute with or without transaction
    */
@@ -92,28 +241,143 @@ export class OrderService {
   }
 
   /**
-   * Create a new order with stock validation and inventory deduction
+   * Publish an order event to subscribers. Failures are logged, never thrown,
+   * so a subscription problem cannot fail the write that triggered it.
+   */
+  static async publishOrderEvent(event, payload) {
+    try {
+      await pubsub.publish(event, payload);
+    } catch (error) {
+      logger.warn('Order event publish failed', {
+        event,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Report a product whose stock an order deduction took down to its reorder threshold
+   */
+  static async publishLowStock(product, orderId) {
+    logger.warn('Product stock fell to its reorder threshold', {
+      productId: product._id,
+      stock: product.stock,
+      reorderThreshold: product.reorderThreshold,
+      orderId
+    });
+    await this.publishOrderEvent(EVENTS.PRODUCT_LOW_STOCK, { productLowStock: product });
+  }
+
+  /**
+   * Create a new order with stock validation, coupon discounts, shipping, tax and inventory deduction.
+   * Orders placed from a cart (`orderInput.cartId`) convert the cart's reservations.
    */
   static async createOrder(userId, orderInput) {
     try {
-      return await this.executeWithOptionalTransaction(async () => {
-        // Validate stock availability
-        const validationResults = await this.validateStockAvailability(orderInput.items);
+      // Products this order took to their reorder threshold
+      let lowStockProducts = [];
+
+      const order = await this.executeWithOptionalTransaction(async () => {
+        lowStockProducts = [];
+
+        // Validate stock availability; the cart's own reservations count as available
+        const reservations = orderInput.cartId
+          ? await ReservationService.getActiveReservations(orderInput.cartId)
+          : [];
+        const validationResults = await this.validateStockAvailability(orderInput.items, { reservations });
+
+        // Lock the order currency and its exchange rate, and price items in it
+        const { currency, exchangeRate, rates } = await CurrencyService.resolveOrderCurrency(orderInput.currency);
+        const unitPrices = validationResults.map(result => (
+          CurrencyService.getPrice(result.product, result.variant?._id, currency, rates)
+        ));
         
-        // Build order items with current product prices
-        const orderItems = validationResults.map(result => ({
+        // Validate the coupon and work out its discount per line
+        const couponResult = orderInput.couponCode
+          ? await CouponService.applyCoupon(
+            orderInput.couponCode,
+            userId,
+            validationResults.map((result, index) => ({
+              product: result.product,
+              price: unitPrices[index],
+              quantity: result.requestedQuantity
+            })),
+            exchangeRate
+          )
+          : null;
+
+        // Pick the warehouses each line ships from; backordered units are allocated on restocking
+        const allocations = await WarehouseService.allocate(
+          validationResults.map(result => ({
+            product: result.product,
+            variant: result.variant,
+            quantity: result.requestedQuantity - result.backorderedQuantity
+          })),
+          orderInput.shippingAddress
+        );
+
+        // Build order items with current product/variant prices
+        const orderItems = validationResults.map((result, index) => ({
           product: result.product._id,
+          variant: result.variant?._id,
+          sku: result.variant?.sku || result.product.sku,
           quantity: result.requestedQuantity,
-          price: result.product.price
+          backorderedQuantity: result.backorderedQuantity,
+          availableOn: result.backorderedQuantity > 0 ? result.product.availableOn : undefined,
+          price: unitPrices[index],
+          discount: couponResult?.allocations[index] || 0,
+          allocations: allocations[index]
         }));
 
-        // Calculate total
-        const totalAmount = this.calculateOrderTotal(orderItems);
+        // Price shipping by weight and destination; free-shipping thresholds apply after discounts
+        const subtotal = this.calculateOrderTotal(orderItems);
+        const discountTotal = couponResult?.discount.amount || 0;
+        const shipping = await ShippingService.resolveOrderShipping({
+          methodCode: orderInput.shippingMethod,
+          address: orderInput.shippingAddress,
+          lines: validationResults.map(result => ({
+            product: result.product,
+            quantity: result.requestedQuantity
+          })),
+          subtotal: sumAmounts([subtotal, -discountTotal]),
+          freeShipping: couponResult?.freeShipping || false,
+          exchangeRate
+        });
+        const shippingCost = shipping.cost;
+
+        // Tax is charged on the discounted line amounts
+        const customer = await User.findById(userId).select('taxExempt');
+        const taxResult = await TaxService.calculateTax({
+          address: orderInput.shippingAddress,
+          lineAmounts: orderItems.map(item => sumAmounts([multiplyAmount(item.price, item.quantity), -item.discount])),
+          shipping: shippingCost,
+          taxExempt: customer?.taxExempt || false
+        });
+        orderItems.forEach((item, index) => {
+          item.tax = taxResult.lineTaxes[index];
+        });
+
+        const totalAmount = sumAmounts([subtotal, -discountTotal, shippingCost, taxResult.tax]);
+
+        if (couponResult) {
+          await CouponService.redeem(couponResult.coupon._id);
+        }
 
         // Create order
         const order = new Order({
           user: userId,
           items: orderItems,
+          currency,
+          exchangeRate,
+          subtotal,
+          discounts: couponResult ? [couponResult.discount] : [],
+          discountTotal,
+          freeShipping: couponResult?.freeShipping || false,
+          shippingMethod: shipping.method,
+          shippingCost,
+          tax: taxResult.tax,
+          taxLines: taxResult.taxLines,
+          taxExempt: customer?.taxExempt || false,
           totalAmount,
           shippingAddress: orderInput.shippingAddress,
           notes: orderInput.notes
@@ -121,12 +385,35 @@ export class OrderService {
 
         await order.save();
 
+        // Reserved units per line; reservations for lines no longer ordered are given back below
+        const claimed = orderInput.cartId
+          ? await ReservationService.claimReservations(orderInput.cartId, order._id)
+          : [];
+        const heldByLine = new Map();
+        for (const reservation of claimed) {
+          const key = getLineKey(reservation.product, reservation.variant);
+          heldByLine.set(key, (heldByLine.get(key) || 0) + reservation.quantity);
+        }
+
         // Deduct stock for each product with atomic operation to prevent overselling
-        for (const result of validationResults) {
-          const updateResult = await Product.findOneAndUpdate(
-            { _id: result.product._id, stock: { $gte: result.requestedQuantity } },
-            { $inc: { stock: -result.requestedQuantity } },
-            { new: true }
+        for (const [index, result] of validationResults.entries()) {
+          const inStockQuantity = result.requestedQuantity - result.backorderedQuantity;
+          if (inStockQuantity === 0) {
+            continue;
+          }
+
+          const key = getLineKey(result.product._id, result.variant?._id);
+          const reservedQuantity = Math.min(heldByLine.get(key) || 0, inStockQuantity);
+
+          const updateResult = await this.deductStock(
+            result.product._id,
+            inStockQuantity,
+            result.variant?._id,
+            {
+              reservedQuantity,
+              allocations: allocations[index],
+              movement: { type: 'order', actor: userId, order: order._id }
+            }
           );
           
           if (!updateResult) {
@@ -134,17 +421,61 @@ export class OrderService {
               extensions: { code: 'INSUFFICIENT_STOCK' }
             });
           }
+
+          heldByLine.set(key, (heldByLine.get(key) || 0) - reservedQuantity);
+
+          if (InventoryService.crossedReorderThreshold(updateResult, inStockQuantity)) {
+            lowStockProducts.push(updateResult);
+          }
+        }
+
+        for (const [key, quantity] of heldByLine) {
+          if (quantity > 0) {
+            const [productId, variantId] = key.split(':');
+            await ReservationService.releaseStock(productId, quantity, variantId || null);
+          }
         }
 
         logger.info('Order created successfully', {
           orderId: order._id,
           userId,
           totalAmount,
-          itemCount: orderItems.length
+          currency,
+          couponCode: couponResult?.coupon.code,
+          itemCount: orderItems.length,
+          backorderedItems: orderItems.filter(item => item.backorderedQuantity > 0).length
         });
 
         return order;
       });
+
+      await this.publishOrderEvent(EVENTS.NEW_ORDER, { newOrder: order });
+
+      // Order volume feeds product popularity; a failure here must not fail the order
+      try {
+        await PopularityService.recordOrder(order);
+      } catch (error) {
+        logger.warn('Failed to record order for product popularity', {
+          error: error.message,
+          orderId: order._id
+        });
+      }
+
+      // Search conversion analytics; a failure here must not fail the order either
+      try {
+        await SearchAnalyticsService.recordOrder(order);
+      } catch (error) {
+        logger.warn('Failed to attribute order to searches', {
+          error: error.message,
+          orderId: order._id
+        });
+      }
+
+      for (const product of lowStockProducts) {
+        await this.publishLowStock(product, order._id);
+      }
+
+      return order;
     } catch (error) {
       logger.error('Order creation failed', {
         error: error.message,
@@ -156,11 +487,27 @@ export class OrderService {
   }
 
   /**
-   * Cancel an order and restore inventory
+   * Stop counting an order towards product popularity. Failures are logged,
+   * never thrown, so they cannot fail the cancellation or refund.
+   */
+  static async reversePopularity(order) {
+    try {
+      await PopularityService.reverseOrder(order);
+    } catch (error) {
+      logger.warn('Failed to reverse order for product popularity', {
+        error: error.message,
+        orderId: order._id
+      });
+    }
+  }
+
+  /**
+   * Cancel an order and restore inventory. Paid orders are refunded unless
+   * options.refund is false, for callers that refunded the payment already.
    */
-  static async cancelOrder(orderId, userId, userRole) {
+  static async cancelOrder(orderId, userId, userRole, { refund = true } = {}) {
     try {
-      return await this.executeWithOptionalTransaction(async () => {
+      const order = await this.executeWithOptionalTransaction(async () => {
         const order = await Order.findById(orderId).populate('items.product');
         
         if (!order) {
@@ -190,10 +537,24 @@ export class OrderService {
 
         // Restore inventory for each item
         for (const item of order.items) {
-          await Product.findByIdAndUpdate(
-            item.product._id,
-            { $inc: { stock: item.quantity } }
-          );
+          // Backordered units never left stock and restocked ones are back already
+          const inStockQuantity = item.quantity - item.backorderedQuantity - item.restockedQuantity;
+          if (inStockQuantity <= 0) {
+            continue;
+          }
+
+          await this.restoreStock(item.product._id, inStockQuantity, item.variant, {
+            allocations: item.allocations,
+            skip: item.restockedQuantity,
+            movement: { type: 'cancellation', actor: userId, order: order._id }
+          });
+        }
+
+        // Give coupon redemptions back
+        for (const discount of order.discounts) {
+          if (discount.coupon) {
+            await CouponService.release(discount.coupon);
+          }
         }
 
         logger.info('Order cancelled successfully', {
@@ -205,6 +566,27 @@ export class OrderService {
 
         return order;
       });
+
+      // Fully refunded orders were taken out of product popularity already
+      if (order.paymentStatus !== 'refunded') {
+        await this.reversePopularity(order);
+      }
+
+      // Give back whatever has not been refunded yet for orders that were paid
+      if (refund && PaymentService.REFUNDABLE_STATUSES.includes(order.paymentStatus)) {
+        try {
+          await PaymentService.refundPayment(order, 'Order cancelled');
+        } catch (refundError) {
+          logger.error('Automatic refund after cancellation failed', {
+            error: refundError.message,
+            orderId
+          });
+        }
+      }
+
+      await this.publishOrderEvent(EVENTS.ORDER_STATUS_UPDATED, { orderStatusUpdated: order });
+
+      return order;
     } catch (error) {
       logger.error('Order cancellation failed', {
         error: error.message,
@@ -216,9 +598,88 @@ export class OrderService {
   }
 
   /**
-   * Update order status (admin only)
+   * Allocate newly available stock of a product to backordered order lines,
+   * oldest orders first. Backordered orders whose lines are all filled move
+   * to "confirmed". Returns the orders that received stock.
+   */
+  static async allocateBackorders(productId) {
+    const orders = await Order.find({
+      status: { $in: this.BACKORDER_STATUSES },
+      items: { $elemMatch: { product: productId, backorderedQuantity: { $gt: 0 } } }
+    }).sort({ createdAt: 1, _id: 1 });
+
+    const allocatedOrders = [];
+
+    for (const order of orders) {
+      let allocated = 0;
+
+      for (const item of order.items) {
+        if (item.product.toString() !== productId.toString() || item.backorderedQuantity === 0) {
+          continue;
+        }
+
+        const product = await Product.findById(productId);
+        const variant = item.variant ? product?.variants.id(item.variant) : null;
+        const quantity = product ? Math.min(getAvailableStock(product, item.variant), item.backorderedQuantity) : 0;
+
+        if (quantity === 0) {
+          continue;
+        }
+
+        let lineAllocations;
+        try {
+          [lineAllocations] = await WarehouseService.allocate([{ product, variant, quantity }], order.shippingAddress);
+        } catch (error) {
+          // Stock arrived at a warehouse that does not fulfil orders
+          if (error.extensions?.code === 'INSUFFICIENT_STOCK') {
+            continue;
+          }
+          throw error;
+        }
+
+        const updateResult = await this.deductStock(productId, quantity, item.variant, {
+          allocations: lineAllocations,
+          movement: { type: 'order', actor: order.user, order: order._id, reason: 'Backorder allocated' }
+        });
+
+        if (!updateResult) {
+          continue;
+        }
+
+        if (InventoryService.crossedReorderThreshold(updateResult, quantity)) {
+          await this.publishLowStock(updateResult, order._id);
+        }
+
+        item.backorderedQuantity -= quantity;
+        item.allocations.push(...lineAllocations);
+        allocated += quantity;
+      }
+
+      if (allocated === 0) {
+        continue;
+      }
+
+      await order.save();
+
+      logger.info('Backordered items allocated', {
+        orderId: order._id,
+        productId,
+        quantity: allocated
+      });
+
+      allocatedOrders.push(order.status === 'backordered' && !order.hasBackorders
+        ? await this.updateOrderStatus(order._id, 'confirmed')
+        : order);
+    }
+
+    return allocatedOrders;
+  }
+
+  /**
+   * Update order status (admin only). Moving to "shipped" ships every item not
+   * yet covered by a shipment; options.shipment carries its carrier and tracking.
    */
-  static async updateOrderStatus(orderId, newStatus) {
+  static async updateOrderStatus(orderId, newStatus, options = {}) {
     try {
       const order = await Order.findById(orderId);
       
@@ -236,16 +697,47 @@ export class OrderService {
         );
       }
 
+      if (!this.meetsTransitionRequirements(order, newStatus)) {
+        throw new GraphQLError(
+          `Order cannot be ${newStatus} while payment status is "${order.paymentStatus}"`,
+          { extensions: { code: 'PAYMENT_REQUIRED' } }
+        );
+      }
+
+      if (newStatus === 'confirmed' && order.hasBackorders) {
+        throw new GraphQLError('Orders with backordered items are confirmed as backordered', {
+          extensions: { code: 'BACKORDER_PENDING' }
+        });
+      }
+
+      if (newStatus === 'shipped' && order.hasBackorders) {
+        throw new GraphQLError('Order cannot be shipped while items are backordered', {
+          extensions: { code: 'BACKORDER_PENDING' }
+        });
+      }
+
+      if (newStatus === 'shipped') {
+        await ShipmentService.shipRemainingItems(order, options.shipment, options.adminId);
+      } else if (newStatus === 'delivered') {
+        await ShipmentService.markOrderDelivered(order._id);
+      }
+
       const oldStatus = order.status;
       order.status = newStatus;
       await order.save();
 
+      if (newStatus === 'delivered') {
+        await ReviewService.markVerifiedPurchases(order);
+      }
+
       logger.info('Order status updated', {
         orderId,
         oldStatus,
         newStatus
       });
 
+      await this.publishOrderEvent(EVENTS.ORDER_STATUS_UPDATED, { orderStatusUpdated: order });
+
       return order;
     } catch (error) {
       logger.error('Order status update failed', {
@@ -262,10 +754,24 @@ export class OrderService {
    */
   static async getOrderAnalytics() {
     try {
+      // Amounts are stored in cents; each order is converted to whole cents of
+      // the base currency at its locked rate before summing
+      const toBaseUnits = (path) => ({
+        $round: [{ $divide: [{ $ifNull: [path, 0] }, { $ifNull: ['$exchangeRate', 1] }] }, 0]
+      });
       const [totalOrdersResult, totalRevenueResult, ordersByStatusResult] = await Promise.all([
         Order.countDocuments(),
+        // Cancelled orders never count as revenue, nor do their refunds
         Order.aggregate([
-          { $group: { _id: null, totalRevenue: { $sum: '$totalAmount' } } }
+          { $match: { status: { $ne: 'cancelled' } } },
+          {
+            $group: {
+              _id: null,
+              orders: { $sum: 1 },
+              grossRevenue: { $sum: toBaseUnits('$totalAmount') },
+              totalRefunded: { $sum: toBaseUnits('$payment.refundedAmount') }
+            }
+          }
         ]),
         Order.aggregate([
           { $group: { _id: '$status', count: { $sum: 1 } } },
@@ -274,8 +780,12 @@ export class OrderService {
       ]);
 
       const totalOrders = totalOrdersResult;
-      const totalRevenue = totalRevenueResult[0]?.totalRevenue || 0;
-      const averageOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
+      const grossRevenue = fromMinorUnits(totalRevenueResult[0]?.grossRevenue || 0);
+      const totalRefunded = fromMinorUnits(totalRevenueResult[0]?.totalRefunded || 0);
+      // Revenue is reported net of refunds
+      const totalRevenue = sumAmounts([grossRevenue, -totalRefunded]);
+      const revenueOrders = totalRevenueResult[0]?.orders || 0;
+      const averageOrderValue = revenueOrders > 0 ? roundCurrency(totalRevenue / revenueOrders) : 0;
       
       const ordersByStatus = ordersByStatusResult.map(item => ({
         status: item._id.toUpperCase(),
@@ -285,6 +795,8 @@ export class OrderService {
       return {
         totalOrders,
         totalRevenue,
+        grossRevenue,
+        totalRefunded,
         averageOrderValue,
         ordersByStatus
       };
@@ -344,4 +856,34 @@ export class OrderService {
       throw new GraphQLError('Failed to retrieve orders');
     }
   }
+
+  /**
+   * Orders, newest first, as a connection
+   */
+  static async getOrderConnection({ status, userId } = {}, args = {}) {
+    const query = {};
+    if (status) {
+      query.status = status.toLowerCase();
+    }
+    if (userId) {
+      query.user = userId;
+    }
+
+    const [page, totalCount] = await Promise.all([
+      paginateQuery(args, {
+        ordering: 'NEWEST',
+        path: 'createdAt',
+        direction: -1,
+        cursorValue: order => order.createdAt,
+        find: (pageFilter, sort, limit) => Order.find({ ...query, ...pageFilter })
+          .populate('user', 'email firstName lastName')
+          .populate('items.product', 'name price imageUrl')
+          .sort(sort)
+          .limit(limit)
+      }),
+      Order.countDocuments(query)
+    ]);
+
+    return { ...page, totalCount };
+  }
 } 
\ No newline at end of file
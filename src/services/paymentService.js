@@ -0,0 +1,417 @@
+import { GraphQLError } from 'graphql';
+import { Order } from '../models/Order.js';
+import { OrderService } from './orderService.js';
+import { LocalPaymentProvider, DEFAULT_WEBHOOK_SECRET } from './payments/localPaymentProvider.js';
+import { logger } from '../utils/logging.js';
+import { BASE_CURRENCY, roundCurrency } from '../utils/currency.js';
+
+// Order statuses in which a refund also cancels the order and restocks it
+const CANCELLABLE_ON_REFUND = ['pending', 'confirmed', 'backordered', 'processing'];
+
+export class PaymentService {
+  // Valid payment status transitions
+  static PAYMENT_TRANSITIONS = {
+    pending: ['paid', 'failed'],
+    failed: ['paid', 'failed'],
+    paid: ['partially_refunded', 'refunded'],
+    partially_refunded: ['partially_refunded', 'refunded'],
+    refunded: []
+  };
+
+  // Payment statuses that still hold money which can be refunded
+  static REFUNDABLE_STATUSES = ['paid', 'partially_refunded'];
+
+  static providers = new Map();
+
+  /**
+   * Register a payment provider under its name
+   */
+  static registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Check the payment configuration at startup. Production must name a real
+   * provider in PAYMENT_PROVIDER and set its own PAYMENT_WEBHOOK_SECRET.
+   */
+  static assertConfigured() {
+    if (process.env.NODE_ENV !== 'production') {
+      return;
+    }
+
+    if (!process.env.PAYMENT_PROVIDER || process.env.PAYMENT_PROVIDER === 'local') {
+      throw new Error('PAYMENT_PROVIDER must name a real payment provider in production');
+    }
+
+    if (!process.env.PAYMENT_WEBHOOK_SECRET || process.env.PAYMENT_WEBHOOK_SECRET === DEFAULT_WEBHOOK_SECRET) {
+      throw new Error('PAYMENT_WEBHOOK_SECRET must be set to a non-default value in production');
+    }
+  }
+
+  /**
+   * Get a provider by name, defaulting to PAYMENT_PROVIDER (or the local provider
+   * outside production)
+   */
+  static getProvider(name = process.env.PAYMENT_PROVIDER || 'local') {
+    if (name === 'local' && process.env.NODE_ENV === 'production') {
+      throw new GraphQLError('The local payment provider cannot be used in production', {
+        extensions: { code: 'PAYMENT_PROVIDER_NOT_FOUND' }
+      });
+    }
+
+    const provider = this.providers.get(name);
+
+    if (!provider) {
+      throw new GraphQLError(`Payment provider "${name}" is not configured`, {
+        extensions: { code: 'PAYMENT_PROVIDER_NOT_FOUND' }
+      });
+    }
+
+    return provider;
+  }
+
+  /**
+   * Validate if payment status transition is allowed
+   */
+  static isValidPaymentTransition(currentStatus, newStatus) {
+    const allowedTransitions = this.PAYMENT_TRANSITIONS[currentStatus];
+    return allowedTransitions ? allowedTransitions.includes(newStatus) : false;
+  }
+
+  /**
+   * Charge the customer for an order
+   */
+  static async payOrder(orderId, userId, userRole, paymentMethod) {
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      throw new GraphQLError('Order not found', {
+        extensions: { code: 'ORDER_NOT_FOUND' }
+      });
+    }
+
+    if (userRole !== 'admin' && order.user.toString() !== userId) {
+      throw new GraphQLError('Not authorized to pay for this order', {
+        extensions: { code: 'UNAUTHORIZED' }
+      });
+    }
+
+    if (order.status !== 'pending' || !this.isValidPaymentTransition(order.paymentStatus, 'paid')) {
+      throw new GraphQLError(
+        `Cannot pay for order with status "${order.status}" and payment status "${order.paymentStatus}"`,
+        { extensions: { code: 'INVALID_PAYMENT_STATE' } }
+      );
+    }
+
+    const provider = this.getProvider();
+    const result = await provider.charge({
+      orderId: order._id.toString(),
+      amount: order.totalAmount,
+      currency: order.currency || BASE_CURRENCY,
+      paymentMethod
+    });
+
+    order.payment = {
+      provider: provider.name,
+      transactionId: result.transactionId,
+      amount: order.totalAmount
+    };
+
+    if (result.status === 'succeeded') {
+      return this.markPaid(order);
+    }
+
+    if (result.status === 'failed') {
+      return this.markFailed(order, result.failureReason);
+    }
+
+    // Pending - settled later by webhook
+    await order.save();
+
+    logger.info('Payment pending', {
+      orderId: order._id,
+      provider: provider.name,
+      transactionId: result.transactionId
+    });
+
+    return order;
+  }
+
+  /**
+   * Record a successful payment and confirm the order
+   */
+  static async markPaid(order) {
+    if (order.paymentStatus === 'paid') {
+      return order;
+    }
+
+    if (!this.isValidPaymentTransition(order.paymentStatus, 'paid')) {
+      logger.warn('Ignoring payment success for order in final payment state', {
+        orderId: order._id,
+        paymentStatus: order.paymentStatus
+      });
+      return order;
+    }
+
+    order.paymentStatus = 'paid';
+    order.payment.paidAt = new Date();
+    order.payment.failureReason = undefined;
+    await order.save();
+
+    logger.info('Order paid', {
+      orderId: order._id,
+      transactionId: order.payment.transactionId,
+      amount: order.payment.amount
+    });
+
+    // Money arrived for an order that no longer exists for the customer
+    if (order.status === 'cancelled') {
+      return this.refundPayment(order, 'Order was cancelled before payment completed');
+    }
+
+    if (order.status === 'pending') {
+      return OrderService.updateOrderStatus(order._id, order.hasBackorders ? 'backordered' : 'confirmed');
+    }
+
+    return order;
+  }
+
+  /**
+   * Record a failed payment
+   */
+  static async markFailed(order, failureReason = 'Payment failed') {
+    if (!this.isValidPaymentTransition(order.paymentStatus, 'failed')) {
+      return order;
+    }
+
+    order.paymentStatus = 'failed';
+    order.payment.failureReason = failureReason;
+    await order.save();
+
+    logger.warn('Order payment failed', {
+      orderId: order._id,
+      failureReason
+    });
+
+    return order;
+  }
+
+  /**
+   * Amount of the payment that has not been refunded yet, counting refunds
+   * still pending with the provider as refunded
+   */
+  static getRefundableAmount(order) {
+    if (!this.REFUNDABLE_STATUSES.includes(order.paymentStatus)) {
+      return 0;
+    }
+
+    return roundCurrency(
+      (order.payment?.amount || 0) - (order.payment?.refundedAmount || 0) - (order.payment?.pendingRefundAmount || 0)
+    );
+  }
+
+  /**
+   * Refund an order's payment through its provider. Refunds the remaining
+   * balance unless a smaller amount is given.
+   */
+  static async refundPayment(order, reason, amount = this.getRefundableAmount(order)) {
+    if (!this.REFUNDABLE_STATUSES.includes(order.paymentStatus)) {
+      throw new GraphQLError(`Cannot refund order with payment status "${order.paymentStatus}"`, {
+        extensions: { code: 'INVALID_PAYMENT_STATE' }
+      });
+    }
+
+    const refundAmount = roundCurrency(amount);
+    const refundableAmount = this.getRefundableAmount(order);
+
+    if (refundAmount <= 0 || refundAmount > refundableAmount) {
+      throw new GraphQLError(
+        `Refund amount must be greater than 0 and at most ${refundableAmount.toFixed(2)}`,
+        { extensions: { code: 'INVALID_REFUND_AMOUNT' } }
+      );
+    }
+
+    const provider = this.getProvider(order.payment.provider);
+    const result = await provider.refund({
+      transactionId: order.payment.transactionId,
+      amount: refundAmount,
+      reason
+    });
+
+    if (result.status === 'failed') {
+      throw new GraphQLError(`Refund failed: ${result.failureReason}`, {
+        extensions: { code: 'REFUND_FAILED' }
+      });
+    }
+
+    order.payment.refundId = result.refundId;
+
+    if (result.status === 'succeeded') {
+      return this.markRefunded(order, refundAmount);
+    }
+
+    // Pending - settled later by webhook, held back from further refunds until then
+    order.payment.pendingRefundAmount = roundCurrency((order.payment.pendingRefundAmount || 0) + refundAmount);
+    await order.save();
+    return order;
+  }
+
+  /**
+   * Record a pending refund the provider has completed. Without an amount the
+   * whole pending balance is settled.
+   */
+  static async settleRefund(order, amount = order.payment.pendingRefundAmount) {
+    order.payment.pendingRefundAmount = roundCurrency(Math.max(0, (order.payment.pendingRefundAmount || 0) - amount));
+    return this.markRefunded(order, amount);
+  }
+
+  /**
+   * Release a pending refund the provider could not complete, making its
+   * amount refundable again
+   */
+  static async releaseRefund(order, amount = order.payment.pendingRefundAmount, failureReason = 'Refund failed') {
+    order.payment.pendingRefundAmount = roundCurrency(Math.max(0, (order.payment.pendingRefundAmount || 0) - amount));
+    await order.save();
+
+    logger.warn('Order refund failed', {
+      orderId: order._id,
+      refundId: order.payment.refundId,
+      amount,
+      failureReason
+    });
+
+    return order;
+  }
+
+  /**
+   * Record a completed (full or partial) refund
+   */
+  static async markRefunded(order, amount = this.getRefundableAmount(order)) {
+    const refundedAmount = roundCurrency((order.payment.refundedAmount || 0) + amount);
+    const newStatus = refundedAmount >= order.payment.amount ? 'refunded' : 'partially_refunded';
+
+    if (!this.isValidPaymentTransition(order.paymentStatus, newStatus)) {
+      return order;
+    }
+
+    order.paymentStatus = newStatus;
+    order.payment.refundedAmount = refundedAmount;
+    order.payment.refundedAt = new Date();
+    await order.save();
+
+    logger.info('Order refunded', {
+      orderId: order._id,
+      refundId: order.payment.refundId,
+      amount,
+      paymentStatus: newStatus
+    });
+
+    // Cancelled orders were taken out of product popularity when cancelled
+    if (newStatus === 'refunded' && order.status !== 'cancelled') {
+      await OrderService.reversePopularity(order);
+    }
+
+    return order;
+  }
+
+  /**
+   * Refund an order (admin). Orders that have not shipped are also cancelled and restocked.
+   */
+  static async refundOrder(orderId, reason) {
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      throw new GraphQLError('Order not found', {
+        extensions: { code: 'ORDER_NOT_FOUND' }
+      });
+    }
+
+    const refundedOrder = await this.refundPayment(order, reason);
+
+    // The payment may still show as paid while the provider refund is pending,
+    // so cancelling must not refund it again
+    if (CANCELLABLE_ON_REFUND.includes(refundedOrder.status)) {
+      return OrderService.cancelOrder(orderId, null, 'admin', { refund: false });
+    }
+
+    return refundedOrder;
+  }
+
+  /**
+   * Normalized event of a webhook body, or INVALID_WEBHOOK_PAYLOAD when the
+   * body is not an event the provider understands
+   */
+  static parseWebhookEvent(provider, rawBody) {
+    let event = null;
+    try {
+      event = provider.parseWebhookEvent(rawBody);
+    } catch (error) {
+      // Reported below
+    }
+
+    if (!event?.type || !event.transactionId) {
+      throw new GraphQLError('Invalid webhook payload', {
+        extensions: { code: 'INVALID_WEBHOOK_PAYLOAD' }
+      });
+    }
+
+    return event;
+  }
+
+  /**
+   * Verify and apply a provider webhook callback
+   */
+  static async handleWebhook(providerName, rawBody, signature) {
+    const provider = this.getProvider(providerName);
+
+    // Bodies that are missing or empty cannot be signed, let alone parsed
+    if (!Buffer.isBuffer(rawBody) || rawBody.length === 0) {
+      throw new GraphQLError('Invalid webhook payload', {
+        extensions: { code: 'INVALID_WEBHOOK_PAYLOAD' }
+      });
+    }
+
+    if (!provider.verifyWebhookSignature(rawBody, signature)) {
+      throw new GraphQLError('Invalid webhook signature', {
+        extensions: { code: 'INVALID_SIGNATURE' }
+      });
+    }
+
+    const event = this.parseWebhookEvent(provider, rawBody);
+    const order = await Order.findOne({
+      'payment.provider': provider.name,
+      'payment.transactionId': event.transactionId
+    });
+
+    if (!order) {
+      logger.warn('Webhook for unknown transaction', {
+        provider: provider.name,
+        type: event.type,
+        transactionId: event.transactionId
+      });
+      return null;
+    }
+
+    switch (event.type) {
+      case 'payment.succeeded':
+        return this.markPaid(order);
+      case 'payment.failed':
+        return this.markFailed(order, event.failureReason);
+      case 'refund.succeeded':
+        return this.settleRefund(order, event.amount);
+      case 'refund.failed':
+        return this.releaseRefund(order, event.amount, event.failureReason);
+      default:
+        logger.info('Ignoring unhandled webhook event', {
+          provider: provider.name,
+          type: event.type
+        });
+        return order;
+    }
+  }
+}
+
+// Local provider is available in development and tests; real providers register at startup
+if (process.env.NODE_ENV !== 'production') {
+  PaymentService.registerProvider(new LocalPaymentProvider());
+}
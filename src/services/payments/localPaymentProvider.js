@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import { PaymentProvider } from './paymentProvider.js';
+
+// Payment method tokens understood by the local provider
+export const LOCAL_TEST_TOKENS = {
+  SUCCESS: 'tok_success',
+  DECLINED: 'tok_declined',
+  PENDING: 'tok_pending',
+};
+
+// Webhook secret used when PAYMENT_WEBHOOK_SECRET is not set (development and tests only)
+export const DEFAULT_WEBHOOK_SECRET = 'local-dev-webhook-secret';
+
+/**
+ * In-process fake provider for development and tests.
+ * Charges succeed unless the payment method is a declined/pending test token.
+ * Refuses to be created in production.
+ */
+export class LocalPaymentProvider extends PaymentProvider {
+  constructor({ webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET || DEFAULT_WEBHOOK_SECRET } = {}) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('The local payment provider cannot be used in production');
+    }
+
+    super('local');
+    this.webhookSecret = webhookSecret;
+    this.transactions = new Map();
+  }
+
+  generateId(prefix) {
+    return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+  }
+
+  async charge({ orderId, amount, paymentMethod }) {
+    const transactionId = this.generateId('local_txn');
+
+    if (paymentMethod === LOCAL_TEST_TOKENS.DECLINED) {
+      return { transactionId, status: 'failed', failureReason: 'Card declined' };
+    }
+
+    const status = paymentMethod === LOCAL_TEST_TOKENS.PENDING ? 'pending' : 'succeeded';
+    this.transactions.set(transactionId, { orderId, amount, refunded: 0 });
+
+    return { transactionId, status };
+  }
+
+  async refund({ transactionId, amount }) {
+    const transaction = this.transactions.get(transactionId);
+
+    if (!transaction) {
+      return { refundId: null, status: 'failed', failureReason: 'Unknown transaction' };
+    }
+
+    if (transaction.refunded + amount > transaction.amount + 1e-9) {
+      return { refundId: null, status: 'failed', failureReason: 'Refund exceeds charged amount' };
+    }
+
+    transaction.refunded += amount;
+    return { refundId: this.generateId('local_rfnd'), status: 'succeeded' };
+  }
+
+  /**
+   * Sign a webhook body (used by tests and local tooling to simulate callbacks)
+   */
+  signPayload(rawBody) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+  }
+
+  verifyWebhookSignature(rawBody, signature) {
+    if (!signature || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signPayload(rawBody));
+    const received = Buffer.from(signature);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  parseWebhookEvent(rawBody) {
+    const body = JSON.parse(rawBody.toString());
+
+    return {
+      type: body.type,
+      transactionId: body.data?.transactionId,
+      orderId: body.data?.orderId,
+      amount: body.data?.amount,
+      failureReason: body.data?.failureReason,
+    };
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Base class for payment providers.
+ *
+ * Providers report outcomes as 'succeeded', 'failed' or 'pending'. A pending
+ * outcome is settled later through a webhook event.
+ */
+export class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Charge a payment method.
+   * @param {{ orderId: string, amount: number, currency: string, paymentMethod: string }} request
+   * @returns {Promise<{ transactionId: string, status: string, failureReason?: string }>}
+   */
+  async charge(request) {
+    throw new Error(`${this.name}: charge() is not implemented`);
+  }
+
+  /**
+   * Refund a previous charge, fully or partially.
+   * @param {{ transactionId: string, amount: number, reason?: string }} request
+   * @returns {Promise<{ refundId: string, status: string, failureReason?: string }>}
+   */
+  async refund(request) {
+    throw new Error(`${this.name}: refund() is not implemented`);
+  }
+
+  /**
+   * Check that a webhook body was sent by the provider
+   */
+  verifyWebhookSignature(rawBody, signature) {
+    throw new Error(`${this.name}: verifyWebhookSignature() is not implemented`);
+  }
+
+  /**
+   * Translate a provider webhook body into a normalized event:
+   * { type: 'payment.succeeded' | 'payment.failed' | 'refund.succeeded', transactionId, orderId, amount, failureReason }
+   */
+  parseWebhookEvent(rawBody) {
+    throw new Error(`${this.name}: parseWebhookEvent() is not implemented`);
+  }
+}
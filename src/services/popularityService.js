@@ -0,0 +1,167 @@
+import { ProductActivity } from '../models/ProductActivity.js';
+import { Product } from '../models/Product.js';
+import { logger } from '../utils/logging.js';
+
+// How often product popularity scores are recalculated
+const RANKING_INTERVAL_MS = (parseInt(process.env.POPULARITY_REFRESH_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ranking windows (Product.popularity keys) and the days of activity they cover
+export const POPULARITY_WINDOWS = {
+  day: 1,
+  week: 7,
+  month: 30
+};
+
+// A unit ordered counts as much as this many views
+const ORDER_WEIGHT = 10;
+
+const NO_POPULARITY = Object.fromEntries(Object.keys(POPULARITY_WINDOWS).map(window => [window, 0]));
+
+// Start of the UTC day a date falls on
+const startOfDay = (date) => new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+export class PopularityService {
+  static ranker = null;
+
+  /**
+   * Count a view of a product's detail page
+   */
+  static async recordView(productId, date = new Date()) {
+    await ProductActivity.updateOne(
+      { product: productId, day: startOfDay(date) },
+      { $inc: { views: 1 } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Count the products and units of a new order
+   */
+  static async recordOrder(order, date = new Date()) {
+    await this.countOrder(order, 1, date);
+  }
+
+  /**
+   * Take back what recordOrder counted for an order that was cancelled or
+   * fully refunded, on the day it was placed
+   */
+  static async reverseOrder(order) {
+    await this.countOrder(order, -1, order.createdAt || new Date());
+  }
+
+  /**
+   * Add (sign 1) or subtract (sign -1) an order's products and units to the
+   * activity of the day `date` falls on
+   */
+  static async countOrder(order, sign, date) {
+    const units = new Map();
+    for (const item of order.items) {
+      const productId = (item.product._id || item.product).toString();
+      units.set(productId, (units.get(productId) || 0) + item.quantity);
+    }
+
+    if (units.size === 0) {
+      return;
+    }
+
+    const day = startOfDay(date);
+    await ProductActivity.bulkWrite([...units].map(([productId, quantity]) => ({
+      updateOne: {
+        filter: { product: productId, day },
+        update: { $inc: { orders: sign, unitsOrdered: sign * quantity } },
+        upsert: sign > 0
+      }
+    })));
+  }
+
+  /**
+   * Popularity scores of the products with activity in a window ending
+   * today, as a map of product ID to score
+   */
+  static async computeScores(window, now = new Date()) {
+    const since = new Date(startOfDay(now).getTime() - (POPULARITY_WINDOWS[window] - 1) * DAY_MS);
+
+    const activity = await ProductActivity.aggregate([
+      { $match: { day: { $gte: since } } },
+      { $group: { _id: '$product', views: { $sum: '$views' }, unitsOrdered: { $sum: '$unitsOrdered' } } }
+    ]);
+
+    return new Map(activity.map(({ _id, views, unitsOrdered }) => [
+      _id.toString(),
+      unitsOrdered * ORDER_WEIGHT + views
+    ]));
+  }
+
+  /**
+   * Recalculate every product's popularity scores. Products without recent
+   * activity are reset to zero.
+   */
+  static async refreshRankings(now = new Date()) {
+    const popularity = new Map();
+
+    for (const window of Object.keys(POPULARITY_WINDOWS)) {
+      const scores = await this.computeScores(window, now);
+      for (const [productId, score] of scores) {
+        const productPopularity = popularity.get(productId) || { ...NO_POPULARITY };
+        productPopularity[window] = score;
+        popularity.set(productId, productPopularity);
+      }
+    }
+
+    if (popularity.size > 0) {
+      await Product.bulkWrite([...popularity].map(([productId, scores]) => ({
+        updateOne: {
+          filter: { _id: productId },
+          update: { $set: { popularity: scores } }
+        }
+      })));
+    }
+
+    await Product.updateMany(
+      {
+        _id: { $nin: [...popularity.keys()] },
+        $or: Object.keys(POPULARITY_WINDOWS).map(window => ({ [`popularity.${window}`]: { $gt: 0 } }))
+      },
+      { $set: { popularity: NO_POPULARITY } }
+    );
+
+    logger.info('Product popularity refreshed', {
+      rankedProducts: popularity.size
+    });
+
+    return popularity.size;
+  }
+
+  /**
+   * Start maintaining popularity scores in the background, beginning now
+   */
+  static startRanking(intervalMs = RANKING_INTERVAL_MS) {
+    if (this.ranker) {
+      return;
+    }
+
+    const refresh = () => {
+      this.refreshRankings().catch(error => {
+        logger.error('Product popularity refresh failed', {
+          error: error.message
+        });
+      });
+    };
+
+    this.ranker = setInterval(refresh, intervalMs);
+
+    // Never keep the process alive just for rankings
+    this.ranker.unref();
+    refresh();
+  }
+
+  /**
+   * Stop maintaining popularity scores
+   */
+  static stopRanking() {
+    clearInterval(this.ranker);
+    this.ranker = null;
+  }
+}
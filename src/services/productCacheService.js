@@ -25,6 +25,7 @@ export class ProductCacheService {
       POPULAR_PRODUCTS: 'products:popular',
       CATEGORIES: 'products:categories',
       SEARCH: 'products:search',
+      FACETS: 'products:facets',
       COUNT: 'products:count',
       ANALYTICS: 'products:analytics',
     };
@@ -48,15 +49,24 @@ export class ProductCacheService {
   }
 
   /**
-   * Generate cache key for search results
+   * Generate cache key for search results, per page and sort order
    */
-  generateSearchKey(searchTerm, filters = {}) {
+  generateSearchKey(searchTerm, filters = {}, pagination = {}) {
     const searchString = searchTerm.toLowerCase().trim();
     const filterString = JSON.stringify(this.normalizeFilter(filters));
-    const hash = crypto.createHash('md5').update(searchString + filterString).digest('hex');
+    const paginationString = JSON.stringify(pagination);
+    const hash = crypto.createHash('md5').update(searchString + filterString + paginationString).digest('hex');
     return `${this.KEYS.SEARCH}:${hash}`;
   }
 
+  /**
+   * Generate cache key for search and listing facets. Facets are derived from
+   * the same search term and filters as the results, so share their hash.
+   */
+  generateFacetKey(searchTerm = '', filters = {}) {
+    return this.generateSearchKey(searchTerm, filters).replace(this.KEYS.SEARCH, this.KEYS.FACETS);
+  }
+
   /**
    * Generate cache key for category filtering
    */
@@ -64,6 +74,13 @@ export class ProductCacheService {
     return `${this.KEYS.CATEGORIES}:${category.toLowerCase()}`;
   }
 
+  /**
+   * Generate cache key for a popular products ranking
+   */
+  generatePopularKey(limit, { category, window = 'week' } = {}) {
+    return `${this.KEYS.POPULAR_PRODUCTS}:${window}:${category ? category.toLowerCase() : 'all'}:${limit}`;
+  }
+
   /**
    * Normalize filter object for consistent caching
    */
@@ -181,8 +198,8 @@ export class ProductCacheService {
   /**
    * Get cached search results
    */
-  async getSearchResults(searchTerm, filters = {}) {
-    const key = this.generateSearchKey(searchTerm, filters);
+  async getSearchResults(searchTerm, filters = {}, pagination = {}) {
+    const key = this.generateSearchKey(searchTerm, filters, pagination);
     
     try {
       const cached = await cache.get(key);
@@ -203,8 +220,8 @@ export class ProductCacheService {
   /**
    * Cache search results
    */
-  async setSearchResults(searchTerm, filters = {}, data) {
-    const key = this.generateSearchKey(searchTerm, filters);
+  async setSearchResults(searchTerm, filters = {}, pagination = {}, data) {
+    const key = this.generateSearchKey(searchTerm, filters, pagination);
     
     try {
       await cache.set(key, data, this.TTL.SEARCH_RESULTS);
@@ -215,11 +232,48 @@ export class ProductCacheService {
     }
   }
 
+  /**
+   * Get cached facets of a search or listing
+   */
+  async getFacets(searchTerm = '', filters = {}) {
+    const key = this.generateFacetKey(searchTerm, filters);
+    
+    try {
+      const cached = await cache.get(key);
+      
+      if (cached) {
+        performanceLogger.cacheHit(key, 'getFacets');
+        return cached;
+      }
+      
+      performanceLogger.cacheMiss(key, 'getFacets');
+      return null;
+    } catch (error) {
+      console.error('Cache get error for facets:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cache facets of a search or listing
+   */
+  async setFacets(searchTerm = '', filters = {}, data) {
+    const key = this.generateFacetKey(searchTerm, filters);
+    
+    try {
+      await cache.set(key, data, this.TTL.SEARCH_RESULTS);
+      return true;
+    } catch (error) {
+      console.error('Cache set error for facets:', error);
+      return false;
+    }
+  }
+
   /**
    * Get cached popular products
    */
-  async getPopularProducts(limit = 10) {
-    const key = `${this.KEYS.POPULAR_PRODUCTS}:${limit}`;
+  async getPopularProducts(limit = 10, options = {}) {
+    const key = this.generatePopularKey(limit, options);
     
     try {
       const cached = await cache.get(key);
@@ -240,8 +294,8 @@ export class ProductCacheService {
   /**
    * Cache popular products
    */
-  async setPopularProducts(limit = 10, data) {
-    const key = `${this.KEYS.POPULAR_PRODUCTS}:${limit}`;
+  async setPopularProducts(limit = 10, data, options = {}) {
+    const key = this.generatePopularKey(limit, options);
     
     try {
       await cache.set(key, data, this.TTL.POPULAR_PRODUCTS);
@@ -341,6 +395,7 @@ export class ProductCacheService {
       const patterns = [
         `${this.KEYS.PRODUCT_LIST}:*`,
         `${this.KEYS.SEARCH}:*`,
+        `${this.KEYS.FACETS}:*`,
         `${this.KEYS.COUNT}:*`,
         `${this.KEYS.POPULAR_PRODUCTS}:*`,
       ];
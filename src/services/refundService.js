@@ -0,0 +1,363 @@
+import { GraphQLError } from 'graphql';
+import { Order } from '../models/Order.js';
+import { Refund } from '../models/Refund.js';
+import { OrderService } from './orderService.js';
+import { PaymentService } from './paymentService.js';
+import { logger } from '../utils/logging.js';
+import { roundCurrency, multiplyAmount, sumAmounts } from '../utils/currency.js';
+import { getLineKey } from '../utils/variants.js';
+
+// Total value of priced refund items
+const sumItemAmounts = (items) => sumAmounts(items.map(item => item.amount));
+
+export class RefundService {
+  // Valid RMA status transitions
+  static RMA_TRANSITIONS = {
+    requested: ['approved', 'rejected'],
+    approved: ['received', 'refunded', 'rejected'],
+    received: ['refunded', 'rejected'],
+    rejected: [],
+    refunded: []
+  };
+
+  /**
+   * Validate if RMA status transition is allowed
+   */
+  static isValidRmaTransition(currentStatus, newStatus) {
+    const allowedTransitions = this.RMA_TRANSITIONS[currentStatus];
+    return allowedTransitions ? allowedTransitions.includes(newStatus) : false;
+  }
+
+  /**
+   * Quantities per order line already covered by refunds or open returns
+   */
+  static async getReturnedQuantities(orderId) {
+    const refunds = await Refund.find({ order: orderId, status: { $ne: 'rejected' } });
+    const quantities = new Map();
+
+    for (const refund of refunds) {
+      for (const item of refund.items) {
+        const key = getLineKey(item.product, item.variant);
+        quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+      }
+    }
+
+    return quantities;
+  }
+
+  /**
+   * Match requested items to order lines and price them at the price paid,
+   * less their share of any order discount, plus the tax charged on them
+   */
+  static async buildRefundItems(order, items = []) {
+    const returnedQuantities = await this.getReturnedQuantities(order._id);
+    const requested = new Map();
+
+    for (const { productId, variantId, quantity } of items) {
+      const key = getLineKey(productId, variantId);
+      requested.set(key, (requested.get(key) || 0) + quantity);
+    }
+
+    return [...requested.entries()].map(([key, quantity]) => {
+      const orderItem = order.items.find(item => getLineKey(item.product, item.variant) === key);
+
+      if (!orderItem) {
+        throw new GraphQLError('Item is not part of this order', {
+          extensions: { code: 'INVALID_INPUT', field: 'items' }
+        });
+      }
+
+      const remaining = orderItem.quantity - (returnedQuantities.get(key) || 0);
+      if (quantity > remaining) {
+        throw new GraphQLError(
+          `Only ${remaining} unit(s) of this item can still be returned`,
+          { extensions: { code: 'REFUND_QUANTITY_EXCEEDED', field: 'items' } }
+        );
+      }
+
+      return {
+        product: orderItem.product,
+        variant: orderItem.variant,
+        sku: orderItem.sku,
+        quantity,
+        amount: sumAmounts([
+          multiplyAmount(orderItem.price, quantity),
+          roundCurrency(((orderItem.tax || 0) - (orderItem.discount || 0)) * quantity / orderItem.quantity)
+        ])
+      };
+    });
+  }
+
+  /**
+   * Load an order or throw ORDER_NOT_FOUND
+   */
+  static async requireOrder(orderId) {
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      throw new GraphQLError('Order not found', {
+        extensions: { code: 'ORDER_NOT_FOUND' }
+      });
+    }
+
+    return order;
+  }
+
+  /**
+   * Pay out a refund and optionally put its items back into inventory
+   */
+  static async issueRefund(refund, order, restock) {
+    if (refund.amount > 0) {
+      const refundedOrder = await PaymentService.refundPayment(order, refund.reason, refund.amount);
+      refund.providerRefundId = refundedOrder.payment.refundId;
+    }
+
+    // Refunded units come off the line's backorder first; those never left stock
+    const fromStock = new Map();
+    for (const item of refund.items) {
+      const orderItem = order.items.find(line => (
+        getLineKey(line.product, line.variant) === getLineKey(item.product, item.variant)
+      ));
+      const unbackordered = Math.min(item.quantity, orderItem?.backorderedQuantity || 0);
+
+      if (unbackordered > 0) {
+        await Order.updateOne(
+          { _id: order._id },
+          { $inc: { 'items.$[line].backorderedQuantity': -unbackordered } },
+          { arrayFilters: [{ 'line._id': orderItem._id }] }
+        );
+        orderItem.backorderedQuantity -= unbackordered;
+      }
+      fromStock.set(item, item.quantity - unbackordered);
+    }
+
+    refund.restock = restock;
+    if (restock && !refund.restockedAt) {
+      for (const item of refund.items) {
+        if (fromStock.get(item) === 0) {
+          continue;
+        }
+
+        const orderItem = order.items.find(line => (
+          getLineKey(line.product, line.variant) === getLineKey(item.product, item.variant)
+        ));
+        await OrderService.restoreStock(item.product, fromStock.get(item), item.variant, {
+          allocations: orderItem?.allocations,
+          skip: orderItem?.restockedQuantity,
+          movement: {
+            type: 'restock',
+            actor: refund.processedBy,
+            order: order._id,
+            refund: refund._id,
+            reason: refund.reason
+          }
+        });
+
+        // Cancelling the order later must not restore these units again
+        if (orderItem) {
+          await Order.updateOne(
+            { _id: order._id },
+            { $inc: { 'items.$[line].restockedQuantity': fromStock.get(item) } },
+            { arrayFilters: [{ 'line._id': orderItem._id }] }
+          );
+          orderItem.restockedQuantity += fromStock.get(item);
+        }
+      }
+      refund.restockedAt = new Date();
+    }
+
+    refund.status = 'refunded';
+    refund.refundedAt = new Date();
+    await refund.save();
+
+    return refund;
+  }
+
+  /**
+   * Refund some or all of an order (admin only). The amount defaults to the
+   * value of the refunded items; items may be omitted for amount-only refunds.
+   */
+  static async createRefund(orderId, { items = [], amount, restock = false, reason } = {}, adminId) {
+    try {
+      const order = await this.requireOrder(orderId);
+
+      if (order.status === 'cancelled') {
+        throw new GraphQLError('Cancelled orders are refunded on cancellation', {
+          extensions: { code: 'INVALID_REFUND_STATE' }
+        });
+      }
+
+      const refundItems = await this.buildRefundItems(order, items);
+      const refundAmount = amount ?? sumItemAmounts(refundItems);
+
+      if (refundItems.length === 0 && !(refundAmount > 0)) {
+        throw new GraphQLError('A refund needs items or an amount', {
+          extensions: { code: 'INVALID_INPUT', field: 'items' }
+        });
+      }
+
+      if (refundAmount < 0) {
+        throw new GraphQLError('Refund amount cannot be negative', {
+          extensions: { code: 'INVALID_REFUND_AMOUNT', field: 'amount' }
+        });
+      }
+
+      const refund = new Refund({
+        order: order._id,
+        user: order.user,
+        type: 'refund',
+        items: refundItems,
+        amount: roundCurrency(refundAmount),
+        reason,
+        processedBy: adminId
+      });
+
+      await this.issueRefund(refund, order, restock);
+
+      logger.info('Refund created', {
+        refundId: refund._id,
+        orderId,
+        amount: refund.amount,
+        items: refundItems.length,
+        restock,
+        adminId
+      });
+
+      return refund;
+    } catch (error) {
+      logger.error('Refund creation failed', {
+        error: error.message,
+        orderId,
+        adminId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Request a return for items of a delivered order (customer)
+   */
+  static async requestReturn(orderId, userId, { items = [], reason } = {}) {
+    try {
+      const order = await this.requireOrder(orderId);
+
+      if (order.user.toString() !== userId) {
+        throw new GraphQLError('Not authorized to return items of this order', {
+          extensions: { code: 'UNAUTHORIZED' }
+        });
+      }
+
+      if (order.status !== 'delivered') {
+        throw new GraphQLError('Only delivered orders can be returned', {
+          extensions: { code: 'INVALID_REFUND_STATE' }
+        });
+      }
+
+      if (items.length === 0) {
+        throw new GraphQLError('At least one item is required', {
+          extensions: { code: 'INVALID_INPUT', field: 'items' }
+        });
+      }
+
+      const refundItems = await this.buildRefundItems(order, items);
+
+      const refund = await Refund.create({
+        order: order._id,
+        user: order.user,
+        type: 'return',
+        items: refundItems,
+        amount: sumItemAmounts(refundItems),
+        status: 'requested',
+        reason
+      });
+
+      logger.info('Return requested', {
+        refundId: refund._id,
+        orderId,
+        userId,
+        items: refundItems.length
+      });
+
+      return refund;
+    } catch (error) {
+      logger.error('Return request failed', {
+        error: error.message,
+        orderId,
+        userId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Move a return through the RMA workflow (admin only). Moving it to
+   * "refunded" pays out the return amount and optionally restocks the items.
+   */
+  static async updateReturnStatus(refundId, newStatus, { restock = false, notes } = {}, adminId) {
+    try {
+      const refund = await Refund.findById(refundId);
+
+      if (!refund) {
+        throw new GraphQLError('Return not found', {
+          extensions: { code: 'REFUND_NOT_FOUND' }
+        });
+      }
+
+      if (!this.isValidRmaTransition(refund.status, newStatus)) {
+        throw new GraphQLError(
+          `Invalid return status transition from "${refund.status}" to "${newStatus}"`,
+          { extensions: { code: 'INVALID_STATUS_TRANSITION' } }
+        );
+      }
+
+      const oldStatus = refund.status;
+      refund.processedBy = adminId;
+      if (notes !== undefined) {
+        refund.adminNotes = notes;
+      }
+
+      if (newStatus === 'refunded') {
+        const order = await this.requireOrder(refund.order);
+        await this.issueRefund(refund, order, restock);
+      } else {
+        refund.status = newStatus;
+        await refund.save();
+      }
+
+      logger.info('Return status updated', {
+        refundId,
+        oldStatus,
+        newStatus,
+        adminId
+      });
+
+      return refund;
+    } catch (error) {
+      logger.error('Return status update failed', {
+        error: error.message,
+        refundId,
+        newStatus
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List refunds and returns, newest first
+   */
+  static async getRefunds(filters = {}) {
+    const query = {};
+
+    if (filters.orderId) {
+      query.order = filters.orderId;
+    }
+    if (filters.userId) {
+      query.user = filters.userId;
+    }
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    return Refund.find(query).sort({ createdAt: -1 });
+  }
+}
@@ -0,0 +1,285 @@
+import mongoose from 'mongoose';
+import { GraphQLError } from 'graphql';
+import { InventoryReservation, RESERVATION_TTL_MINUTES } from '../models/InventoryReservation.js';
+import { Product } from '../models/Product.js';
+import { WishlistService } from './wishlistService.js';
+import { logger } from '../utils/logging.js';
+import { getLineKey, getAvailableStock } from '../utils/variants.js';
+
+// How often the sweeper looks for expired reservations
+const SWEEP_INTERVAL_MS = (parseInt(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+// Stock not held by reservations, for a path prefix ('$' or '$$variant.')
+const unreservedStock = (prefix) => ({
+  $subtract: [`${prefix}stock`, { $ifNull: [`${prefix}reservedStock`, 0] }]
+});
+
+export class ReservationService {
+  static sweeper = null;
+
+  /**
+   * Product filter matching only when `quantity` units are free to take.
+   * `reservedQuantity` units already held by the caller count as free.
+   */
+  static availabilityFilter(productId, quantity, variantId = null, reservedQuantity = 0) {
+    const needed = quantity - reservedQuantity;
+
+    if (variantId) {
+      const id = new mongoose.Types.ObjectId(variantId.toString());
+
+      // $expr does not see the $elemMatch, so check the variant by mapping over all of them
+      return {
+        _id: productId,
+        variants: { $elemMatch: { _id: id } },
+        $expr: {
+          $anyElementTrue: [{
+            $map: {
+              input: '$variants',
+              as: 'variant',
+              in: {
+                $and: [
+                  { $eq: ['$$variant._id', id] },
+                  { $gte: [unreservedStock('$$variant.'), needed] }
+                ]
+              }
+            }
+          }]
+        }
+      };
+    }
+
+    return {
+      _id: productId,
+      $expr: { $gte: [unreservedStock('$'), needed] }
+    };
+  }
+
+  /**
+   * Atomically hold stock for a product or one of its variants.
+   * Returns null when not enough unreserved stock is left.
+   */
+  static async holdStock(productId, quantity, variantId = null) {
+    const update = variantId
+      ? { $inc: { 'variants.$.reservedStock': quantity, reservedStock: quantity } }
+      : { $inc: { reservedStock: quantity } };
+
+    return Product.findOneAndUpdate(this.availabilityFilter(productId, quantity, variantId), update, { new: true });
+  }
+
+  /**
+   * Give held stock back to a product or one of its variants and send
+   * back-in-stock alerts
+   */
+  static async releaseStock(productId, quantity, variantId = null) {
+    const result = variantId
+      ? await Product.findOneAndUpdate(
+        { _id: productId, variants: { $elemMatch: { _id: variantId, reservedStock: { $gte: quantity } } } },
+        { $inc: { 'variants.$.reservedStock': -quantity, reservedStock: -quantity } },
+        { new: true }
+      )
+      : await Product.findOneAndUpdate(
+        { _id: productId, reservedStock: { $gte: quantity } },
+        { $inc: { reservedStock: -quantity } },
+        { new: true }
+      );
+
+    if (!result) {
+      logger.warn('Reserved stock not found, nothing released', {
+        productId,
+        variantId,
+        quantity
+      });
+      return result;
+    }
+
+    await WishlistService.notifyStockReturned(result, variantId, quantity);
+    return result;
+  }
+
+  /**
+   * Active reservations of a cart
+   */
+  static async getActiveReservations(cartId) {
+    return InventoryReservation.find({ cart: cartId, status: 'active' }).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Units of a product (and variant) held by the given reservations
+   */
+  static reservedQuantity(reservations, productId, variantId = null) {
+    const key = getLineKey(productId, variantId);
+
+    return reservations
+      .filter(reservation => getLineKey(reservation.product, reservation.variant) === key)
+      .reduce((total, reservation) => total + reservation.quantity, 0);
+  }
+
+  /**
+   * Reserve every line of a cart until the TTL runs out. Either all lines
+   * are reserved or none are.
+   */
+  static async reserveCart(cart) {
+    const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+    const reservations = [];
+
+    try {
+      for (const item of cart.items) {
+        const productId = item.product._id || item.product;
+        let quantity = item.quantity;
+        let product = await this.holdStock(productId, quantity, item.variant);
+
+        // Products that accept backorders hold what is in stock; the rest is backordered
+        if (!product) {
+          const current = await Product.findById(productId);
+
+          if (current?.acceptsBackorders) {
+            quantity = Math.min(getAvailableStock(current, item.variant), item.quantity);
+            product = quantity > 0 ? await this.holdStock(productId, quantity, item.variant) : current;
+          }
+        }
+
+        if (!product) {
+          throw new GraphQLError('Insufficient stock available to reserve', {
+            extensions: { code: 'INSUFFICIENT_STOCK' }
+          });
+        }
+
+        if (quantity === 0) {
+          continue;
+        }
+
+        reservations.push(await InventoryReservation.create({
+          cart: cart._id,
+          product: productId,
+          variant: item.variant,
+          quantity,
+          expiresAt
+        }));
+      }
+    } catch (error) {
+      for (const reservation of reservations) {
+        await this.releaseReservation(reservation);
+      }
+      throw error;
+    }
+
+    logger.info('Cart reserved', {
+      cartId: cart._id,
+      reservationCount: reservations.length,
+      expiresAt
+    });
+
+    return reservations;
+  }
+
+  /**
+   * End an active reservation and give its stock back. The status change is
+   * claimed first so the sweeper and an explicit release cannot both release.
+   */
+  static async releaseReservation(reservation, status = 'released') {
+    const claimed = await InventoryReservation.findOneAndUpdate(
+      { _id: reservation._id, status: 'active' },
+      { status },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return false;
+    }
+
+    await this.releaseStock(claimed.product, claimed.quantity, claimed.variant);
+    return true;
+  }
+
+  /**
+   * Release every active reservation of a cart
+   */
+  static async releaseCart(cartId) {
+    let released = 0;
+
+    for (const reservation of await this.getActiveReservations(cartId)) {
+      if (await this.releaseReservation(reservation)) {
+        released++;
+      }
+    }
+
+    if (released > 0) {
+      logger.info('Cart reservations released', {
+        cartId,
+        released
+      });
+    }
+
+    return released;
+  }
+
+  /**
+   * Mark a cart's active reservations as converted into an order. The caller
+   * deducts the held stock (see OrderService.deductStock).
+   */
+  static async claimReservations(cartId, orderId) {
+    const claimed = [];
+
+    for (const reservation of await this.getActiveReservations(cartId)) {
+      const converted = await InventoryReservation.findOneAndUpdate(
+        { _id: reservation._id, status: 'active' },
+        { status: 'converted', order: orderId },
+        { new: true }
+      );
+
+      if (converted) {
+        claimed.push(converted);
+      }
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Release reservations past their expiry
+   */
+  static async releaseExpired(now = new Date()) {
+    const expired = await InventoryReservation.find({ status: 'active', expiresAt: { $lte: now } });
+    let released = 0;
+
+    for (const reservation of expired) {
+      if (await this.releaseReservation(reservation, 'expired')) {
+        released++;
+      }
+    }
+
+    if (released > 0) {
+      logger.info('Expired reservations released', { released });
+    }
+
+    return released;
+  }
+
+  /**
+   * Start releasing expired reservations in the background
+   */
+  static startSweeper(intervalMs = SWEEP_INTERVAL_MS) {
+    if (this.sweeper) {
+      return;
+    }
+
+    this.sweeper = setInterval(() => {
+      this.releaseExpired().catch(error => {
+        logger.error('Reservation sweep failed', {
+          error: error.message
+        });
+      });
+    }, intervalMs);
+
+    // Never keep the process alive just for the sweeper
+    this.sweeper.unref();
+  }
+
+  /**
+   * Stop the background sweeper
+   */
+  static stopSweeper() {
+    clearInterval(this.sweeper);
+    this.sweeper = null;
+  }
+}
@@ -0,0 +1,217 @@
+import mongoose from 'mongoose';
+import { GraphQLError } from 'graphql';
+import { Review } from '../models/Review.js';
+import { Product } from '../models/Product.js';
+import { Order } from '../models/Order.js';
+import { productCacheService } from './productCacheService.js';
+import { paginateQuery } from '../utils/pagination.js';
+import { logger } from '../utils/logging.js';
+
+// Fields customers may set on their reviews
+const EDITABLE_FIELDS = ['rating', 'title', 'body'];
+
+const reviewNotFound = () => new GraphQLError('Review not found', {
+  extensions: { code: 'REVIEW_NOT_FOUND' }
+});
+
+export class ReviewService {
+  /**
+   * Keep only the fields customers may set
+   */
+  static pickReviewFields(input = {}) {
+    return Object.fromEntries(
+      Object.entries(input).filter(([field, value]) => EDITABLE_FIELDS.includes(field) && value !== undefined)
+    );
+  }
+
+  /**
+   * Whether a user has received a product in a delivered order
+   */
+  static async isVerifiedPurchase(userId, productId) {
+    const order = await Order.exists({
+      user: userId,
+      status: 'delivered',
+      'items.product': productId
+    });
+    return Boolean(order);
+  }
+
+  /**
+   * Flag the customer's reviews of an order's products as verified purchases
+   * once the order is delivered
+   */
+  static async markVerifiedPurchases(order) {
+    await Review.updateMany(
+      {
+        user: order.user._id || order.user,
+        product: { $in: order.items.map(item => item.product._id || item.product) },
+        verifiedPurchase: false
+      },
+      { verifiedPurchase: true }
+    );
+  }
+
+  /**
+   * Recalculate a product's averageRating and reviewCount from its published
+   * reviews and drop the product from the cache so the new values are served
+   */
+  static async refreshProductRating(productId) {
+    const [summary] = await Review.aggregate([
+      { $match: { product: new mongoose.Types.ObjectId(productId.toString()), status: 'published' } },
+      { $group: { _id: null, averageRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } }
+    ]);
+
+    const averageRating = summary ? Math.round(summary.averageRating * 100) / 100 : 0;
+    const reviewCount = summary?.reviewCount || 0;
+
+    const product = await Product.findByIdAndUpdate(
+      productId,
+      { averageRating, reviewCount },
+      { new: true }
+    );
+    await productCacheService.invalidateProduct(productId, product);
+
+    return { averageRating, reviewCount };
+  }
+
+  /**
+   * Published reviews of a product, newest first, as a connection
+   */
+  static async getProductReviews(productId, args = {}) {
+    const filter = { product: productId, status: 'published' };
+
+    const [page, totalCount] = await Promise.all([
+      paginateQuery(args, {
+        ordering: 'NEWEST',
+        direction: -1,
+        find: (pageFilter, sort, limit) => Review.find({ ...filter, ...pageFilter }).sort(sort).limit(limit)
+      }),
+      Review.countDocuments(filter)
+    ]);
+
+    return { ...page, totalCount };
+  }
+
+  /**
+   * Review a product. Customers may review each product once; the review is
+   * flagged as a verified purchase when they have received the product.
+   */
+  static async addReview(userId, { productId, ...input }) {
+    const product = await Product.findOne({ _id: productId, isActive: true }).select('_id');
+    if (!product) {
+      throw new GraphQLError('Product not found', {
+        extensions: { code: 'PRODUCT_NOT_FOUND' }
+      });
+    }
+
+    if (await Review.exists({ product: productId, user: userId })) {
+      throw new GraphQLError('You have already reviewed this product', {
+        extensions: { code: 'DUPLICATE_REVIEW' }
+      });
+    }
+
+    let review;
+    try {
+      review = await Review.create({
+        ...this.pickReviewFields(input),
+        product: productId,
+        user: userId,
+        verifiedPurchase: await this.isVerifiedPurchase(userId, productId)
+      });
+    } catch (error) {
+      // Lost a race with another review by the same customer
+      if (error.code === 11000) {
+        throw new GraphQLError('You have already reviewed this product', {
+          extensions: { code: 'DUPLICATE_REVIEW' }
+        });
+      }
+      throw error;
+    }
+
+    await this.refreshProductRating(productId);
+
+    logger.info('Review added', {
+      reviewId: review._id,
+      productId,
+      userId,
+      rating: review.rating
+    });
+
+    return review;
+  }
+
+  /**
+   * Edit a customer's own review. The verified-purchase flag is recalculated.
+   */
+  static async updateReview(reviewId, userId, input) {
+    const review = await Review.findById(reviewId);
+
+    if (!review || review.user.toString() !== userId.toString()) {
+      throw reviewNotFound();
+    }
+
+    review.set(this.pickReviewFields(input));
+    review.verifiedPurchase = await this.isVerifiedPurchase(userId, review.product);
+
+    await review.save();
+    await this.refreshProductRating(review.product);
+
+    logger.info('Review updated', {
+      reviewId,
+      userId
+    });
+
+    return review;
+  }
+
+  /**
+   * Delete a review: customers their own, admins any
+   */
+  static async deleteReview(reviewId, userId, userRole) {
+    const review = await Review.findById(reviewId);
+
+    if (!review || (userRole !== 'admin' && review.user.toString() !== userId.toString())) {
+      throw reviewNotFound();
+    }
+
+    await review.deleteOne();
+    await this.refreshProductRating(review.product);
+
+    logger.info('Review deleted', {
+      reviewId,
+      productId: review.product,
+      userId,
+      userRole
+    });
+
+    return true;
+  }
+
+  /**
+   * Publish or hide a review (admin only). Hidden reviews are not listed and
+   * do not count towards the product's rating.
+   */
+  static async moderateReview(reviewId, status, note, adminId) {
+    const review = await Review.findById(reviewId);
+
+    if (!review) {
+      throw reviewNotFound();
+    }
+
+    review.status = status;
+    review.moderationNote = note;
+    review.moderatedBy = adminId;
+    review.moderatedAt = new Date();
+
+    await review.save();
+    await this.refreshProductRating(review.product);
+
+    logger.info('Review moderated', {
+      reviewId,
+      status,
+      adminId
+    });
+
+    return review;
+  }
+}
@@ -0,0 +1,201 @@
+import { GraphQLError } from 'graphql';
+import { SearchLog } from '../models/SearchLog.js';
+import { tokenize } from '../utils/searchIndex.js';
+import { logger } from '../utils/logging.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Orders of a clicked product count for a search placed up to this many days later
+const CONVERSION_WINDOW_DAYS = 7;
+
+const searchNotFound = () => new GraphQLError('Search not found', {
+  extensions: { code: 'SEARCH_NOT_FOUND' }
+});
+
+const validateDays = (days) => {
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    throw new GraphQLError('Days must be between 1 and 365', {
+      extensions: { code: 'INVALID_INPUT', field: 'days' }
+    });
+  }
+};
+
+// Share of `total`, 0 when there is nothing to share
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 10000 : 0);
+
+// Per-term counters of a $group stage
+const TERM_STATS = {
+  searches: { $sum: 1 },
+  zeroResultSearches: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+  averageResults: { $avg: '$resultCount' },
+  clickedSearches: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$clicks', []] } }, 0] }, 1, 0] } },
+  convertedSearches: { $sum: { $cond: [{ $ifNull: ['$order', false] }, 1, 0] } },
+  lastSearchedAt: { $max: '$createdAt' }
+};
+
+const formatTermStats = ({ _id, averageResults, ...stats }) => ({
+  term: _id,
+  ...stats,
+  averageResults: Math.round(averageResults * 100) / 100,
+  clickThroughRate: rate(stats.clickedSearches, stats.searches),
+  conversionRate: rate(stats.convertedSearches, stats.searches)
+});
+
+export class SearchAnalyticsService {
+  /**
+   * Log a product search. Searches without words are not logged.
+   */
+  static async recordSearch({ searchId, query, filter = {}, resultCount, userId = null, sessionId }) {
+    const term = tokenize(query).join(' ');
+    if (!term) {
+      return null;
+    }
+
+    const filters = Object.fromEntries(Object.entries(filter).filter(([, value]) => value !== undefined && value !== null));
+
+    return SearchLog.create({
+      _id: searchId,
+      term,
+      filters: Object.keys(filters).length > 0 ? filters : undefined,
+      resultCount,
+      user: userId,
+      sessionId
+    });
+  }
+
+  /**
+   * Record that a search result was opened. Only the customer or anonymous
+   * session that searched can record clicks on its results.
+   */
+  static async recordClick(searchId, productId, { position, userId, sessionId } = {}) {
+    const search = await SearchLog.findById(searchId);
+
+    const ownSearch = search && (search.user
+      ? search.user.toString() === userId?.toString()
+      : !search.sessionId || search.sessionId === sessionId);
+    if (!ownSearch) {
+      throw searchNotFound();
+    }
+
+    // Each product counts once per search
+    await SearchLog.updateOne(
+      { _id: search._id, 'clicks.product': { $ne: productId } },
+      { $push: { clicks: { product: productId, position } } }
+    );
+
+    return true;
+  }
+
+  /**
+   * Attribute an order to the customer's recent searches in which one of
+   * its products was clicked
+   */
+  static async recordOrder(order) {
+    if (!order.user) {
+      return 0;
+    }
+
+    const orderedAt = order.createdAt || new Date();
+    const productIds = order.items.map(item => item.product._id || item.product);
+
+    const result = await SearchLog.updateMany(
+      {
+        user: order.user._id || order.user,
+        createdAt: { $gte: new Date(orderedAt.getTime() - CONVERSION_WINDOW_DAYS * DAY_MS), $lte: orderedAt },
+        order: null,
+        'clicks.product': { $in: productIds }
+      },
+      { $set: { order: order._id, convertedAt: orderedAt } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Most searched terms of the last `days` days (admin only)
+   */
+  static async getTopSearches({ days = 30, limit = 20 } = {}) {
+    validateDays(days);
+
+    const terms = await SearchLog.aggregate([
+      { $match: { createdAt: { $gte: new Date(Date.now() - days * DAY_MS) } } },
+      { $group: { _id: '$term', ...TERM_STATS } },
+      { $sort: { searches: -1, _id: 1 } },
+      { $limit: Math.min(limit, 100) }
+    ]);
+
+    return terms.map(formatTermStats);
+  }
+
+  /**
+   * Most searched terms of the last `days` days that found nothing (admin only)
+   */
+  static async getZeroResultSearches({ days = 30, limit = 20 } = {}) {
+    validateDays(days);
+
+    const terms = await SearchLog.aggregate([
+      { $match: { createdAt: { $gte: new Date(Date.now() - days * DAY_MS) }, resultCount: 0 } },
+      { $group: { _id: '$term', ...TERM_STATS } },
+      { $sort: { searches: -1, lastSearchedAt: -1 } },
+      { $limit: Math.min(limit, 100) }
+    ]);
+
+    return terms.map(formatTermStats);
+  }
+
+  /**
+   * How many searches of the last `days` days led to a click and to an
+   * order (admin only)
+   */
+  static async getSearchConversion({ days = 30 } = {}) {
+    validateDays(days);
+
+    const [totals] = await SearchLog.aggregate([
+      { $match: { createdAt: { $gte: new Date(Date.now() - days * DAY_MS) } } },
+      {
+        $group: {
+          _id: null,
+          searches: TERM_STATS.searches,
+          zeroResultSearches: TERM_STATS.zeroResultSearches,
+          clickedSearches: TERM_STATS.clickedSearches,
+          convertedSearches: TERM_STATS.convertedSearches
+        }
+      }
+    ]);
+
+    const { searches = 0, zeroResultSearches = 0, clickedSearches = 0, convertedSearches = 0 } = totals || {};
+
+    return {
+      searches,
+      zeroResultSearches,
+      clickedSearches,
+      convertedSearches,
+      clickThroughRate: rate(clickedSearches, searches),
+      conversionRate: rate(convertedSearches, searches)
+    };
+  }
+
+  /**
+   * Delete searches older than `olderThanDays` days now rather than when
+   * they expire (admin only). Returns the number deleted.
+   */
+  static async purgeSearchLogs(olderThanDays, adminId) {
+    if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+      throw new GraphQLError('Days cannot be negative', {
+        extensions: { code: 'INVALID_INPUT', field: 'olderThanDays' }
+      });
+    }
+
+    const result = await SearchLog.deleteMany({
+      createdAt: { $lt: new Date(Date.now() - olderThanDays * DAY_MS) }
+    });
+
+    logger.info('Search logs purged', {
+      olderThanDays,
+      deleted: result.deletedCount,
+      adminId
+    });
+
+    return result.deletedCount;
+  }
+}
@@ -0,0 +1,228 @@
+import { GraphQLError } from 'graphql';
+import { Product } from '../models/Product.js';
+import { SynonymSet } from '../models/SynonymSet.js';
+import { SearchIndex, tokenize } from '../utils/searchIndex.js';
+import { logger } from '../utils/logging.js';
+
+// How often the search index is rebuilt from the database, picking up
+// changes made by other server instances
+const INDEX_INTERVAL_MS = (parseInt(process.env.SEARCH_INDEX_REFRESH_INTERVAL_MINUTES, 10) || 10) * 60 * 1000;
+
+// Most products a search ranks; filters and pagination apply to these
+const MAX_RESULTS = 1000;
+
+const INDEXED_FIELDS = 'name description category';
+
+const synonymSetNotFound = () => new GraphQLError('Synonym set not found', {
+  extensions: { code: 'SYNONYM_SET_NOT_FOUND' }
+});
+
+export class SearchService {
+  // The current index, built on first use
+  static index = null;
+  static building = null;
+  static indexer = null;
+
+  /**
+   * Build a new index of all active products and the synonym sets, and
+   * start using it
+   */
+  static async rebuildIndex() {
+    if (!this.building) {
+      this.building = (async () => {
+        const index = new SearchIndex();
+
+        const products = await Product.find({ isActive: true }).select(INDEXED_FIELDS).lean();
+        for (const product of products) {
+          index.add(product._id.toString(), product);
+        }
+
+        const synonymSets = await SynonymSet.find().lean();
+        index.setSynonyms(synonymSets.map(set => set.terms));
+
+        this.index = index;
+
+        logger.info('Search index rebuilt', {
+          products: index.size,
+          synonymSets: synonymSets.length
+        });
+
+        return index;
+      })().finally(() => {
+        this.building = null;
+      });
+    }
+
+    return this.building;
+  }
+
+  static async getIndex() {
+    return this.index || this.rebuildIndex();
+  }
+
+  /**
+   * Active products matching a search query, most relevant first, as
+   * { productId, score }
+   */
+  static async search(query) {
+    const index = await this.getIndex();
+
+    return index.search(query, MAX_RESULTS).map(({ id, score }) => ({ productId: id, score }));
+  }
+
+  /**
+   * Bring a product that was added, edited or deleted up to date in the
+   * index. Inactive products are removed from it.
+   */
+  static indexProduct(product) {
+    if (!this.index) {
+      return;
+    }
+
+    const productId = product._id.toString();
+    if (product.isActive) {
+      this.index.add(productId, product);
+    } else {
+      this.index.remove(productId);
+    }
+  }
+
+  /**
+   * Rebuild the index on next use, after changes to many products at once
+   */
+  static invalidateIndex() {
+    this.index = null;
+  }
+
+  /**
+   * Start rebuilding the index in the background, beginning now
+   */
+  static startIndexing(intervalMs = INDEX_INTERVAL_MS) {
+    if (this.indexer) {
+      return;
+    }
+
+    const rebuild = () => {
+      this.rebuildIndex().catch(error => {
+        logger.error('Search index rebuild failed', {
+          error: error.message
+        });
+      });
+    };
+
+    this.indexer = setInterval(rebuild, intervalMs);
+
+    // Never keep the process alive just for the index
+    this.indexer.unref();
+    rebuild();
+  }
+
+  /**
+   * Stop rebuilding the index
+   */
+  static stopIndexing() {
+    clearInterval(this.indexer);
+    this.indexer = null;
+  }
+
+  /**
+   * Lowercase single words of a synonym set, without duplicates
+   */
+  static normalizeTerms(terms = []) {
+    const normalized = new Set();
+
+    for (const term of terms) {
+      const words = tokenize(term);
+      if (words.length !== 1) {
+        throw new GraphQLError(`Synonyms must be single words: "${term}"`, {
+          extensions: { code: 'INVALID_INPUT', field: 'terms' }
+        });
+      }
+      normalized.add(words[0]);
+    }
+
+    if (normalized.size < 2) {
+      throw new GraphQLError('A synonym set needs at least two different words', {
+        extensions: { code: 'INVALID_INPUT', field: 'terms' }
+      });
+    }
+
+    return [...normalized];
+  }
+
+  static async getSynonymSets() {
+    return SynonymSet.find().sort({ createdAt: 1 });
+  }
+
+  /**
+   * Load the synonym sets into the current index
+   */
+  static async refreshSynonyms() {
+    if (!this.index) {
+      return;
+    }
+
+    const synonymSets = await SynonymSet.find().lean();
+    this.index.setSynonyms(synonymSets.map(set => set.terms));
+  }
+
+  /**
+   * Add a synonym set (admin only)
+   */
+  static async createSynonymSet(terms, adminId) {
+    const synonymSet = await SynonymSet.create({
+      terms: this.normalizeTerms(terms),
+      createdBy: adminId
+    });
+    await this.refreshSynonyms();
+
+    logger.info('Synonym set created', {
+      synonymSetId: synonymSet._id,
+      terms: synonymSet.terms,
+      adminId
+    });
+
+    return synonymSet;
+  }
+
+  /**
+   * Replace the words of a synonym set (admin only)
+   */
+  static async updateSynonymSet(synonymSetId, terms, adminId) {
+    const synonymSet = await SynonymSet.findById(synonymSetId);
+    if (!synonymSet) {
+      throw synonymSetNotFound();
+    }
+
+    synonymSet.terms = this.normalizeTerms(terms);
+    await synonymSet.save();
+    await this.refreshSynonyms();
+
+    logger.info('Synonym set updated', {
+      synonymSetId,
+      terms: synonymSet.terms,
+      adminId
+    });
+
+    return synonymSet;
+  }
+
+  /**
+   * Delete a synonym set (admin only)
+   */
+  static async deleteSynonymSet(synonymSetId, adminId) {
+    const synonymSet = await SynonymSet.findByIdAndDelete(synonymSetId);
+    if (!synonymSet) {
+      throw synonymSetNotFound();
+    }
+
+    await this.refreshSynonyms();
+
+    logger.info('Synonym set deleted', {
+      synonymSetId,
+      adminId
+    });
+
+    return true;
+  }
+}
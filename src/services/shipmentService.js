@@ -0,0 +1,219 @@
+import { GraphQLError } from 'graphql';
+import { Order } from '../models/Order.js';
+import { Shipment } from '../models/Shipment.js';
+import { OrderService } from './orderService.js';
+import { logger } from '../utils/logging.js';
+import { getLineKey } from '../utils/variants.js';
+
+export class ShipmentService {
+  // Valid shipment status transitions
+  static SHIPMENT_TRANSITIONS = {
+    shipped: ['in_transit', 'delivered'],
+    in_transit: ['delivered'],
+    delivered: []
+  };
+
+  /**
+   * Validate if shipment status transition is allowed
+   */
+  static isValidShipmentTransition(currentStatus, newStatus) {
+    const allowedTransitions = this.SHIPMENT_TRANSITIONS[currentStatus];
+    return allowedTransitions ? allowedTransitions.includes(newStatus) : false;
+  }
+
+  /**
+   * Order items not yet covered by a shipment, as { product, variant, quantity }.
+   * Backordered units cannot ship until stock is allocated to them.
+   */
+  static async getUnshippedItems(order) {
+    const shipments = await Shipment.find({ order: order._id });
+    const shipped = new Map();
+
+    for (const shipment of shipments) {
+      for (const item of shipment.items) {
+        const key = getLineKey(item.product, item.variant);
+        shipped.set(key, (shipped.get(key) || 0) + item.quantity);
+      }
+    }
+
+    return order.items
+      .map(item => ({
+        product: item.product._id || item.product,
+        variant: item.variant,
+        quantity: item.quantity - item.backorderedQuantity - (shipped.get(getLineKey(item.product, item.variant)) || 0)
+      }))
+      .filter(item => item.quantity > 0);
+  }
+
+  /**
+   * Check requested shipment items against what is left to ship
+   */
+  static selectItems(unshippedItems, items) {
+    return items.map(({ productId, variantId, quantity }) => {
+      const key = getLineKey(productId, variantId);
+      const remaining = unshippedItems.find(item => getLineKey(item.product, item.variant) === key);
+
+      if (!remaining) {
+        throw new GraphQLError('Item is not part of this order or has already shipped', {
+          extensions: { code: 'INVALID_INPUT', field: 'items' }
+        });
+      }
+
+      if (quantity > remaining.quantity) {
+        throw new GraphQLError(
+          `Only ${remaining.quantity} unit(s) of this item are left to ship`,
+          { extensions: { code: 'SHIPMENT_QUANTITY_EXCEEDED', field: 'items' } }
+        );
+      }
+
+      return { product: remaining.product, variant: remaining.variant, quantity };
+    });
+  }
+
+  /**
+   * Record a shipment. Falls back to the carrier of the order's shipping method.
+   */
+  static async recordShipment(order, items, { carrier, trackingNumber, trackingUrl } = {}, adminId) {
+    const shipmentCarrier = carrier?.trim() || order.shippingMethod?.carrier;
+
+    if (!shipmentCarrier) {
+      throw new GraphQLError('Carrier is required to ship this order', {
+        extensions: { code: 'INVALID_INPUT', field: 'carrier' }
+      });
+    }
+
+    const shipment = await Shipment.create({
+      order: order._id,
+      carrier: shipmentCarrier,
+      trackingNumber,
+      trackingUrl,
+      items,
+      createdBy: adminId
+    });
+
+    logger.info('Shipment created', {
+      shipmentId: shipment._id,
+      orderId: order._id,
+      carrier: shipmentCarrier,
+      trackingNumber,
+      itemCount: items.length
+    });
+
+    return shipment;
+  }
+
+  /**
+   * Ship whatever is left of an order. Used when the order moves to "shipped".
+   */
+  static async shipRemainingItems(order, shipmentInput = {}, adminId) {
+    const unshippedItems = await this.getUnshippedItems(order);
+
+    if (unshippedItems.length === 0) {
+      return null;
+    }
+
+    return this.recordShipment(order, unshippedItems, shipmentInput, adminId);
+  }
+
+  /**
+   * Ship some or all remaining items of an order in processing (admin only).
+   * The order moves to "shipped" once every item has shipped.
+   */
+  static async createShipment(orderId, { items, ...shipmentInput } = {}, adminId) {
+    try {
+      const order = await Order.findById(orderId);
+
+      if (!order) {
+        throw new GraphQLError('Order not found', {
+          extensions: { code: 'ORDER_NOT_FOUND' }
+        });
+      }
+
+      if (order.status !== 'processing') {
+        throw new GraphQLError(
+          `Cannot ship order with status "${order.status}"`,
+          { extensions: { code: 'INVALID_STATUS_TRANSITION' } }
+        );
+      }
+
+      const unshippedItems = await this.getUnshippedItems(order);
+      const shipmentItems = items?.length ? this.selectItems(unshippedItems, items) : unshippedItems;
+
+      const shipment = await this.recordShipment(order, shipmentItems, shipmentInput, adminId);
+
+      const stillUnshipped = await this.getUnshippedItems(order);
+      if (stillUnshipped.length === 0 && !order.hasBackorders) {
+        await OrderService.updateOrderStatus(orderId, 'shipped', { adminId });
+      }
+
+      return shipment;
+    } catch (error) {
+      logger.error('Shipment creation failed', {
+        error: error.message,
+        orderId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Update tracking status of a shipment (admin only). The order is marked
+   * delivered once all of its shipments are delivered.
+   */
+  static async updateShipmentStatus(shipmentId, newStatus) {
+    const shipment = await Shipment.findById(shipmentId);
+
+    if (!shipment) {
+      throw new GraphQLError('Shipment not found', {
+        extensions: { code: 'SHIPMENT_NOT_FOUND' }
+      });
+    }
+
+    if (!this.isValidShipmentTransition(shipment.status, newStatus)) {
+      throw new GraphQLError(
+        `Invalid shipment status transition from "${shipment.status}" to "${newStatus}"`,
+        { extensions: { code: 'INVALID_STATUS_TRANSITION' } }
+      );
+    }
+
+    shipment.status = newStatus;
+    if (newStatus === 'delivered') {
+      shipment.deliveredAt = new Date();
+    }
+    await shipment.save();
+
+    logger.info('Shipment status updated', {
+      shipmentId,
+      orderId: shipment.order,
+      newStatus
+    });
+
+    if (newStatus === 'delivered') {
+      const order = await Order.findById(shipment.order);
+      const undelivered = await Shipment.countDocuments({ order: shipment.order, status: { $ne: 'delivered' } });
+
+      if (order?.status === 'shipped' && undelivered === 0) {
+        await OrderService.updateOrderStatus(order._id, 'delivered');
+      }
+    }
+
+    return shipment;
+  }
+
+  /**
+   * Mark every shipment of an order delivered (when the order itself is)
+   */
+  static async markOrderDelivered(orderId) {
+    return Shipment.updateMany(
+      { order: orderId, status: { $ne: 'delivered' } },
+      { status: 'delivered', deliveredAt: new Date() }
+    );
+  }
+
+  /**
+   * Shipments of an order, oldest first
+   */
+  static async getShipments(orderId) {
+    return Shipment.find({ order: orderId }).sort({ shippedAt: 1, _id: 1 });
+  }
+}
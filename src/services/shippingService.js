@@ -0,0 +1,221 @@
+import { GraphQLError } from 'graphql';
+import { ShippingMethod } from '../models/ShippingMethod.js';
+import { Product } from '../models/Product.js';
+import { CurrencyService } from './currencyService.js';
+import { logger } from '../utils/logging.js';
+import { BASE_CURRENCY, roundCurrency, multiplyAmount, sumAmounts } from '../utils/currency.js';
+
+// Fields admins may set on a shipping method
+const EDITABLE_FIELDS = ['code', 'name', 'carrier', 'minDeliveryDays', 'maxDeliveryDays', 'zones', 'isActive'];
+
+export class ShippingService {
+  /**
+   * Total shipping weight of lines ({ product, quantity }) in kilograms
+   */
+  static calculateWeight(lines) {
+    return lines.reduce((total, line) => total + (line.product.weight || 0) * line.quantity, 0);
+  }
+
+  /**
+   * Price a shipping method for a parcel. Returns null when the method does
+   * not ship to the address or has no rate for the weight. The subtotal and
+   * the returned price are in the base currency.
+   */
+  static quoteMethod(method, { address, weight, subtotal }) {
+    const zone = method.findZone(address);
+    if (!zone) {
+      return null;
+    }
+
+    const rate = zone.rates.find(tier => weight <= (tier.maxWeight ?? Infinity));
+    if (!rate) {
+      return null;
+    }
+
+    const freeShipping = subtotal >= (zone.freeShippingThreshold ?? Infinity);
+
+    return {
+      method,
+      zone: zone.name,
+      price: freeShipping ? 0 : rate.price
+    };
+  }
+
+  /**
+   * Shipping options and prices for items sent to an address, cheapest first.
+   * Prices are in the base currency.
+   */
+  static async getQuotes({ address, items }) {
+    const products = await Product.find({
+      _id: { $in: items.map(item => item.productId) },
+      isActive: true
+    });
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    const lines = items
+      .filter(item => productsById.has(item.productId.toString()))
+      .map(item => ({
+        product: productsById.get(item.productId.toString()),
+        variantId: item.variantId,
+        quantity: item.quantity
+      }));
+
+    // Products may be priced in other currencies than the rate tables
+    const rates = await CurrencyService.getRates();
+    const weight = this.calculateWeight(lines);
+    const subtotal = sumAmounts(lines.map(line => (
+      multiplyAmount(CurrencyService.getPrice(line.product, line.variantId, BASE_CURRENCY, rates), line.quantity)
+    )));
+
+    const methods = await ShippingMethod.find({ isActive: true }).sort({ name: 1 });
+
+    return methods
+      .map(method => this.quoteMethod(method, { address, weight, subtotal }))
+      .filter(Boolean)
+      .sort((a, b) => a.price - b.price);
+  }
+
+  /**
+   * Work out the shipping method and cost for a new order. Orders without a
+   * shipping address need no method; otherwise one is required as soon as
+   * any shipping method is configured. Rate tables are in the base currency;
+   * subtotal and the returned cost are in the order currency.
+   */
+  static async resolveOrderShipping({ methodCode, address, lines, subtotal, freeShipping = false, exchangeRate = 1 }) {
+    if (!methodCode) {
+      if (address && await ShippingMethod.exists({ isActive: true })) {
+        throw new GraphQLError('A shipping method must be selected', {
+          extensions: { code: 'SHIPPING_METHOD_REQUIRED', field: 'shippingMethod' }
+        });
+      }
+      return { method: null, cost: 0 };
+    }
+
+    if (!address) {
+      throw new GraphQLError('A shipping address is required for shipping', {
+        extensions: { code: 'INVALID_INPUT', field: 'shippingAddress' }
+      });
+    }
+
+    const method = await ShippingMethod.findOne({ code: methodCode.trim().toLowerCase(), isActive: true });
+    if (!method) {
+      throw new GraphQLError(`Shipping method "${methodCode}" is not available`, {
+        extensions: { code: 'SHIPPING_METHOD_NOT_FOUND', field: 'shippingMethod' }
+      });
+    }
+
+    const quote = this.quoteMethod(method, {
+      address,
+      weight: this.calculateWeight(lines),
+      subtotal: roundCurrency(subtotal / exchangeRate)
+    });
+    if (!quote) {
+      throw new GraphQLError(`${method.name} does not ship this order to the given address`, {
+        extensions: { code: 'SHIPPING_UNAVAILABLE', field: 'shippingMethod' }
+      });
+    }
+
+    return {
+      method: { code: method.code, name: method.name, carrier: method.carrier },
+      cost: freeShipping ? 0 : roundCurrency(quote.price * exchangeRate)
+    };
+  }
+
+  /**
+   * Pick the editable fields out of shipping method input
+   */
+  static pickShippingMethodFields(input) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+      if (input[key] !== undefined) {
+        fields[key] = input[key];
+      }
+      return fields;
+    }, {});
+  }
+
+  /**
+   * List shipping methods
+   */
+  static async getShippingMethods({ includeInactive = false } = {}) {
+    return ShippingMethod.find(includeInactive ? {} : { isActive: true }).sort({ name: 1 });
+  }
+
+  /**
+   * Create a shipping method (admin only)
+   */
+  static async createShippingMethod(input, adminId) {
+    try {
+      const method = await ShippingMethod.create(this.pickShippingMethodFields(input));
+
+      logger.info('Shipping method created', {
+        shippingMethodId: method._id,
+        code: method.code,
+        adminId
+      });
+
+      return method;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new GraphQLError('A shipping method with this code already exists', {
+          extensions: { code: 'DUPLICATE_SHIPPING_METHOD', field: 'code' }
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a shipping method (admin only). Existing orders keep their shipping cost.
+   */
+  static async updateShippingMethod(methodId, input, adminId) {
+    const method = await ShippingMethod.findById(methodId);
+
+    if (!method) {
+      throw new GraphQLError('Shipping method not found', {
+        extensions: { code: 'SHIPPING_METHOD_NOT_FOUND' }
+      });
+    }
+
+    method.set(this.pickShippingMethodFields(input));
+
+    try {
+      await method.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new GraphQLError('A shipping method with this code already exists', {
+          extensions: { code: 'DUPLICATE_SHIPPING_METHOD', field: 'code' }
+        });
+      }
+      throw error;
+    }
+
+    logger.info('Shipping method updated', {
+      shippingMethodId: methodId,
+      updatedFields: Object.keys(input),
+      adminId
+    });
+
+    return method;
+  }
+
+  /**
+   * Delete a shipping method (admin only). Orders keep a snapshot of their method.
+   */
+  static async deleteShippingMethod(methodId, adminId) {
+    const method = await ShippingMethod.findByIdAndDelete(methodId);
+
+    if (!method) {
+      throw new GraphQLError('Shipping method not found', {
+        extensions: { code: 'SHIPPING_METHOD_NOT_FOUND' }
+      });
+    }
+
+    logger.info('Shipping method deleted', {
+      shippingMethodId: methodId,
+      code: method.code,
+      adminId
+    });
+
+    return true;
+  }
+}
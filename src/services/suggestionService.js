@@ -0,0 +1,212 @@
+import { Product } from '../models/Product.js';
+import { Category } from '../models/Category.js';
+import { SearchLog } from '../models/SearchLog.js';
+import { cache } from '../config/redis.js';
+import { PrefixTree } from '../utils/prefixTree.js';
+import { tokenize } from '../utils/searchIndex.js';
+import { logger } from '../utils/logging.js';
+
+// How often suggestions are reloaded from products, categories and past searches
+const REFRESH_INTERVAL_MS = (parseInt(process.env.SEARCH_SUGGESTIONS_REFRESH_INTERVAL_MINUTES, 10) || 15) * 60 * 1000;
+
+const CACHE_PREFIX = 'search:suggestions';
+const CACHE_TTL = 300; // 5 minutes
+
+export const MAX_SUGGESTIONS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Past searches suggested: found something, searched at least MIN_QUERY_COUNT
+// times in the last QUERY_WINDOW_DAYS days, most searched first
+const QUERY_WINDOW_DAYS = 30;
+const MIN_QUERY_COUNT = 2;
+const MAX_QUERIES = 1000;
+
+// Suggestions alternate between the types in this order
+export const SUGGESTION_TYPES = ['query', 'category', 'product'];
+
+export class SuggestionService {
+  // The current prefix tree, built on first use
+  static tree = null;
+  static building = null;
+  static refresher = null;
+
+  /**
+   * Popular past searches, with how often each was searched
+   */
+  static async popularQueries(now = new Date()) {
+    const since = new Date(now.getTime() - QUERY_WINDOW_DAYS * DAY_MS);
+
+    const queries = await SearchLog.aggregate([
+      { $match: { createdAt: { $gte: since }, resultCount: { $gt: 0 } } },
+      { $group: { _id: '$term', count: { $sum: 1 } } },
+      { $match: { count: { $gte: MIN_QUERY_COUNT } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: MAX_QUERIES }
+    ]);
+
+    return queries.map(({ _id, count }) => ({ type: 'query', text: _id, weight: count }));
+  }
+
+  /**
+   * Categories holding active products, weighted by their products
+   * including those in subcategories
+   */
+  static async categoryEntries() {
+    const counts = await Product.aggregate([
+      { $match: { isActive: true, categoryId: { $ne: null } } },
+      { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+    ]);
+    const countsById = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+    const categories = await Category.find().select('name ancestors').lean();
+    const weights = new Map();
+    for (const category of categories) {
+      const count = countsById.get(category._id.toString()) || 0;
+      for (const id of [category._id, ...category.ancestors]) {
+        weights.set(id.toString(), (weights.get(id.toString()) || 0) + count);
+      }
+    }
+
+    return categories
+      .filter(category => weights.get(category._id.toString()) > 0)
+      .map(category => ({
+        type: 'category',
+        text: category.name,
+        weight: weights.get(category._id.toString()),
+        categoryId: category._id.toString()
+      }));
+  }
+
+  /**
+   * Active products, weighted by this week's popularity
+   */
+  static async productEntries() {
+    const products = await Product.find({ isActive: true }).select('name popularity').lean();
+
+    return products.map(product => ({
+      type: 'product',
+      text: product.name,
+      weight: product.popularity?.week || 0,
+      productId: product._id.toString()
+    }));
+  }
+
+  /**
+   * Build a new prefix tree of suggestions and start using it
+   */
+  static async rebuildSuggestions() {
+    if (!this.building) {
+      this.building = (async () => {
+        const tree = new PrefixTree();
+        const entries = [
+          ...await this.popularQueries(),
+          ...await this.categoryEntries(),
+          ...await this.productEntries()
+        ];
+        entries.forEach(entry => tree.add(entry));
+
+        this.tree = tree;
+
+        logger.info('Search suggestions refreshed', {
+          suggestions: tree.size
+        });
+
+        return tree;
+      })().finally(() => {
+        this.building = null;
+      });
+    }
+
+    return this.building;
+  }
+
+  static async getTree() {
+    return this.tree || this.rebuildSuggestions();
+  }
+
+  /**
+   * Pick suggestions taking turns between the types, each type's most
+   * popular first. Texts are suggested once: categories and products, which
+   * link somewhere, win over past searches of the same text.
+   */
+  static rank(entries, limit) {
+    const textKey = (entry) => tokenize(entry.text).join(' ');
+    const linkedTexts = new Set(entries.filter(entry => entry.type !== 'query').map(textKey));
+
+    const byType = SUGGESTION_TYPES.map(type => entries
+      .filter(entry => entry.type === type && !(type === 'query' && linkedTexts.has(textKey(entry))))
+      .sort((a, b) => b.weight - a.weight || a.text.localeCompare(b.text)));
+
+    const suggestions = [];
+    const seen = new Set();
+    for (let position = 0; suggestions.length < limit && byType.some(list => position < list.length); position++) {
+      for (const list of byType) {
+        const entry = list[position];
+        if (entry && suggestions.length < limit && !seen.has(textKey(entry))) {
+          seen.add(textKey(entry));
+          suggestions.push(entry);
+        }
+      }
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Suggestions for what a customer has typed so far: popular searches,
+   * categories and product names with a word starting with it
+   */
+  static async getSuggestions(prefix, limit = 10) {
+    const key = tokenize(prefix).join(' ');
+    if (!key) {
+      return [];
+    }
+
+    const count = Math.min(Math.max(limit, 1), MAX_SUGGESTIONS);
+    const cacheKey = `${CACHE_PREFIX}:${count}:${key}`;
+
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const tree = await this.getTree();
+    const suggestions = this.rank(tree.find(key), count);
+
+    await cache.set(cacheKey, suggestions, CACHE_TTL);
+
+    return suggestions;
+  }
+
+  /**
+   * Start refreshing suggestions in the background, beginning now
+   */
+  static startRefreshing(intervalMs = REFRESH_INTERVAL_MS) {
+    if (this.refresher) {
+      return;
+    }
+
+    const refresh = () => {
+      this.rebuildSuggestions().catch(error => {
+        logger.error('Search suggestions refresh failed', {
+          error: error.message
+        });
+      });
+    };
+
+    this.refresher = setInterval(refresh, intervalMs);
+
+    // Never keep the process alive just for suggestions
+    this.refresher.unref();
+    refresh();
+  }
+
+  /**
+   * Stop refreshing suggestions
+   */
+  static stopRefreshing() {
+    clearInterval(this.refresher);
+    this.refresher = null;
+  }
+}
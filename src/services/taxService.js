@@ -0,0 +1,150 @@
+import { GraphQLError } from 'graphql';
+import { TaxRule } from '../models/TaxRule.js';
+import { logger } from '../utils/logging.js';
+import { roundCurrency, allocateAmount } from '../utils/currency.js';
+
+// Fields admins may set on a tax rule
+const EDITABLE_FIELDS = ['name', 'country', 'state', 'zipPrefix', 'rate', 'taxShipping', 'isActive'];
+
+export class TaxService {
+  /**
+   * Active tax rules covering a shipping address
+   */
+  static async getApplicableRules(address) {
+    if (!address?.country) {
+      return [];
+    }
+
+    const rules = await TaxRule.find({
+      country: address.country.trim().toUpperCase(),
+      isActive: true
+    }).sort({ state: 1, zipPrefix: 1 });
+
+    return rules.filter(rule => rule.matchesAddress(address));
+  }
+
+  /**
+   * Compute tax from rules. `lineAmounts` are the taxable amounts of the order
+   * lines (after discounts). Returns { tax, taxLines, lineTaxes, shippingTax }
+   * where lineTaxes is the items tax allocated to each line.
+   */
+  static computeTax(rules, lineAmounts, shipping = 0) {
+    const itemsBase = lineAmounts.reduce((total, amount) => total + amount, 0);
+
+    const taxLines = rules.map(rule => ({
+      taxRule: rule._id,
+      name: rule.name,
+      rate: rule.rate,
+      amount: roundCurrency((itemsBase + (rule.taxShipping ? shipping : 0)) * rule.rate / 100)
+    }));
+
+    const tax = roundCurrency(taxLines.reduce((total, line) => total + line.amount, 0));
+    const shippingTax = Math.min(tax, roundCurrency(
+      rules
+        .filter(rule => rule.taxShipping)
+        .reduce((total, rule) => total + shipping * rule.rate / 100, 0)
+    ));
+
+    return {
+      tax,
+      taxLines,
+      lineTaxes: allocateAmount(roundCurrency(tax - shippingTax), lineAmounts),
+      shippingTax
+    };
+  }
+
+  /**
+   * Calculate tax for an order shipped to `address`. Tax-exempt customers and
+   * addresses without matching rules pay no tax.
+   */
+  static async calculateTax({ address, lineAmounts, shipping = 0, taxExempt = false }) {
+    if (taxExempt) {
+      return { tax: 0, taxLines: [], lineTaxes: lineAmounts.map(() => 0), shippingTax: 0 };
+    }
+
+    const rules = await this.getApplicableRules(address);
+    return this.computeTax(rules, lineAmounts, shipping);
+  }
+
+  /**
+   * Pick the editable fields out of tax rule input
+   */
+  static pickTaxRuleFields(input) {
+    return EDITABLE_FIELDS.reduce((fields, key) => {
+      if (input[key] !== undefined) {
+        fields[key] = input[key];
+      }
+      return fields;
+    }, {});
+  }
+
+  /**
+   * List tax rules, optionally for one country
+   */
+  static async getTaxRules({ country } = {}) {
+    const query = country ? { country: country.trim().toUpperCase() } : {};
+    return TaxRule.find(query).sort({ country: 1, state: 1, zipPrefix: 1 });
+  }
+
+  /**
+   * Create a tax rule (admin only)
+   */
+  static async createTaxRule(input, adminId) {
+    const taxRule = await TaxRule.create(this.pickTaxRuleFields(input));
+
+    logger.info('Tax rule created', {
+      taxRuleId: taxRule._id,
+      country: taxRule.country,
+      state: taxRule.state,
+      rate: taxRule.rate,
+      adminId
+    });
+
+    return taxRule;
+  }
+
+  /**
+   * Update a tax rule (admin only). Existing orders keep the tax they were charged.
+   */
+  static async updateTaxRule(taxRuleId, input, adminId) {
+    const taxRule = await TaxRule.findById(taxRuleId);
+
+    if (!taxRule) {
+      throw new GraphQLError('Tax rule not found', {
+        extensions: { code: 'TAX_RULE_NOT_FOUND' }
+      });
+    }
+
+    taxRule.set(this.pickTaxRuleFields(input));
+    await taxRule.save();
+
+    logger.info('Tax rule updated', {
+      taxRuleId,
+      updatedFields: Object.keys(input),
+      adminId
+    });
+
+    return taxRule;
+  }
+
+  /**
+   * Delete a tax rule (admin only)
+   */
+  static async deleteTaxRule(taxRuleId, adminId) {
+    const taxRule = await TaxRule.findByIdAndDelete(taxRuleId);
+
+    if (!taxRule) {
+      throw new GraphQLError('Tax rule not found', {
+        extensions: { code: 'TAX_RULE_NOT_FOUND' }
+      });
+    }
+
+    logger.info('Tax rule deleted', {
+      taxRuleId,
+      name: taxRule.name,
+      adminId
+    });
+
+    return true;
+  }
+}
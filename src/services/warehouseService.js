@@ -0,0 +1,414 @@
+import mongoose from 'mongoose';
+import { GraphQLError } from 'graphql';
+import { Warehouse } from '../models/Warehouse.js';
+import { Product } from '../models/Product.js';
+import { InventoryService } from './inventoryService.js';
+import { WishlistService } from './wishlistService.js';
+import { OrderService } from './orderService.js';
+import { logger } from '../utils/logging.js';
+import { findVariant } from '../utils/variants.js';
+
+// Fields admins may set on a warehouse
+const EDITABLE_FIELDS = ['code', 'name', 'address', 'priority', 'isActive'];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+export class WarehouseService {
+  /**
+   * Keep only the fields admins may set
+   */
+  static pickWarehouseFields(input = {}) {
+    return Object.fromEntries(
+      Object.entries(input).filter(([field, value]) => EDITABLE_FIELDS.includes(field) && value !== undefined)
+    );
+  }
+
+  /**
+   * List warehouses in order of preference
+   */
+  static async getWarehouses({ activeOnly = false } = {}) {
+    const query = activeOnly ? { isActive: true } : {};
+    return Warehouse.find(query).sort({ priority: 1, code: 1 });
+  }
+
+  /**
+   * Get a warehouse or throw WAREHOUSE_NOT_FOUND
+   */
+  static async getWarehouse(warehouseId) {
+    const warehouse = await Warehouse.findById(warehouseId);
+
+    if (!warehouse) {
+      throw new GraphQLError('Warehouse not found', {
+        extensions: { code: 'WAREHOUSE_NOT_FOUND' }
+      });
+    }
+
+    return warehouse;
+  }
+
+  /**
+   * Create a warehouse (admin only)
+   */
+  static async createWarehouse(input, adminId) {
+    try {
+      const warehouse = await Warehouse.create(this.pickWarehouseFields(input));
+
+      logger.info('Warehouse created', {
+        warehouseId: warehouse._id,
+        code: warehouse.code,
+        adminId
+      });
+
+      return warehouse;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new GraphQLError(`Warehouse code "${input.code}" is already in use`, {
+          extensions: { code: 'DUPLICATE_WAREHOUSE_CODE', field: 'code' }
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a warehouse (admin only). Deactivated warehouses keep their stock
+   * but stop fulfilling orders.
+   */
+  static async updateWarehouse(warehouseId, input, adminId) {
+    const warehouse = await this.getWarehouse(warehouseId);
+
+    warehouse.set(this.pickWarehouseFields(input));
+
+    try {
+      await warehouse.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new GraphQLError(`Warehouse code "${input.code}" is already in use`, {
+          extensions: { code: 'DUPLICATE_WAREHOUSE_CODE', field: 'code' }
+        });
+      }
+      throw error;
+    }
+
+    logger.info('Warehouse updated', {
+      warehouseId,
+      updatedFields: Object.keys(input),
+      adminId
+    });
+
+    return warehouse;
+  }
+
+  /**
+   * Warehouses ordered nearest to an address first, then by priority
+   */
+  static rankWarehouses(warehouses, address) {
+    return [...warehouses].sort((a, b) => (
+      a.distanceTo(address) - b.distanceTo(address) || a.priority - b.priority
+    ));
+  }
+
+  /**
+   * Units of a product (or variant) kept at a warehouse
+   */
+  static getStockAt(product, variantId, warehouseId) {
+    const holder = findVariant(product, variantId) || product;
+    const level = (holder.stockLevels || []).find(
+      stockLevel => stockLevel.warehouse.toString() === warehouseId.toString()
+    );
+
+    return level?.quantity || 0;
+  }
+
+  /**
+   * Pick the warehouses order lines ship from. `lines` are
+   * { product, variant, quantity }; returns a list of { warehouse, quantity }
+   * per line. A single warehouse that can ship every line is preferred;
+   * otherwise each line takes stock from the nearest warehouses first.
+   * Lines whose stock is not kept at warehouses get no allocations.
+   */
+  static async allocate(lines, address) {
+    // Lines with nothing to take (e.g. fully backordered) get no allocations
+    const isStocked = (line) => line.quantity > 0 && ((line.variant || line.product).stockLevels || []).length > 0;
+
+    if (!lines.some(isStocked)) {
+      return lines.map(() => []);
+    }
+
+    const warehouses = this.rankWarehouses(await this.getWarehouses({ activeOnly: true }), address);
+    const stockAt = (line, warehouse) => this.getStockAt(line.product, line.variant?._id, warehouse._id);
+
+    const single = warehouses.find(warehouse => lines.every(line => (
+      !isStocked(line) || stockAt(line, warehouse) >= line.quantity
+    )));
+
+    if (single) {
+      return lines.map(line => (isStocked(line) ? [{ warehouse: single._id, quantity: line.quantity }] : []));
+    }
+
+    return lines.map(line => {
+      if (!isStocked(line)) {
+        return [];
+      }
+
+      const allocations = [];
+      let remaining = line.quantity;
+
+      for (const warehouse of warehouses) {
+        const quantity = Math.min(stockAt(line, warehouse), remaining);
+        if (quantity > 0) {
+          allocations.push({ warehouse: warehouse._id, quantity });
+          remaining -= quantity;
+        }
+        if (remaining === 0) {
+          break;
+        }
+      }
+
+      if (remaining > 0) {
+        const name = line.variant ? `${line.product.name} (${line.variant.sku})` : line.product.name;
+        throw new GraphQLError(`Not enough stock at active warehouses for "${name}"`, {
+          extensions: { code: 'INSUFFICIENT_STOCK' }
+        });
+      }
+
+      return allocations;
+    });
+  }
+
+  /**
+   * The first `quantity` units of a line's allocations after the first `skip`
+   * units, e.g. for restocking part of an order line
+   */
+  static takeAllocations(allocations = [], quantity, skip = 0) {
+    const taken = [];
+    let remaining = quantity;
+    let skipped = skip;
+
+    for (const allocation of allocations) {
+      const available = allocation.quantity - Math.min(allocation.quantity, skipped);
+      skipped -= allocation.quantity - available;
+
+      const units = Math.min(available, remaining);
+      if (units > 0) {
+        taken.push({ warehouse: allocation.warehouse, quantity: units });
+        remaining -= units;
+      }
+    }
+
+    return taken;
+  }
+
+  /**
+   * Allocations with one entry per warehouse. A line takes stock from the same
+   * warehouse more than once when backordered units are allocated later, and
+   * an update may only change each stock level once.
+   */
+  static mergeAllocations(allocations = []) {
+    const merged = new Map();
+
+    for (const { warehouse, quantity } of allocations) {
+      const key = warehouse.toString();
+      merged.set(key, { warehouse, quantity: (merged.get(key)?.quantity || 0) + quantity });
+    }
+
+    return [...merged.values()];
+  }
+
+  /**
+   * Atomic update adding `quantity` units (negative to take them away) to a
+   * product or variant, split across warehouses by `allocations`. Returns
+   * { update, arrayFilters } for findOneAndUpdate.
+   */
+  static stockUpdate(quantity, variantId = null, allocations = []) {
+    const prefix = variantId ? 'variants.$[variant].' : '';
+    const sign = Math.sign(quantity);
+    const inc = { stock: quantity };
+    const arrayFilters = [];
+
+    if (variantId) {
+      inc['variants.$[variant].stock'] = quantity;
+      arrayFilters.push({ 'variant._id': toObjectId(variantId) });
+    }
+
+    this.mergeAllocations(allocations).forEach((allocation, index) => {
+      inc[`${prefix}stockLevels.$[level${index}].quantity`] = sign * allocation.quantity;
+      arrayFilters.push({ [`level${index}.warehouse`]: toObjectId(allocation.warehouse) });
+    });
+
+    return { update: { $inc: inc }, arrayFilters };
+  }
+
+  /**
+   * Filter conditions matching only when every allocation's warehouse holds
+   * at least its quantity
+   */
+  static allocationFilters(allocations = [], variantId = null) {
+    return this.mergeAllocations(allocations).map(allocation => {
+      const level = {
+        stockLevels: {
+          $elemMatch: { warehouse: toObjectId(allocation.warehouse), quantity: { $gte: allocation.quantity } }
+        }
+      };
+
+      return variantId
+        ? { variants: { $elemMatch: { _id: toObjectId(variantId), ...level } } }
+        : level;
+    });
+  }
+
+  /**
+   * Find a product and check the variant, for stock level changes
+   */
+  static async getStockHolder(productId, variantId) {
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      throw new GraphQLError('Product not found', {
+        extensions: { code: 'PRODUCT_NOT_FOUND' }
+      });
+    }
+
+    if (!variantId && product.hasVariants) {
+      throw new GraphQLError('Stock is managed per variant for this product', {
+        extensions: { code: 'INVALID_INPUT', field: 'variantId' }
+      });
+    }
+
+    const variant = variantId ? product.variants.id(variantId) : null;
+    if (variantId && !variant) {
+      throw new GraphQLError(`Variant with ID ${variantId} not found for "${product.name}"`, {
+        extensions: { code: 'VARIANT_NOT_FOUND' }
+      });
+    }
+
+    return { product, holder: variant || product };
+  }
+
+  /**
+   * Set the stock of a product (or variant) at a warehouse (admin only).
+   * Once stock is kept at warehouses, the product's stock is their sum.
+   */
+  static async setStockLevel(productId, variantId, warehouseId, quantity, adminId, reason) {
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw new GraphQLError('Stock must be a non-negative whole number', {
+        extensions: { code: 'INVALID_INPUT', field: 'quantity' }
+      });
+    }
+
+    const warehouse = await this.getWarehouse(warehouseId);
+    const { product, holder } = await this.getStockHolder(productId, variantId);
+    const before = InventoryService.stockSnapshot(product);
+    const availabilityBefore = WishlistService.availabilitySnapshot(product);
+    const level = holder.stockLevels.find(stockLevel => stockLevel.warehouse.equals(warehouse._id));
+
+    if (level) {
+      level.quantity = quantity;
+    } else {
+      holder.stockLevels.push({ warehouse: warehouse._id, quantity });
+    }
+
+    await product.save();
+    const after = InventoryService.stockSnapshot(product);
+    await InventoryService.recordDifferences(product._id, before, after, {
+      type: 'adjustment',
+      actor: adminId,
+      reason
+    });
+
+    logger.info('Warehouse stock set', {
+      productId,
+      variantId,
+      warehouse: warehouse.code,
+      quantity,
+      adminId
+    });
+
+    // Restocked units go to waiting backorders first
+    let restocked = product;
+    if (product.acceptsBackorders && InventoryService.isRestock(before, after)) {
+      const allocatedOrders = await OrderService.allocateBackorders(product._id);
+      if (allocatedOrders.length > 0) {
+        restocked = await Product.findById(product._id);
+      }
+    }
+
+    await WishlistService.notifyProductChange(availabilityBefore, restocked);
+
+    return restocked;
+  }
+
+  /**
+   * Move stock of a product (or variant) between warehouses (admin only).
+   * The product's total stock is unchanged.
+   */
+  static async transferStock({ productId, variantId, fromWarehouseId, toWarehouseId, quantity, reason }, adminId) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new GraphQLError('Quantity must be a positive whole number', {
+        extensions: { code: 'INVALID_INPUT', field: 'quantity' }
+      });
+    }
+
+    if (fromWarehouseId.toString() === toWarehouseId.toString()) {
+      throw new GraphQLError('Stock must be transferred between two different warehouses', {
+        extensions: { code: 'INVALID_INPUT', field: 'toWarehouseId' }
+      });
+    }
+
+    const from = await this.getWarehouse(fromWarehouseId);
+    const to = await this.getWarehouse(toWarehouseId);
+    await this.getStockHolder(productId, variantId);
+
+    // Give the destination a stock level first, if the source has one to move from
+    const levelPath = variantId ? 'variants.$.stockLevels' : 'stockLevels';
+    const missingDestination = { 'stockLevels.warehouse': { $eq: from._id, $ne: to._id } };
+    await Product.updateOne(
+      variantId
+        ? { _id: productId, variants: { $elemMatch: { _id: toObjectId(variantId), ...missingDestination } } }
+        : { _id: productId, ...missingDestination },
+      { $push: { [levelPath]: { warehouse: to._id, quantity: 0 } } }
+    );
+
+    const prefix = variantId ? 'variants.$[variant].' : '';
+    const product = await Product.findOneAndUpdate(
+      { _id: productId, $and: this.allocationFilters([{ warehouse: from._id, quantity }], variantId) },
+      {
+        $inc: {
+          [`${prefix}stockLevels.$[source].quantity`]: -quantity,
+          [`${prefix}stockLevels.$[destination].quantity`]: quantity
+        }
+      },
+      {
+        new: true,
+        arrayFilters: [
+          ...(variantId ? [{ 'variant._id': toObjectId(variantId) }] : []),
+          { 'source.warehouse': from._id },
+          { 'destination.warehouse': to._id }
+        ]
+      }
+    );
+
+    if (!product) {
+      throw new GraphQLError(`Not enough stock at ${from.code} to transfer ${quantity}`, {
+        extensions: { code: 'INSUFFICIENT_STOCK' }
+      });
+    }
+
+    const movement = { product: productId, variant: variantId || undefined, type: 'transfer', actor: adminId, reason };
+    await InventoryService.record([
+      { ...movement, warehouse: from._id, quantity: -quantity },
+      { ...movement, warehouse: to._id, quantity }
+    ]);
+
+    logger.info('Stock transferred', {
+      productId,
+      variantId,
+      from: from.code,
+      to: to.code,
+      quantity,
+      adminId
+    });
+
+    return product;
+  }
+}
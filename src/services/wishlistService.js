@@ -0,0 +1,424 @@
+import crypto from 'crypto';
+import { GraphQLError } from 'graphql';
+import { Wishlist } from '../models/Wishlist.js';
+import { Product } from '../models/Product.js';
+import { CartService } from './cartService.js';
+import { logger } from '../utils/logging.js';
+import { pubsub, EVENTS } from '../config/pubsub.js';
+import { findVariant, getAvailableStock, getUnitPrice } from '../utils/variants.js';
+
+// List that products are added to when no wishlist is given
+export const DEFAULT_WISHLIST_NAME = 'My wishlist';
+
+// List that cart items saved for later are moved to
+export const SAVED_FOR_LATER_NAME = 'Saved for later';
+
+const MAX_WISHLISTS = 20;
+
+const wishlistNotFound = () => new GraphQLError('Wishlist not found', {
+  extensions: { code: 'WISHLIST_NOT_FOUND' }
+});
+
+const duplicateName = (name) => new GraphQLError(`You already have a wishlist named "${name}"`, {
+  extensions: { code: 'DUPLICATE_WISHLIST_NAME', field: 'name' }
+});
+
+// Key of a product (empty) or one of its variants in availability snapshots
+const variantKey = (variantId) => (variantId ? variantId.toString() : '');
+
+export class WishlistService {
+  /**
+   * Generate an unguessable token for a wishlist's public link
+   */
+  static generateShareToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Populate wishlist items with their products
+   */
+  static async populateWishlist(wishlist) {
+    if (!wishlist) {
+      return wishlist;
+    }
+
+    await wishlist.populate('items.product');
+    return wishlist;
+  }
+
+  /**
+   * A customer's wishlists, oldest first
+   */
+  static async getWishlists(userId) {
+    const wishlists = await Wishlist.find({ user: userId }).sort({ createdAt: 1 });
+    return Promise.all(wishlists.map(wishlist => this.populateWishlist(wishlist)));
+  }
+
+  /**
+   * A wishlist shared by its public link, or null
+   */
+  static async getSharedWishlist(shareToken) {
+    return this.populateWishlist(await Wishlist.findOne({ shareToken }));
+  }
+
+  /**
+   * One of a customer's own wishlists, or WISHLIST_NOT_FOUND
+   */
+  static async getOwnWishlist(wishlistId, userId) {
+    const wishlist = await Wishlist.findOne({ _id: wishlistId, user: userId });
+
+    if (!wishlist) {
+      throw wishlistNotFound();
+    }
+
+    return wishlist;
+  }
+
+  /**
+   * Create a named wishlist
+   */
+  static async createWishlist(userId, name) {
+    if (await Wishlist.countDocuments({ user: userId }) >= MAX_WISHLISTS) {
+      throw new GraphQLError(`You cannot have more than ${MAX_WISHLISTS} wishlists`, {
+        extensions: { code: 'WISHLIST_LIMIT_REACHED' }
+      });
+    }
+
+    try {
+      const wishlist = await Wishlist.create({ user: userId, name, items: [] });
+
+      logger.info('Wishlist created', {
+        wishlistId: wishlist._id,
+        userId
+      });
+
+      return wishlist;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw duplicateName(name);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * A customer's wishlist with the given name, created if needed
+   */
+  static async getOrCreateWishlist(userId, name) {
+    const existing = await Wishlist.findOne({ user: userId, name });
+    if (existing) {
+      return existing;
+    }
+
+    try {
+      return await Wishlist.create({ user: userId, name, items: [] });
+    } catch (error) {
+      // Another request created the list first
+      if (error.code === 11000) {
+        return Wishlist.findOne({ user: userId, name });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Rename one of a customer's wishlists
+   */
+  static async renameWishlist(wishlistId, userId, name) {
+    const wishlist = await this.getOwnWishlist(wishlistId, userId);
+    wishlist.name = name;
+
+    try {
+      await wishlist.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw duplicateName(name);
+      }
+      throw error;
+    }
+
+    return this.populateWishlist(wishlist);
+  }
+
+  /**
+   * Delete one of a customer's wishlists; its public link stops working
+   */
+  static async deleteWishlist(wishlistId, userId) {
+    const wishlist = await this.getOwnWishlist(wishlistId, userId);
+    await wishlist.deleteOne();
+
+    logger.info('Wishlist deleted', {
+      wishlistId,
+      userId
+    });
+
+    return true;
+  }
+
+  /**
+   * Find the wishlist line for a product (and variant)
+   */
+  static findItem(wishlist, productId, variantId = null) {
+    return wishlist.items.find(item => {
+      const id = item.product?._id || item.product;
+      return id.toString() === productId.toString() && variantKey(item.variant) === variantKey(variantId);
+    });
+  }
+
+  /**
+   * Add a product (or variant) to a wishlist, by default the customer's
+   * default list. Adding a product already on the list changes nothing.
+   */
+  static async addItem(userId, productId, variantId = null, wishlistId = null) {
+    const product = await Product.findOne({ _id: productId, isActive: true });
+    if (!product) {
+      throw new GraphQLError('Product not found', {
+        extensions: { code: 'PRODUCT_NOT_FOUND' }
+      });
+    }
+
+    if (variantId && !findVariant(product, variantId)) {
+      throw new GraphQLError(`Variant with ID ${variantId} not found for "${product.name}"`, {
+        extensions: { code: 'VARIANT_NOT_FOUND' }
+      });
+    }
+
+    const wishlist = wishlistId
+      ? await this.getOwnWishlist(wishlistId, userId)
+      : await this.getOrCreateWishlist(userId, DEFAULT_WISHLIST_NAME);
+
+    if (!this.findItem(wishlist, productId, variantId)) {
+      wishlist.items.push({ product: productId, variant: variantId || undefined });
+      await wishlist.save();
+
+      logger.info('Item added to wishlist', {
+        wishlistId: wishlist._id,
+        productId,
+        variantId,
+        userId
+      });
+    }
+
+    return this.populateWishlist(wishlist);
+  }
+
+  /**
+   * Remove a product (or variant) from one of a customer's wishlists
+   */
+  static async removeItem(userId, wishlistId, productId, variantId = null) {
+    const wishlist = await this.getOwnWishlist(wishlistId, userId);
+    const item = this.findItem(wishlist, productId, variantId);
+
+    if (!item) {
+      throw new GraphQLError('Product is not on the wishlist', {
+        extensions: { code: 'WISHLIST_ITEM_NOT_FOUND' }
+      });
+    }
+
+    wishlist.items = wishlist.items.filter(wishlistItem => wishlistItem !== item);
+    await wishlist.save();
+
+    return this.populateWishlist(wishlist);
+  }
+
+  /**
+   * Move a product (or variant) between two of a customer's wishlists.
+   * Returns the destination list.
+   */
+  static async moveItem(userId, fromWishlistId, toWishlistId, productId, variantId = null) {
+    if (fromWishlistId.toString() === toWishlistId.toString()) {
+      throw new GraphQLError('Items must be moved between two different wishlists', {
+        extensions: { code: 'INVALID_INPUT', field: 'toWishlistId' }
+      });
+    }
+
+    const source = await this.getOwnWishlist(fromWishlistId, userId);
+    const destination = await this.getOwnWishlist(toWishlistId, userId);
+    const item = this.findItem(source, productId, variantId);
+
+    if (!item) {
+      throw new GraphQLError('Product is not on the wishlist', {
+        extensions: { code: 'WISHLIST_ITEM_NOT_FOUND' }
+      });
+    }
+
+    if (!this.findItem(destination, productId, variantId)) {
+      destination.items.push({ product: item.product, variant: item.variant, addedAt: item.addedAt });
+      await destination.save();
+    }
+
+    source.items = source.items.filter(wishlistItem => wishlistItem !== item);
+    await source.save();
+
+    return this.populateWishlist(destination);
+  }
+
+  /**
+   * Move a line out of the customer's cart onto their saved-for-later list
+   */
+  static async saveForLater(userId, productId, variantId = null) {
+    await CartService.removeItem({ userId: userId.toString() }, productId, variantId);
+
+    const wishlist = await this.getOrCreateWishlist(userId, SAVED_FOR_LATER_NAME);
+    if (!this.findItem(wishlist, productId, variantId)) {
+      wishlist.items.push({ product: productId, variant: variantId || undefined });
+      await wishlist.save();
+    }
+
+    return this.populateWishlist(wishlist);
+  }
+
+  /**
+   * Give a wishlist a public link. Sharing a shared list keeps its link.
+   */
+  static async shareWishlist(wishlistId, userId) {
+    const wishlist = await this.getOwnWishlist(wishlistId, userId);
+
+    if (!wishlist.shareToken) {
+      wishlist.shareToken = this.generateShareToken();
+      await wishlist.save();
+    }
+
+    return this.populateWishlist(wishlist);
+  }
+
+  /**
+   * Make a wishlist private again; its public link stops working
+   */
+  static async unshareWishlist(wishlistId, userId) {
+    const wishlist = await this.getOwnWishlist(wishlistId, userId);
+
+    wishlist.shareToken = undefined;
+    await wishlist.save();
+
+    return this.populateWishlist(wishlist);
+  }
+
+  /**
+   * Available stock and price of a product and each of its variants, to be
+   * compared by notifyProductChange after the product is edited
+   */
+  static availabilitySnapshot(product) {
+    const snapshot = new Map([
+      ['', { available: getAvailableStock(product), price: product.price }]
+    ]);
+
+    for (const variant of product.variants || []) {
+      snapshot.set(variantKey(variant._id), {
+        available: getAvailableStock(product, variant._id),
+        price: getUnitPrice(product, variant._id)
+      });
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Tell customers when a product (or variant) on their wishlists comes back
+   * in stock or drops in price. `before` is an availabilitySnapshot taken
+   * before the change. Alerts are published to the wishlistAlert subscription
+   * once per customer, product line and kind of change. Failures are logged,
+   * never thrown, so they cannot fail the product change itself.
+   */
+  static async notifyProductChange(before, product) {
+    try {
+      return await this.sendAlerts(before, product);
+    } catch (error) {
+      logger.error('Wishlist alerts failed', {
+        error: error.message,
+        productId: product._id
+      });
+      return [];
+    }
+  }
+
+  /**
+   * notifyProductChange for `quantity` units of a product (or variant) given
+   * back to stock by an atomic update, e.g. a cancelled order or a released
+   * reservation. `product` is the product after the update.
+   */
+  static async notifyStockReturned(product, variantId, quantity) {
+    const before = this.availabilitySnapshot(product);
+
+    for (const key of variantId ? ['', variantKey(variantId)] : ['']) {
+      const line = before.get(key);
+      if (line) {
+        before.set(key, { ...line, available: Math.max(line.available - quantity, 0) });
+      }
+    }
+
+    return this.notifyProductChange(before, product);
+  }
+
+  /**
+   * Publish the alerts for notifyProductChange
+   */
+  static async sendAlerts(before, product) {
+    if (!product.isActive) {
+      return [];
+    }
+
+    const changes = new Map();
+    for (const [key, current] of this.availabilitySnapshot(product)) {
+      const previous = before.get(key);
+      if (!previous) {
+        continue;
+      }
+
+      const lineChanges = [];
+      if (previous.available === 0 && current.available > 0) {
+        lineChanges.push({ type: 'back_in_stock', price: current.price });
+      }
+      if (current.price < previous.price) {
+        lineChanges.push({ type: 'price_drop', previousPrice: previous.price, price: current.price });
+      }
+      if (lineChanges.length > 0) {
+        changes.set(key, lineChanges);
+      }
+    }
+
+    if (changes.size === 0) {
+      return [];
+    }
+
+    const wishlists = await Wishlist.find({ 'items.product': product._id }).populate('items.product');
+    const alerts = new Map();
+
+    for (const wishlist of wishlists) {
+      for (const item of wishlist.items) {
+        const key = variantKey(item.variant);
+        if (!item.product?._id.equals(product._id) || !changes.has(key)) {
+          continue;
+        }
+
+        for (const change of changes.get(key)) {
+          const alertKey = `${wishlist.user}:${key}:${change.type}`;
+          if (!alerts.has(alertKey)) {
+            alerts.set(alertKey, { ...change, user: wishlist.user, wishlist, product, variant: item.variant });
+          }
+        }
+      }
+    }
+
+    for (const alert of alerts.values()) {
+      try {
+        await pubsub.publish(EVENTS.WISHLIST_ALERT, { wishlistAlert: alert });
+      } catch (error) {
+        logger.error('Failed to publish wishlist alert', {
+          error: error.message,
+          productId: product._id,
+          userId: alert.user
+        });
+      }
+    }
+
+    if (alerts.size > 0) {
+      logger.info('Wishlist alerts sent', {
+        productId: product._id,
+        alerts: alerts.size
+      });
+    }
+
+    return [...alerts.values()];
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Helpers for currency amounts, kept to whole cents.
+ *
+ * Amounts are stored as integer minor units (cents) and read and written as
+ * major units. Arithmetic on amounts goes through minor units so float
+ * artifacts such as 0.1 + 0.2 never reach stored totals.
+ */
+
+/**
+ * Currency catalog prices and exchange rates are expressed in
+ */
+export const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').trim().toUpperCase();
+
+/**
+ * ISO 4217 style three-letter currency code
+ */
+export const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Convert an amount to integer minor units (cents). The product is trimmed
+ * to 15 significant digits first so 1.005 becomes 101 cents, not 100.
+ */
+export const toMinorUnits = (amount) => Math.round(Number((amount * 100).toPrecision(15)));
+
+/**
+ * Convert integer minor units (cents) back to an amount
+ */
+export const fromMinorUnits = (units) => units / 100;
+
+/**
+ * Round an amount to whole cents
+ */
+export const roundCurrency = (amount) => fromMinorUnits(toMinorUnits(amount));
+
+/**
+ * Add amounts exactly. Pass negative amounts to subtract.
+ */
+export const sumAmounts = (amounts) => fromMinorUnits(
+  amounts.reduce((total, amount) => total + toMinorUnits(amount), 0)
+);
+
+/**
+ * Multiply an amount by a whole quantity exactly
+ */
+export const multiplyAmount = (amount, quantity) => fromMinorUnits(toMinorUnits(amount) * quantity);
+
+/**
+ * Mongoose path options for an amount stored in minor units and exposed in
+ * major units. Schemas using it must enable getters in toObject/toJSON.
+ * Setters do not run on query operators, so convert $gte/$lte bounds with
+ * toMinorUnits.
+ */
+export const moneyPath = (options = {}) => ({
+  type: Number,
+  get: (units) => (units === null || units === undefined ? units : fromMinorUnits(units)),
+  set: (amount) => (amount === null || amount === undefined ? amount : toMinorUnits(amount)),
+  ...options
+});
+
+/**
+ * Split an amount across weights in proportion to them, in whole cents.
+ * The rounding remainder goes to the last non-zero weight so the parts
+ * always add up to the amount.
+ */
+export const allocateAmount = (amount, weights) => {
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+  const parts = weights.map(() => 0);
+
+  if (totalWeight <= 0) {
+    return parts;
+  }
+
+  const units = toMinorUnits(amount);
+  const lastIndex = weights.reduce((last, weight, index) => (weight > 0 ? index : last), -1);
+  let allocated = 0;
+
+  weights.forEach((weight, index) => {
+    if (weight <= 0) {
+      return;
+    }
+
+    const partUnits = index === lastIndex
+      ? units - allocated
+      : Math.round(units * weight / totalWeight);
+    parts[index] = fromMinorUnits(partUnits);
+    allocated += partUnits;
+  });
+
+  return parts;
+};
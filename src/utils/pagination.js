@@ -0,0 +1,129 @@
+import { GraphQLError } from 'graphql';
+import { validatePaginationArgs } from './validation.js';
+
+/**
+ * Helpers for keyset (cursor) pagination of Relay style connections.
+ *
+ * A cursor names the ordering it was issued for, the sort value of the item
+ * it points at and that item's ID, which breaks ties between equal values.
+ * Cursors are base64 JSON and opaque to clients.
+ */
+
+// Page size when neither `first` nor `last` is given
+export const DEFAULT_PAGE_SIZE = 20;
+
+const invalidCursor = () => new GraphQLError('Invalid cursor format', {
+  extensions: { code: 'INVALID_CURSOR' }
+});
+
+/**
+ * Cursor of the item with ID `id` and sort value `value` in the `order` ordering
+ */
+export const encodeCursor = (order, value, id) => Buffer.from(JSON.stringify({
+  order,
+  // Dates would come back as strings, so they are tagged
+  value: value instanceof Date ? { date: value.toISOString() } : value ?? null,
+  id: id.toString()
+})).toString('base64');
+
+/**
+ * Sort value and ID of a cursor. Cursors issued for another ordering are
+ * rejected, since their position means nothing in this one.
+ */
+export const decodeCursor = (cursor, order) => {
+  let decoded = null;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64').toString());
+  } catch (error) {
+    // Reported below
+  }
+
+  if (!decoded || decoded.order !== order || !/^[0-9a-fA-F]{24}$/.test(decoded.id)) {
+    throw invalidCursor();
+  }
+
+  const { value, id } = decoded;
+  return { value: value?.date ? new Date(value.date) : value, id };
+};
+
+/**
+ * Query conditions for the items after a cursor when sorting by `path` in
+ * `direction` (1 or -1) and then by `_id` in the same direction. Missing
+ * values sort before all others, as in MongoDB.
+ */
+export const cursorFilter = (path, direction, { value, id }) => {
+  const after = direction === 1 ? '$gt' : '$lt';
+  if (path === '_id') {
+    return { _id: { [after]: id } };
+  }
+
+  const tied = { [path]: value, _id: { [after]: id } };
+
+  if (value === null) {
+    return direction === 1 ? { $or: [tied, { [path]: { $ne: null } }] } : tied;
+  }
+
+  const later = [{ [path]: { [after]: value } }, tied];
+  if (direction === -1) {
+    later.push({ [path]: null });
+  }
+
+  return { $or: later };
+};
+
+/**
+ * Size and direction of the page asked for with connection arguments.
+ * `last` reads the page backwards from the end (or from `before`).
+ */
+export const pageWindow = ({ first, after, last, before } = {}) => {
+  validatePaginationArgs(first, after, last, before);
+
+  return last
+    ? { limit: last, backward: true }
+    : { limit: first || DEFAULT_PAGE_SIZE, backward: false };
+};
+
+/**
+ * One page of a connection read with `find(filter, sort, limit)`, which
+ * queries the items matching `filter` (the cursor bounds) in `sort` order.
+ * Items are ordered by `path` in `direction` (1 or -1), ties broken by ID,
+ * and `cursorValue` gives an item's sort value for its cursor.
+ */
+export const paginateQuery = async (args, {
+  ordering, path = '_id', direction = 1, cursorValue = () => null, find
+}) => {
+  const { limit, backward } = pageWindow(args);
+
+  // Items after `after` and before `before`
+  const afterBound = args.after && cursorFilter(path, direction, decodeCursor(args.after, ordering));
+  const beforeBound = args.before && cursorFilter(path, -direction, decodeCursor(args.before, ordering));
+  const bounds = [afterBound, beforeBound].filter(Boolean);
+
+  // Backward pages are read in reverse from the end
+  const order = backward ? -direction : direction;
+  const sort = path === '_id' ? { _id: order } : { [path]: order, _id: order };
+
+  const items = await find(bounds.length > 0 ? { $and: bounds } : {}, sort, limit + 1);
+  const nodes = items.slice(0, limit);
+  if (backward) {
+    nodes.reverse();
+  }
+
+  // Whether any item lies outside a bound, i.e. on the far side of its cursor
+  const beyond = async (bound) => Boolean(bound) && (await find({ $nor: [bound] }, sort, 1)).length > 0;
+
+  const edges = nodes.map(node => ({
+    node,
+    cursor: encodeCursor(ordering, cursorValue(node), node._id)
+  }));
+
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage: backward ? await beyond(beforeBound) : items.length > limit,
+      hasPreviousPage: backward ? items.length > limit : await beyond(afterBound),
+      startCursor: edges.length > 0 ? edges[0].cursor : null,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+    }
+  };
+};
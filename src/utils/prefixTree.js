@@ -0,0 +1,61 @@
+import { tokenize } from './searchIndex.js';
+
+/**
+ * Prefix tree of suggestion entries for search autocomplete. Entries are
+ * found by the start of any of their words, so "head" finds both
+ * "Headphones" and "Wireless Headphones".
+ */
+export class PrefixTree {
+  constructor() {
+    this.root = { children: new Map(), entries: [] };
+    this.size = 0;
+  }
+
+  /**
+   * Add an entry ({ text, ... }) under every word of its text onwards
+   */
+  add(entry) {
+    const words = tokenize(entry.text);
+
+    for (let start = 0; start < words.length; start++) {
+      let node = this.root;
+      for (const character of words.slice(start).join(' ')) {
+        if (!node.children.has(character)) {
+          node.children.set(character, { children: new Map(), entries: [] });
+        }
+        node = node.children.get(character);
+      }
+      node.entries.push(entry);
+    }
+
+    this.size += 1;
+  }
+
+  /**
+   * Entries with a word sequence starting with the prefix, each once
+   */
+  find(prefix) {
+    const key = tokenize(prefix).join(' ');
+    if (!key) {
+      return [];
+    }
+
+    let node = this.root;
+    for (const character of key) {
+      node = node.children.get(character);
+      if (!node) {
+        return [];
+      }
+    }
+
+    const found = new Set();
+    const pending = [node];
+    while (pending.length > 0) {
+      const current = pending.pop();
+      current.entries.forEach(entry => found.add(entry));
+      pending.push(...current.children.values());
+    }
+
+    return [...found];
+  }
+}
@@ -0,0 +1,237 @@
+/**
+ * In-process inverted index for product search. Each indexed term lists the
+ * documents containing it, weighted by the fields it appears in. Query terms
+ * match indexed terms exactly, by prefix, within a few typos or through a
+ * synonym, and a document's score adds up the best match of every query term.
+ */
+
+// Weight of a term by the field it appears in; names matter most
+export const FIELD_BOOSTS = {
+  name: 3,
+  category: 2,
+  description: 1
+};
+
+// Weight of a match by how the query term matched, relative to an exact match
+const PREFIX_WEIGHT = 0.7;
+const SYNONYM_WEIGHT = 0.9;
+// Applied once per typo
+const TYPO_WEIGHT = 0.6;
+
+// Shortest query term that also matches longer terms starting with it
+const MIN_PREFIX_LENGTH = 3;
+
+/**
+ * Lowercase words and numbers of a text, without accents
+ */
+export const tokenize = (text) => (text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+/**
+ * Typos tolerated in a query term: none in short terms, one from four
+ * characters and two from eight
+ */
+export const maxTypos = (term) => {
+  if (term.length >= 8) {
+    return 2;
+  }
+  return term.length >= 4 ? 1 : 0;
+};
+
+/**
+ * Number of insertions, deletions, substitutions and swaps of adjacent
+ * characters turning `a` into `b`. Stops counting past `max` and returns
+ * `max + 1` instead.
+ */
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      let distance = Math.min(
+        row[j] + 1,
+        nextRow[j - 1] + 1,
+        row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    // Distances never shrink from one row to the next
+    if (rowMin > max) {
+      return max + 1;
+    }
+
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return Math.min(row[b.length], max + 1);
+};
+
+const roundScore = (score) => Math.round(score * 10000) / 10000;
+
+export class SearchIndex {
+  constructor() {
+    // term -> Map of document ID -> field weight
+    this.postings = new Map();
+    // document ID -> its terms, to remove it again
+    this.documents = new Map();
+    // term -> Set of terms meaning the same
+    this.synonyms = new Map();
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Index a document's fields (see FIELD_BOOSTS), replacing any earlier
+   * version of it. A term counts once per field however often it appears.
+   */
+  add(id, fields) {
+    this.remove(id);
+
+    const weights = new Map();
+    for (const [field, boost] of Object.entries(FIELD_BOOSTS)) {
+      for (const term of new Set(tokenize(fields[field]))) {
+        weights.set(term, (weights.get(term) || 0) + boost);
+      }
+    }
+
+    for (const [term, weight] of weights) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, weight);
+    }
+
+    this.documents.set(id, [...weights.keys()]);
+  }
+
+  /**
+   * Drop a document from the index
+   */
+  remove(id) {
+    for (const term of this.documents.get(id) || []) {
+      const postings = this.postings.get(term);
+      postings.delete(id);
+      if (postings.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.documents.delete(id);
+  }
+
+  /**
+   * Replace the synonyms with the given sets of single-word terms, each term
+   * meaning the same as the others in its set
+   */
+  setSynonyms(sets) {
+    this.synonyms = new Map();
+
+    for (const set of sets) {
+      const terms = set.map(term => tokenize(term).join('')).filter(Boolean);
+      for (const term of terms) {
+        const related = this.synonyms.get(term) || new Set();
+        terms.filter(other => other !== term).forEach(other => related.add(other));
+        this.synonyms.set(term, related);
+      }
+    }
+  }
+
+  /**
+   * Indexed terms a query term matches, with the weight of each match.
+   * Typos are corrected against synonyms too, so "televison" finds "tv".
+   */
+  expand(queryTerm) {
+    const matches = new Map();
+    const match = (term, weight) => {
+      if (this.postings.has(term) && weight > (matches.get(term) || 0)) {
+        matches.set(term, weight);
+      }
+    };
+
+    const typos = maxTypos(queryTerm);
+    const vocabulary = new Set([...this.postings.keys(), ...this.synonyms.keys()]);
+
+    for (const term of vocabulary) {
+      let weight = 0;
+      if (term === queryTerm) {
+        weight = 1;
+      } else if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) {
+        weight = PREFIX_WEIGHT;
+      } else if (typos > 0) {
+        const distance = editDistance(queryTerm, term, typos);
+        weight = distance <= typos ? TYPO_WEIGHT ** distance : 0;
+      }
+
+      if (weight > 0) {
+        match(term, weight);
+        for (const synonym of this.synonyms.get(term) || []) {
+          match(synonym, weight * SYNONYM_WEIGHT);
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Documents matching any query term, best first, as { id, score }. Rarer
+   * terms count for more, and documents matching only some of the query
+   * terms score proportionally lower.
+   */
+  search(query, limit = Infinity) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const hits = new Map();
+
+    for (const queryTerm of queryTerms) {
+      // Best match of this query term in each document
+      const best = new Map();
+      for (const [term, matchWeight] of this.expand(queryTerm)) {
+        const postings = this.postings.get(term);
+        const rarity = Math.log(1 + this.documents.size / postings.size);
+
+        for (const [id, fieldWeight] of postings) {
+          const score = fieldWeight * matchWeight * rarity;
+          if (score > (best.get(id) || 0)) {
+            best.set(id, score);
+          }
+        }
+      }
+
+      for (const [id, score] of best) {
+        const hit = hits.get(id) || { score: 0, matchedTerms: 0 };
+        hit.score += score;
+        hit.matchedTerms += 1;
+        hits.set(id, hit);
+      }
+    }
+
+    return [...hits]
+      .map(([id, { score, matchedTerms }]) => ({
+        id,
+        score: roundScore(score * matchedTerms / queryTerms.length)
+      }))
+      .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1))
+      .slice(0, limit);
+  }
+}
@@ -79,7 +79,26 @@ export const sanitizeString = (str, maxLength = 255) => {
   return str.trim().substring(0, maxLength);
 };
 
-export const validatePaginationArgs = (first, after) => {
+// Cursors are base64 strings; anything that does not decode is rejected
+const validateCursor = (cursor, field) => {
+  let decoded = null;
+  try {
+    decoded = cursor && Buffer.from(cursor, 'base64').toString();
+  } catch (error) {
+    // Reported below
+  }
+
+  if (cursor && !decoded) {
+    throw new GraphQLError('Invalid cursor format', {
+      extensions: {
+        code: 'INVALID_INPUT',
+        field,
+      },
+    });
+  }
+};
+
+export const validatePaginationArgs = (first, after, last, before) => {
   if (first && (first < 1 || first > 100)) {
     throw new GraphQLError('First argument must be between 1 and 100', {
       extensions: {
@@ -88,13 +107,25 @@ export const validatePaginationArgs = (first, after) => {
       },
     });
   }
-  
-  if (after && !Buffer.from(after, 'base64').toString()) {
-    throw new GraphQLError('Invalid cursor format', {
+
+  if (last && (last < 1 || last > 100)) {
+    throw new GraphQLError('Last argument must be between 1 and 100', {
+      extensions: {
+        code: 'INVALID_INPUT',
+        field: 'last',
+      },
+    });
+  }
+
+  if (first && last) {
+    throw new GraphQLError('Cannot paginate with both first and last', {
       extensions: {
         code: 'INVALID_INPUT',
-        field: 'after',
+        field: 'last',
       },
     });
   }
+  
+  validateCursor(after, 'after');
+  validateCursor(before, 'before');
 }; 
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * Helpers for product variants. Products may be Mongoose documents or plain
+ * objects (e.g. when served from cache), so these avoid document methods.
+ */
+
+/**
+ * Find a variant on a product by ID
+ */
+export const findVariant = (product, variantId) => {
+  if (!product || !variantId) {
+    return null;
+  }
+
+  return (product.variants || []).find(
+    variant => variant._id.toString() === variantId.toString()
+  ) || null;
+};
+
+/**
+ * Effective unit price for a product, or for one of its variants
+ */
+export const getUnitPrice = (product, variantId = null) => {
+  const variant = findVariant(product, variantId);
+  return variant?.price ?? product.price;
+};
+
+/**
+ * Stock of a product, or of one of its variants, not held by checkout reservations
+ */
+export const getAvailableStock = (product, variantId = null) => {
+  const holder = findVariant(product, variantId) || product;
+  return Math.max(holder.stock - (holder.reservedStock || 0), 0);
+};
+
+/**
+ * Shape a variant for the ProductVariant GraphQL type
+ */
+export const formatVariant = (product, variant) => {
+  const data = typeof variant.toObject === 'function' ? variant.toObject() : variant;
+
+  return {
+    ...data,
+    id: data._id.toString(),
+    price: data.price ?? product.price,
+    inStock: data.stock > 0,
+    availableStock: Math.max(data.stock - (data.reservedStock || 0), 0),
+    stockLevels: data.stockLevels || [],
+  };
+};
+
+/**
+ * Key identifying an order line by product and variant. The product may be
+ * an ID or a populated document.
+ */
+export const getLineKey = (product, variantId = null) => (
+  `${(product._id || product).toString()}:${variantId ? variantId.toString() : ''}`
+);